@@ -1,23 +1,53 @@
 /** @typedef { import("electron").Rectangle } Rectangle */
 
+/** @typedef { import("./command-line/CommandLineBackend").CommandLineBackend} CommandLineBackend */
+/** @typedef { import("./configuration/AdvancedConfiguration").AdvancedConfiguration} AdvancedConfiguration */
+/** @typedef { import("./configuration/AdvancedConfiguration").SoundRule} SoundRule */
+/** @typedef { import("./configuration/AdvancedConfigurationListener").AdvancedConfigurationListener} AdvancedConfigurationListener */
 /** @typedef { import("./configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
+/** @typedef { import("./control-api/ControlApiBackend").ControlApiBackend} ControlApiBackend */
+/** @typedef { import("./deep-links/DeepLinkBackend").DeepLinkBackend} DeepLinkBackend */
+/** @typedef { import("./global-shortcuts/GlobalShortcutsBackend").GlobalShortcutsBackend} GlobalShortcutsBackend */
+/** @typedef { import("./notifications/NotificationBackend").NotificationBackend} NotificationBackend */
 /** @typedef { import("./tasks/TasksTrackerListener").TasksTrackerListener} TasksTrackerListener */
 /** @typedef { import("./windows/DefaultWindowBoundsListener").DefaultWindowBoundsListener } DefaultWindowBoundsListener */
+/** @typedef { import("./windows/SettingsBackend").SettingsBackend } SettingsBackend */
 /** @typedef { import("./Logger") } Logger */
 /** @typedef { import("./TrayMenuBackend").TrayMenuBackend } TrayMenuBackend */
 
-/** @typedef {TasksTrackerListener & DefaultWindowBoundsListener & TrayMenuBackend} ImplementedInterfaces */
+/** @typedef {TasksTrackerListener & DefaultWindowBoundsListener & TrayMenuBackend & ControlApiBackend & CommandLineBackend & DeepLinkBackend & GlobalShortcutsBackend & NotificationBackend & SettingsBackend & AdvancedConfigurationListener} ImplementedInterfaces */
 
 const { dialog, shell, app } = require("electron");
 const moment = require("moment");
 
 const CalculatedState = require("./calculated-state/CalculatedState");
+const ConditionMatcher = require("./calculated-state/ConditionMatcher");
+const ConditionTriggerTracker = require("./calculated-state/ConditionTriggerTracker");
+const CommandLineRunner = require("./command-line/CommandLineRunner");
+const CommandLineServer = require("./command-line/CommandLineServer");
+const getCommandLineSocketPath = require("./command-line/getCommandLineSocketPath");
 const ConfigurationStore = require("./configuration/ConfigurationStore");
+const ControlApiServer = require("./control-api/ControlApiServer");
+const DeepLinkHandler = require("./deep-links/DeepLinkHandler");
+const FocusSession = require("./focus-session/FocusSession");
+const GlobalShortcuts = require("./global-shortcuts/GlobalShortcuts");
+const HistoryStore = require("./history/HistoryStore");
+const HistoryTracker = require("./history/HistoryTracker");
+const HookRunner = require("./hooks/HookRunner");
+const NotificationScheduler = require("./notifications/NotificationScheduler");
+const NotificationService = require("./notifications/NotificationService");
+const { ProfileSelector } = require("./profiles/ProfileSelector");
+const SettingsTransfer = require("./settings-transfer/SettingsTransfer");
+const SoundPlayer = require("./sounds/SoundPlayer");
 const TasksSummaryCalculator = require("./tasks/TasksSummaryCalculator");
 const TasksTracker = require("./tasks/TasksTracker");
+const IntegrationPluginLoader = require("./tasks/integrations/plugins/IntegrationPluginLoader");
 const AboutWindow = require("./windows/AboutWindow");
 const AppWindow = require("./windows/AppWindow");
 const DialogWindowService = require("./windows/DialogWindowService");
+const ReportsWindow = require("./windows/ReportsWindow");
+const SettingsWindow = require("./windows/SettingsWindow");
+const showConfigurationErrorDialog = require("./windows/showConfigurationErrorDialog");
 const DisabledState = require("./DisabledState");
 const IdleTimeTracker = require("./IdleTimeTracker");
 const TrayMenu = require("./TrayMenu");
@@ -35,11 +65,68 @@ class Controller {
     async initialize() {
         this._configurationStore = new ConfigurationStore(this._logger);
         await this._configurationStore.initialize();
-        this._advancedConfiguration = this._configurationStore.loadAdvancedConfiguration();
+
+        const advancedConfiguration = this._configurationStore.loadAdvancedConfiguration();
+
+        // shared by everything that matches conditions, so expressions are parsed once per load
+        this._conditionMatcher = new ConditionMatcher();
+        this._conditionMatcher.updateConfiguration(advancedConfiguration);
+
+        this._profileSelector = new ProfileSelector(
+            advancedConfiguration,
+            this._configurationStore.getSelectedProfileName(),
+            this._conditionMatcher
+        );
+
+        this._advancedConfiguration = this._profileSelector.getActiveConfiguration();
+        this._appliedAdvancedConfiguration = this._advancedConfiguration;
+        this._integrationProfileName = this._profileSelector.getIntegrationProfileName();
 
         const now = moment();
+
+        this._historyTracker = new HistoryTracker(
+            this._advancedConfiguration.history,
+            new HistoryStore(this._configurationStore.getHistoryFolderPath(), this._logger),
+            this._logger
+        );
+
+        this._historyTracker.initialize();
+
+        this._hookRunner = new HookRunner(this._advancedConfiguration.hooks, this._logger);
+
+        this._notificationScheduler = new NotificationScheduler(
+            this._advancedConfiguration.notificationConditions,
+            this._conditionMatcher,
+            this._logger
+        );
+
+        this._notificationService = new NotificationService(this, this._logger);
+
+        /** @type {ConditionTriggerTracker<SoundRule>} */
+        this._soundTriggerTracker = new ConditionTriggerTracker(
+            this._conditionMatcher,
+            this._advancedConfiguration.soundConditions
+        );
+
+        this._focusSession = new FocusSession(
+            this._advancedConfiguration.focusSession,
+            this._configurationStore.getFocusSessionState(),
+            this._logger
+        );
+
+        if (this._focusSession.update(now)) {
+            this._configurationStore.setFocusSessionState(this._focusSession.getState());
+        }
+
         const tasksSummaryCalculator = new TasksSummaryCalculator();
-        this._calculatedState = new CalculatedState(this._advancedConfiguration, this._logger, now);
+        this._calculatedState = new CalculatedState(
+            this._advancedConfiguration,
+            this._conditionMatcher,
+            this._logger,
+            now
+        );
+        this._calculatedState.updateActiveProfile(this._profileSelector.getActiveProfileName());
+        this._calculatedState.updateFocusSessionSummary(this._focusSession.getSummary(now));
 
         this._calculatedState.updateFromTasksSummary(
             tasksSummaryCalculator.getPlaceholderTasksSummary(),
@@ -58,15 +145,50 @@ class Controller {
             this._logger
         );
 
-        this._appWindow.updateStatusAndMessage(snapshot.status, snapshot.message);
+        this._appWindow.updateStatusAndMessage(
+            snapshot.status,
+            snapshot.message,
+            this._calculatedState.getStyle()
+        );
         this._appWindow.setNaggingMode(snapshot.naggingEnabled);
         this._appWindow.setHiddenMode(snapshot.downtimeEnabled);
 
+        this._soundPlayer = new SoundPlayer(
+            this._appWindow,
+            this._configurationStore.getSoundsFolderPath(),
+            this._logger
+        );
+
         this._aboutWindow = new AboutWindow(this._appWindow.getBrowserWindow());
         this._dialogWindowService = new DialogWindowService(this._appWindow.getBrowserWindow());
 
+        this._settingsTransfer = new SettingsTransfer(
+            this._configurationStore,
+            this._dialogWindowService,
+            this._logger
+        );
+
+        this._reportsWindow = new ReportsWindow(
+            this._appWindow.getBrowserWindow(),
+            this._historyTracker,
+            this._logger
+        );
+
+        this._settingsWindow = new SettingsWindow(
+            this._appWindow.getBrowserWindow(),
+            this,
+            this._logger
+        );
+
+        const integrationPluginLoader = new IntegrationPluginLoader(
+            this._configurationStore.getIntegrationPluginsFolderPath(),
+            this._logger
+        );
+
         this._tasksTracker = new TasksTracker(
-            this._configurationStore.getIntegrationConfiguration(),
+            this._configurationStore.getIntegrationConfiguration(this._integrationProfileName),
+            integrationPluginLoader.loadPlugins(),
+            this._advancedConfiguration,
             tasksSummaryCalculator,
             this,
             this._dialogWindowService,
@@ -83,31 +205,135 @@ class Controller {
 
         this._tray = new TrayMenu(this, trayOptions, {
             integrationType: this._tasksTracker.getIntegrationType(),
+            integrationPluginId: this._tasksTracker.getIntegrationPluginId(),
+            integrationPlugins: this._tasksTracker.getIntegrationPlugins(),
+            focusSessionPhase: this._focusSession.getPhase(),
+            focusSessionPaused: this._focusSession.isPaused(),
             detailedStateCalculationLoggingEnabled: this._logger.isDetailedStateCalculationLoggingEnabled(),
             detailedIntegrationLoggingEnabled: this._logger.isDetailedIntegrationLoggingEnabled(),
             movingResizingEnabled: this._appWindow.isMovingResizingEnabled(),
             disabledUntil: this._disabledState.getDisabledUntil(),
             disabledReason: this._disabledState.getReason(),
+            profileNames: this._profileSelector.getProfileNames(),
+            selectedProfileName: this._profileSelector.getSelectedProfileName(),
+            activeProfileName: this._profileSelector.getActiveProfileName(),
         });
 
+        this._globalShortcuts = new GlobalShortcuts(this, this._logger);
+
+        /** @type {string[]} */
+        this._globalShortcutFailures = [];
+
+        this._updateGlobalShortcuts();
+
         this._idleTimeTracker = new IdleTimeTracker(SLEEP_DETECTION_THRESHOLD_SECONDS, now);
 
         this._updateStateIntervalId = setInterval(() => this._updateState(), STATE_UPDATE_INTERVAL);
+
+        this._deepLinkHandler = new DeepLinkHandler(this);
+        this._controlApiServer = new ControlApiServer(this, this._logger);
+        this._updateControlApiServer();
+
+        this._commandLineServer = new CommandLineServer(
+            getCommandLineSocketPath(),
+            new CommandLineRunner(this),
+            this._logger
+        );
+
+        // the app is still usable without command line support, so this doesn't block startup
+        this._commandLineServer.start().catch((error) => {
+            this._logger.error(`Error starting command line support: ${error.message}`);
+        });
+
+        this._configurationStore.watchAdvancedConfiguration(this);
+    }
+
+    _updateControlApiServer() {
+        this._controlApiServer
+            .updateConfiguration(this._advancedConfiguration.controlApi)
+            .catch((error) => {
+                this._logger.error(`Error starting control API: ${error.message}`);
+                const browserWindow = this._appWindow.getBrowserWindow();
+                const message = `Could not start control API: ${error.message}`;
+                dialog.showMessageBox(browserWindow, { type: "error", message });
+            });
+    }
+
+    _updateGlobalShortcuts() {
+        const failures = this._globalShortcuts.update(this._advancedConfiguration.globalShortcuts);
+
+        // failures that were already reported, for example before switching profiles, aren't shown again
+        const failuresChanged =
+            JSON.stringify(failures) !== JSON.stringify(this._globalShortcutFailures);
+
+        this._globalShortcutFailures = failures;
+
+        if (failures.length > 0 && failuresChanged) {
+            const browserWindow = this._appWindow.getBrowserWindow();
+
+            const message = [
+                "The following global shortcuts could not be registered, probably because another application is already using them:",
+                ...failures,
+            ].join("\n");
+
+            dialog.showMessageBox(browserWindow, { type: "warning", message });
+        }
     }
 
     _getTrayOptions() {
         return {
-            allowQuickDisable: !this._advancedConfiguration.requireReasonForDisabling,
-            allowClosing: !this._advancedConfiguration.forbidClosingFromTray,
+            allowQuickDisable: this.isQuickDisableAllowed(),
+            allowClosing: this.isClosingAllowed(),
         };
     }
 
     _updateState() {
         const now = moment();
+        this._updateActiveProfile();
         this._updateDisabledState(now);
         this._checkIdleTime(now);
+        this._updateFocusSession(now);
         this._updateCalculatedState(now);
         this._triggerBehaviorFromDisabledOrDowntimeMode(now);
+        this._showNotifications(now);
+        this._playSounds(now);
+        this._updateHistory(now);
+        this._runHooks(now);
+    }
+
+    _updateActiveProfile() {
+        // automatic switching uses the previous state calculation
+        if (this._profileSelector.update(this._calculatedState.getSnapshot())) {
+            const profileName = this._profileSelector.getActiveProfileName();
+            this._logger.info(`Switching to profile ${profileName}`);
+            this._applyActiveProfile();
+        }
+    }
+
+    _applyActiveProfile() {
+        this._advancedConfiguration = this._profileSelector.getActiveConfiguration();
+        this._applyAdvancedConfiguration();
+        this._calculatedState.updateActiveProfile(this._profileSelector.getActiveProfileName());
+
+        const integrationProfileName = this._profileSelector.getIntegrationProfileName();
+
+        if (integrationProfileName !== this._integrationProfileName) {
+            this._integrationProfileName = integrationProfileName;
+
+            this._tasksTracker.replaceIntegrationConfiguration(
+                this._configurationStore.getIntegrationConfiguration(integrationProfileName)
+            );
+        }
+
+        this._updateTrayFromProfileSelector();
+    }
+
+    _updateTrayFromProfileSelector() {
+        this._tray.updateProfiles(
+            this._profileSelector.getProfileNames(),
+            this._profileSelector.getSelectedProfileName(),
+            this._profileSelector.getActiveProfileName()
+        );
     }
 
     _updateDisabledState(now) {
@@ -126,6 +352,22 @@ class Controller {
         this._tray.updateDisabledState(disabledUntil, disabledReason);
     }
 
+    _updateFocusSession(now) {
+        const phaseChanged = this._focusSession.update(now);
+
+        if (phaseChanged) {
+            this._onFocusSessionChanged();
+        }
+    }
+
+    _onFocusSessionChanged() {
+        this._configurationStore.setFocusSessionState(this._focusSession.getState());
+        this._tray.updateFocusSessionState(
+            this._focusSession.getPhase(),
+            this._focusSession.isPaused()
+        );
+    }
+
     _checkIdleTime(now) {
         this._idleTimeTracker.update(now);
 
@@ -150,6 +392,8 @@ class Controller {
     }
 
     _updateCalculatedState(now) {
+        this._calculatedState.updateFocusSessionSummary(this._focusSession.getSummary(now));
+
         const tasksSummary = this._tasksTracker.getTasksSummary(now);
         const errorMessage = this._tasksTracker.getTasksErrorMessage();
 
@@ -160,7 +404,12 @@ class Controller {
         }
 
         const snapshot = this._calculatedState.getSnapshot();
-        this._appWindow.updateStatusAndMessage(snapshot.status, snapshot.message);
+        this._appWindow.updateStatusAndMessage(
+            snapshot.status,
+            snapshot.message,
+            this._calculatedState.getStyle()
+        );
+        this._controlApiServer.publishSnapshot(snapshot);
 
         if (snapshot.customStateShouldClearCurrent) {
             this._tasksTracker.clearCurrent();
@@ -191,6 +440,56 @@ class Controller {
         }
     }
 
+    _showNotifications(now) {
+        const snapshot = this._calculatedState.getSnapshot();
+        const suppressed = this._disabledState.isAppDisabled() || snapshot.downtimeEnabled;
+        const notifications = this._notificationScheduler.update(snapshot, suppressed, now);
+
+        for (const notification of notifications) {
+            this._notificationService.show(notification);
+        }
+    }
+
+    _playSounds(now) {
+        const snapshot = this._calculatedState.getSnapshot();
+        const suppressed = this._disabledState.isAppDisabled() || snapshot.downtimeEnabled;
+
+        for (const rule of this._soundTriggerTracker.update(snapshot, suppressed, now)) {
+            this._logger.debugStateCalculation("Playing sound for rule:", rule);
+            this._soundPlayer.play(rule);
+        }
+    }
+
+    _updateHistory(now) {
+        const snapshot = this._calculatedState.getSnapshot();
+        const hasSingleCurrentTask = snapshot.numberMarkedCurrent === 1;
+        const isDisabled = this._disabledState.isAppDisabled();
+
+        this._historyTracker.update(
+            {
+                integrationType: this._tasksTracker.getIntegrationType(),
+                taskTitle: hasSingleCurrentTask ? snapshot.currentTaskTitle : undefined,
+                taskId: hasSingleCurrentTask ? this._tasksTracker.getCurrentTaskId() : undefined,
+                status: snapshot.status,
+                nagging: snapshot.naggingEnabled && !isDisabled,
+                disabled: isDisabled,
+                disabledReason: isDisabled ? this._disabledState.getReason() : undefined,
+                downtime: snapshot.downtimeEnabled,
+            },
+            now
+        );
+    }
+
+    _runHooks(now) {
+        this._hookRunner.update(
+            {
+                snapshot: this._calculatedState.getSnapshot(),
+                disabled: this._disabledState.isAppDisabled(),
+            },
+            now
+        );
+    }
+
     // TasksTrackerListener
 
     onManualTaskChanged() {
@@ -199,11 +498,17 @@ class Controller {
 
     onIntegrationTypeChanged() {
         this._updateCalculatedState(moment());
-        this._tray.updateIntegrationType(this._tasksTracker.getIntegrationType());
+        this._tray.updateIntegrationType(
+            this._tasksTracker.getIntegrationType(),
+            this._tasksTracker.getIntegrationPluginId()
+        );
     }
 
     onIntegrationConfigurationChanged(configuration) {
-        this._configurationStore.setIntegrationConfiguration(configuration);
+        this._configurationStore.setIntegrationConfiguration(
+            configuration,
+            this._integrationProfileName
+        );
     }
 
     // DefaultWindowBoundsListener
@@ -219,9 +524,25 @@ class Controller {
         this._aboutWindow.show();
     }
 
-    /** @param {IntegrationType} integrationType */
-    changeIntegrationType(integrationType) {
-        this._tasksTracker.changeIntegrationType(integrationType);
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginId]
+     */
+    changeIntegrationType(integrationType, pluginId) {
+        this._tasksTracker.changeIntegrationType(integrationType, pluginId);
+    }
+
+    /** @param {string} [profileName] undefined for automatic switching */
+    selectProfile(profileName) {
+        this._profileSelector.select(profileName);
+        this._configurationStore.setSelectedProfileName(profileName);
+
+        if (this._profileSelector.update(this._calculatedState.getSnapshot())) {
+            this._applyActiveProfile();
+            this._updateCalculatedState(moment());
+        } else {
+            this._updateTrayFromProfileSelector();
+        }
     }
 
     setManualCurrentTask() {
@@ -236,6 +557,43 @@ class Controller {
         this._tasksTracker.configureIntegration();
     }
 
+    startFocusSession() {
+        const now = moment();
+        this._focusSession.start(now);
+        this._onFocusSessionChanged();
+        this._updateCalculatedState(now);
+    }
+
+    toggleFocusSessionPaused() {
+        const now = moment();
+
+        if (this._focusSession.isPaused()) {
+            this._focusSession.resume(now);
+        } else {
+            this._focusSession.pause(now);
+        }
+
+        this._onFocusSessionChanged();
+        this._updateCalculatedState(now);
+    }
+
+    skipFocusSessionPhase() {
+        const now = moment();
+        this._focusSession.skipPhase(now);
+        this._onFocusSessionChanged();
+        this._updateCalculatedState(now);
+    }
+
+    stopFocusSession() {
+        this._focusSession.stop();
+        this._onFocusSessionChanged();
+        this._updateCalculatedState(moment());
+    }
+
+    showReports() {
+        this._reportsWindow.show();
+    }
+
     showCalculatedState() {
         const snapshot = this._calculatedState.getSnapshot();
         const lines = [];
@@ -262,24 +620,43 @@ class Controller {
         shell.showItemInFolder(configFilePath);
     }
 
-    reloadAdvancedConfigFile() {
-        this._logger.info("Reloading advanced configuration file");
+    showSettings() {
+        this._settingsWindow.show();
+    }
 
+    reloadAdvancedConfigFile() {
         try {
-            this._advancedConfiguration = this._configurationStore.loadAdvancedConfiguration();
+            this.reloadAdvancedConfiguration();
         } catch (error) {
+            this._tray.updateAdvancedConfigurationError(error.message);
+
             // browser window is needed for the dialog to be async
             // see https://github.com/electron/electron/issues/23319
             // see https://github.com/electron/electron/issues/17801
-            const browserWindow = this._appWindow.getBrowserWindow();
-            dialog.showMessageBox(browserWindow, { type: "error", message: error.message });
-            return;
+            showConfigurationErrorDialog(error, this._appWindow.getBrowserWindow());
         }
+    }
 
-        this._calculatedState.updateConfiguration(this._advancedConfiguration);
-        const requireReasonForDisabling = !!this._advancedConfiguration.requireReasonForDisabling;
-        this._disabledState.updateRequireReasonForDisabling(requireReasonForDisabling);
-        this._tray.updateOptions(this._getTrayOptions());
+    exportSettings() {
+        this._settingsTransfer.exportSettings(this._appWindow.getBrowserWindow());
+    }
+
+    async importSettings() {
+        const imported = await this._settingsTransfer.importSettings(
+            this._appWindow.getBrowserWindow()
+        );
+
+        if (imported) {
+            // restarting is the simplest way to apply all settings consistently
+            this._logger.info("Restarting to apply imported settings");
+            app.relaunch();
+            this.close();
+        }
+    }
+
+    showIntegrationPluginsFolder() {
+        const pluginsFolderPath = this._configurationStore.getIntegrationPluginsFolderPath();
+        shell.openPath(pluginsFolderPath);
     }
 
     showLogFile() {
@@ -347,9 +724,17 @@ class Controller {
         // manually take control of the quitting process
         // this way, we don't have to constantly check whether Electron has automatically destroyed a window
         clearInterval(this._updateStateIntervalId);
+        this._configurationStore.stopWatchingAdvancedConfiguration();
+        this._historyTracker.close(moment());
+        this._controlApiServer.stop();
+        this._commandLineServer.stop();
+        this._globalShortcuts.unregisterAll();
         this._appWindow.destroy();
         this._aboutWindow.destroy();
         this._dialogWindowService.destroy();
+        this._reportsWindow.destroy();
+        this._settingsWindow.destroy();
+        this._notificationService.destroy();
         this._tray.destroy();
 
         // destroys all open windows, but all windows are already destroyed by now
@@ -363,6 +748,131 @@ class Controller {
     notifyTrayMenuClosed() {
         this._appWindow.notifyTrayMenuClosed();
     }
+
+    /** @param {string} link */
+    handleDeepLink(link) {
+        this._logger.info("Handling deep link");
+
+        try {
+            this._deepLinkHandler.handle(link);
+        } catch (error) {
+            this._logger.warn(`Could not handle deep link: ${error.message}`);
+            const browserWindow = this._appWindow.getBrowserWindow();
+            const message = `Could not handle link: ${error.message}`;
+            dialog.showMessageBox(browserWindow, { type: "error", message });
+        }
+    }
+
+    // other backends (control API, command line, links, shortcuts and notifications)
+
+    getCalculatedStateSnapshot() {
+        return this._calculatedState.getSnapshot();
+    }
+
+    /** @param {string} title */
+    setManualCurrentTaskTitle(title) {
+        this._tasksTracker.setManualCurrentTaskTitle(title);
+    }
+
+    clearCurrent() {
+        this._tasksTracker.clearCurrent();
+    }
+
+    /**
+     * @param {number} minutes
+     * @param {string} [reason]
+     */
+    disableForMinutesWithReason(minutes, reason) {
+        const now = moment();
+        this._disabledState.disableAppForMinutesWithReason(minutes, reason, now);
+        this._disableAppWindow();
+        this._updateTrayFromDisabledState();
+        this._triggerBehaviorFromDisabledOrDowntimeMode(now);
+    }
+
+    isQuickDisableAllowed() {
+        return !this._advancedConfiguration.requireReasonForDisabling;
+    }
+
+    isClosingAllowed() {
+        return !this._advancedConfiguration.forbidClosingFromTray;
+    }
+
+    onAdvancedConfigurationFileChanged() {
+        try {
+            this.reloadAdvancedConfiguration();
+        } catch (error) {
+            // the last valid configuration stays active, the tray menu shows the error
+            this._tray.updateAdvancedConfigurationError(error.message);
+        }
+    }
+
+    getAdvancedConfiguration() {
+        return this._configurationStore.loadAdvancedConfiguration();
+    }
+
+    /** @param {AdvancedConfiguration} configuration */
+    saveAdvancedConfiguration(configuration) {
+        this._configurationStore.saveAdvancedConfiguration(configuration);
+        this.reloadAdvancedConfigFile();
+    }
+
+    reloadAdvancedConfiguration() {
+        this._logger.info("Reloading advanced configuration file");
+        const advancedConfiguration = this._configurationStore.loadAdvancedConfiguration();
+        this._conditionMatcher.updateConfiguration(advancedConfiguration);
+        this._profileSelector.updateConfiguration(advancedConfiguration);
+
+        // profiles or their conditions could have changed
+        this._profileSelector.update(this._calculatedState.getSnapshot());
+        this._applyActiveProfile();
+        this._tray.updateAdvancedConfigurationError(undefined);
+    }
+
+    _applyAdvancedConfiguration() {
+        const configuration = this._advancedConfiguration;
+        const previousConfiguration = this._appliedAdvancedConfiguration;
+        this._appliedAdvancedConfiguration = configuration;
+
+        // this also runs on every automatic profile switch, so sections that didn't change are
+        // left alone instead of resetting their state (rate limiting, shortcut registrations, ...)
+        const hasChanged = (/** @type {keyof AdvancedConfiguration} */ name) =>
+            JSON.stringify(configuration[name]) !== JSON.stringify(previousConfiguration[name]);
+
+        this._calculatedState.updateConfiguration(configuration);
+
+        if (hasChanged("focusSession")) {
+            this._focusSession.updateConfiguration(configuration.focusSession);
+        }
+
+        if (hasChanged("history")) {
+            this._historyTracker.updateConfiguration(configuration.history);
+        }
+
+        if (hasChanged("hooks")) {
+            this._hookRunner.updateConfiguration(configuration.hooks);
+        }
+
+        if (hasChanged("notificationConditions")) {
+            this._notificationScheduler.updateConfiguration(configuration.notificationConditions);
+        }
+
+        if (hasChanged("soundConditions")) {
+            this._soundTriggerTracker.updateRules(configuration.soundConditions);
+        }
+
+        this._tasksTracker.updateAdvancedConfiguration(configuration);
+        const requireReasonForDisabling = !!configuration.requireReasonForDisabling;
+        this._disabledState.updateRequireReasonForDisabling(requireReasonForDisabling);
+        this._tray.updateOptions(this._getTrayOptions());
+
+        // the control API server compares its configuration itself
+        this._updateControlApiServer();
+
+        if (hasChanged("globalShortcuts")) {
+            this._updateGlobalShortcuts();
+        }
+    }
 }
 
 module.exports = Controller;
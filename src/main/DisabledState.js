@@ -51,6 +51,22 @@ class DisabledState {
         this._logger.info(`Disabled app for ${minutes} minutes`);
     }
 
+    /**
+     * Disables the app without asking for confirmation, for example from the control API
+     * @param {number} minutes
+     * @param {string} reason
+     * @param {moment.Moment} now
+     */
+    disableAppForMinutesWithReason(minutes, reason, now) {
+        if (this._requireReasonForDisabling && !reason) {
+            throw new Error("A reason is required for disabling the app");
+        }
+
+        this._disabledUntil = moment(now).add(minutes, "minutes");
+        this._reason = reason || undefined;
+        this._logger.info(`Disabled app for ${minutes} minutes`);
+    }
+
     async disableAppUntilSpecificTime() {
         let endTimeString;
         let endTimeMoment;
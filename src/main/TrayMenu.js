@@ -1,6 +1,7 @@
 /** @typedef { import("electron").MenuItemConstructorOptions } MenuItemConstructorOptions */
 /** @typedef { import("moment").Moment } Moment */
 
+/** @typedef { import("./configuration/FocusSessionPhase").FocusSessionPhase } FocusSessionPhase */
 /** @typedef { import("./configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
 /** @typedef { import("./configuration/Status").Status } Status */
 /** @typedef { import("./TrayMenuBackend").TrayMenuBackend } TrayMenuBackend */
@@ -10,6 +11,8 @@ const { Menu, Tray } = require("electron");
 const path = require("path");
 const moment = require("moment");
 
+const { DEFAULT_PROFILE_NAME } = require("./profiles/ProfileSelector");
+
 const UPDATE_IMAGE_INTERVAL = 1000;
 
 const relativeTrayIconsPath = os.platform() === "win32" ? "../../logo/tray" : "../../logo/tray/mac";
@@ -31,11 +34,18 @@ class TrayMenu {
      * @param {boolean} options.allowClosing
      * @param {object} state
      * @param {IntegrationType} state.integrationType
+     * @param {string} state.integrationPluginId
+     * @param {{ id: string, name: string }[]} state.integrationPlugins
+     * @param {FocusSessionPhase} state.focusSessionPhase
+     * @param {boolean} state.focusSessionPaused
      * @param {boolean} state.detailedStateCalculationLoggingEnabled
      * @param {boolean} state.detailedIntegrationLoggingEnabled
      * @param {boolean} state.movingResizingEnabled
      * @param {Moment} state.disabledUntil
      * @param {string} state.disabledReason
+     * @param {string[]} state.profileNames
+     * @param {string} state.selectedProfileName undefined for automatic switching
+     * @param {string} state.activeProfileName
      */
     constructor(backend, options, state) {
         this._backend = backend;
@@ -44,11 +54,21 @@ class TrayMenu {
         this._allowClosing = options.allowClosing;
 
         this._integrationType = state.integrationType;
+        this._integrationPluginId = state.integrationPluginId;
+        this._integrationPlugins = state.integrationPlugins;
+        this._focusSessionPhase = state.focusSessionPhase;
+        this._focusSessionPaused = state.focusSessionPaused;
         this._detailedStateCalculationLoggingEnabled = state.detailedStateCalculationLoggingEnabled;
         this._detailedIntegrationLoggingEnabled = state.detailedIntegrationLoggingEnabled;
         this._movingResizingEnabled = state.movingResizingEnabled;
         this._disabledUntil = state.disabledUntil;
         this._disabledReason = state.disabledReason;
+        this._profileNames = state.profileNames;
+        this._selectedProfileName = state.selectedProfileName;
+        this._activeProfileName = state.activeProfileName;
+
+        /** @type {string} */
+        this._advancedConfigurationError = undefined;
 
         this._currentImagePath = imagePaths.normal;
 
@@ -102,6 +122,10 @@ class TrayMenu {
             }
         }
 
+        if (this._advancedConfigurationError) {
+            tooltip = `${tooltip} (invalid advanced configuration file)`;
+        }
+
         this._tray.setToolTip(tooltip);
     }
 
@@ -111,7 +135,24 @@ class TrayMenu {
     }
 
     _updateContextMenu() {
+        /** @type {MenuItemConstructorOptions[]} */
+        const errorItems = [];
+
+        if (this._advancedConfigurationError) {
+            // reloading shows the error in a dialog if the file is still invalid
+            errorItems.push(
+                {
+                    label: "Invalid advanced configuration file, click for details",
+                    click: () => this._backend.reloadAdvancedConfigFile(),
+                },
+                {
+                    type: "separator",
+                }
+            );
+        }
+
         const contextMenu = Menu.buildFromTemplate([
+            ...errorItems,
             {
                 label: "About CurrentTask",
                 click: () => this._backend.showAbout(),
@@ -140,9 +181,76 @@ class TrayMenu {
                         checked: this._integrationType === "trello",
                         click: () => this._backend.changeIntegrationType("trello"),
                     },
+                    {
+                        label: "GitHub",
+                        type: "radio",
+                        checked: this._integrationType === "github",
+                        click: () => this._backend.changeIntegrationType("github"),
+                    },
+                    {
+                        label: "Local file",
+                        type: "radio",
+                        checked: this._integrationType === "localFile",
+                        click: () => this._backend.changeIntegrationType("localFile"),
+                    },
+                    {
+                        label: "Calendar (iCalendar/CalDAV)",
+                        type: "radio",
+                        checked: this._integrationType === "calendar",
+                        click: () => this._backend.changeIntegrationType("calendar"),
+                    },
+                    {
+                        label: "JSON over HTTP",
+                        type: "radio",
+                        checked: this._integrationType === "jsonHttp",
+                        click: () => this._backend.changeIntegrationType("jsonHttp"),
+                    },
+                    {
+                        label: "Combined (multiple integrations)",
+                        type: "radio",
+                        checked: this._integrationType === "composite",
+                        click: () => this._backend.changeIntegrationType("composite"),
+                    },
+                    ...this._getIntegrationPluginMenuItems(),
                 ],
             },
             ...this._getIntegrationSpecificMenuItems(),
+            ...this._getProfileMenuItems(),
+            {
+                type: "separator",
+            },
+            {
+                label: "Focus session",
+                submenu: [
+                    {
+                        label: this._getFocusSessionStatusLabel(),
+                        enabled: false,
+                    },
+                    {
+                        label: "Start new session",
+                        click: () => this._backend.startFocusSession(),
+                    },
+                    {
+                        label: this._focusSessionPaused ? "Resume" : "Pause",
+                        enabled: this._focusSessionPhase !== "inactive",
+                        click: () => this._backend.toggleFocusSessionPaused(),
+                    },
+                    {
+                        label: "Skip to next phase",
+                        enabled: this._focusSessionPhase !== "inactive",
+                        click: () => this._backend.skipFocusSessionPhase(),
+                    },
+                    {
+                        label: "Stop",
+                        enabled: this._focusSessionPhase !== "inactive",
+                        click: () => this._backend.stopFocusSession(),
+                    },
+                ],
+            },
+            {
+                label: "Reports ...",
+                click: () => this._backend.showReports(),
+            },
             {
                 type: "separator",
             },
@@ -157,10 +265,26 @@ class TrayMenu {
                         label: "Show advanced configuration file",
                         click: () => this._backend.showAdvancedConfigFile(),
                     },
+                    {
+                        label: "Edit advanced configuration ...",
+                        click: () => this._backend.showSettings(),
+                    },
                     {
                         label: "Reload advanced configuration file",
                         click: () => this._backend.reloadAdvancedConfigFile(),
                     },
+                    {
+                        label: "Export settings ...",
+                        click: () => this._backend.exportSettings(),
+                    },
+                    {
+                        label: "Import settings ...",
+                        click: () => this._backend.importSettings(),
+                    },
+                    {
+                        label: "Show integration plugins folder",
+                        click: () => this._backend.showIntegrationPluginsFolder(),
+                    },
                     {
                         label: "Show log file",
                         click: () => this._backend.showLogFile(),
@@ -255,6 +379,32 @@ class TrayMenu {
         this._tray.setContextMenu(contextMenu);
     }
 
+    /** @returns {MenuItemConstructorOptions[]} */
+    _getIntegrationPluginMenuItems() {
+        if (this._integrationPlugins.length === 0) {
+            return [];
+        }
+
+        return [
+            {
+                type: "separator",
+            },
+            ...this._integrationPlugins.map((plugin) => {
+                /** @type {MenuItemConstructorOptions} */
+                const menuItem = {
+                    label: this._truncateLabel(plugin.name, 50),
+                    type: "radio",
+                    checked:
+                        this._integrationType === "plugin" &&
+                        this._integrationPluginId === plugin.id,
+                    click: () => this._backend.changeIntegrationType("plugin", plugin.id),
+                };
+
+                return menuItem;
+            }),
+        ];
+    }
+
     /** @returns  {MenuItemConstructorOptions[]} */
     _getIntegrationSpecificMenuItems() {
         if (this._integrationType === "manual") {
@@ -278,6 +428,56 @@ class TrayMenu {
         }
     }
 
+    /** @returns {MenuItemConstructorOptions[]} */
+    _getProfileMenuItems() {
+        if (this._profileNames.length === 0) {
+            return [];
+        }
+
+        /**
+         * @param {string} label
+         * @param {string} profileName undefined for automatic switching
+         * @returns {MenuItemConstructorOptions}
+         */
+        const createProfileItem = (label, profileName) => ({
+            label: this._truncateLabel(label, 50),
+            type: "radio",
+            checked: this._selectedProfileName === profileName,
+            click: () => this._backend.selectProfile(profileName),
+        });
+
+        return [
+            {
+                type: "separator",
+            },
+            {
+                label: this._truncateLabel(`Profile: ${this._activeProfileName}`, 50),
+                submenu: [
+                    createProfileItem("Switch automatically", undefined),
+                    {
+                        type: "separator",
+                    },
+                    createProfileItem(DEFAULT_PROFILE_NAME, DEFAULT_PROFILE_NAME),
+                    ...this._profileNames.map((name) => createProfileItem(name, name)),
+                ],
+            },
+        ];
+    }
+
+    _getFocusSessionStatusLabel() {
+        const pausedSuffix = this._focusSessionPaused ? " (paused)" : "";
+
+        if (this._focusSessionPhase === "work") {
+            return `Working${pausedSuffix}`;
+        } else if (this._focusSessionPhase === "shortBreak") {
+            return `Short break${pausedSuffix}`;
+        } else if (this._focusSessionPhase === "longBreak") {
+            return `Long break${pausedSuffix}`;
+        } else {
+            return "Currently not running";
+        }
+    }
+
     _truncateLabel(label, maxLength) {
         // preserves Unicode characters instead of splitting them (label can include user-generated content)
         const labelSymbols = Array.from(label);
@@ -322,9 +522,23 @@ class TrayMenu {
         this._updateContextMenu();
     }
 
-    /** @param {IntegrationType} integrationType */
-    updateIntegrationType(integrationType) {
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} integrationPluginId
+     */
+    updateIntegrationType(integrationType, integrationPluginId) {
         this._integrationType = integrationType;
+        this._integrationPluginId = integrationPluginId;
+        this._updateContextMenu();
+    }
+
+    /**
+     * @param {FocusSessionPhase} phase
+     * @param {boolean} paused
+     */
+    updateFocusSessionState(phase, paused) {
+        this._focusSessionPhase = phase;
+        this._focusSessionPaused = paused;
         this._updateContextMenu();
     }
 
@@ -358,6 +572,27 @@ class TrayMenu {
         this._updateContextMenu();
     }
 
+    /**
+     * @param {string[]} profileNames
+     * @param {string} selectedProfileName undefined for automatic switching
+     * @param {string} activeProfileName
+     */
+    updateProfiles(profileNames, selectedProfileName, activeProfileName) {
+        this._profileNames = profileNames;
+        this._selectedProfileName = selectedProfileName;
+        this._activeProfileName = activeProfileName;
+        this._updateContextMenu();
+    }
+
+    /** @param {string} [errorMessage] undefined if the advanced configuration file is valid */
+    updateAdvancedConfigurationError(errorMessage) {
+        if (errorMessage !== this._advancedConfigurationError) {
+            this._advancedConfigurationError = errorMessage;
+            this._updateTooltip();
+            this._updateContextMenu();
+        }
+    }
+
     destroy() {
         clearInterval(this._updateImageIntervalId);
         this._tray.destroy();
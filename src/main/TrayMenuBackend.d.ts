@@ -2,13 +2,23 @@ import { IntegrationType } from "./configuration/IntegrationConfiguration";
 
 export interface TrayMenuBackend {
     showAbout: () => void;
-    changeIntegrationType: (integrationType: IntegrationType) => void;
+    changeIntegrationType: (integrationType: IntegrationType, pluginId?: string) => void;
+    selectProfile: (profileName?: string) => void;
     setManualCurrentTask: () => void;
     removeManualCurrentTask: () => void;
     configureIntegration: () => void;
+    startFocusSession: () => void;
+    toggleFocusSessionPaused: () => void;
+    skipFocusSessionPhase: () => void;
+    stopFocusSession: () => void;
+    showReports: () => void;
     showCalculatedState: () => void;
     showAdvancedConfigFile: () => void;
+    showSettings: () => void;
     reloadAdvancedConfigFile: () => void;
+    exportSettings: () => void;
+    importSettings: () => void;
+    showIntegrationPluginsFolder: () => void;
     showLogFile: () => void;
     toggleDetailedStateCalculationLoggingEnabled: () => void;
     toggleDetailedIntegrationLoggingEnabled: () => void;
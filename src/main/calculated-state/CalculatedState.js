@@ -1,14 +1,16 @@
 /** @typedef { import("moment").Moment } Moment */
 /** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
 /** @typedef { import("../configuration/AdvancedConfiguration").CustomStateRule } CustomStateRule */
+/** @typedef { import("../configuration/AdvancedConfiguration").StatusStyle } StatusStyle */
 /** @typedef { import("../configuration/Condition").Condition } Condition */
 /** @typedef { import("../configuration/Status").Status } Status */
+/** @typedef { import("../focus-session/FocusSessionSummary").FocusSessionSummary } FocusSessionSummary */
 /** @typedef { import("../tasks/TasksSummary").TasksSummary } TasksSummary */
 /** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./ConditionMatcher") } ConditionMatcher */
 /** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
 /** @typedef { import("./WindowState").WindowState } WindowState */
 
-const ConditionMatcher = require("./ConditionMatcher");
 const CustomStateCalculator = require("./CustomStateCalculator");
 const StatusTimerData = require("./StatusTimerData");
 const WindowStateCalculator = require("./WindowStateCalculator");
@@ -16,17 +18,17 @@ const WindowStateCalculator = require("./WindowStateCalculator");
 class CalculatedState {
     /**
      * @param {AdvancedConfiguration} configuration
+     * @param {ConditionMatcher} conditionMatcher
      * @param {Logger} logger
      * r@param {Moment} now
      */
-    constructor(configuration, logger, now) {
+    constructor(configuration, conditionMatcher, logger, now) {
         this._configuration = configuration;
         this._logger = logger;
 
-        this._conditionMatcher = new ConditionMatcher();
         this._statusTimerData = new StatusTimerData(now);
-        this._customStateCalculator = new CustomStateCalculator(this._conditionMatcher);
-        this._windowStateCalculator = new WindowStateCalculator(this._conditionMatcher);
+        this._customStateCalculator = new CustomStateCalculator(conditionMatcher);
+        this._windowStateCalculator = new WindowStateCalculator(conditionMatcher);
     }
 
     /**
@@ -36,6 +38,22 @@ class CalculatedState {
         this._configuration = configuration;
     }
 
+    /**
+     * Used for the next state calculation
+     * @param {FocusSessionSummary} focusSessionSummary
+     */
+    updateFocusSessionSummary(focusSessionSummary) {
+        this._focusSessionSummary = focusSessionSummary;
+    }
+
+    /**
+     * Used for the next state calculation
+     * @param {string} activeProfileName
+     */
+    updateActiveProfile(activeProfileName) {
+        this._activeProfileName = activeProfileName;
+    }
+
     /** @param {Moment} now */
     resetStatusTimers(now) {
         this._statusTimerData.reset(now);
@@ -51,6 +69,7 @@ class CalculatedState {
         this._tasksSummary = tasksSummary;
         this._setStatusAndMessage("ok", this._getStandardMessage(tasksSummary));
         this._customStateShouldClearCurrent = false;
+        this._customStateStyle = undefined;
         this._updateDateTime(now);
         this._applyCustomStateRules();
         this._statusTimerData.updateFromCurrentStatus(this._status, now);
@@ -68,6 +87,7 @@ class CalculatedState {
         this._tasksSummary = tasksSummary;
         this._setStatusAndMessage("error", errorMessage);
         this._customStateShouldClearCurrent = false;
+        this._customStateStyle = undefined;
         this._updateDateTime(now);
         this._statusTimerData.updateFromCurrentStatus(this._status, now);
         this._applyDowntimeNaggingBlinkingConditions();
@@ -117,6 +137,7 @@ class CalculatedState {
             this._status = customState.status;
             this._message = customState.message;
             this._customStateShouldClearCurrent = customState.shouldClearCurrent;
+            this._customStateStyle = customState.style;
         }
     }
 
@@ -129,6 +150,15 @@ class CalculatedState {
         );
     }
 
+    /**
+     * The theme's style for the current status, overridden by the matching custom state rule's style
+     * @returns {StatusStyle}
+     */
+    getStyle() {
+        const themeStyle = this._configuration.theme && this._configuration.theme[this._status];
+        return { ...themeStyle, ...this._customStateStyle };
+    }
+
     /**
      * @returns {CalculatedStateSnapshot}
      */
@@ -136,12 +166,14 @@ class CalculatedState {
         return {
             ...this._tasksSummary,
             ...this._dateTimeSummary,
+            ...this._focusSessionSummary,
             status: this._status,
             message: this._message,
             secondsInCurrentStatus: this._statusTimerData.getSecondsInCurrentStatus(),
             secondsSinceOkStatus: this._statusTimerData.getSecondsSinceOkStatus(),
             ...this._windowState,
             customStateShouldClearCurrent: this._customStateShouldClearCurrent,
+            activeProfile: this._activeProfileName,
         };
     }
 
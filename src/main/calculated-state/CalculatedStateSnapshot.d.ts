@@ -1,9 +1,10 @@
 import { Status } from "../configuration/Status";
+import { FocusSessionSummary } from "../focus-session/FocusSessionSummary";
 import { TasksSummary } from "../tasks/TasksSummary";
 
 import { WindowState } from "./WindowState";
 
-export interface CalculatedStateSnapshot extends TasksSummary, WindowState {
+export interface CalculatedStateSnapshot extends TasksSummary, FocusSessionSummary, WindowState {
     dayOfWeek: number;
     hours: number;
     minutes: number;
@@ -16,4 +17,5 @@ export interface CalculatedStateSnapshot extends TasksSummary, WindowState {
     blinkingEnabled: boolean;
     downtimeEnabled: boolean;
     customStateShouldClearCurrent: boolean;
+    activeProfile: string;
 }
@@ -1,21 +1,79 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
 /** @typedef { import("../configuration/Condition").Condition } Condition */
+/** @typedef { import("../configuration/AdvancedConfiguration").NamedConditions } NamedConditions */
 /** @typedef { import("../configuration/Condition").NumericValueOperatorsCondition } NumericValueOperatorsCondition */
 /** @typedef { import("../configuration/Condition").ValueCondition } ValueCondition */
+/** @typedef { import("../configuration/ConditionExpression").ConditionExpression } ConditionExpression */
 /** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
 
+const { getConditions, getNestedConditions } = require("../configuration/findConditions");
+const parseConditionExpression = require("../configuration/parseConditionExpression");
+
+// except for "&&" and "||", which don't always evaluate their right side
+/** @type {Object<string, (left: any, right: any) => any>} */
+const BINARY_OPERATIONS = {
+    "==": (left, right) => left === right,
+    "!=": (left, right) => left !== right,
+    "<": (left, right) => left < right,
+    "<=": (left, right) => left <= right,
+    ">": (left, right) => left > right,
+    ">=": (left, right) => left >= right,
+    "+": (left, right) => left + right,
+    "-": (left, right) => left - right,
+    "*": (left, right) => left * right,
+    "/": (left, right) => left / right,
+    "%": (left, right) => left % right,
+};
+
 class ConditionMatcher {
+    constructor() {
+        /** @type {NamedConditions} */
+        this._namedConditions = {};
+
+        /** @type {Map<string, ConditionExpression>} by expression text */
+        this._parsedExpressions = new Map();
+    }
+
+    /**
+     * Parses the expressions of all conditions in the configuration, including those of profiles
+     * Throws if an expression is invalid, the validator reports these with their position
+     * @param {AdvancedConfiguration} configuration
+     */
+    updateConfiguration(configuration) {
+        /** @type {Map<string, ConditionExpression>} */
+        const parsedExpressions = new Map();
+
+        for (const { condition, dataPath } of getConditions(configuration)) {
+            for (const nested of getNestedConditions(condition, dataPath)) {
+                const expression = nested.condition.when;
+
+                if (typeof expression === "string" && !parsedExpressions.has(expression)) {
+                    parsedExpressions.set(expression, parseConditionExpression(expression));
+                }
+            }
+        }
+
+        // the named conditions can refer to each other, the validator checks for cycles
+        this._namedConditions = configuration.namedConditions || {};
+        this._parsedExpressions = parsedExpressions;
+    }
+
     /**
      * @param {Condition} condition
      * @param {CalculatedStateSnapshot} state
      */
     match(condition, state) {
         const {
+            ref: conditionName,
+            when: expression,
             not: notCondition,
             or: orConditions,
             and: andConditions,
             ...valueConditions
         } = condition;
 
+        const match = (/** @type {Condition} */ item) => this.match(item, state);
+
         for (const key in valueConditions) {
             const valueCondition = valueConditions[key];
             const value = state[key];
@@ -25,21 +83,76 @@ class ConditionMatcher {
             }
         }
 
-        if (notCondition && this.match(notCondition, state)) {
+        if (conditionName !== undefined) {
+            const namedCondition = this._namedConditions[conditionName];
+
+            // unknown names are rejected by the validator, but don't match in case one gets through
+            if (!namedCondition || !match(namedCondition)) {
+                return false;
+            }
+        }
+
+        if (expression !== undefined && !this._matchExpression(expression, state)) {
+            return false;
+        }
+
+        if (notCondition && match(notCondition)) {
             return false;
         }
 
-        if (orConditions && !orConditions.some((item) => this.match(item, state))) {
+        if (orConditions && !orConditions.some(match)) {
             return false;
         }
 
-        if (andConditions && !andConditions.every((item) => this.match(item, state))) {
+        if (andConditions && !andConditions.every(match)) {
             return false;
         }
 
         return true;
     }
 
+    /**
+     * @param {string} expression
+     * @param {CalculatedStateSnapshot} state
+     */
+    _matchExpression(expression, state) {
+        const parsedExpression = this._parsedExpressions.get(expression);
+
+        if (!parsedExpression) {
+            throw new Error(`Expression is not part of the configuration: ${expression}`);
+        }
+
+        return !!this._evaluate(parsedExpression, state);
+    }
+
+    /**
+     * @param {ConditionExpression} expression
+     * @param {CalculatedStateSnapshot} state
+     * @returns {any}
+     */
+    _evaluate(expression, state) {
+        if (expression.type === "literal") {
+            return expression.value;
+        } else if (expression.type === "field") {
+            return state[expression.name];
+        } else if (expression.type === "unary") {
+            const operand = this._evaluate(expression.operand, state);
+            return expression.operator === "!" ? !operand : -operand;
+        }
+
+        const left = this._evaluate(expression.left, state);
+
+        // like in JavaScript, the right side is only evaluated if it's needed
+        if (expression.operator === "&&") {
+            return !!left && !!this._evaluate(expression.right, state);
+        } else if (expression.operator === "||") {
+            return !!left || !!this._evaluate(expression.right, state);
+        }
+
+        const right = this._evaluate(expression.right, state);
+        return BINARY_OPERATIONS[expression.operator](left, right);
+    }
+
     /**
      * @param {ValueCondition} valueCondition
      * @param {any} value
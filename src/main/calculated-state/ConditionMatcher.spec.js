@@ -1,3 +1,4 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").NamedConditions } NamedConditions */
 /** @typedef { import("../configuration/Condition").Condition } Condition */
 /** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
 
@@ -24,6 +25,12 @@ const calculatedStateSnapshot = {
     hours: 18,
     minutes: 15,
     seconds: 0,
+    focusSessionPhase: "inactive",
+    focusSessionPaused: false,
+    focusSessionSecondsInPhase: 0,
+    focusSessionSecondsRemaining: 0,
+    focusSessionMinutesRemaining: 0,
+    focusSessionCompletedWorkPhases: 0,
     status: "ok",
     message: "Test",
     secondsInCurrentStatus: 0,
@@ -32,6 +39,7 @@ const calculatedStateSnapshot = {
     blinkingEnabled: false,
     downtimeEnabled: false,
     customStateShouldClearCurrent: false,
+    activeProfile: "default",
 };
 
 const conditionMatcher = new ConditionMatcher();
@@ -39,8 +47,11 @@ const conditionMatcher = new ConditionMatcher();
 /** *
  * @param {Condition} condition
  * @param {boolean} result
+ * @param {NamedConditions} [namedConditions]
  */
-function expectResult(condition, result) {
+function expectResult(condition, result, namedConditions) {
+    // the condition has to be part of the configuration for its expressions to be parsed
+    conditionMatcher.updateConfiguration({ naggingConditions: [condition], namedConditions });
     expect(conditionMatcher.match(condition, calculatedStateSnapshot)).toBe(result);
 }
 
@@ -125,6 +136,50 @@ describe("ConditionMatcher", () => {
         expectResult({ and: [{ hours: { multipleOf: 3 } }, { hours: { multipleOf: 5 } }] }, false);
     });
 
+    it("allows referring to named conditions using 'ref'", () => {
+        const namedConditions = { evening: { hours: 18 }, late: { ref: "evening", minutes: 15 } };
+
+        expectResult({ ref: "late" }, true, namedConditions);
+        expectResult({ ref: "evening", minutes: 10 }, false, namedConditions);
+        expectResult({ not: { ref: "evening" } }, false, namedConditions);
+        expectResult({ ref: "unknown" }, false, namedConditions);
+    });
+
+    it("allows using an expression", () => {
+        expectResult({ when: "hours >= 9 && hours < 19 && numberMarkedCurrent != 1" }, true);
+        expectResult({ when: "minutes % 10 == 5 && status == 'ok'" }, true);
+        expectResult({ when: "!(hours * 60 + minutes > 1000)" }, false);
+        expectResult({ when: "hours == 18", minutes: 10 }, false);
+    });
+
+    it("parses the expressions in named conditions and profiles when the configuration is updated", () => {
+        const matcher = new ConditionMatcher();
+
+        matcher.updateConfiguration({
+            namedConditions: { evening: { when: "hours >= 18" } },
+            profiles: { work: { activateWhen: { not: { when: "dayOfWeek == 0" } } } },
+        });
+
+        expect(matcher.match({ when: "hours >= 18" }, calculatedStateSnapshot)).toBe(true);
+        expect(matcher.match({ when: "dayOfWeek == 0" }, calculatedStateSnapshot)).toBe(true);
+
+        expect(() => matcher.match({ when: "hours < 18" }, calculatedStateSnapshot)).toThrow(
+            "Expression is not part of the configuration: hours < 18"
+        );
+    });
+
+    it("fails to update the configuration if an expression is invalid", () => {
+        const matcher = new ConditionMatcher();
+        matcher.updateConfiguration({ naggingConditions: [{ when: "hours >= 18" }] });
+
+        expect(() =>
+            matcher.updateConfiguration({ naggingConditions: [{ when: "hours >=" }] })
+        ).toThrow("Unexpected end of expression at position 9");
+
+        // the previous configuration is still used
+        expect(matcher.match({ when: "hours >= 18" }, calculatedStateSnapshot)).toBe(true);
+    });
+
     it("always matches an empty condition", () => {
         expectResult({}, true);
     });
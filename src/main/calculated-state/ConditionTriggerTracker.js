@@ -0,0 +1,88 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../configuration/Condition").Condition } Condition */
+/** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+/** @typedef { import("./ConditionMatcher") } ConditionMatcher */
+/** @typedef { { condition: Condition, repeatAfterSeconds?: number } } TriggerRule */
+
+/**
+ * Triggers a rule when its condition starts matching, and after that only every repeatAfterSeconds
+ * (if specified) until the condition stops matching
+ * @template {TriggerRule} T
+ */
+class ConditionTriggerTracker {
+    /**
+     * @param {ConditionMatcher} conditionMatcher
+     * @param {T[]} [rules]
+     */
+    constructor(conditionMatcher, rules) {
+        this._conditionMatcher = conditionMatcher;
+        this.updateRules(rules);
+    }
+
+    /** @param {T[]} [rules] */
+    updateRules(rules) {
+        this._rules = rules || [];
+
+        const previousTriggerTimes = this._lastTriggerTimes || new Map();
+
+        // indexed like the rules, identical rules get different keys
+        this._ruleKeys = getRuleKeys(this._rules);
+
+        // rules that didn't change keep their state, so reloading the configuration doesn't trigger them again
+        /** @type {Map<string, Moment>} by rule key, only while a rule's condition matches */
+        this._lastTriggerTimes = new Map();
+
+        for (const key of this._ruleKeys) {
+            if (previousTriggerTimes.has(key)) {
+                this._lastTriggerTimes.set(key, previousTriggerTimes.get(key));
+            }
+        }
+    }
+
+    /**
+     * @param {CalculatedStateSnapshot} snapshot
+     * @param {boolean} suppressed if true, no rules are triggered and all conditions count as not matching
+     * @param {Moment} now
+     * @returns {T[]} the rules to trigger now
+     */
+    update(snapshot, suppressed, now) {
+        return this._rules.filter((rule, index) => {
+            const key = this._ruleKeys[index];
+
+            if (suppressed || !this._conditionMatcher.match(rule.condition, snapshot)) {
+                this._lastTriggerTimes.delete(key);
+                return false;
+            }
+
+            const lastTriggerTime = this._lastTriggerTimes.get(key);
+
+            const shouldTrigger =
+                !lastTriggerTime ||
+                (rule.repeatAfterSeconds &&
+                    now.diff(lastTriggerTime, "seconds") >= rule.repeatAfterSeconds);
+
+            if (shouldTrigger) {
+                this._lastTriggerTimes.set(key, now);
+            }
+
+            return shouldTrigger;
+        });
+    }
+}
+
+/**
+ * @param {TriggerRule[]} rules
+ * @returns {string[]} based on the contents of the rules
+ */
+function getRuleKeys(rules) {
+    /** @type {Object<string, number>} */
+    const occurrences = {};
+
+    return rules.map((rule) => {
+        const contents = JSON.stringify(rule);
+        occurrences[contents] = (occurrences[contents] || 0) + 1;
+        return `${occurrences[contents]}:${contents}`;
+    });
+}
+
+module.exports = ConditionTriggerTracker;
@@ -0,0 +1,76 @@
+/** @typedef { import("./ConditionTriggerTracker").TriggerRule } TriggerRule */
+
+const moment = require("moment");
+
+const ConditionMatcher = require("./ConditionMatcher");
+const ConditionTriggerTracker = require("./ConditionTriggerTracker");
+
+/**
+ * @param {any} changes
+ * @returns {any}
+ */
+function createSnapshot(changes) {
+    return { status: "ok", numberMarkedCurrent: 1, ...changes };
+}
+
+/** @param {number} seconds */
+function at(seconds) {
+    return moment("2020-10-01 09:00:00").add(seconds, "seconds");
+}
+
+describe("ConditionTriggerTracker", () => {
+    it("doesn't trigger unchanged rules again when the rules are updated", () => {
+        /** @type {TriggerRule[]} */
+        const rules = [
+            { condition: { status: "error" } },
+            { condition: { numberMarkedCurrent: 0 }, repeatAfterSeconds: 60 },
+        ];
+
+        /** @type {ConditionTriggerTracker<TriggerRule>} */
+        const tracker = new ConditionTriggerTracker(new ConditionMatcher(), rules);
+        const snapshot = createSnapshot({ status: "error", numberMarkedCurrent: 0 });
+
+        expect(tracker.update(snapshot, false, at(0))).toEqual(rules);
+
+        tracker.updateRules(JSON.parse(JSON.stringify(rules)));
+        expect(tracker.update(snapshot, false, at(1))).toEqual([]);
+
+        // the repeat interval still counts from the last time the rule was triggered
+        expect(tracker.update(snapshot, false, at(60))).toEqual([rules[1]]);
+    });
+
+    it("triggers changed rules again when the rules are updated", () => {
+        /** @type {ConditionTriggerTracker<TriggerRule>} */
+        const tracker = new ConditionTriggerTracker(new ConditionMatcher(), [
+            { condition: { status: "error" } },
+        ]);
+        const snapshot = createSnapshot({ status: "error" });
+
+        expect(tracker.update(snapshot, false, at(0))).toHaveLength(1);
+
+        /** @type {TriggerRule[]} */
+        const changedRules = [{ condition: { status: "error" }, repeatAfterSeconds: 600 }];
+        tracker.updateRules(changedRules);
+
+        expect(tracker.update(snapshot, false, at(1))).toEqual(changedRules);
+    });
+
+    it("tracks identical rules separately", () => {
+        /** @type {ConditionTriggerTracker<TriggerRule>} */
+        const tracker = new ConditionTriggerTracker(new ConditionMatcher(), [
+            { condition: { status: "error" } },
+        ]);
+        const snapshot = createSnapshot({ status: "error" });
+
+        expect(tracker.update(snapshot, false, at(0))).toHaveLength(1);
+
+        tracker.updateRules([
+            { condition: { status: "error" } },
+            { condition: { status: "error" } },
+        ]);
+
+        // only the added copy is new
+        expect(tracker.update(snapshot, false, at(1))).toHaveLength(1);
+        expect(tracker.update(snapshot, false, at(2))).toEqual([]);
+    });
+});
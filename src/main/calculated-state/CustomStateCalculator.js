@@ -1,23 +1,27 @@
 /** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+/** @typedef { import("../configuration/AdvancedConfiguration").StatusStyle } StatusStyle */
 /** @typedef { import("../configuration/Status").Status } Status */
 /** @typedef { import("../configuration/Condition").Condition } Condition */
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
 /** @typedef { import("./ConditionMatcher") } ConditionMatcher */
 
+const MessageTemplateRenderer = require("./MessageTemplateRenderer");
+
 class CustomStateCalculator {
     /**
      * @param {ConditionMatcher} conditionMatcher
      */
     constructor(conditionMatcher) {
         this._conditionMatcher = conditionMatcher;
+        this._messageTemplateRenderer = new MessageTemplateRenderer();
     }
 
     /**
      * @param {CalculatedStateSnapshot} stateSnapshot
      * @param {AdvancedConfiguration} configuration
      * @param {Logger} logger
-     * @returns {{ status: Status, message: string, shouldClearCurrent: boolean }}
+     * @returns {{ status: Status, message: string, shouldClearCurrent: boolean, style: StatusStyle }}
      */
     calculateCustomState(stateSnapshot, configuration, logger) {
         if (!configuration.customStateRules) {
@@ -38,31 +42,16 @@ class CustomStateCalculator {
 
             const status = firstMatchingRule.resultingStatus;
             const messageFromRule = firstMatchingRule.resultingMessage;
-            const message = this._getCustomMessage(messageFromRule, stateSnapshot);
+            const message = this._messageTemplateRenderer.render(messageFromRule, stateSnapshot);
             const shouldClearCurrent = !!firstMatchingRule.clearCurrent;
+            const style = firstMatchingRule.style;
 
-            return { status, message, shouldClearCurrent };
+            return { status, message, shouldClearCurrent, style };
         } else {
             logger.debugStateCalculation("No matching custom state rule");
             return undefined;
         }
     }
-
-    /**
-     * @param {string} messageFromRule
-     * @param {CalculatedStateSnapshot} snapshot
-     */
-    _getCustomMessage(messageFromRule, snapshot) {
-        const messageParameterRegex = /%{\s*(\w+)\s*}/g;
-
-        return messageFromRule.replace(messageParameterRegex, (fullMatch, parameterName) => {
-            if (snapshot.hasOwnProperty(parameterName)) {
-                return snapshot[parameterName];
-            } else {
-                return fullMatch;
-            }
-        });
-    }
 }
 
 module.exports = CustomStateCalculator;
@@ -44,6 +44,12 @@ const state = {
     hours: 18,
     minutes: 15,
     seconds: 0,
+    focusSessionPhase: "inactive",
+    focusSessionPaused: false,
+    focusSessionSecondsInPhase: 0,
+    focusSessionSecondsRemaining: 0,
+    focusSessionMinutesRemaining: 0,
+    focusSessionCompletedWorkPhases: 0,
     status: "ok",
     message: "Test",
     secondsInCurrentStatus: 0,
@@ -52,6 +58,7 @@ const state = {
     blinkingEnabled: false,
     downtimeEnabled: false,
     customStateShouldClearCurrent: false,
+    activeProfile: "default",
 };
 
 const customStateCalculator = new CustomStateCalculator(mockConditionMatcher);
@@ -94,6 +101,7 @@ describe("CustomStateCalculator", () => {
                     resultingStatus: "warning",
                     resultingMessage: "Rule 2",
                     clearCurrent: true,
+                    style: { backgroundColor: "purple" },
                 },
                 {
                     condition: mockPassingCondition,
@@ -109,6 +117,7 @@ describe("CustomStateCalculator", () => {
         expect(customState.status).toBe("warning");
         expect(customState.message).toBe("Rule 2");
         expect(customState.shouldClearCurrent).toBe(true);
+        expect(customState.style).toEqual({ backgroundColor: "purple" });
     });
 
     it("allows replacing parameters in the message with state properties", () => {
@@ -0,0 +1,22 @@
+/** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+
+class MessageTemplateRenderer {
+    /**
+     * Replaces parameters like %{currentTaskTitle} by the corresponding value from the snapshot
+     * @param {string} template
+     * @param {CalculatedStateSnapshot} snapshot
+     */
+    render(template, snapshot) {
+        const messageParameterRegex = /%{\s*(\w+)\s*}/g;
+
+        return template.replace(messageParameterRegex, (fullMatch, parameterName) => {
+            if (snapshot.hasOwnProperty(parameterName)) {
+                return snapshot[parameterName];
+            } else {
+                return fullMatch;
+            }
+        });
+    }
+}
+
+module.exports = MessageTemplateRenderer;
@@ -44,6 +44,12 @@ const state = {
     hours: 18,
     minutes: 15,
     seconds: 0,
+    focusSessionPhase: "inactive",
+    focusSessionPaused: false,
+    focusSessionSecondsInPhase: 0,
+    focusSessionSecondsRemaining: 0,
+    focusSessionMinutesRemaining: 0,
+    focusSessionCompletedWorkPhases: 0,
     status: "ok",
     message: "Test",
     secondsInCurrentStatus: 0,
@@ -52,6 +58,7 @@ const state = {
     blinkingEnabled: false,
     downtimeEnabled: false,
     customStateShouldClearCurrent: false,
+    activeProfile: "default",
 };
 
 const windowStateCalculator = new WindowStateCalculator(mockConditionMatcher);
@@ -0,0 +1,45 @@
+/** @typedef { import("./CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+
+// the type makes sure this contains exactly the properties of a snapshot
+/** @type {Record<keyof CalculatedStateSnapshot, true>} */
+const fields = {
+    dayOfWeek: true,
+    hours: true,
+    minutes: true,
+    seconds: true,
+    status: true,
+    message: true,
+    secondsInCurrentStatus: true,
+    secondsSinceOkStatus: true,
+    naggingEnabled: true,
+    blinkingEnabled: true,
+    downtimeEnabled: true,
+    customStateShouldClearCurrent: true,
+    activeProfile: true,
+    numberOverdue: true,
+    numberOverdueMarkedCurrent: true,
+    numberOverdueNotMarkedCurrent: true,
+    numberOverdueWithTime: true,
+    numberOverdueWithTimeMarkedCurrent: true,
+    numberOverdueWithTimeNotMarkedCurrent: true,
+    numberScheduledForToday: true,
+    numberScheduledForTodayMarkedCurrent: true,
+    numberScheduledForTodayNotMarkedCurrent: true,
+    numberMarkedCurrent: true,
+    currentTaskTitle: true,
+    currentTaskHasDate: true,
+    currentTaskHasTime: true,
+    currentTaskIsOverdue: true,
+    currentTaskIsScheduledForToday: true,
+    focusSessionPhase: true,
+    focusSessionPaused: true,
+    focusSessionSecondsInPhase: true,
+    focusSessionSecondsRemaining: true,
+    focusSessionMinutesRemaining: true,
+    focusSessionCompletedWorkPhases: true,
+};
+
+/** @type {string[]} the names of all properties of a CalculatedStateSnapshot */
+const snapshotFields = Object.keys(fields);
+
+module.exports = snapshotFields;
@@ -0,0 +1,10 @@
+import { CalculatedStateSnapshot } from "../calculated-state/CalculatedStateSnapshot";
+
+// methods can throw errors with a user-facing message if the action is not possible right now
+export interface CommandLineBackend {
+    getCalculatedStateSnapshot: () => CalculatedStateSnapshot;
+    setManualCurrentTaskTitle: (title: string) => void;
+    clearCurrent: () => void;
+    disableForMinutesWithReason: (minutes: number, reason?: string) => void;
+    enable: () => void;
+}
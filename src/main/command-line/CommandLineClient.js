@@ -0,0 +1,55 @@
+/** @typedef { import("./CommandLineResult").CommandLineResult } CommandLineResult */
+
+const net = require("net");
+
+const EXIT_CODE_ERROR = 1;
+
+/**
+ * Sends command line arguments to the running instance of the app, see CommandLineServer
+ */
+class CommandLineClient {
+    /** @param {string} socketPath */
+    constructor(socketPath) {
+        this._socketPath = socketPath;
+    }
+
+    /**
+     * @param {string[]} args
+     * @returns {Promise<CommandLineResult>}
+     */
+    send(args) {
+        return new Promise((resolve) => {
+            let received = "";
+            const socket = net.createConnection(this._socketPath);
+            socket.setEncoding("utf-8");
+
+            socket.on("connect", () => {
+                socket.write(`${JSON.stringify({ args })}\n`);
+            });
+
+            socket.on("data", (chunk) => {
+                received += chunk;
+            });
+
+            socket.on("end", () => {
+                try {
+                    resolve(JSON.parse(received));
+                } catch (_error) {
+                    resolve({
+                        output: "Invalid response from the running app\n",
+                        exitCode: EXIT_CODE_ERROR,
+                    });
+                }
+            });
+
+            socket.on("error", () => {
+                resolve({
+                    output: "Could not reach the running app\n",
+                    exitCode: EXIT_CODE_ERROR,
+                });
+            });
+        });
+    }
+}
+
+module.exports = CommandLineClient;
@@ -0,0 +1,7 @@
+export type CommandLineCommand =
+    | { type: "help" }
+    | { type: "set"; title: string }
+    | { type: "clear" }
+    | { type: "disable"; minutes: number; reason?: string }
+    | { type: "enable" }
+    | { type: "status"; json: boolean };
@@ -0,0 +1,95 @@
+/** @typedef { import("./CommandLineCommand").CommandLineCommand } CommandLineCommand */
+
+class CommandLineParser {
+    /**
+     * @param {string[]} args the arguments after the executable (and the app path in development)
+     * @returns {CommandLineCommand} undefined if the arguments don't contain a command
+     */
+    parse(args) {
+        // the app can receive Chromium/Electron switches or OS-specific arguments like -psn_0_12345
+        if (args.length === 0 || args[0].startsWith("-")) {
+            return undefined;
+        }
+
+        const [name, ...rest] = args;
+
+        if (name === "help") {
+            this._checkNoArguments(name, rest);
+            return { type: "help" };
+        } else if (name === "set") {
+            const title = rest.join(" ").trim();
+
+            if (!title) {
+                throw new Error("Missing task title");
+            }
+
+            return { type: "set", title };
+        } else if (name === "clear" || name === "enable") {
+            this._checkNoArguments(name, rest);
+            return { type: name };
+        } else if (name === "disable") {
+            return this._parseDisable(rest);
+        } else if (name === "status") {
+            const json = rest.length === 1 && rest[0] === "--json";
+
+            if (rest.length > 0 && !json) {
+                throw new Error(`Unexpected arguments for status: ${rest.join(" ")}`);
+            }
+
+            return { type: "status", json };
+        } else {
+            throw new Error(`Unknown command: ${name}`);
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {string[]} rest
+     */
+    _checkNoArguments(name, rest) {
+        if (rest.length > 0) {
+            throw new Error(`Unexpected arguments for ${name}: ${rest.join(" ")}`);
+        }
+    }
+
+    /**
+     * @param {string[]} rest
+     * @returns {CommandLineCommand}
+     */
+    _parseDisable(rest) {
+        /** @type {string} */
+        let minutesString = undefined;
+
+        /** @type {string} */
+        let reason = undefined;
+
+        for (let i = 0; i < rest.length; i++) {
+            const arg = rest[i];
+
+            if (arg === "--reason") {
+                i++;
+                reason = rest[i];
+
+                if (reason === undefined) {
+                    throw new Error("Missing value for --reason");
+                }
+            } else if (arg.startsWith("--reason=")) {
+                reason = arg.substring("--reason=".length);
+            } else if (minutesString === undefined && !arg.startsWith("-")) {
+                minutesString = arg;
+            } else {
+                throw new Error(`Unexpected argument for disable: ${arg}`);
+            }
+        }
+
+        const minutes = Number(minutesString);
+
+        if (!/^\d+$/.test(minutesString || "") || minutes < 1) {
+            throw new Error("The number of minutes should be a positive whole number");
+        }
+
+        return { type: "disable", minutes, reason: reason && reason.trim() ? reason : undefined };
+    }
+}
+
+module.exports = CommandLineParser;
@@ -0,0 +1,70 @@
+const CommandLineParser = require("./CommandLineParser");
+
+const parser = new CommandLineParser();
+
+describe("CommandLineParser", () => {
+    it("ignores arguments without a command", () => {
+        expect(parser.parse([])).toBeUndefined();
+        expect(parser.parse(["--no-sandbox"])).toBeUndefined();
+        expect(parser.parse(["-psn_0_12345"])).toBeUndefined();
+    });
+
+    it("parses simple commands", () => {
+        expect(parser.parse(["help"])).toEqual({ type: "help" });
+        expect(parser.parse(["clear"])).toEqual({ type: "clear" });
+        expect(parser.parse(["enable"])).toEqual({ type: "enable" });
+        expect(parser.parse(["status"])).toEqual({ type: "status", json: false });
+        expect(parser.parse(["status", "--json"])).toEqual({ type: "status", json: true });
+    });
+
+    it("parses the set command", () => {
+        expect(parser.parse(["set", "Write report"])).toEqual({
+            type: "set",
+            title: "Write report",
+        });
+
+        expect(parser.parse(["set", "Write", "report"])).toEqual({
+            type: "set",
+            title: "Write report",
+        });
+
+        expect(() => parser.parse(["set"])).toThrow("Missing task title");
+        expect(() => parser.parse(["set", " "])).toThrow("Missing task title");
+    });
+
+    it("parses the disable command", () => {
+        expect(parser.parse(["disable", "30"])).toEqual({
+            type: "disable",
+            minutes: 30,
+            reason: undefined,
+        });
+
+        expect(parser.parse(["disable", "30", "--reason", "meeting"])).toEqual({
+            type: "disable",
+            minutes: 30,
+            reason: "meeting",
+        });
+
+        expect(parser.parse(["disable", "--reason=team meeting", "15"])).toEqual({
+            type: "disable",
+            minutes: 15,
+            reason: "team meeting",
+        });
+    });
+
+    it("rejects invalid disable commands", () => {
+        const error = "The number of minutes should be a positive whole number";
+        expect(() => parser.parse(["disable"])).toThrow(error);
+        expect(() => parser.parse(["disable", "0"])).toThrow(error);
+        expect(() => parser.parse(["disable", "1.5"])).toThrow(error);
+        expect(() => parser.parse(["disable", "soon"])).toThrow(error);
+        expect(() => parser.parse(["disable", "30", "--reason"])).toThrow("Missing value");
+        expect(() => parser.parse(["disable", "30", "60"])).toThrow("Unexpected argument");
+    });
+
+    it("rejects unknown commands and unexpected arguments", () => {
+        expect(() => parser.parse(["start"])).toThrow("Unknown command: start");
+        expect(() => parser.parse(["clear", "all"])).toThrow("Unexpected arguments");
+        expect(() => parser.parse(["status", "--yaml"])).toThrow("Unexpected arguments");
+    });
+});
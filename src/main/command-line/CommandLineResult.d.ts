@@ -0,0 +1,4 @@
+export interface CommandLineResult {
+    output: string;
+    exitCode: number;
+}
@@ -0,0 +1,140 @@
+/** @typedef { import("./CommandLineBackend").CommandLineBackend } CommandLineBackend */
+/** @typedef { import("./CommandLineCommand").CommandLineCommand } CommandLineCommand */
+/** @typedef { import("./CommandLineResult").CommandLineResult } CommandLineResult */
+
+const CommandLineParser = require("./CommandLineParser");
+
+const USAGE = [
+    "Usage: current-task <command>",
+    "",
+    "Commands:",
+    "  set <title>                       Set the current task (manual mode only)",
+    "  clear                             Clear the current task(s)",
+    "  disable <minutes> [--reason <r>]  Disable the app for the specified number of minutes",
+    "  enable                            Enable the app if it's disabled",
+    "  status [--json]                   Show the app's current state",
+    "  help                              Show this message",
+].join("\n");
+
+const EXIT_CODE_SUCCESS = 0;
+const EXIT_CODE_ERROR = 1;
+const EXIT_CODE_USAGE_ERROR = 2;
+
+class CommandLineRunner {
+    /** @param {CommandLineBackend} [backend] not needed for runWithoutBackend */
+    constructor(backend) {
+        this._backend = backend;
+        this._parser = new CommandLineParser();
+    }
+
+    /**
+     * @param {string[]} args
+     * @returns {CommandLineResult}
+     */
+    run(args) {
+        const { command, usageErrorResult } = this._parse(args);
+
+        if (usageErrorResult) {
+            return usageErrorResult;
+        }
+
+        try {
+            return { output: this._execute(command), exitCode: EXIT_CODE_SUCCESS };
+        } catch (error) {
+            return { output: `${error.message}\n`, exitCode: EXIT_CODE_ERROR };
+        }
+    }
+
+    /**
+     * Handles the arguments that can be handled without the app running, in the same way as run
+     * @param {string[]} args
+     * @returns {CommandLineResult} undefined if the command needs the backend
+     */
+    runWithoutBackend(args) {
+        const { command, usageErrorResult } = this._parse(args);
+
+        if (usageErrorResult) {
+            return usageErrorResult;
+        } else if (command.type === "help") {
+            return { output: this._execute(command), exitCode: EXIT_CODE_SUCCESS };
+        } else {
+            return undefined;
+        }
+    }
+
+    /**
+     * @param {string[]} args
+     * @returns {{ command?: CommandLineCommand, usageErrorResult?: CommandLineResult }}
+     */
+    _parse(args) {
+        /** @type {CommandLineCommand} */
+        let command;
+
+        try {
+            command = this._parser.parse(args);
+        } catch (error) {
+            return {
+                usageErrorResult: {
+                    output: `${error.message}\n\n${USAGE}\n`,
+                    exitCode: EXIT_CODE_USAGE_ERROR,
+                },
+            };
+        }
+
+        if (!command) {
+            return { usageErrorResult: { output: `${USAGE}\n`, exitCode: EXIT_CODE_USAGE_ERROR } };
+        }
+
+        return { command };
+    }
+
+    /**
+     * @param {CommandLineCommand} command
+     * @returns {string} output for the user
+     */
+    _execute(command) {
+        if (command.type === "help") {
+            return `${USAGE}\n`;
+        } else if (command.type === "set") {
+            this._backend.setManualCurrentTaskTitle(command.title);
+            return "";
+        } else if (command.type === "clear") {
+            this._backend.clearCurrent();
+            return "";
+        } else if (command.type === "disable") {
+            this._backend.disableForMinutesWithReason(command.minutes, command.reason);
+            return "";
+        } else if (command.type === "enable") {
+            this._backend.enable();
+            return "";
+        } else if (command.type === "status") {
+            return this._getStatusOutput(command.json);
+        }
+    }
+
+    /** @param {boolean} json */
+    _getStatusOutput(json) {
+        const snapshot = this._backend.getCalculatedStateSnapshot();
+
+        if (json) {
+            return `${JSON.stringify(snapshot, undefined, 4)}\n`;
+        }
+
+        let currentTask = "(none)";
+
+        if (snapshot.numberMarkedCurrent === 1) {
+            currentTask = snapshot.currentTaskTitle;
+        } else if (snapshot.numberMarkedCurrent > 1) {
+            currentTask = `(${snapshot.numberMarkedCurrent} tasks marked current)`;
+        }
+
+        return [
+            `Status: ${snapshot.status}`,
+            `Message: ${snapshot.message}`,
+            `Current task: ${currentTask}`,
+            "",
+        ].join("\n");
+    }
+}
+
+module.exports = CommandLineRunner;
@@ -0,0 +1,92 @@
+const CommandLineRunner = require("./CommandLineRunner");
+
+/** @type {any} */
+let backend;
+
+/** @type {CommandLineRunner} */
+let runner;
+
+beforeEach(() => {
+    backend = {
+        getCalculatedStateSnapshot: jest.fn().mockReturnValue({
+            status: "ok",
+            message: "Current task: Write report",
+            numberMarkedCurrent: 1,
+            currentTaskTitle: "Write report",
+        }),
+        setManualCurrentTaskTitle: jest.fn(),
+        clearCurrent: jest.fn(),
+        disableForMinutesWithReason: jest.fn(),
+        enable: jest.fn(),
+    };
+
+    runner = new CommandLineRunner(backend);
+});
+
+describe("CommandLineRunner", () => {
+    it("runs actions", () => {
+        expect(runner.run(["set", "Write report"])).toEqual({ output: "", exitCode: 0 });
+        expect(runner.run(["clear"])).toEqual({ output: "", exitCode: 0 });
+        expect(runner.run(["disable", "30", "--reason", "meeting"])).toEqual({
+            output: "",
+            exitCode: 0,
+        });
+        expect(runner.run(["enable"])).toEqual({ output: "", exitCode: 0 });
+
+        expect(backend.setManualCurrentTaskTitle).toHaveBeenCalledWith("Write report");
+        expect(backend.clearCurrent).toHaveBeenCalled();
+        expect(backend.disableForMinutesWithReason).toHaveBeenCalledWith(30, "meeting");
+        expect(backend.enable).toHaveBeenCalled();
+    });
+
+    it("shows the status", () => {
+        expect(runner.run(["status"])).toEqual({
+            output: "Status: ok\nMessage: Current task: Write report\nCurrent task: Write report\n",
+            exitCode: 0,
+        });
+
+        const jsonResult = runner.run(["status", "--json"]);
+        expect(jsonResult.exitCode).toBe(0);
+        expect(JSON.parse(jsonResult.output)).toEqual(backend.getCalculatedStateSnapshot());
+    });
+
+    it("shows the usage for invalid commands", () => {
+        const result = runner.run(["disable", "soon"]);
+        expect(result.exitCode).toBe(2);
+        expect(result.output).toMatch(/^The number of minutes should be a positive whole number/);
+        expect(result.output).toMatch("Usage: current-task <command>");
+        expect(backend.disableForMinutesWithReason).not.toHaveBeenCalled();
+
+        expect(runner.run(["help"])).toEqual({
+            output: expect.stringMatching(/^Usage/),
+            exitCode: 0,
+        });
+    });
+
+    it("returns errors from the backend", () => {
+        backend.setManualCurrentTaskTitle.mockImplementation(() => {
+            throw new Error("The current task can only be set directly in manual mode");
+        });
+
+        expect(runner.run(["set", "Write report"])).toEqual({
+            output: "The current task can only be set directly in manual mode\n",
+            exitCode: 1,
+        });
+    });
+
+    it("handles invalid commands and help without the backend", () => {
+        const runnerWithoutBackend = new CommandLineRunner();
+
+        expect(runnerWithoutBackend.runWithoutBackend(["disable", "soon"])).toEqual(
+            runner.run(["disable", "soon"])
+        );
+        expect(runnerWithoutBackend.runWithoutBackend(["clearr"])).toEqual({
+            output: expect.stringMatching(/^Unknown command: clearr/),
+            exitCode: 2,
+        });
+        expect(runnerWithoutBackend.runWithoutBackend(["help"])).toEqual(runner.run(["help"]));
+
+        expect(runnerWithoutBackend.runWithoutBackend(["clear"])).toBeUndefined();
+        expect(runnerWithoutBackend.runWithoutBackend(["status", "--json"])).toBeUndefined();
+    });
+});
@@ -0,0 +1,108 @@
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./CommandLineResult").CommandLineResult } CommandLineResult */
+/** @typedef { import("./CommandLineRunner") } CommandLineRunner */
+
+const fs = require("fs");
+const net = require("net");
+
+/**
+ * Listens for commands from other instances of the app, which are started from the command line
+ * Electron's second-instance event can't send anything back, so this uses a local socket instead
+ */
+class CommandLineServer {
+    /**
+     * @param {string} socketPath
+     * @param {CommandLineRunner} runner
+     * @param {Logger} logger
+     */
+    constructor(socketPath, runner, logger) {
+        this._socketPath = socketPath;
+        this._runner = runner;
+        this._logger = logger;
+
+        /** @type {net.Server} */
+        this._server = undefined;
+    }
+
+    async start() {
+        this._server = net.createServer((socket) => this._handleConnection(socket));
+
+        try {
+            await this._listen();
+        } catch (error) {
+            if (error.code !== "EADDRINUSE" || process.platform === "win32") {
+                throw error;
+            }
+
+            // this instance holds the single instance lock, so the socket file was left behind by
+            // an instance that didn't exit cleanly
+            fs.unlinkSync(this._socketPath);
+            await this._listen();
+        }
+
+        this._logger.info("Listening for command line commands");
+    }
+
+    _listen() {
+        return new Promise((resolve, reject) => {
+            this._server.once("error", reject);
+
+            this._server.listen(this._socketPath, () => {
+                this._server.off("error", reject);
+                resolve();
+            });
+        });
+    }
+
+    /** @param {net.Socket} socket */
+    _handleConnection(socket) {
+        // each connection carries one newline-terminated JSON request and one JSON response
+        let received = "";
+
+        socket.setEncoding("utf-8");
+
+        socket.on("error", (error) => {
+            this._logger.error(`Command line connection error: ${error.message}`);
+        });
+
+        socket.on("data", (chunk) => {
+            received += chunk;
+            const newlineIndex = received.indexOf("\n");
+
+            if (newlineIndex !== -1) {
+                const result = this._runMessage(received.substring(0, newlineIndex));
+                socket.end(`${JSON.stringify(result)}\n`);
+            }
+        });
+    }
+
+    /**
+     * @param {string} message
+     * @returns {CommandLineResult}
+     */
+    _runMessage(message) {
+        let args;
+
+        try {
+            ({ args } = JSON.parse(message));
+        } catch (_error) {
+            args = undefined;
+        }
+
+        if (!Array.isArray(args) || !args.every((arg) => typeof arg === "string")) {
+            return { output: "Invalid command line message\n", exitCode: 1 };
+        }
+
+        this._logger.info(`Running command line command: ${args[0]}`);
+        return this._runner.run(args);
+    }
+
+    stop() {
+        if (this._server) {
+            this._server.close();
+            this._server = undefined;
+        }
+    }
+}
+
+module.exports = CommandLineServer;
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../Logger");
+
+const CommandLineClient = require("./CommandLineClient");
+const CommandLineServer = require("./CommandLineServer");
+
+jest.mock("../Logger");
+
+/** @type {string} */
+let tmpDir;
+
+/** @type {string} */
+let socketPath;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "command-line-"));
+    socketPath = path.join(tmpDir, "test.sock");
+});
+
+afterEach(() => {
+    fs.rmdirSync(tmpDir, { recursive: true });
+});
+
+describe("CommandLineServer and CommandLineClient", () => {
+    it("send the arguments to the runner and return its result", async () => {
+        /** @type {any} */
+        const runner = { run: jest.fn().mockReturnValue({ output: "Status: ok\n", exitCode: 0 }) };
+        const server = new CommandLineServer(socketPath, runner, new Logger());
+        await server.start();
+
+        const result = await new CommandLineClient(socketPath).send(["status"]);
+        server.stop();
+
+        expect(runner.run).toHaveBeenCalledWith(["status"]);
+        expect(result).toEqual({ output: "Status: ok\n", exitCode: 0 });
+    });
+
+    it("replaces a socket file left behind by a previous instance", async () => {
+        fs.writeFileSync(socketPath, "");
+
+        /** @type {any} */
+        const runner = { run: jest.fn().mockReturnValue({ output: "", exitCode: 0 }) };
+        const server = new CommandLineServer(socketPath, runner, new Logger());
+        await server.start();
+
+        const result = await new CommandLineClient(socketPath).send(["clear"]);
+        server.stop();
+
+        expect(result).toEqual({ output: "", exitCode: 0 });
+    });
+
+    it("report an error if the app is not running", async () => {
+        const result = await new CommandLineClient(socketPath).send(["status"]);
+        expect(result).toEqual({ output: "Could not reach the running app\n", exitCode: 1 });
+    });
+});
@@ -0,0 +1,20 @@
+const { app } = require("electron");
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Based on the user data folder, so each user gets their own socket and all instances of the app
+ * started by that user agree on the path
+ */
+function getCommandLineSocketPath() {
+    const userDataFolder = app.getPath("userData");
+
+    if (process.platform === "win32") {
+        const hash = crypto.createHash("sha256").update(userDataFolder).digest("hex");
+        return `\\\\.\\pipe\\current-task-${hash.substring(0, 16)}`;
+    } else {
+        return path.join(userDataFolder, "command-line.sock");
+    }
+}
+
+module.exports = getCommandLineSocketPath;
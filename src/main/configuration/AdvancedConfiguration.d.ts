@@ -1,7 +1,26 @@
 import { Condition } from "./Condition";
 import { Status } from "./Status";
 
-export interface AdvancedConfiguration {
+export interface AdvancedConfiguration extends ConfigurationOptions {
+    profiles?: { [name: string]: Profile };
+
+    // shared by all profiles, so a profile's activateWhen can use them too
+    namedConditions?: NamedConditions;
+}
+
+// conditions that other conditions can include using "ref"
+export type NamedConditions = { [name: string]: Condition };
+
+// while a profile is active, its options replace the top-level options with the same name
+export interface Profile extends ConfigurationOptions {
+    // with automatic profile switching, the first profile with a matching condition is active
+    activateWhen?: Condition;
+
+    // the profile has its own integration type and integration settings
+    separateIntegration?: boolean;
+}
+
+export interface ConfigurationOptions {
     requireReasonForDisabling?: boolean;
     forbidClosingFromTray?: boolean;
     resetStateTimersIfSystemIdleForSeconds?: number;
@@ -12,6 +31,22 @@ export interface AdvancedConfiguration {
     naggingConditions?: Condition[];
     blinkingConditions?: Condition[];
     downtimeConditions?: Condition[];
+    notificationConditions?: NotificationRule[];
+    soundConditions?: SoundRule[];
+
+    theme?: ThemeConfiguration;
+
+    focusSession?: FocusSessionConfiguration;
+
+    history?: HistoryConfiguration;
+
+    controlApi?: ControlApiConfiguration;
+
+    globalShortcuts?: GlobalShortcutsConfiguration;
+
+    hooks?: Hook[];
+
+    jsonHttpIntegration?: JsonHttpIntegrationAdvancedConfiguration;
 }
 
 interface CustomStateRule {
@@ -19,4 +54,190 @@ interface CustomStateRule {
     resultingStatus: Status;
     resultingMessage: string;
     clearCurrent?: boolean;
+
+    // overrides the theme's style for the resulting status
+    style?: StatusStyle;
+}
+
+export interface ThemeConfiguration {
+    ok?: StatusStyle;
+    warning?: StatusStyle;
+    error?: StatusStyle;
+}
+
+export type StatusIcon = "none" | "warning" | "error";
+
+/**
+ * @pattern ^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|(rgb|hsl)a?\([^()]*\))$
+ */
+export type Color = string;
+
+export interface StatusStyle {
+    textColor?: Color;
+    backgroundColor?: Color;
+
+    /**
+     * @minLength 1
+     */
+    fontFamily?: string;
+
+    /**
+     * @minimum 1
+     */
+    fontSize?: number;
+
+    icon?: StatusIcon;
+
+    /**
+     * @minimum 0.1
+     * @maximum 1
+     */
+    opacity?: number;
+}
+
+export type NotificationAction =
+    | "setManualCurrentTask"
+    | "clearCurrent"
+    | "disableFor15Minutes"
+    | "disableFor30Minutes"
+    | "disableFor1Hour"
+    | "disableFor2Hours";
+
+export interface NotificationRule {
+    condition: Condition;
+    title?: string;
+    message: string;
+
+    /**
+     * @minimum 1
+     */
+    repeatAfterSeconds?: number;
+
+    /** only supported on Mac */
+    actions?: NotificationAction[];
+}
+
+export interface SoundRule {
+    condition: Condition;
+
+    // one of the bundled sounds (beep, chime, alarm) or the path to an audio file
+    sound: string;
+
+    /**
+     * @minimum 0
+     * @maximum 1
+     */
+    volume?: number;
+
+    /**
+     * @minimum 1
+     */
+    repeatAfterSeconds?: number;
+}
+
+export interface FocusSessionConfiguration {
+    /**
+     * @minimum 1
+     */
+    workMinutes?: number;
+
+    /**
+     * @minimum 1
+     */
+    shortBreakMinutes?: number;
+
+    /**
+     * @minimum 1
+     */
+    longBreakMinutes?: number;
+
+    /**
+     * @minimum 1
+     */
+    workPhasesBeforeLongBreak?: number;
+
+    autoStartNextPhase?: boolean;
+}
+
+export interface HistoryConfiguration {
+    enabled?: boolean;
+
+    /**
+     * @minimum 1
+     */
+    retentionDays?: number;
+}
+
+export interface ControlApiConfiguration {
+    /**
+     * @minimum 1
+     * @maximum 65535
+     */
+    port?: number;
+
+    /**
+     * @minLength 16
+     */
+    token: string;
+}
+
+// values are Electron accelerators, like CommandOrControl+Alt+T
+export interface GlobalShortcutsConfiguration {
+    setManualCurrentTask?: string;
+    clearCurrent?: string;
+    quickDisable?: string;
+
+    /**
+     * @minimum 1
+     */
+    quickDisableMinutes?: number;
+
+    enable?: string;
+    toggleMovingResizing?: string;
+}
+
+export type HookEvent =
+    | "statusChanged"
+    | "currentTaskChanged"
+    | "naggingStarted"
+    | "naggingEnded"
+    | "blinkingStarted"
+    | "blinkingEnded"
+    | "downtimeStarted"
+    | "downtimeEnded"
+    | "disabled"
+    | "enabled";
+
+// a hook has either a URL (to POST to) or a command (to run)
+export interface Hook {
+    /**
+     * @minItems 1
+     */
+    events: HookEvent[];
+
+    url?: string;
+    headers?: { [name: string]: string };
+    command?: string;
+
+    /**
+     * @minimum 1
+     */
+    timeoutSeconds?: number;
+
+    /**
+     * @minimum 0
+     */
+    minSecondsBetweenRuns?: number;
+}
+
+export interface JsonHttpIntegrationAdvancedConfiguration {
+    headers?: { [name: string]: string };
+
+    /**
+     * @minimum 1
+     */
+    timeoutSeconds?: number;
+
+    clearCurrentMethod?: "POST" | "PUT" | "PATCH" | "DELETE";
+    clearCurrentBody?: { [name: string]: any };
 }
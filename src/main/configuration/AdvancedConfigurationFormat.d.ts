@@ -0,0 +1,2 @@
+// also the file extension
+export type AdvancedConfigurationFormat = "json" | "jsonc" | "yaml";
@@ -0,0 +1,3 @@
+export interface AdvancedConfigurationListener {
+    onAdvancedConfigurationFileChanged: () => void;
+}
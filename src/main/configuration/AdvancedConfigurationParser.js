@@ -0,0 +1,113 @@
+/** @typedef { import("./AdvancedConfigurationFormat").AdvancedConfigurationFormat } AdvancedConfigurationFormat */
+/** @typedef { import("./SourceMap").SourceMap } SourceMap */
+/** @typedef { import("./ValidationIssue").ValidationIssue } ValidationIssue */
+
+const YAML = require("yaml");
+
+const formatValidationIssues = require("./formatValidationIssues");
+const getTextLocation = require("./getTextLocation");
+const JsonSourceMap = require("./JsonSourceMap");
+const YamlSourceMap = require("./YamlSourceMap");
+
+class AdvancedConfigurationParser {
+    /**
+     * Throws an error with the syntax errors (also available as error.issues) if the text is invalid
+     * @param {string} text
+     * @param {AdvancedConfigurationFormat} format
+     * @returns {{ data: any, sourceMap: SourceMap }} data is null for an empty YAML file
+     */
+    parse(text, format) {
+        if (format === "yaml") {
+            return this._parseYaml(text);
+        }
+
+        // comments are replaced by whitespace, so positions in the JSON stay the same
+        const jsonText = format === "jsonc" ? stripJsonComments(text) : text;
+
+        try {
+            return { data: JSON.parse(jsonText), sourceMap: new JsonSourceMap(jsonText) };
+        } catch (error) {
+            // for example "Unexpected token } in JSON at position 42"
+            const positionMatch = /at position (\d+)/.exec(error.message);
+            const location = positionMatch && getTextLocation(text, Number(positionMatch[1]));
+            throw createSyntaxError([{ message: error.message, ...location }]);
+        }
+    }
+
+    /**
+     * Comments and custom formatting in the original text are not kept
+     * @param {any} data
+     * @param {AdvancedConfigurationFormat} format
+     */
+    stringify(data, format) {
+        if (format === "yaml") {
+            return YAML.stringify(data);
+        }
+
+        return `${JSON.stringify(data, undefined, 4)}\n`;
+    }
+
+    /** @param {string} text */
+    _parseYaml(text) {
+        const document = YAML.parseDocument(text, { prettyErrors: false });
+
+        if (document.errors.length > 0) {
+            throw createSyntaxError(
+                document.errors.map((error) => {
+                    const range = error.source && error.source.range;
+                    const location = range && getTextLocation(text, range.start);
+                    return { message: error.message, ...location };
+                })
+            );
+        }
+
+        return { data: document.toJSON(), sourceMap: new YamlSourceMap(text, document) };
+    }
+}
+
+/** @param {ValidationIssue[]} issues */
+function createSyntaxError(issues) {
+    /** @type {Error & { issues?: ValidationIssue[] }} */
+    const error = new Error(formatValidationIssues(issues));
+    error.issues = issues;
+    return error;
+}
+
+/**
+ * Replaces // and /* comments with spaces, keeping line breaks and everything inside strings
+ * @param {string} text
+ */
+function stripJsonComments(text) {
+    let result = "";
+    let index = 0;
+
+    while (index < text.length) {
+        const character = text[index];
+        const next = text[index + 1];
+
+        if (character === '"') {
+            let end = index + 1;
+
+            while (end < text.length && text[end] !== '"' && text[end] !== "\n") {
+                end += text[end] === "\\" ? 2 : 1;
+            }
+
+            result += text.substring(index, end + 1);
+            index = end + 1;
+        } else if (character === "/" && (next === "/" || next === "*")) {
+            const isLineComment = next === "/";
+            const end = isLineComment ? text.indexOf("\n", index) : text.indexOf("*/", index + 2);
+            const commentEnd = end === -1 ? text.length : isLineComment ? end : end + 2;
+
+            result += text.substring(index, commentEnd).replace(/[^\r\n]/g, " ");
+            index = commentEnd;
+        } else {
+            result += character;
+            index++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = AdvancedConfigurationParser;
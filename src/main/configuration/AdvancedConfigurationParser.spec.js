@@ -0,0 +1,101 @@
+/** @typedef { import("./AdvancedConfigurationFormat").AdvancedConfigurationFormat } AdvancedConfigurationFormat */
+
+const AdvancedConfigurationParser = require("./AdvancedConfigurationParser");
+
+const parser = new AdvancedConfigurationParser();
+
+/**
+ * @param {() => void} parse
+ * @returns {any}
+ */
+function getError(parse) {
+    try {
+        parse();
+    } catch (error) {
+        return error;
+    }
+
+    throw new Error("Expected an error");
+}
+
+describe("AdvancedConfigurationParser", () => {
+    it("parses JSON with comments, keeping the positions of values", () => {
+        const text = [
+            "{",
+            "    // nag at the start of every hour",
+            '    "naggingConditions": [{ "minutes": 0 }], /* until',
+            '    we find something better */ "url": "http://example.com/*not-a-comment*/"',
+            "}",
+        ].join("\n");
+
+        const { data, sourceMap } = parser.parse(text, "jsonc");
+
+        expect(data).toEqual({
+            naggingConditions: [{ minutes: 0 }],
+            url: "http://example.com/*not-a-comment*/",
+        });
+
+        expect(sourceMap.getLocation(["naggingConditions", 0, "minutes"])).toEqual({
+            line: 3,
+            column: 29,
+        });
+
+        expect(sourceMap.getLocation(["url"])).toEqual({ line: 4, column: 33 });
+    });
+
+    it("doesn't allow comments in plain JSON", () => {
+        const error = getError(() => parser.parse('{\n    // comment\n    "a": 1\n}', "json"));
+        expect(error.issues).toEqual([expect.objectContaining({ line: 2, column: 5 })]);
+    });
+
+    it("parses YAML, locating values in the YAML source", () => {
+        const text = [
+            "# nag at the start of every hour",
+            "naggingConditions:",
+            "    - minutes: 0 # comment",
+            "      hours: { moreThan: 17 }",
+        ].join("\n");
+
+        const { data, sourceMap } = parser.parse(text, "yaml");
+
+        expect(data).toEqual({ naggingConditions: [{ minutes: 0, hours: { moreThan: 17 } }] });
+        expect(sourceMap.getLocation(["naggingConditions"])).toEqual({ line: 2, column: 1 });
+        expect(sourceMap.getLocation(["naggingConditions", 0])).toEqual({ line: 3, column: 7 });
+
+        expect(sourceMap.getLocation(["naggingConditions", 0, "hours", "moreThan"])).toEqual({
+            line: 4,
+            column: 16,
+        });
+
+        expect(sourceMap.getLocation(["whoops"])).toBeUndefined();
+    });
+
+    it("reports YAML syntax errors with their locations", () => {
+        const error = getError(() => parser.parse("hours: 1\nhours: 2\n", "yaml"));
+
+        expect(error.issues).toEqual([
+            expect.objectContaining({ message: 'Map keys must be unique; "hours" is repeated' }),
+        ]);
+
+        expect(error.issues[0].line).toBe(1);
+        expect(error.message).toMatch(/^Line 1, column 1: Map keys must be unique/);
+    });
+
+    it("returns null for an empty YAML file", () => {
+        expect(parser.parse("# nothing yet\n", "yaml").data).toBeNull();
+    });
+
+    it("turns data back into text that parses to the same data", () => {
+        const data = {
+            requireReasonForDisabling: true,
+            customStateRules: [{ condition: { when: "hours >= 17" }, resultingStatus: "warning" }],
+        };
+
+        /** @type {AdvancedConfigurationFormat[]} */
+        const formats = ["json", "jsonc", "yaml"];
+
+        for (const format of formats) {
+            expect(parser.parse(parser.stringify(data, format), format).data).toEqual(data);
+        }
+    });
+});
@@ -1,3 +1,4 @@
+import { FocusSessionPhase } from "./FocusSessionPhase";
 import { Status } from "./Status";
 
 export interface Condition {
@@ -22,12 +23,26 @@ export interface Condition {
     currentTaskIsOverdue?: boolean;
     currentTaskIsScheduledForToday?: boolean;
     status?: Status;
+    focusSessionPhase?: FocusSessionPhase;
+    focusSessionPaused?: boolean;
+    focusSessionSecondsInPhase?: NumericValueCondition;
+    focusSessionSecondsRemaining?: NumericValueCondition;
+    focusSessionMinutesRemaining?: NumericValueCondition;
+    focusSessionCompletedWorkPhases?: NumericValueCondition;
+    activeProfile?: string;
+
+    // the name of a condition in namedConditions, which has to match as well
+    ref?: string;
+
+    // an expression that has to be true, for example "hours >= 9 && numberMarkedCurrent != 1"
+    when?: string;
+
     not?: Condition;
     or?: Condition[];
     and?: Condition[];
 }
 
-export type ValueCondition = NumericValueCondition | boolean | Status;
+export type ValueCondition = NumericValueCondition | boolean | Status | FocusSessionPhase | string;
 
 type NumericValueCondition = number | NumericValueOperatorsCondition;
 
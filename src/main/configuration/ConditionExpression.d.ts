@@ -0,0 +1,47 @@
+// the syntax tree of a condition's "when" expression
+export type ConditionExpression =
+    | LiteralExpression
+    | FieldExpression
+    | UnaryExpression
+    | BinaryExpression;
+
+export interface LiteralExpression {
+    type: "literal";
+    value: number | string | boolean;
+}
+
+// a property of the calculated state
+export interface FieldExpression {
+    type: "field";
+    name: string;
+}
+
+export interface UnaryExpression {
+    type: "unary";
+    operator: UnaryOperator;
+    operand: ConditionExpression;
+}
+
+export interface BinaryExpression {
+    type: "binary";
+    operator: BinaryOperator;
+    left: ConditionExpression;
+    right: ConditionExpression;
+}
+
+export type UnaryOperator = "!" | "-";
+
+export type BinaryOperator =
+    | "||"
+    | "&&"
+    | "=="
+    | "!="
+    | "<"
+    | "<="
+    | ">"
+    | ">="
+    | "+"
+    | "-"
+    | "*"
+    | "/"
+    | "%";
@@ -1,30 +1,61 @@
 /** @typedef { import("electron").Rectangle } Rectangle */
+/** @typedef { import("../focus-session/FocusSessionState").FocusSessionState } FocusSessionState */
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+/** @typedef { import("./AdvancedConfigurationFormat").AdvancedConfigurationFormat } AdvancedConfigurationFormat */
+/** @typedef { import("./AdvancedConfigurationListener").AdvancedConfigurationListener } AdvancedConfigurationListener */
 /** @typedef { import("./IntegrationConfiguration").IntegrationConfiguration } IntegrationConfiguration */
+/** @typedef { import("./ValidationIssue").ValidationIssue } ValidationIssue */
+/** @typedef { import("../settings-transfer/ExportedSettings").ExportedSettings } ExportedSettings */
 
 const { app } = require("electron");
 const ElectronStore = require("electron-store");
 const keytar = require("keytar");
 const crypto = require("crypto");
+const fs = require("fs");
 const path = require("path");
 
+const AdvancedConfigurationParser = require("./AdvancedConfigurationParser");
 const ConfigurationValidator = require("./ConfigurationValidator");
+const FileChangeWatcher = require("./FileChangeWatcher");
 
 const INTERNAL_CONFIG_FILE_NAME = "internal-config-encrypted";
 const ADVANCED_CONFIG_FILE_NAME = "advanced-config";
 
+// also the file extensions, a JSON file is created if none of the files exist
+/** @type {AdvancedConfigurationFormat[]} */
+const ADVANCED_CONFIG_FORMATS = ["json", "jsonc", "yaml"];
+
+const ADVANCED_CONFIG_FORMAT_NAMES = {
+    json: "JSON",
+    jsonc: "JSON (with comments)",
+    yaml: "YAML",
+};
+const INTEGRATION_PLUGINS_FOLDER_NAME = "integration-plugins";
+const HISTORY_FOLDER_NAME = "history";
+const SOUNDS_FOLDER_NAME = "sounds";
+
+// editors can write a file in multiple steps, so wait until it has been stable for a bit
+const ADVANCED_CONFIG_WATCH_DEBOUNCE_INTERVAL = 500;
+
 const INTERNAL_CONFIG_INTEGRATION_KEY = "integration";
 const INTERNAL_CONFIG_DEFAULT_WINDOW_BOUNDS_KEY = "defaultWindowBounds";
 const INTERNAL_CONFIG_MOVING_RESIZING_ENABLED_KEY = "movingResizingEnabled";
+const INTERNAL_CONFIG_FOCUS_SESSION_KEY = "focusSession";
+const INTERNAL_CONFIG_PROFILE_INTEGRATIONS_KEY = "profileIntegrations";
+const INTERNAL_CONFIG_SELECTED_PROFILE_KEY = "selectedProfile";
 
 class ConfigurationStore {
     /**
      * @param {Logger} logger
      */
     constructor(logger) {
+        this._parser = new AdvancedConfigurationParser();
         this._validator = new ConfigurationValidator();
         this._logger = logger;
+
+        /** @type {FileChangeWatcher[]} */
+        this._advancedFileWatchers = [];
     }
 
     async initialize() {
@@ -46,19 +77,85 @@ class ConfigurationStore {
         });
 
         const userDataFolder = app.getPath("userData");
-        this._advancedFilePath = path.join(userDataFolder, `${ADVANCED_CONFIG_FILE_NAME}.json`);
+        this._advancedFilePaths = ADVANCED_CONFIG_FORMATS.map((format) =>
+            path.join(userDataFolder, `${ADVANCED_CONFIG_FILE_NAME}.${format}`)
+        );
+
+        // the file that was used most recently
+        this._advancedFilePath = this._advancedFilePaths[0];
+        this._integrationPluginsFolderPath = path.join(
+            userDataFolder,
+            INTEGRATION_PLUGINS_FOLDER_NAME
+        );
+        this._historyFolderPath = path.join(userDataFolder, HISTORY_FOLDER_NAME);
+        this._soundsFolderPath = path.join(userDataFolder, SOUNDS_FOLDER_NAME);
+    }
+
+    getIntegrationPluginsFolderPath() {
+        return this._integrationPluginsFolderPath;
+    }
+
+    getHistoryFolderPath() {
+        return this._historyFolderPath;
+    }
+
+    getSoundsFolderPath() {
+        return this._soundsFolderPath;
     }
 
-    /** @returns {IntegrationConfiguration} */
-    getIntegrationConfiguration() {
+    /**
+     * @param {string} [profileName] for profiles with separate integration settings
+     * @returns {IntegrationConfiguration}
+     */
+    getIntegrationConfiguration(profileName) {
+        if (profileName === undefined) {
+            // @ts-ignore
+            return this._internalConfigStore.get(INTERNAL_CONFIG_INTEGRATION_KEY);
+        }
+
+        return this._getProfileIntegrations()[profileName];
+    }
+
+    /**
+     * @param {IntegrationConfiguration} value
+     * @param {string} [profileName] for profiles with separate integration settings
+     */
+    setIntegrationConfiguration(value, profileName) {
+        if (profileName === undefined) {
+            this._internalConfigStore.set(INTERNAL_CONFIG_INTEGRATION_KEY, value);
+            this._logger.info("Saved new integration configuration");
+        } else {
+            // profile names can contain dots, which ElectronStore would interpret as nested keys
+            const profileIntegrations = { ...this._getProfileIntegrations(), [profileName]: value };
+            this._internalConfigStore.set(
+                INTERNAL_CONFIG_PROFILE_INTEGRATIONS_KEY,
+                profileIntegrations
+            );
+            this._logger.info(`Saved new integration configuration for profile ${profileName}`);
+        }
+    }
+
+    /** @returns {Object<string, IntegrationConfiguration>} */
+    _getProfileIntegrations() {
         // @ts-ignore
-        return this._internalConfigStore.get(INTERNAL_CONFIG_INTEGRATION_KEY);
+        return this._internalConfigStore.get(INTERNAL_CONFIG_PROFILE_INTEGRATIONS_KEY, {});
     }
 
-    /** @param {IntegrationConfiguration} value */
-    setIntegrationConfiguration(value) {
-        this._internalConfigStore.set(INTERNAL_CONFIG_INTEGRATION_KEY, value);
-        this._logger.info("Saved new integration configuration");
+    /** @returns {string} undefined for automatic profile switching */
+    getSelectedProfileName() {
+        // @ts-ignore
+        return this._internalConfigStore.get(INTERNAL_CONFIG_SELECTED_PROFILE_KEY);
+    }
+
+    /** @param {string} value undefined for automatic profile switching */
+    setSelectedProfileName(value) {
+        if (value === undefined) {
+            this._internalConfigStore.delete(INTERNAL_CONFIG_SELECTED_PROFILE_KEY);
+        } else {
+            this._internalConfigStore.set(INTERNAL_CONFIG_SELECTED_PROFILE_KEY, value);
+        }
+
+        this._logger.info(`Saved selected profile: ${value || "automatic"}`);
     }
 
     /** @returns {Rectangle} */
@@ -85,42 +182,191 @@ class ConfigurationStore {
         this._logger.info(`Saved moving and resizing enabled: ${value}`);
     }
 
+    /** @returns {FocusSessionState} */
+    getFocusSessionState() {
+        // @ts-ignore
+        return this._internalConfigStore.get(INTERNAL_CONFIG_FOCUS_SESSION_KEY);
+    }
+
+    /** @param {FocusSessionState} value */
+    setFocusSessionState(value) {
+        this._internalConfigStore.set(INTERNAL_CONFIG_FOCUS_SESSION_KEY, value);
+        this._logger.info(`Saved focus session state, phase: ${value.phase}`);
+    }
+
     getAdvancedConfigurationFilePath() {
         return this._advancedFilePath;
     }
 
-    /** @returns {AdvancedConfiguration} */
+    /**
+     * Throws an error with the issues found in the file (error.issues) and its path (error.filePath)
+     * @returns {AdvancedConfiguration}
+     */
     loadAdvancedConfiguration() {
-        let store;
+        const existingFilePaths = this._getExistingAdvancedFilePaths();
+
+        if (existingFilePaths.length === 0) {
+            // this initializes the file with an empty JSON object
+            this._advancedFilePath = this._advancedFilePaths[0];
+            this._createAdvancedJsonStore().clear();
+            return {};
+        }
+
+        this._advancedFilePath = existingFilePaths[0];
+
+        if (existingFilePaths.length > 1) {
+            const message = `Found multiple advanced configuration files, please keep only one:\n${existingFilePaths.join(
+                "\n"
+            )}`;
+            throw this._createAdvancedConfigurationError(message, [{ message }]);
+        }
+
+        const format =
+            ADVANCED_CONFIG_FORMATS[this._advancedFilePaths.indexOf(this._advancedFilePath)];
+        const formatName = ADVANCED_CONFIG_FORMAT_NAMES[format];
+        const text = fs.readFileSync(this._advancedFilePath, "utf-8");
+        let parseResult;
 
         try {
-            store = new ElectronStore({
-                name: ADVANCED_CONFIG_FILE_NAME,
-                clearInvalidConfig: false,
-            });
+            parseResult = this._parser.parse(text, format);
         } catch (error) {
-            this._logger.error("Invalid JSON in advanced configuration file");
-            throw new Error(`Please put valid JSON data in ${this._advancedFilePath}`);
-        }
+            this._logger.error(`Invalid ${formatName} in advanced configuration file`);
 
-        if (store.size === 0) {
-            // if the file doesn't exist yet, this initializes it with an empty JSON object
-            store.clear();
-            return {};
+            throw this._createAdvancedConfigurationError(
+                `Please put valid ${formatName} data in ${this._advancedFilePath}:\n${error.message}`,
+                error.issues
+            );
         }
 
-        const data = store.store;
+        // an empty YAML file doesn't contain any data
+        const data = parseResult.data !== null ? parseResult.data : {};
 
         try {
-            this._validator.validateAdvancedConfiguration(data);
+            this._validator.validateAdvancedConfiguration(data, parseResult.sourceMap);
         } catch (error) {
             this._logger.error(`Invalid advanced configuration file: ${error.message}`);
-            throw new Error(`Invalid data in ${this._advancedFilePath}: ${error.message}`);
+
+            throw this._createAdvancedConfigurationError(
+                `Invalid data in ${this._advancedFilePath}:\n${error.message}`,
+                error.issues || [{ message: error.message }]
+            );
         }
 
-        // @ts-ignore
         return data;
     }
+
+    _getExistingAdvancedFilePaths() {
+        return this._advancedFilePaths.filter((filePath) => fs.existsSync(filePath));
+    }
+
+    _createAdvancedJsonStore() {
+        return new ElectronStore({
+            name: ADVANCED_CONFIG_FILE_NAME,
+            clearInvalidConfig: false,
+        });
+    }
+
+    /**
+     * @param {string} message
+     * @param {ValidationIssue[]} issues
+     */
+    _createAdvancedConfigurationError(message, issues) {
+        /** @type {Error & { issues?: ValidationIssue[], filePath?: string }} */
+        const error = new Error(message);
+        error.issues = issues;
+        error.filePath = this._advancedFilePath;
+        return error;
+    }
+
+    /**
+     * Throws if the configuration is invalid, without touching the existing file
+     * @param {AdvancedConfiguration} data
+     */
+    saveAdvancedConfiguration(data) {
+        this._validator.validateAdvancedConfiguration(data);
+
+        // the file keeps the format the user chose
+        const filePath = this._getExistingAdvancedFilePaths()[0] || this._advancedFilePaths[0];
+        const format = ADVANCED_CONFIG_FORMATS[this._advancedFilePaths.indexOf(filePath)];
+
+        if (format === "json") {
+            // @ts-ignore
+            this._createAdvancedJsonStore().store = data;
+        } else {
+            fs.writeFileSync(filePath, this._parser.stringify(data, format), "utf-8");
+        }
+
+        this._logger.info(`Saved advanced configuration file: ${filePath}`);
+
+        // whoever saved the configuration is responsible for applying it
+        this._advancedFileWatchers.forEach((watcher) => watcher.markCurrentContentsSeen());
+    }
+
+    /**
+     * Throws if the advanced configuration file is invalid
+     * @returns {ExportedSettings}
+     */
+    getExportedSettings() {
+        return {
+            advancedConfiguration: this.loadAdvancedConfiguration(),
+            integration: this.getIntegrationConfiguration(),
+            profileIntegrations: this._getProfileIntegrations(),
+            defaultWindowBounds: this.getDefaultWindowBounds(),
+        };
+    }
+
+    /**
+     * Replaces the current settings, throws without changing anything if the settings are invalid
+     * @param {ExportedSettings} settings
+     */
+    importSettings(settings) {
+        this._validator.validateExportedSettings(settings);
+        this.saveAdvancedConfiguration(settings.advancedConfiguration);
+
+        /** @type {[string, any][]} */
+        const internalEntries = [
+            [INTERNAL_CONFIG_INTEGRATION_KEY, settings.integration],
+            [INTERNAL_CONFIG_PROFILE_INTEGRATIONS_KEY, settings.profileIntegrations],
+            [INTERNAL_CONFIG_DEFAULT_WINDOW_BOUNDS_KEY, settings.defaultWindowBounds],
+        ];
+
+        for (const [key, value] of internalEntries) {
+            if (value === undefined) {
+                this._internalConfigStore.delete(key);
+            } else {
+                this._internalConfigStore.set(key, value);
+            }
+        }
+
+        this._logger.info("Imported settings");
+    }
+
+    /**
+     * Notifies the listener when the contents of the advanced configuration file change
+     * @param {AdvancedConfigurationListener} listener
+     */
+    watchAdvancedConfiguration(listener) {
+        // also watches the files that don't exist, in case the user switches formats
+        this._advancedFileWatchers = this._advancedFilePaths.map(
+            (filePath) =>
+                new FileChangeWatcher(
+                    filePath,
+                    ADVANCED_CONFIG_WATCH_DEBOUNCE_INTERVAL,
+                    () => {
+                        this._logger.info(`Advanced configuration file changed: ${filePath}`);
+                        listener.onAdvancedConfigurationFileChanged();
+                    },
+                    this._logger
+                )
+        );
+
+        this._advancedFileWatchers.forEach((watcher) => watcher.start());
+    }
+
+    stopWatchingAdvancedConfiguration() {
+        this._advancedFileWatchers.forEach((watcher) => watcher.stop());
+        this._advancedFileWatchers = [];
+    }
 }
 
 module.exports = ConfigurationStore;
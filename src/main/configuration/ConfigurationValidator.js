@@ -1,7 +1,33 @@
+/** @typedef { import("./SourceMap").SourceMap } SourceMap */
+/** @typedef { import("./ValidationIssue").ValidationIssue } ValidationIssue */
+/** @typedef { (string | number)[] } DataPath */
+/** @typedef { { dataPath: DataPath, message: string, expectedType?: string } } DataPathIssue */
+/** @typedef { { name: string, dataPath: DataPath } } ConditionReference */
+
 const Ajv = require("ajv");
 const fs = require("fs");
 const path = require("path");
 
+const AcceleratorParser = require("../global-shortcuts/AcceleratorParser");
+const { DEFAULT_PROFILE_NAME } = require("../profiles/ProfileSelector");
+const { getConditions, getNestedConditions } = require("./findConditions");
+const formatValidationIssues = require("./formatValidationIssues");
+const parseConditionExpression = require("./parseConditionExpression");
+
+const INTEGRATION_TYPES = [
+    "manual",
+    "todoist",
+    "trello",
+    "github",
+    "localFile",
+    "calendar",
+    "jsonHttp",
+    "composite",
+    "plugin",
+];
+
+const WINDOW_BOUNDS_PROPERTIES = ["x", "y", "width", "height"];
+
 class ConfigurationValidator {
     constructor() {
         // schema is automatically generated, see package.json
@@ -10,31 +36,449 @@ class ConfigurationValidator {
 
         const schemaPath = path.join(__dirname, "../../../generated/advanced-config-schema.json");
         this._schema = JSON.parse(fs.readFileSync(schemaPath).toString("utf-8"));
+
+        this._acceleratorParser = new AcceleratorParser();
+    }
+
+    /**
+     * Throws an error listing all problems with the data, if any (also available as error.issues)
+     * @param {any} data
+     * @param {SourceMap} [sourceMap] for the text the data was parsed from, used to locate the problems
+     */
+    validateAdvancedConfiguration(data, sourceMap) {
+        const dataPathIssues = this._getSchemaIssues(data);
+        const profiles = isObject(data.profiles) ? data.profiles : {};
+
+        /** @type {DataPath[]} */
+        const optionsDataPaths = [[], ...Object.keys(profiles).map((name) => ["profiles", name])];
+
+        for (const optionsDataPath of optionsDataPaths) {
+            const options = optionsDataPath.length === 0 ? data : profiles[optionsDataPath[1]];
+
+            // the schema reports profiles that aren't objects
+            if (!isObject(options)) {
+                continue;
+            }
+
+            // these checks rely on the schema being satisfied for their section
+            const isValid = (/** @type {string} */ section) =>
+                !dataPathIssues.some((issue) =>
+                    isWithin(issue.dataPath, [...optionsDataPath, section])
+                );
+
+            if (options.globalShortcuts && isValid("globalShortcuts")) {
+                dataPathIssues.push(
+                    ...this._getGlobalShortcutsIssues(data, [...optionsDataPath, "globalShortcuts"])
+                );
+            }
+
+            if (options.hooks && isValid("hooks")) {
+                dataPathIssues.push(...this._getHooksIssues(data, [...optionsDataPath, "hooks"]));
+            }
+        }
+
+        dataPathIssues.push(...this._getConditionReferenceIssues(data));
+        dataPathIssues.push(...this._getConditionExpressionIssues(data));
+
+        if (DEFAULT_PROFILE_NAME in profiles) {
+            dataPathIssues.push({
+                dataPath: ["profiles", DEFAULT_PROFILE_NAME],
+                message: `.profiles.${DEFAULT_PROFILE_NAME} is reserved for the options outside of profiles`,
+            });
+        }
+
+        if (dataPathIssues.length === 0) {
+            return;
+        }
+
+        /** @type {ValidationIssue[]} */
+        const issues = dataPathIssues.map(({ dataPath, message }) => ({
+            message,
+            ...(sourceMap && sourceMap.getLocation(dataPath)),
+        }));
+
+        issues.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+        /** @type {Error & { issues?: ValidationIssue[] }} */
+        const error = new Error(formatValidationIssues(issues));
+        error.issues = issues;
+        throw error;
     }
 
-    validateAdvancedConfiguration(data) {
-        const ajv = new Ajv();
-        const valid = ajv.validate(this._schema, data);
+    /**
+     * Throws an error if the settings can't be imported, checking the advanced configuration in detail
+     * @param {any} settings
+     */
+    validateExportedSettings(settings) {
+        if (!isObject(settings) || !isObject(settings.advancedConfiguration)) {
+            throw new Error("The settings don't contain an advanced configuration");
+        }
+
+        this.validateAdvancedConfiguration(settings.advancedConfiguration);
+
+        const profileIntegrations = settings.profileIntegrations || {};
 
-        if (!valid) {
-            const firstError = ajv.errors[0];
-            let message;
+        if (!isObject(profileIntegrations)) {
+            throw new Error("The settings contain invalid profile integration settings");
+        }
+
+        const integrations = [settings.integration, ...Object.values(profileIntegrations)];
 
-            if (firstError.keyword === "additionalProperties") {
-                const propertyName = firstError.params["additionalProperty"];
-                const propertyPath = firstError.dataPath;
-                message = `Additional property '${propertyName}' not allowed at '${propertyPath}'`;
-            } else if (firstError.keyword === "enum") {
-                const propertyPath = firstError.dataPath;
-                const allowedValues = firstError.params["allowedValues"];
-                message = `${propertyPath} should be one of [${allowedValues.join(", ")}]`;
+        for (const integration of integrations) {
+            if (
+                integration !== undefined &&
+                !(isObject(integration) && INTEGRATION_TYPES.includes(integration.type))
+            ) {
+                throw new Error("The settings contain invalid integration settings");
+            }
+        }
+
+        const bounds = settings.defaultWindowBounds;
+
+        if (
+            bounds !== undefined &&
+            !(
+                isObject(bounds) &&
+                WINDOW_BOUNDS_PROPERTIES.every((name) => Number.isFinite(bounds[name]))
+            )
+        ) {
+            throw new Error("The settings contain invalid window bounds");
+        }
+    }
+
+    /**
+     * @param {any} data
+     * @returns {DataPathIssue[]}
+     */
+    _getSchemaIssues(data) {
+        const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+
+        if (ajv.validate(this._schema, data)) {
+            return [];
+        }
+
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+
+        for (const error of ajv.errors) {
+            const dataPath = error.dataPath.split("/").slice(1).map(unescapePointerSegment);
+            const propertyPath = toPropertyPath(data, dataPath);
+
+            if (error.keyword === "anyOf") {
+                issues.push(...this._replaceAnyOfAlternativeIssues(issues, dataPath, propertyPath));
+            } else if (error.keyword === "additionalProperties") {
+                const propertyName = error.params["additionalProperty"];
+
+                issues.push({
+                    dataPath: [...dataPath, propertyName],
+                    message: `Additional property '${propertyName}' not allowed at '${propertyPath}'`,
+                });
+            } else if (error.keyword === "enum") {
+                const allowedValues = error.params["allowedValues"];
+
+                issues.push({
+                    dataPath,
+                    message: `${propertyPath} should be one of [${allowedValues.join(", ")}]`,
+                });
             } else {
-                message = `${firstError.dataPath} ${firstError.message}`;
+                issues.push({
+                    dataPath,
+                    message: `${propertyPath} ${error.message}`,
+                    expectedType: error.keyword === "type" ? error.params["type"] : undefined,
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Ajv reports the errors for every alternative of an anyOf, followed by the anyOf error itself.
+     * If the value has the right type for one of the alternatives, only that one's errors are useful.
+     * @param {DataPathIssue[]} issues the issues so far, alternative issues are removed from the end
+     * @param {DataPath} dataPath of the anyOf error
+     * @param {string} propertyPath
+     * @returns {DataPathIssue[]} the issues to report instead
+     */
+    _replaceAnyOfAlternativeIssues(issues, dataPath, propertyPath) {
+        /** @type {DataPathIssue[]} */
+        const alternativeIssues = [];
+
+        while (issues.length > 0 && isWithin(issues[issues.length - 1].dataPath, dataPath)) {
+            alternativeIssues.unshift(issues.pop());
+        }
+
+        const isTypeMismatch = (/** @type {DataPathIssue} */ issue) =>
+            issue.expectedType && issue.dataPath.length === dataPath.length;
+
+        const relevantIssues = alternativeIssues.filter((issue) => !isTypeMismatch(issue));
+
+        if (relevantIssues.length > 0) {
+            return relevantIssues;
+        }
+
+        const expectedTypes = alternativeIssues.map((issue) => issue.expectedType);
+        return [{ dataPath, message: `${propertyPath} should be ${expectedTypes.join(" or ")}` }];
+    }
+
+    /**
+     * @param {any} data
+     * @param {DataPath} hooksDataPath
+     * @returns {DataPathIssue[]}
+     */
+    _getHooksIssues(data, hooksDataPath) {
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+
+        /** @type {any[]} */
+        const hooks = getValue(data, hooksDataPath);
+
+        hooks.forEach((hook, index) => {
+            const hookPropertyPath = toPropertyPath(data, [...hooksDataPath, index]);
+
+            if (!!hook.url === !!hook.command) {
+                issues.push({
+                    dataPath: [...hooksDataPath, index],
+                    message: `${hookPropertyPath} should have either property 'url' or 'command'`,
+                });
+            }
+
+            if (hook.headers && !hook.url) {
+                issues.push({
+                    dataPath: [...hooksDataPath, index, "headers"],
+                    message: `${hookPropertyPath} can only have property 'headers' with 'url'`,
+                });
             }
+        });
 
-            throw new Error(message);
+        return issues;
+    }
+
+    /**
+     * Checks that every 'ref' names an existing named condition and that named conditions don't
+     * refer to themselves, directly or through other named conditions
+     * @param {any} data
+     * @returns {DataPathIssue[]}
+     */
+    _getConditionReferenceIssues(data) {
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+
+        const namedConditions = isObject(data.namedConditions) ? data.namedConditions : {};
+
+        /** @type {Map<string, ConditionReference[]>} */
+        const referencesByName = new Map();
+
+        for (const { condition, dataPath } of getConditions(data)) {
+            const references = getConditionReferences(condition, dataPath);
+
+            for (const reference of references) {
+                if (!Object.prototype.hasOwnProperty.call(namedConditions, reference.name)) {
+                    const propertyPath = toPropertyPath(data, reference.dataPath);
+
+                    issues.push({
+                        dataPath: reference.dataPath,
+                        message: `${propertyPath} refers to unknown named condition '${reference.name}'`,
+                    });
+                }
+            }
+
+            if (dataPath[0] === "namedConditions") {
+                referencesByName.set(String(dataPath[1]), references);
+            }
+        }
+
+        return [...issues, ...this._getNamedConditionCycleIssues(data, referencesByName)];
+    }
+
+    /**
+     * Reports each cycle once, at the reference that closes it
+     * @param {any} data
+     * @param {Map<string, ConditionReference[]>} referencesByName
+     * @returns {DataPathIssue[]}
+     */
+    _getNamedConditionCycleIssues(data, referencesByName) {
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+
+        /** @type {Set<string>} */
+        const visitedNames = new Set();
+
+        // the named conditions currently being visited, each one refers to the next
+        /** @type {string[]} */
+        const path = [];
+
+        const visit = (/** @type {string} */ name) => {
+            visitedNames.add(name);
+            path.push(name);
+
+            for (const reference of referencesByName.get(name)) {
+                if (path.includes(reference.name)) {
+                    const cycle = [...path.slice(path.indexOf(reference.name)), reference.name];
+                    const propertyPath = toPropertyPath(data, reference.dataPath);
+
+                    issues.push({
+                        dataPath: reference.dataPath,
+                        message: `${propertyPath} creates a cycle of named conditions: ${cycle.join(
+                            " -> "
+                        )}`,
+                    });
+                } else if (
+                    referencesByName.has(reference.name) &&
+                    !visitedNames.has(reference.name)
+                ) {
+                    visit(reference.name);
+                }
+            }
+
+            path.pop();
+        };
+
+        for (const name of Array.from(referencesByName.keys())) {
+            if (!visitedNames.has(name)) {
+                visit(name);
+            }
         }
+
+        return issues;
     }
+
+    /**
+     * @param {any} data
+     * @returns {DataPathIssue[]}
+     */
+    _getConditionExpressionIssues(data) {
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+
+        for (const { condition, dataPath } of getConditions(data)) {
+            for (const nested of getNestedConditions(condition, dataPath)) {
+                if (typeof nested.condition.when !== "string") {
+                    continue;
+                }
+
+                const expressionDataPath = [...nested.dataPath, "when"];
+
+                try {
+                    parseConditionExpression(nested.condition.when);
+                } catch (error) {
+                    // the message includes the position in the expression
+                    const propertyPath = toPropertyPath(data, expressionDataPath);
+
+                    issues.push({
+                        dataPath: expressionDataPath,
+                        message: `${propertyPath} is not a valid expression: ${error.message}`,
+                    });
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * The schema can only check that shortcuts are strings, not that Electron will understand them
+     * @param {any} data
+     * @param {DataPath} globalShortcutsDataPath
+     * @returns {DataPathIssue[]}
+     */
+    _getGlobalShortcutsIssues(data, globalShortcutsDataPath) {
+        /** @type {DataPathIssue[]} */
+        const issues = [];
+        const actionsByAccelerator = {};
+
+        /** @type {Object<string, any>} */
+        const globalShortcuts = getValue(data, globalShortcutsDataPath);
+        const globalShortcutsPropertyPath = toPropertyPath(data, globalShortcutsDataPath);
+
+        for (const [action, accelerator] of Object.entries(globalShortcuts)) {
+            if (typeof accelerator !== "string") {
+                continue;
+            }
+
+            const dataPath = [...globalShortcutsDataPath, action];
+            const propertyPath = `${globalShortcutsPropertyPath}.${action}`;
+            let normalizedAccelerator;
+
+            try {
+                normalizedAccelerator = this._acceleratorParser.parse(accelerator);
+            } catch (error) {
+                issues.push({
+                    dataPath,
+                    message: `${propertyPath} should be a valid shortcut: ${error.message}`,
+                });
+
+                continue;
+            }
+
+            const conflictingAction = actionsByAccelerator[normalizedAccelerator];
+
+            if (conflictingAction) {
+                issues.push({
+                    dataPath,
+                    message: `${propertyPath} uses the same shortcut as ${globalShortcutsPropertyPath}.${conflictingAction}`,
+                });
+            } else {
+                actionsByAccelerator[normalizedAccelerator] = action;
+            }
+        }
+
+        return issues;
+    }
+}
+
+/**
+ * @param {DataPath} dataPath
+ * @param {DataPath} ancestorDataPath
+ */
+function isWithin(dataPath, ancestorDataPath) {
+    return ancestorDataPath.every((segment, index) => String(dataPath[index]) === String(segment));
+}
+
+/**
+ * @param {any} condition
+ * @param {DataPath} dataPath
+ * @returns {ConditionReference[]}
+ */
+function getConditionReferences(condition, dataPath) {
+    return getNestedConditions(condition, dataPath)
+        .filter((nested) => typeof nested.condition.ref === "string")
+        .map((nested) => ({ name: nested.condition.ref, dataPath: [...nested.dataPath, "ref"] }));
+}
+
+/** @param {any} value */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {any} data
+ * @param {DataPath} dataPath
+ */
+function getValue(data, dataPath) {
+    return dataPath.reduce((value, segment) => value[segment], data);
+}
+
+/** @param {string} segment */
+function unescapePointerSegment(segment) {
+    return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Turns a data path into the notation used in messages, like .customStateRules[0].condition
+ * @param {any} data
+ * @param {DataPath} dataPath
+ */
+function toPropertyPath(data, dataPath) {
+    let propertyPath = "";
+    let value = data;
+
+    for (const segment of dataPath) {
+        propertyPath += Array.isArray(value) ? `[${segment}]` : `.${segment}`;
+        value = value !== undefined && value !== null ? value[segment] : undefined;
+    }
+
+    return propertyPath;
 }
 
 module.exports = ConfigurationValidator;
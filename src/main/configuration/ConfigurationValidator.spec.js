@@ -1,4 +1,5 @@
 const ConfigurationValidator = require("./ConfigurationValidator");
+const JsonSourceMap = require("./JsonSourceMap");
 
 const configurationValidator = new ConfigurationValidator();
 
@@ -90,4 +91,293 @@ describe("ConfigurationValidator", () => {
             ".naggingConditions[0].status should be one of [ok, warning, error]"
         );
     });
+
+    it("fails for invalid theme colors", () => {
+        const validConfiguration = {
+            theme: { ok: { textColor: "white", backgroundColor: "#1e3a5f" } },
+            customStateRules: [
+                {
+                    condition: {},
+                    resultingStatus: "ok",
+                    resultingMessage: "Test",
+                    style: { backgroundColor: "rgba(0, 0, 0, 0.5)" },
+                },
+            ],
+        };
+
+        configurationValidator.validateAdvancedConfiguration(validConfiguration);
+
+        const invalidConfiguration = { theme: { error: { backgroundColor: "red; opacity: 0" } } };
+
+        expect(() =>
+            configurationValidator.validateAdvancedConfiguration(invalidConfiguration)
+        ).toThrow(".theme.error.backgroundColor should match pattern");
+    });
+
+    it("reports all errors", () => {
+        const configuration = {
+            whoops: true,
+            customStateRules: [{ condition: {}, resultingStatus: "whoops" }],
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                "Additional property 'whoops' not allowed at ''",
+                ".customStateRules[0] should have required property 'resultingMessage'",
+                ".customStateRules[0].resultingStatus should be one of [ok, warning, error]",
+            ].join("\n")
+        );
+    });
+
+    it("only reports the relevant alternatives for numeric value conditions", () => {
+        const configuration = {
+            naggingConditions: [{ hours: "9", minutes: { lessThen: 5 }, not: { seconds: [1] } }],
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                ".naggingConditions[0].hours should be number or object",
+                "Additional property 'lessThen' not allowed at '.naggingConditions[0].minutes'",
+                ".naggingConditions[0].not.seconds should be number or object",
+            ].join("\n")
+        );
+    });
+
+    it("includes the line and column of errors if a source map is provided", () => {
+        const sourceText = [
+            "{",
+            '    "naggingConditions": [',
+            '        { "status": "whoops" }',
+            "    ],",
+            '    "whoops": true',
+            "}",
+        ].join("\n");
+
+        let error;
+
+        try {
+            configurationValidator.validateAdvancedConfiguration(
+                JSON.parse(sourceText),
+                new JsonSourceMap(sourceText)
+            );
+        } catch (caughtError) {
+            error = caughtError;
+        }
+
+        expect(error.issues).toEqual([
+            {
+                message: ".naggingConditions[0].status should be one of [ok, warning, error]",
+                line: 3,
+                column: 11,
+            },
+            {
+                message: "Additional property 'whoops' not allowed at ''",
+                line: 5,
+                column: 5,
+            },
+        ]);
+
+        expect(error.message).toMatch(/^Line 3, column 11: .naggingConditions/);
+    });
+
+    it("allows valid global shortcuts", () => {
+        const configuration = {
+            globalShortcuts: {
+                setManualCurrentTask: "CommandOrControl+Alt+T",
+                clearCurrent: "CmdOrCtrl+Alt+C",
+                quickDisable: "Super+Shift+F12",
+                quickDisableMinutes: 30,
+            },
+        };
+
+        configurationValidator.validateAdvancedConfiguration(configuration);
+    });
+
+    it("fails for invalid global shortcuts", () => {
+        const configuration = {
+            globalShortcuts: {
+                clearCurrent: "Ctrl+Hyper+C",
+            },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            ".globalShortcuts.clearCurrent should be a valid shortcut: 'Hyper' is not a valid modifier"
+        );
+    });
+
+    it("fails for conflicting global shortcuts", () => {
+        const configuration = {
+            globalShortcuts: {
+                clearCurrent: "CommandOrControl+Alt+C",
+                enable: "alt+cmdorctrl+c",
+            },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            ".globalShortcuts.enable uses the same shortcut as .globalShortcuts.clearCurrent"
+        );
+    });
+
+    it("fails for hooks without exactly one of url and command", () => {
+        const hookWithBoth = {
+            events: ["statusChanged"],
+            url: "http://localhost:8080/hook",
+            command: "echo hi",
+        };
+
+        const hookWithNeither = { events: ["statusChanged"] };
+
+        for (const hook of [hookWithBoth, hookWithNeither]) {
+            const configuration = { hooks: [hook] };
+
+            expect(() =>
+                configurationValidator.validateAdvancedConfiguration(configuration)
+            ).toThrow(".hooks[0] should have either property 'url' or 'command'");
+        }
+    });
+
+    it("applies the same checks to the options of profiles", () => {
+        const configuration = {
+            profiles: {
+                onCall: {
+                    activateWhen: { dayOfWeek: 6 },
+                    globalShortcuts: { clearCurrent: "Alt+C", enable: "alt+c" },
+                    hooks: [{ events: ["statusChanged"] }],
+                },
+            },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                ".profiles.onCall.globalShortcuts.enable uses the same shortcut as .profiles.onCall.globalShortcuts.clearCurrent",
+                ".profiles.onCall.hooks[0] should have either property 'url' or 'command'",
+            ].join("\n")
+        );
+    });
+
+    it("fails for profiles that aren't objects", () => {
+        const configuration = { profiles: { onCall: null, focus: [] } };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [".profiles.onCall should be object", ".profiles.focus should be object"].join("\n")
+        );
+
+        expect(() =>
+            configurationValidator.validateAdvancedConfiguration({ profiles: "work" })
+        ).toThrow(".profiles should be object");
+    });
+
+    it("fails for a profile with the reserved name", () => {
+        const configuration = { profiles: { default: {} } };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            ".profiles.default is reserved for the options outside of profiles"
+        );
+    });
+
+    it("allows references to named conditions", () => {
+        const configuration = {
+            namedConditions: {
+                workingHours: {
+                    dayOfWeek: { anyOf: [1, 2, 3, 4, 5] },
+                    hours: { fromUntil: [9, 17] },
+                },
+                busy: { ref: "workingHours", numberOverdue: { moreThan: 0 } },
+            },
+            naggingConditions: [{ ref: "busy" }],
+            profiles: { work: { activateWhen: { not: { ref: "workingHours" } } } },
+        };
+
+        configurationValidator.validateAdvancedConfiguration(configuration);
+    });
+
+    it("fails for references to unknown named conditions", () => {
+        const configuration = {
+            namedConditions: { weekend: { dayOfWeek: { anyOf: [0, 6] } } },
+            customStateRules: [
+                {
+                    condition: { or: [{ ref: "weekend" }, { ref: "holiday" }] },
+                    resultingStatus: "ok",
+                    resultingMessage: "Test",
+                },
+            ],
+            profiles: { work: { activateWhen: { ref: "workingHours" } } },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                ".customStateRules[0].condition.or[1].ref refers to unknown named condition 'holiday'",
+                ".profiles.work.activateWhen.ref refers to unknown named condition 'workingHours'",
+            ].join("\n")
+        );
+    });
+
+    it("fails for cycles of named conditions", () => {
+        const configuration = {
+            namedConditions: {
+                a: { and: [{ ref: "b" }] },
+                b: { not: { ref: "c" } },
+                c: { ref: "a" },
+                d: { ref: "d" },
+                e: { ref: "a" },
+            },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                ".namedConditions.c.ref creates a cycle of named conditions: a -> b -> c -> a",
+                ".namedConditions.d.ref creates a cycle of named conditions: d -> d",
+            ].join("\n")
+        );
+    });
+
+    it("fails for invalid expressions with the position of the problem", () => {
+        const configuration = {
+            naggingConditions: [{ when: "hours >= 9 && hours < 17" }, { when: "hours > " }],
+            namedConditions: { lunch: { not: { when: "hour == 12" } } },
+        };
+
+        expect(() => configurationValidator.validateAdvancedConfiguration(configuration)).toThrow(
+            [
+                ".naggingConditions[1].when is not a valid expression: Unexpected end of expression at position 9",
+                ".namedConditions.lunch.not.when is not a valid expression: Unknown property 'hour' at position 1",
+            ].join("\n")
+        );
+    });
+
+    it("allows valid exported settings", () => {
+        const settings = {
+            advancedConfiguration: { requireReasonForDisabling: true },
+            integration: { type: "todoist", token: "secret" },
+            profileIntegrations: { onCall: { type: "github", token: "secret" } },
+            defaultWindowBounds: { x: 10, y: 20, width: 400, height: 60 },
+        };
+
+        configurationValidator.validateExportedSettings(settings);
+        configurationValidator.validateExportedSettings({ advancedConfiguration: {} });
+    });
+
+    it("fails for invalid exported settings", () => {
+        /** @type {[any, string][]} */
+        const invalidSettingsWithErrors = [
+            [{}, "The settings don't contain an advanced configuration"],
+            [{ advancedConfiguration: { whoops: true } }, "Additional property 'whoops'"],
+            [
+                { advancedConfiguration: {}, integration: { type: "whoops" } },
+                "The settings contain invalid integration settings",
+            ],
+            [
+                { advancedConfiguration: {}, profileIntegrations: { onCall: "todoist" } },
+                "The settings contain invalid integration settings",
+            ],
+            [
+                { advancedConfiguration: {}, defaultWindowBounds: { x: 10, y: 20 } },
+                "The settings contain invalid window bounds",
+            ],
+        ];
+
+        for (const [settings, error] of invalidSettingsWithErrors) {
+            expect(() => configurationValidator.validateExportedSettings(settings)).toThrow(error);
+        }
+    });
 });
@@ -0,0 +1,93 @@
+/** @typedef { import("../Logger") } Logger */
+
+const debounceFn = require("debounce-fn");
+const fs = require("fs");
+const path = require("path");
+
+class FileChangeWatcher {
+    /**
+     * @param {string} filePath
+     * @param {number} debounceInterval in milliseconds
+     * @param {() => void} onChange called once the contents of the file have changed and then stayed the same for debounceInterval
+     * @param {Logger} logger
+     */
+    constructor(filePath, debounceInterval, onChange, logger) {
+        this._filePath = filePath;
+        this._onChange = onChange;
+        this._logger = logger;
+
+        /** @type {fs.FSWatcher} */
+        this._watcher = undefined;
+
+        this._lastContents = undefined;
+
+        this._handleChangeDebounced = debounceFn(() => this._handleChange(), {
+            wait: debounceInterval,
+        });
+    }
+
+    start() {
+        this.markCurrentContentsSeen();
+
+        // editors often save by writing a new file and renaming it, which stops a watcher on the file itself
+        const folderPath = path.dirname(this._filePath);
+        const fileName = path.basename(this._filePath);
+
+        try {
+            this._watcher = fs.watch(folderPath, (_eventType, changedFileName) => {
+                // the file name is not provided on every platform
+                if (!changedFileName || changedFileName === fileName) {
+                    this._handleChangeDebounced();
+                }
+            });
+        } catch (error) {
+            // for example, the folder doesn't exist
+            this._logger.error(`Could not watch ${this._filePath} for changes: ${error.message}`);
+            return;
+        }
+
+        // for example, the folder was deleted
+        this._watcher.on("error", (error) => {
+            this._logger.error(`Stopped watching ${this._filePath} for changes: ${error.message}`);
+            this.stop();
+        });
+    }
+
+    /** Prevents onChange for the current contents, for example because the app wrote them itself */
+    markCurrentContentsSeen() {
+        this._lastContents = this._readContents();
+    }
+
+    _handleChange() {
+        if (!this._watcher) {
+            return;
+        }
+
+        const contents = this._readContents();
+
+        if (contents !== this._lastContents) {
+            this._lastContents = contents;
+            this._onChange();
+        }
+    }
+
+    _readContents() {
+        try {
+            return fs.readFileSync(this._filePath, "utf-8");
+        } catch (error) {
+            // for example, the file was deleted
+            return undefined;
+        }
+    }
+
+    stop() {
+        if (this._watcher) {
+            this._watcher.close();
+            this._watcher = undefined;
+        }
+
+        this._handleChangeDebounced.cancel();
+    }
+}
+
+module.exports = FileChangeWatcher;
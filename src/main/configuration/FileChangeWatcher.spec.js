@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../Logger");
+
+const FileChangeWatcher = require("./FileChangeWatcher");
+
+jest.mock("../Logger");
+
+const DEBOUNCE_INTERVAL = 50;
+
+/** @type {string} */
+let folderPath;
+
+/** @type {string} */
+let filePath;
+
+/** @type {jest.Mock} */
+let onChange;
+
+/** @type {FileChangeWatcher} */
+let watcher;
+
+/** @param {number} milliseconds */
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+beforeEach(() => {
+    folderPath = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-watcher-"));
+    filePath = path.join(folderPath, "advanced-config.json");
+    fs.writeFileSync(filePath, "{}");
+
+    onChange = jest.fn();
+    watcher = new FileChangeWatcher(filePath, DEBOUNCE_INTERVAL, onChange, new Logger());
+    watcher.start();
+});
+
+afterEach(() => {
+    watcher.stop();
+    fs.rmdirSync(folderPath, { recursive: true });
+});
+
+describe("FileChangeWatcher", () => {
+    it("calls onChange once for quick successive changes", async () => {
+        fs.writeFileSync(filePath, '{ "a": 1 }');
+        fs.writeFileSync(filePath, '{ "a": 2 }');
+        await wait(DEBOUNCE_INTERVAL * 5);
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it("detects files being replaced", async () => {
+        const temporaryPath = path.join(folderPath, "advanced-config.json.tmp");
+        fs.writeFileSync(temporaryPath, '{ "a": 1 }');
+        fs.renameSync(temporaryPath, filePath);
+        await wait(DEBOUNCE_INTERVAL * 5);
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it("ignores writes without changes and other files", async () => {
+        fs.writeFileSync(filePath, "{}");
+        fs.writeFileSync(path.join(folderPath, "other.json"), "{}");
+        await wait(DEBOUNCE_INTERVAL * 5);
+
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it("ignores contents marked as seen", async () => {
+        fs.writeFileSync(filePath, '{ "a": 1 }');
+        watcher.markCurrentContentsSeen();
+        await wait(DEBOUNCE_INTERVAL * 5);
+
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it("stops watching if the watcher fails", async () => {
+        watcher._watcher.emit("error", new Error("EPERM: operation not permitted"));
+        fs.writeFileSync(filePath, '{ "a": 1 }');
+        await wait(DEBOUNCE_INTERVAL * 5);
+
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it("doesn't throw if the folder doesn't exist", () => {
+        const missingFilePath = path.join(folderPath, "missing", "advanced-config.json");
+        const otherWatcher = new FileChangeWatcher(
+            missingFilePath,
+            DEBOUNCE_INTERVAL,
+            onChange,
+            new Logger()
+        );
+
+        expect(() => otherWatcher.start()).not.toThrow();
+        otherWatcher.stop();
+    });
+});
@@ -0,0 +1 @@
+export type FocusSessionPhase = "inactive" | "work" | "shortBreak" | "longBreak";
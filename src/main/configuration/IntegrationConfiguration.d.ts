@@ -1,4 +1,18 @@
-export type IntegrationType = "manual" | "todoist" | "trello";
+export type IntegrationType =
+    | "manual"
+    | "todoist"
+    | "trello"
+    | "github"
+    | "localFile"
+    | "calendar"
+    | "jsonHttp"
+    | "composite"
+    | "plugin";
+
+export type CompositeSourceIntegrationType = Exclude<
+    IntegrationType,
+    "manual" | "composite" | "plugin"
+>;
 
 export interface IntegrationConfiguration<T extends IntegrationType> {
     type: T;
@@ -23,3 +37,58 @@ export interface TrelloIntegrationConfiguration extends IntegrationConfiguration
     labelName?: string;
     boards?: string[];
 }
+
+export interface GitHubIntegrationConfiguration extends IntegrationConfiguration<"github"> {
+    type: "github";
+    token?: string;
+    labelName?: string;
+    repositories?: string[];
+}
+
+export interface LocalFileIntegrationConfiguration extends IntegrationConfiguration<"localFile"> {
+    type: "localFile";
+    filePath?: string;
+    currentTaskMarker?: string;
+}
+
+export interface CalendarIntegrationConfiguration extends IntegrationConfiguration<"calendar"> {
+    type: "calendar";
+    source?: string;
+    username?: string;
+    password?: string;
+    categoryName?: string;
+}
+
+export interface JsonHttpIntegrationConfiguration extends IntegrationConfiguration<"jsonHttp"> {
+    type: "jsonHttp";
+    url?: string;
+    authorizationHeader?: string;
+    tasksSelector?: string;
+    idSelector?: string;
+    titleSelector?: string;
+    dueDateSelector?: string;
+    dueDatetimeSelector?: string;
+    currentSelector?: string;
+    clearCurrentUrl?: string;
+}
+
+export interface CompositeIntegrationConfiguration extends IntegrationConfiguration<"composite"> {
+    type: "composite";
+    sources?: CompositeSourceIntegrationConfiguration[];
+}
+
+export type CompositeSourceIntegrationConfiguration =
+    | TodoistIntegrationConfiguration
+    | TrelloIntegrationConfiguration
+    | GitHubIntegrationConfiguration
+    | LocalFileIntegrationConfiguration
+    | CalendarIntegrationConfiguration
+    | JsonHttpIntegrationConfiguration;
+
+export interface PluginIntegrationConfiguration extends IntegrationConfiguration<"plugin"> {
+    type: "plugin";
+    pluginId?: string;
+
+    /** The fields from the plugin's own configuration dialog */
+    [key: string]: any;
+}
@@ -0,0 +1,134 @@
+/** @typedef { import("./SourceMap").SourceMap } SourceMap */
+
+const getTextLocation = require("./getTextLocation");
+
+/**
+ * Finds where values are located in JSON text, based on their path from the root
+ * Properties are located at their key, array items and the root at their value
+ * @implements {SourceMap}
+ */
+class JsonSourceMap {
+    /** @param {string} text valid JSON */
+    constructor(text) {
+        this._text = text;
+        this._position = 0;
+
+        /** @type {Object<string, number>} offset in the text, by JSON pointer */
+        this._offsets = {};
+
+        this._skipWhitespace();
+        this._parseValue("");
+    }
+
+    /**
+     * @param {(string | number)[]} path
+     * @returns {{ line: number, column: number }} 1-based, undefined if the path doesn't exist
+     */
+    getLocation(path) {
+        const offset = this._offsets[toPointer(path)];
+
+        if (offset === undefined) {
+            return undefined;
+        }
+
+        return getTextLocation(this._text, offset);
+    }
+
+    /** @param {string} pointer */
+    _parseValue(pointer) {
+        if (!(pointer in this._offsets)) {
+            this._offsets[pointer] = this._position;
+        }
+
+        const character = this._text[this._position];
+
+        if (character === "{") {
+            this._parseObject(pointer);
+        } else if (character === "[") {
+            this._parseArray(pointer);
+        } else if (character === '"') {
+            this._parseString();
+        } else {
+            // numbers, true, false and null
+            while (
+                this._position < this._text.length &&
+                !/[\s,\]}]/.test(this._text[this._position])
+            ) {
+                this._position++;
+            }
+        }
+
+        this._skipWhitespace();
+    }
+
+    /** @param {string} pointer */
+    _parseObject(pointer) {
+        this._position++;
+        this._skipWhitespace();
+
+        while (this._text[this._position] !== "}") {
+            const keyOffset = this._position;
+            const childPointer = `${pointer}/${escapePointerSegment(this._parseString())}`;
+            this._offsets[childPointer] = keyOffset;
+
+            this._skipWhitespace();
+            this._position++; // colon
+            this._skipWhitespace();
+            this._parseValue(childPointer);
+            this._skipComma();
+        }
+
+        this._position++;
+    }
+
+    /** @param {string} pointer */
+    _parseArray(pointer) {
+        this._position++;
+        this._skipWhitespace();
+
+        for (let index = 0; this._text[this._position] !== "]"; index++) {
+            this._parseValue(`${pointer}/${index}`);
+            this._skipComma();
+        }
+
+        this._position++;
+    }
+
+    /** @returns {string} the unescaped string */
+    _parseString() {
+        const start = this._position;
+        this._position++;
+
+        while (this._text[this._position] !== '"') {
+            this._position += this._text[this._position] === "\\" ? 2 : 1;
+        }
+
+        this._position++;
+        return JSON.parse(this._text.substring(start, this._position));
+    }
+
+    _skipComma() {
+        if (this._text[this._position] === ",") {
+            this._position++;
+            this._skipWhitespace();
+        }
+    }
+
+    _skipWhitespace() {
+        while (/\s/.test(this._text[this._position] || "")) {
+            this._position++;
+        }
+    }
+}
+
+/** @param {(string | number)[]} path */
+function toPointer(path) {
+    return path.map((segment) => `/${escapePointerSegment(String(segment))}`).join("");
+}
+
+/** @param {string} segment */
+function escapePointerSegment(segment) {
+    return segment.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+module.exports = JsonSourceMap;
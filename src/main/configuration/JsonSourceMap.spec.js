@@ -0,0 +1,30 @@
+const JsonSourceMap = require("./JsonSourceMap");
+
+const text = [
+    "{",
+    '    "a": [1, { "b\\"/": true }],',
+    '    "c": "text with } and ]",',
+    '    "d": { "e": null }',
+    "}",
+].join("\n");
+
+const sourceMap = new JsonSourceMap(text);
+
+describe("JsonSourceMap", () => {
+    it("locates properties at their key", () => {
+        expect(sourceMap.getLocation(["a"])).toEqual({ line: 2, column: 5 });
+        expect(sourceMap.getLocation(["a", 1, 'b"/'])).toEqual({ line: 2, column: 16 });
+        expect(sourceMap.getLocation(["d", "e"])).toEqual({ line: 4, column: 12 });
+    });
+
+    it("locates array items and the root at their value", () => {
+        expect(sourceMap.getLocation([])).toEqual({ line: 1, column: 1 });
+        expect(sourceMap.getLocation(["a", 0])).toEqual({ line: 2, column: 11 });
+        expect(sourceMap.getLocation(["a", 1])).toEqual({ line: 2, column: 14 });
+    });
+
+    it("returns undefined for unknown paths", () => {
+        expect(sourceMap.getLocation(["c", "x"])).toBeUndefined();
+        expect(sourceMap.getLocation(["whoops"])).toBeUndefined();
+    });
+});
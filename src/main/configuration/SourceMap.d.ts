@@ -0,0 +1,6 @@
+export interface SourceMap {
+    /**
+     * Returns 1-based line and column numbers, or undefined if the path doesn't exist
+     */
+    getLocation(path: (string | number)[]): { line: number; column: number } | undefined;
+}
@@ -0,0 +1,7 @@
+export interface ValidationIssue {
+    message: string;
+
+    // 1-based, only known if the validated data came from a file
+    line?: number;
+    column?: number;
+}
@@ -0,0 +1,70 @@
+/** @typedef { import("./SourceMap").SourceMap } SourceMap */
+
+const getTextLocation = require("./getTextLocation");
+
+const MAP_TYPES = ["MAP", "FLOW_MAP"];
+const SEQUENCE_TYPES = ["SEQ", "FLOW_SEQ"];
+
+/**
+ * Finds where values are located in a parsed YAML document, like JsonSourceMap does for JSON
+ * @implements {SourceMap}
+ */
+class YamlSourceMap {
+    /**
+     * @param {string} text
+     * @param {any} document from YAML.parseDocument
+     */
+    constructor(text, document) {
+        this._text = text;
+
+        /** @type {Map<string, number>} offset in the text, by JSON-encoded path */
+        this._offsets = new Map();
+
+        const root = document.contents;
+        this._addNode([], root, root && root.range ? root.range[0] : 0);
+    }
+
+    /**
+     * @param {(string | number)[]} path
+     * @returns {{ line: number, column: number }} 1-based, undefined if the path doesn't exist
+     */
+    getLocation(path) {
+        const offset = this._offsets.get(toKey(path));
+        return offset !== undefined ? getTextLocation(this._text, offset) : undefined;
+    }
+
+    /**
+     * @param {(string | number)[]} path
+     * @param {any} node
+     * @param {number} offset where the path should be located
+     */
+    _addNode(path, node, offset) {
+        this._offsets.set(toKey(path), offset);
+
+        if (!node) {
+            return;
+        }
+
+        if (MAP_TYPES.includes(node.type)) {
+            for (const pair of node.items) {
+                // merge keys and complex keys can't be located by path
+                if (pair.key && pair.key.range && pair.key.value !== undefined) {
+                    this._addNode([...path, String(pair.key.value)], pair.value, pair.key.range[0]);
+                }
+            }
+        } else if (SEQUENCE_TYPES.includes(node.type)) {
+            node.items.forEach((item, index) => {
+                if (item && item.range) {
+                    this._addNode([...path, index], item, item.range[0]);
+                }
+            });
+        }
+    }
+}
+
+/** @param {(string | number)[]} path */
+function toKey(path) {
+    return JSON.stringify(path.map(String));
+}
+
+module.exports = YamlSourceMap;
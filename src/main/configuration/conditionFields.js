@@ -0,0 +1,49 @@
+/** @typedef { "numeric" | "boolean" | "string" | "select" | "condition" | "conditionList" } ConditionFieldType */
+/** @typedef { { name: string, type: ConditionFieldType, options?: string[] } } ConditionField */
+
+const STATUSES = ["ok", "warning", "error"];
+const FOCUS_SESSION_PHASES = ["inactive", "work", "shortBreak", "longBreak"];
+
+// all properties of a Condition and NumericValueOperatorsCondition, used by the settings window
+// conditionFields.spec.js checks that these match the generated schema
+
+/** @type {ConditionField[]} */
+const conditionFields = [
+    { name: "dayOfWeek", type: "numeric" },
+    { name: "hours", type: "numeric" },
+    { name: "minutes", type: "numeric" },
+    { name: "seconds", type: "numeric" },
+    { name: "numberOverdue", type: "numeric" },
+    { name: "numberOverdueMarkedCurrent", type: "numeric" },
+    { name: "numberOverdueNotMarkedCurrent", type: "numeric" },
+    { name: "numberOverdueWithTime", type: "numeric" },
+    { name: "numberOverdueWithTimeMarkedCurrent", type: "numeric" },
+    { name: "numberOverdueWithTimeNotMarkedCurrent", type: "numeric" },
+    { name: "numberScheduledForToday", type: "numeric" },
+    { name: "numberScheduledForTodayMarkedCurrent", type: "numeric" },
+    { name: "numberScheduledForTodayNotMarkedCurrent", type: "numeric" },
+    { name: "numberMarkedCurrent", type: "numeric" },
+    { name: "secondsInCurrentStatus", type: "numeric" },
+    { name: "secondsSinceOkStatus", type: "numeric" },
+    { name: "currentTaskHasDate", type: "boolean" },
+    { name: "currentTaskHasTime", type: "boolean" },
+    { name: "currentTaskIsOverdue", type: "boolean" },
+    { name: "currentTaskIsScheduledForToday", type: "boolean" },
+    { name: "status", type: "select", options: STATUSES },
+    { name: "focusSessionPhase", type: "select", options: FOCUS_SESSION_PHASES },
+    { name: "focusSessionPaused", type: "boolean" },
+    { name: "focusSessionSecondsInPhase", type: "numeric" },
+    { name: "focusSessionSecondsRemaining", type: "numeric" },
+    { name: "focusSessionMinutesRemaining", type: "numeric" },
+    { name: "focusSessionCompletedWorkPhases", type: "numeric" },
+    { name: "activeProfile", type: "string" },
+    { name: "ref", type: "string" },
+    { name: "when", type: "string" },
+    { name: "not", type: "condition" },
+    { name: "or", type: "conditionList" },
+    { name: "and", type: "conditionList" },
+];
+
+const numericOperators = ["anyOf", "lessThan", "moreThan", "multipleOf", "fromUntil"];
+
+module.exports = { conditionFields, numericOperators };
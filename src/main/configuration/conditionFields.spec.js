@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+
+const { conditionFields, numericOperators } = require("./conditionFields");
+
+const schemaPath = path.join(__dirname, "../../../generated/advanced-config-schema.json");
+const { definitions } = JSON.parse(fs.readFileSync(schemaPath).toString("utf-8"));
+
+/** @param {any} propertySchema */
+function getExpectedField(propertySchema) {
+    const ref = propertySchema.$ref && propertySchema.$ref.replace("#/definitions/", "");
+
+    if (ref === "NumericValueCondition") {
+        return { type: "numeric" };
+    } else if (ref === "Condition") {
+        return { type: "condition" };
+    } else if (ref) {
+        return { type: "select", options: definitions[ref].enum };
+    } else if (propertySchema.type === "array") {
+        return { type: "conditionList" };
+    } else {
+        return { type: propertySchema.type };
+    }
+}
+
+describe("conditionFields", () => {
+    it("contains all condition properties with the right type", () => {
+        const conditionProperties = definitions.Condition.properties;
+
+        expect(conditionFields.map((field) => field.name).sort()).toEqual(
+            Object.keys(conditionProperties).sort()
+        );
+
+        for (const { name, ...field } of conditionFields) {
+            expect(field).toEqual(getExpectedField(conditionProperties[name]));
+        }
+    });
+
+    it("contains all numeric operators", () => {
+        const operatorProperties = definitions.NumericValueOperatorsCondition.properties;
+        expect([...numericOperators].sort()).toEqual(Object.keys(operatorProperties).sort());
+    });
+});
@@ -0,0 +1,99 @@
+/** @typedef { (string | number)[] } DataPath */
+/** @typedef { { condition: any, dataPath: DataPath } } ConditionLocation */
+
+// these work on unvalidated data too, anything that can't be a condition is skipped
+
+const CONDITION_LIST_OPTIONS = ["naggingConditions", "blinkingConditions", "downtimeConditions"];
+const RULE_LIST_OPTIONS = ["customStateRules", "notificationConditions", "soundConditions"];
+
+/**
+ * Finds the conditions in an advanced configuration that aren't part of other conditions
+ * @param {any} data
+ * @returns {ConditionLocation[]}
+ */
+function getConditions(data) {
+    /** @type {ConditionLocation[]} */
+    const conditions = [];
+
+    const profiles = isObject(data.profiles) ? data.profiles : {};
+
+    /** @type {[DataPath, any][]} */
+    const optionsEntries = [
+        [[], data],
+        ...Object.keys(profiles).map(
+            (name) => /** @type {[DataPath, any]} */ ([["profiles", name], profiles[name]])
+        ),
+    ];
+
+    for (const [optionsDataPath, options] of optionsEntries) {
+        if (!isObject(options)) {
+            continue;
+        }
+
+        if (optionsDataPath.length > 0) {
+            conditions.push({
+                condition: options.activateWhen,
+                dataPath: [...optionsDataPath, "activateWhen"],
+            });
+        }
+
+        for (const name of CONDITION_LIST_OPTIONS) {
+            toArray(options[name]).forEach((condition, index) => {
+                conditions.push({ condition, dataPath: [...optionsDataPath, name, index] });
+            });
+        }
+
+        for (const name of RULE_LIST_OPTIONS) {
+            toArray(options[name]).forEach((rule, index) => {
+                conditions.push({
+                    condition: isObject(rule) ? rule.condition : undefined,
+                    dataPath: [...optionsDataPath, name, index, "condition"],
+                });
+            });
+        }
+    }
+
+    if (isObject(data.namedConditions)) {
+        for (const [name, condition] of Object.entries(data.namedConditions)) {
+            conditions.push({ condition, dataPath: ["namedConditions", name] });
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * @param {any} condition
+ * @param {DataPath} dataPath
+ * @returns {ConditionLocation[]} the condition and the ones in its 'not', 'or' and 'and'
+ */
+function getNestedConditions(condition, dataPath) {
+    if (!isObject(condition)) {
+        return [];
+    }
+
+    const conditions = [
+        { condition, dataPath },
+        ...getNestedConditions(condition.not, [...dataPath, "not"]),
+    ];
+
+    for (const key of ["or", "and"]) {
+        toArray(condition[key]).forEach((item, index) => {
+            conditions.push(...getNestedConditions(item, [...dataPath, key, index]));
+        });
+    }
+
+    return conditions;
+}
+
+/** @param {any} value */
+function toArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/** @param {any} value */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+module.exports = { getConditions, getNestedConditions };
@@ -0,0 +1,17 @@
+/** @typedef { import("./ValidationIssue").ValidationIssue } ValidationIssue */
+
+/**
+ * One line per issue, starting with its location if known
+ * @param {ValidationIssue[]} issues
+ */
+function formatValidationIssues(issues) {
+    return issues
+        .map((issue) =>
+            issue.line === undefined
+                ? issue.message
+                : `Line ${issue.line}, column ${issue.column}: ${issue.message}`
+        )
+        .join("\n");
+}
+
+module.exports = formatValidationIssues;
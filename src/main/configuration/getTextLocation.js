@@ -0,0 +1,11 @@
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ line: number, column: number }} 1-based
+ */
+function getTextLocation(text, offset) {
+    const lines = text.substring(0, offset).split("\n");
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+module.exports = getTextLocation;
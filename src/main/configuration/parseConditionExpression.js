@@ -0,0 +1,218 @@
+/** @typedef { import("./ConditionExpression").ConditionExpression } ConditionExpression */
+/** @typedef { import("./ConditionExpression").UnaryOperator } UnaryOperator */
+/** @typedef { import("./ConditionExpression").BinaryOperator } BinaryOperator */
+/** @typedef { { type: "literal" | "field" | "operator" | "end", text: string, value?: any, index: number } } Token */
+
+const snapshotFields = require("../calculated-state/snapshotFields");
+
+// from the lowest to the highest precedence, like in JavaScript
+const BINARY_OPERATOR_LEVELS = [
+    ["||"],
+    ["&&"],
+    ["==", "!="],
+    ["<", "<=", ">", ">="],
+    ["+", "-"],
+    ["*", "/", "%"],
+];
+
+const UNARY_OPERATORS = ["!", "-"];
+
+// longer operators first, so "<=" isn't read as "<" followed by "="
+const OPERATORS = ["||", "&&", "==", "!=", "<=", ">=", "<", ">", "+", "-", "*", "/", "%", "!"];
+const PARENTHESES = ["(", ")"];
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?/;
+const STRING_PATTERN = /^("(\\.|[^"\\])*"|'(\\.|[^'\\])*')/;
+const NAME_PATTERN = /^[A-Za-z_]\w*/;
+
+/**
+ * Parses an expression like "hours >= 9 && hours < 17 && numberMarkedCurrent != 1", which can
+ * use the properties of the calculated state, numbers, strings, true and false
+ * Throws an error with the position (1-based) of the problem if the expression is invalid
+ * @param {string} text
+ * @returns {ConditionExpression}
+ */
+function parseConditionExpression(text) {
+    return new ExpressionParser(tokenize(text)).parse();
+}
+
+class ExpressionParser {
+    /** @param {Token[]} tokens ending with an "end" token */
+    constructor(tokens) {
+        this._tokens = tokens;
+        this._position = 0;
+    }
+
+    parse() {
+        const expression = this._parseBinary(0);
+        const token = this._next();
+
+        if (token.type !== "end") {
+            throw createUnexpectedTokenError(token);
+        }
+
+        return expression;
+    }
+
+    /**
+     * Operators on the same level are evaluated from left to right
+     * @param {number} level index in BINARY_OPERATOR_LEVELS
+     * @returns {ConditionExpression}
+     */
+    _parseBinary(level) {
+        if (level === BINARY_OPERATOR_LEVELS.length) {
+            return this._parseUnary();
+        }
+
+        let expression = this._parseBinary(level + 1);
+
+        while (this._isOperator(this._peek(), BINARY_OPERATOR_LEVELS[level])) {
+            const operator = /** @type {BinaryOperator} */ (this._next().text);
+            const right = this._parseBinary(level + 1);
+            expression = { type: "binary", operator, left: expression, right };
+        }
+
+        return expression;
+    }
+
+    /** @returns {ConditionExpression} */
+    _parseUnary() {
+        if (this._isOperator(this._peek(), UNARY_OPERATORS)) {
+            const operator = /** @type {UnaryOperator} */ (this._next().text);
+            return { type: "unary", operator, operand: this._parseUnary() };
+        }
+
+        return this._parsePrimary();
+    }
+
+    /** @returns {ConditionExpression} */
+    _parsePrimary() {
+        const token = this._next();
+
+        if (token.type === "literal") {
+            return { type: "literal", value: token.value };
+        } else if (token.type === "field") {
+            return { type: "field", name: token.text };
+        } else if (this._isOperator(token, ["("])) {
+            const expression = this._parseBinary(0);
+            const closingToken = this._next();
+
+            if (!this._isOperator(closingToken, [")"])) {
+                throw createError("Expected ')'", closingToken.index);
+            }
+
+            return expression;
+        } else {
+            throw createUnexpectedTokenError(token);
+        }
+    }
+
+    _peek() {
+        return this._tokens[this._position];
+    }
+
+    _next() {
+        const token = this._tokens[this._position];
+
+        // the "end" token is returned again if there's an attempt to read past it
+        if (token.type !== "end") {
+            this._position++;
+        }
+
+        return token;
+    }
+
+    /**
+     * @param {Token} token
+     * @param {string[]} operators
+     */
+    _isOperator(token, operators) {
+        return token.type === "operator" && operators.includes(token.text);
+    }
+}
+
+/**
+ * @param {string} text
+ * @returns {Token[]}
+ */
+function tokenize(text) {
+    /** @type {Token[]} */
+    const tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.substring(index);
+        const whitespaceMatch = /^\s+/.exec(rest);
+        const numberMatch = NUMBER_PATTERN.exec(rest);
+        const stringMatch = STRING_PATTERN.exec(rest);
+        const nameMatch = NAME_PATTERN.exec(rest);
+        const operator = [...OPERATORS, ...PARENTHESES].find((item) => rest.indexOf(item) === 0);
+
+        if (whitespaceMatch) {
+            index += whitespaceMatch[0].length;
+            continue;
+        }
+
+        /** @type {Token} */
+        let token;
+
+        if (numberMatch) {
+            token = { type: "literal", text: numberMatch[0], value: Number(numberMatch[0]), index };
+        } else if (stringMatch) {
+            const value = stringMatch[0].slice(1, -1).replace(/\\(.)/g, "$1");
+            token = { type: "literal", text: stringMatch[0], value, index };
+        } else if (nameMatch) {
+            token = createNameToken(nameMatch[0], index);
+        } else if (operator) {
+            token = { type: "operator", text: operator, index };
+        } else if (rest[0] === '"' || rest[0] === "'") {
+            throw createError("Unterminated string", index);
+        } else if (rest[0] === "=") {
+            throw createError("Unexpected '=', use '==' to compare values", index);
+        } else {
+            throw createError(`Unexpected character '${rest[0]}'`, index);
+        }
+
+        tokens.push(token);
+        index += token.text.length;
+    }
+
+    tokens.push({ type: "end", text: "", index });
+    return tokens;
+}
+
+/**
+ * @param {string} name
+ * @param {number} index
+ * @returns {Token}
+ */
+function createNameToken(name, index) {
+    if (name === "true" || name === "false") {
+        return { type: "literal", text: name, value: name === "true", index };
+    }
+
+    if (!snapshotFields.includes(name)) {
+        throw createError(`Unknown property '${name}'`, index);
+    }
+
+    return { type: "field", text: name, index };
+}
+
+/** @param {Token} token */
+function createUnexpectedTokenError(token) {
+    if (token.type === "end") {
+        return createError("Unexpected end of expression", token.index);
+    }
+
+    return createError(`Unexpected '${token.text}'`, token.index);
+}
+
+/**
+ * @param {string} message
+ * @param {number} index 0-based
+ */
+function createError(message, index) {
+    return new Error(`${message} at position ${index + 1}`);
+}
+
+module.exports = parseConditionExpression;
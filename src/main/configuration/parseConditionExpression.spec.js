@@ -0,0 +1,88 @@
+const parseConditionExpression = require("./parseConditionExpression");
+
+describe("parseConditionExpression", () => {
+    it("parses operators with the same precedence as JavaScript", () => {
+        expect(parseConditionExpression("!currentTaskHasDate || hours % 2 == 1 && -1 < 0")).toEqual(
+            {
+                type: "binary",
+                operator: "||",
+                left: {
+                    type: "unary",
+                    operator: "!",
+                    operand: { type: "field", name: "currentTaskHasDate" },
+                },
+                right: {
+                    type: "binary",
+                    operator: "&&",
+                    left: {
+                        type: "binary",
+                        operator: "==",
+                        left: {
+                            type: "binary",
+                            operator: "%",
+                            left: { type: "field", name: "hours" },
+                            right: { type: "literal", value: 2 },
+                        },
+                        right: { type: "literal", value: 1 },
+                    },
+                    right: {
+                        type: "binary",
+                        operator: "<",
+                        left: {
+                            type: "unary",
+                            operator: "-",
+                            operand: { type: "literal", value: 1 },
+                        },
+                        right: { type: "literal", value: 0 },
+                    },
+                },
+            }
+        );
+    });
+
+    it("parses parentheses, strings and booleans", () => {
+        expect(parseConditionExpression("(status == 'it\\'s') != true")).toEqual({
+            type: "binary",
+            operator: "!=",
+            left: {
+                type: "binary",
+                operator: "==",
+                left: { type: "field", name: "status" },
+                right: { type: "literal", value: "it's" },
+            },
+            right: { type: "literal", value: true },
+        });
+    });
+
+    it("evaluates operators on the same level from left to right", () => {
+        expect(parseConditionExpression("10 - 4 - 3")).toEqual({
+            type: "binary",
+            operator: "-",
+            left: {
+                type: "binary",
+                operator: "-",
+                left: { type: "literal", value: 10 },
+                right: { type: "literal", value: 4 },
+            },
+            right: { type: "literal", value: 3 },
+        });
+    });
+
+    it("fails with the position of the problem for invalid expressions", () => {
+        /** @type {[string, string][]} */
+        const expressionsWithErrors = [
+            ["hours >= 9 && hour < 17", "Unknown property 'hour' at position 15"],
+            ["hours = 9", "Unexpected '=', use '==' to compare values at position 7"],
+            ["hours >= 9 &&", "Unexpected end of expression at position 14"],
+            ["(hours >= 9", "Expected ')' at position 12"],
+            ["hours 9", "Unexpected '9' at position 7"],
+            ["status == 'ok", "Unterminated string at position 11"],
+            ["hours # 2", "Unexpected character '#' at position 7"],
+            ["", "Unexpected end of expression at position 1"],
+        ];
+
+        for (const [expression, error] of expressionsWithErrors) {
+            expect(() => parseConditionExpression(expression)).toThrow(error);
+        }
+    });
+});
@@ -0,0 +1,12 @@
+import { CalculatedStateSnapshot } from "../calculated-state/CalculatedStateSnapshot";
+
+// methods can throw errors with a user-facing message if the action is not possible right now
+export interface ControlApiBackend {
+    getCalculatedStateSnapshot: () => CalculatedStateSnapshot;
+    setManualCurrentTaskTitle: (title: string) => void;
+    removeManualCurrentTask: () => void;
+    clearCurrent: () => void;
+    disableForMinutesWithReason: (minutes: number, reason?: string) => void;
+    enable: () => void;
+    reloadAdvancedConfiguration: () => void;
+}
@@ -0,0 +1,337 @@
+/** @typedef { import("http").IncomingMessage } IncomingMessage */
+/** @typedef { import("http").ServerResponse } ServerResponse */
+
+/** @typedef { import("../calculated-state/CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+/** @typedef { import("../configuration/AdvancedConfiguration").ControlApiConfiguration } ControlApiConfiguration */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./ControlApiBackend").ControlApiBackend } ControlApiBackend */
+
+const crypto = require("crypto");
+const http = require("http");
+
+const DEFAULT_PORT = 41990;
+const HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 64 * 1024;
+const EVENT_STREAM_KEEPALIVE_INTERVAL = 30 * 1000;
+
+class ControlApiServer {
+    /**
+     * @param {ControlApiBackend} backend
+     * @param {Logger} logger
+     */
+    constructor(backend, logger) {
+        this._backend = backend;
+        this._logger = logger;
+
+        /** @type {ControlApiConfiguration} */
+        this._configuration = undefined;
+
+        /** @type {http.Server} */
+        this._server = undefined;
+
+        /** @type {ServerResponse[]} */
+        this._eventStreamClients = [];
+
+        this._lastPublishedSnapshotJson = undefined;
+        this._keepaliveIntervalId = undefined;
+    }
+
+    /**
+     * Starts, restarts or stops the server depending on what changed
+     * @param {ControlApiConfiguration} [configuration] undefined if the control API is disabled
+     */
+    async updateConfiguration(configuration) {
+        if (JSON.stringify(configuration) === JSON.stringify(this._configuration)) {
+            return;
+        }
+
+        await this.stop();
+        this._configuration = configuration;
+
+        if (configuration) {
+            try {
+                await this._start();
+            } catch (error) {
+                // so the same configuration is tried again, for example once the port is free
+                this._configuration = undefined;
+                throw error;
+            }
+        }
+    }
+
+    async _start() {
+        const port =
+            this._configuration.port !== undefined ? this._configuration.port : DEFAULT_PORT;
+        const server = http.createServer((request, response) => {
+            this._handleRequest(request, response);
+        });
+
+        await new Promise((resolve, reject) => {
+            server.once("error", reject);
+
+            server.listen(port, HOST, () => {
+                server.off("error", reject);
+                resolve();
+            });
+        });
+
+        this._server = server;
+
+        this._keepaliveIntervalId = setInterval(() => {
+            this._writeToEventStreamClients(": keepalive\n\n");
+        }, EVENT_STREAM_KEEPALIVE_INTERVAL);
+
+        this._logger.info(`Control API listening on http://${HOST}:${this.getPort()}`);
+    }
+
+    /** @returns {number} undefined if the server is not running */
+    getPort() {
+        if (!this._server) {
+            return undefined;
+        }
+
+        const address = this._server.address();
+        return typeof address === "object" ? address.port : undefined;
+    }
+
+    async stop() {
+        if (!this._server) {
+            return;
+        }
+
+        const server = this._server;
+        this._server = undefined;
+        clearInterval(this._keepaliveIntervalId);
+
+        for (const client of this._eventStreamClients) {
+            client.end();
+        }
+
+        this._eventStreamClients = [];
+        this._lastPublishedSnapshotJson = undefined;
+
+        await new Promise((resolve) => server.close(resolve));
+        this._logger.info("Stopped control API");
+    }
+
+    /**
+     * Sends the snapshot to all event stream clients if it changed since the last call
+     * @param {CalculatedStateSnapshot} snapshot
+     */
+    publishSnapshot(snapshot) {
+        if (this._eventStreamClients.length === 0) {
+            return;
+        }
+
+        const snapshotJson = JSON.stringify(snapshot);
+
+        if (snapshotJson !== this._lastPublishedSnapshotJson) {
+            this._lastPublishedSnapshotJson = snapshotJson;
+            this._writeToEventStreamClients(this._toStateEvent(snapshotJson));
+        }
+    }
+
+    /**
+     * @param {IncomingMessage} request
+     * @param {ServerResponse} response
+     */
+    async _handleRequest(request, response) {
+        try {
+            if (!this._isAuthorized(request)) {
+                throw createHttpError(401, "Missing or invalid token");
+            }
+
+            const { pathname } = new URL(request.url, `http://${HOST}`);
+            const route = `${request.method} ${pathname}`;
+
+            if (route === "GET /state") {
+                this._sendJson(response, 200, this._backend.getCalculatedStateSnapshot());
+            } else if (route === "GET /events") {
+                this._addEventStreamClient(request, response);
+            } else if (route === "PUT /manual-task") {
+                const { title } = await this._readJsonBody(request);
+
+                if (typeof title !== "string" || title.trim() === "") {
+                    throw createHttpError(400, "Expected a non-empty string property 'title'");
+                }
+
+                this._callBackend(() => this._backend.setManualCurrentTaskTitle(title.trim()));
+                this._sendNoContent(response);
+            } else if (route === "DELETE /manual-task") {
+                this._callBackend(() => this._backend.removeManualCurrentTask());
+                this._sendNoContent(response);
+            } else if (route === "POST /clear-current") {
+                this._callBackend(() => this._backend.clearCurrent());
+                this._sendNoContent(response);
+            } else if (route === "POST /disable") {
+                const { minutes, reason } = await this._readJsonBody(request);
+
+                if (!Number.isInteger(minutes) || minutes < 1) {
+                    throw createHttpError(400, "Expected a positive integer property 'minutes'");
+                }
+
+                if (reason !== undefined && typeof reason !== "string") {
+                    throw createHttpError(400, "Expected property 'reason' to be a string");
+                }
+
+                this._callBackend(() => this._backend.disableForMinutesWithReason(minutes, reason));
+                this._sendNoContent(response);
+            } else if (route === "POST /enable") {
+                this._callBackend(() => this._backend.enable());
+                this._sendNoContent(response);
+            } else if (route === "POST /reload-advanced-config") {
+                this._callBackend(() => this._backend.reloadAdvancedConfiguration());
+                this._sendNoContent(response);
+            } else {
+                throw createHttpError(404, "Not found");
+            }
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+
+            if (statusCode === 500) {
+                this._logger.error(`Control API error: ${error.message}`);
+            }
+
+            if (!response.headersSent) {
+                this._sendJson(response, statusCode, { error: error.message });
+            }
+        }
+    }
+
+    /** @param {IncomingMessage} request */
+    _isAuthorized(request) {
+        const authorization = request.headers.authorization || "";
+        const match = /^Bearer (.+)$/.exec(authorization);
+
+        if (!match) {
+            return false;
+        }
+
+        // hashing first means both buffers have the same length, as required by timingSafeEqual
+        const expected = crypto.createHash("sha256").update(this._configuration.token).digest();
+        const actual = crypto.createHash("sha256").update(match[1]).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Turns errors from the backend (like trying to set a task outside of manual mode) into
+     * client errors, because they are caused by the request not fitting the current state
+     * @param {() => void} operation
+     */
+    _callBackend(operation) {
+        try {
+            operation();
+        } catch (error) {
+            throw createHttpError(409, error.message);
+        }
+    }
+
+    /**
+     * @param {IncomingMessage} request
+     * @returns {Promise<any>}
+     */
+    _readJsonBody(request) {
+        return new Promise((resolve, reject) => {
+            /** @type {Buffer[]} */
+            const chunks = [];
+            let length = 0;
+
+            request.on("data", (chunk) => {
+                length += chunk.length;
+
+                if (length > MAX_BODY_BYTES) {
+                    // the rest of the body is ignored, the promise is already rejected by then
+                    reject(createHttpError(413, "Request body is too large"));
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+
+            request.on("end", () => {
+                const body = Buffer.concat(chunks).toString("utf-8");
+
+                if (body.trim() === "") {
+                    resolve({});
+                    return;
+                }
+
+                try {
+                    const parsed = JSON.parse(body);
+
+                    if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+                        reject(createHttpError(400, "Expected a JSON object as request body"));
+                    } else {
+                        resolve(parsed);
+                    }
+                } catch (error) {
+                    reject(createHttpError(400, `Invalid JSON: ${error.message}`));
+                }
+            });
+
+            request.on("error", reject);
+        });
+    }
+
+    /**
+     * @param {IncomingMessage} request
+     * @param {ServerResponse} response
+     */
+    _addEventStreamClient(request, response) {
+        response.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+        });
+
+        const snapshotJson = JSON.stringify(this._backend.getCalculatedStateSnapshot());
+        response.write(this._toStateEvent(snapshotJson));
+        this._eventStreamClients.push(response);
+
+        request.on("close", () => {
+            this._eventStreamClients = this._eventStreamClients.filter(
+                (client) => client !== response
+            );
+        });
+    }
+
+    /** @param {string} snapshotJson */
+    _toStateEvent(snapshotJson) {
+        return `event: state\ndata: ${snapshotJson}\n\n`;
+    }
+
+    /** @param {string} data */
+    _writeToEventStreamClients(data) {
+        for (const client of this._eventStreamClients) {
+            client.write(data);
+        }
+    }
+
+    /**
+     * @param {ServerResponse} response
+     * @param {number} statusCode
+     * @param {any} data
+     */
+    _sendJson(response, statusCode, data) {
+        response.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+        response.end(JSON.stringify(data));
+    }
+
+    /** @param {ServerResponse} response */
+    _sendNoContent(response) {
+        response.writeHead(204);
+        response.end();
+    }
+}
+
+/**
+ * @param {number} statusCode
+ * @param {string} message
+ */
+function createHttpError(statusCode, message) {
+    /** @type {Error & { statusCode?: number }} */
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = ControlApiServer;
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+const http = require("http");
+
+const Logger = require("../Logger");
+
+const ControlApiServer = require("./ControlApiServer");
+
+jest.mock("../Logger");
+
+const TOKEN = "0123456789abcdef";
+
+/** @type {any} */
+let backend;
+
+/** @type {ControlApiServer} */
+let server;
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {{ token?: string, body?: string }} [options]
+ * @returns {Promise<{ statusCode: number, body: string }>}
+ */
+function sendRequest(method, path, { token = TOKEN, body = undefined } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = http.request(
+            {
+                host: "127.0.0.1",
+                port: server.getPort(),
+                method,
+                path,
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+            },
+            (response) => {
+                let responseBody = "";
+                response.setEncoding("utf-8");
+                response.on("data", (chunk) => (responseBody += chunk));
+                response.on("end", () => {
+                    resolve({ statusCode: response.statusCode, body: responseBody });
+                });
+            }
+        );
+
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+beforeEach(async () => {
+    backend = {
+        getCalculatedStateSnapshot: jest.fn().mockReturnValue({ status: "ok", message: "Hi" }),
+        setManualCurrentTaskTitle: jest.fn(),
+        removeManualCurrentTask: jest.fn(),
+        clearCurrent: jest.fn(),
+        disableForMinutesWithReason: jest.fn(),
+        enable: jest.fn(),
+        reloadAdvancedConfiguration: jest.fn(),
+    };
+
+    server = new ControlApiServer(backend, new Logger());
+    await server.updateConfiguration({ port: 0, token: TOKEN });
+});
+
+afterEach(async () => {
+    await server.stop();
+});
+
+describe("ControlApiServer", () => {
+    it("rejects requests without a valid token", async () => {
+        expect((await sendRequest("GET", "/state", { token: "" })).statusCode).toBe(401);
+        expect((await sendRequest("GET", "/state", { token: "wrong" })).statusCode).toBe(401);
+        expect(backend.getCalculatedStateSnapshot).not.toHaveBeenCalled();
+    });
+
+    it("returns the calculated state snapshot", async () => {
+        const response = await sendRequest("GET", "/state");
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body)).toEqual({ status: "ok", message: "Hi" });
+    });
+
+    it("sets the manual task", async () => {
+        const response = await sendRequest("PUT", "/manual-task", {
+            body: JSON.stringify({ title: " Write report " }),
+        });
+
+        expect(response.statusCode).toBe(204);
+        expect(backend.setManualCurrentTaskTitle).toHaveBeenCalledWith("Write report");
+    });
+
+    it("rejects invalid request bodies", async () => {
+        const invalidJson = await sendRequest("PUT", "/manual-task", { body: "{" });
+        expect(invalidJson.statusCode).toBe(400);
+
+        const missingTitle = await sendRequest("PUT", "/manual-task", { body: "{}" });
+        expect(missingTitle.statusCode).toBe(400);
+        expect(JSON.parse(missingTitle.body).error).toMatch("title");
+
+        const invalidMinutes = await sendRequest("POST", "/disable", {
+            body: JSON.stringify({ minutes: 0 }),
+        });
+
+        expect(invalidMinutes.statusCode).toBe(400);
+        expect(backend.setManualCurrentTaskTitle).not.toHaveBeenCalled();
+        expect(backend.disableForMinutesWithReason).not.toHaveBeenCalled();
+    });
+
+    it("calls the backend for actions", async () => {
+        const disable = { body: JSON.stringify({ minutes: 30, reason: "Lunch" }) };
+        expect((await sendRequest("DELETE", "/manual-task")).statusCode).toBe(204);
+        expect((await sendRequest("POST", "/clear-current")).statusCode).toBe(204);
+        expect((await sendRequest("POST", "/disable", disable)).statusCode).toBe(204);
+        expect((await sendRequest("POST", "/enable")).statusCode).toBe(204);
+        expect((await sendRequest("POST", "/reload-advanced-config")).statusCode).toBe(204);
+
+        expect(backend.removeManualCurrentTask).toHaveBeenCalled();
+        expect(backend.clearCurrent).toHaveBeenCalled();
+        expect(backend.disableForMinutesWithReason).toHaveBeenCalledWith(30, "Lunch");
+        expect(backend.enable).toHaveBeenCalled();
+        expect(backend.reloadAdvancedConfiguration).toHaveBeenCalled();
+    });
+
+    it("returns backend errors as conflicts", async () => {
+        backend.reloadAdvancedConfiguration.mockImplementation(() => {
+            throw new Error("Invalid advanced configuration");
+        });
+
+        const response = await sendRequest("POST", "/reload-advanced-config");
+        expect(response.statusCode).toBe(409);
+        expect(JSON.parse(response.body)).toEqual({ error: "Invalid advanced configuration" });
+    });
+
+    it("returns not found for unknown routes", async () => {
+        expect((await sendRequest("GET", "/unknown")).statusCode).toBe(404);
+        expect((await sendRequest("POST", "/state")).statusCode).toBe(404);
+    });
+
+    it("streams changed snapshots as server-sent events", async () => {
+        /** @type {string[]} */
+        const receivedEvents = [];
+        let resolveReceived;
+        const received = new Promise((resolve) => (resolveReceived = resolve));
+
+        const request = http.get(
+            {
+                host: "127.0.0.1",
+                port: server.getPort(),
+                path: "/events",
+                headers: { Authorization: `Bearer ${TOKEN}` },
+            },
+            (response) => {
+                expect(response.headers["content-type"]).toBe("text/event-stream");
+                response.setEncoding("utf-8");
+
+                response.on("data", (chunk) => {
+                    receivedEvents.push(...chunk.split("\n\n").filter(Boolean));
+
+                    if (receivedEvents.length === 1) {
+                        server.publishSnapshot(/** @type {any} */ ({ status: "warning" }));
+                        server.publishSnapshot(/** @type {any} */ ({ status: "warning" }));
+                        server.publishSnapshot(/** @type {any} */ ({ status: "error" }));
+                    } else if (receivedEvents.length === 3) {
+                        resolveReceived();
+                    }
+                });
+            }
+        );
+
+        await received;
+        request.destroy();
+
+        expect(receivedEvents).toEqual([
+            'event: state\ndata: {"status":"ok","message":"Hi"}',
+            'event: state\ndata: {"status":"warning"}',
+            'event: state\ndata: {"status":"error"}',
+        ]);
+    });
+
+    it("stops when the configuration is removed", async () => {
+        await server.updateConfiguration(undefined);
+        expect(server.getPort()).toBeUndefined();
+    });
+
+    it("tries to start again with the same configuration after failing to start", async () => {
+        const port = server.getPort();
+        const otherServer = new ControlApiServer(backend, new Logger());
+
+        try {
+            await expect(otherServer.updateConfiguration({ port, token: TOKEN })).rejects.toThrow(
+                "EADDRINUSE"
+            );
+
+            await server.stop();
+            await otherServer.updateConfiguration({ port, token: TOKEN });
+            expect(otherServer.getPort()).toBe(port);
+        } finally {
+            await otherServer.stop();
+        }
+    });
+});
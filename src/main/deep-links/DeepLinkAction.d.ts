@@ -0,0 +1,7 @@
+export type DeepLinkAction =
+    | { type: "set"; title: string }
+    | { type: "clear" }
+    | { type: "disable"; minutes: number; reason?: string }
+    | { type: "enable" }
+    | { type: "configure" }
+    | { type: "close" };
@@ -0,0 +1,10 @@
+// methods can throw errors with a user-facing message if the action is not possible right now
+export interface DeepLinkBackend {
+    setManualCurrentTaskTitle: (title: string) => void;
+    clearCurrent: () => void;
+    disableForMinutesWithReason: (minutes: number, reason?: string) => void;
+    enable: () => void;
+    configureIntegration: () => void;
+    isClosingAllowed: () => boolean;
+    close: () => void;
+}
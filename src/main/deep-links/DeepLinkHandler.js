@@ -0,0 +1,40 @@
+/** @typedef { import("./DeepLinkBackend").DeepLinkBackend } DeepLinkBackend */
+
+const DeepLinkParser = require("./DeepLinkParser");
+
+class DeepLinkHandler {
+    /** @param {DeepLinkBackend} backend */
+    constructor(backend) {
+        this._backend = backend;
+        this._parser = new DeepLinkParser();
+    }
+
+    /**
+     * Throws an error with a user-facing message if the link is invalid or the action not allowed
+     * @param {string} link
+     */
+    handle(link) {
+        const action = this._parser.parse(link);
+
+        if (action.type === "set") {
+            this._backend.setManualCurrentTaskTitle(action.title);
+        } else if (action.type === "clear") {
+            this._backend.clearCurrent();
+        } else if (action.type === "disable") {
+            // the backend enforces requireReasonForDisabling
+            this._backend.disableForMinutesWithReason(action.minutes, action.reason);
+        } else if (action.type === "enable") {
+            this._backend.enable();
+        } else if (action.type === "configure") {
+            this._backend.configureIntegration();
+        } else if (action.type === "close") {
+            if (!this._backend.isClosingAllowed()) {
+                throw new Error("Closing the app is not allowed by the advanced configuration");
+            }
+
+            this._backend.close();
+        }
+    }
+}
+
+module.exports = DeepLinkHandler;
@@ -0,0 +1,59 @@
+const DeepLinkHandler = require("./DeepLinkHandler");
+
+/** @type {any} */
+let backend;
+
+/** @type {DeepLinkHandler} */
+let handler;
+
+beforeEach(() => {
+    backend = {
+        setManualCurrentTaskTitle: jest.fn(),
+        clearCurrent: jest.fn(),
+        disableForMinutesWithReason: jest.fn(),
+        enable: jest.fn(),
+        configureIntegration: jest.fn(),
+        isClosingAllowed: jest.fn().mockReturnValue(true),
+        close: jest.fn(),
+    };
+
+    handler = new DeepLinkHandler(backend);
+});
+
+describe("DeepLinkHandler", () => {
+    it("calls the backend for each action", () => {
+        handler.handle("current-task://set?title=Write%20report");
+        handler.handle("current-task://clear");
+        handler.handle("current-task://disable?minutes=15&reason=lunch");
+        handler.handle("current-task://enable");
+        handler.handle("current-task://configure");
+        handler.handle("current-task://close");
+
+        expect(backend.setManualCurrentTaskTitle).toHaveBeenCalledWith("Write report");
+        expect(backend.clearCurrent).toHaveBeenCalled();
+        expect(backend.disableForMinutesWithReason).toHaveBeenCalledWith(15, "lunch");
+        expect(backend.enable).toHaveBeenCalled();
+        expect(backend.configureIntegration).toHaveBeenCalled();
+        expect(backend.close).toHaveBeenCalled();
+    });
+
+    it("doesn't close the app if closing is not allowed", () => {
+        backend.isClosingAllowed.mockReturnValue(false);
+
+        expect(() => handler.handle("current-task://close")).toThrow(
+            "Closing the app is not allowed by the advanced configuration"
+        );
+
+        expect(backend.close).not.toHaveBeenCalled();
+    });
+
+    it("passes on errors from the backend", () => {
+        backend.disableForMinutesWithReason.mockImplementation(() => {
+            throw new Error("A reason is required for disabling the app");
+        });
+
+        expect(() => handler.handle("current-task://disable?minutes=15")).toThrow(
+            "A reason is required for disabling the app"
+        );
+    });
+});
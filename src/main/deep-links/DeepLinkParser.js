@@ -0,0 +1,83 @@
+/** @typedef { import("./DeepLinkAction").DeepLinkAction } DeepLinkAction */
+
+const PROTOCOL = "current-task";
+
+const ALLOWED_PARAMETERS = {
+    set: ["title"],
+    clear: [],
+    disable: ["minutes", "reason"],
+    enable: [],
+    configure: [],
+    close: [],
+};
+
+class DeepLinkParser {
+    getProtocol() {
+        return PROTOCOL;
+    }
+
+    /**
+     * @param {string[]} args command line arguments, which contain the link on Windows and Linux
+     * @returns {string} undefined if there is no deep link
+     */
+    findDeepLink(args) {
+        return args.find((arg) => arg.toLowerCase().startsWith(`${PROTOCOL}:`));
+    }
+
+    /**
+     * @param {string} link for example current-task://disable?minutes=15&reason=lunch
+     * @returns {DeepLinkAction}
+     */
+    parse(link) {
+        /** @type {URL} */
+        let url;
+
+        try {
+            url = new URL(link);
+        } catch (_error) {
+            throw new Error(`Invalid link: ${link}`);
+        }
+
+        if (url.protocol !== `${PROTOCOL}:`) {
+            throw new Error(`Invalid link: ${link}`);
+        }
+
+        // current-task://set has "set" as host, current-task:set has it as path
+        // some browsers and operating systems also add a trailing slash
+        const name = `${url.hostname}${url.pathname}`.replace(/^\/+|\/+$/g, "").toLowerCase();
+
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_PARAMETERS, name)) {
+            throw new Error(`Unknown link action: ${name}`);
+        }
+
+        url.searchParams.forEach((_value, parameterName) => {
+            if (!ALLOWED_PARAMETERS[name].includes(parameterName)) {
+                throw new Error(`Unexpected parameter for ${name}: ${parameterName}`);
+            }
+        });
+
+        if (name === "set") {
+            const title = (url.searchParams.get("title") || "").trim();
+
+            if (!title) {
+                throw new Error("Missing task title");
+            }
+
+            return { type: "set", title };
+        } else if (name === "disable") {
+            const minutesString = url.searchParams.get("minutes") || "";
+            const minutes = Number(minutesString);
+
+            if (!/^\d+$/.test(minutesString) || minutes < 1) {
+                throw new Error("The number of minutes should be a positive whole number");
+            }
+
+            const reason = (url.searchParams.get("reason") || "").trim();
+            return { type: "disable", minutes, reason: reason || undefined };
+        } else {
+            return { type: /** @type {"clear" | "enable" | "configure" | "close"} */ (name) };
+        }
+    }
+}
+
+module.exports = DeepLinkParser;
@@ -0,0 +1,61 @@
+const DeepLinkParser = require("./DeepLinkParser");
+
+const parser = new DeepLinkParser();
+
+describe("DeepLinkParser", () => {
+    it("finds a deep link in command line arguments", () => {
+        const args = ["--allow-file-access-from-files", "current-task://enable"];
+        expect(parser.findDeepLink(args)).toBe("current-task://enable");
+        expect(parser.findDeepLink(["status"])).toBeUndefined();
+    });
+
+    it("parses actions with and without parameters", () => {
+        expect(parser.parse("current-task://set?title=Write%20report")).toEqual({
+            type: "set",
+            title: "Write report",
+        });
+
+        expect(parser.parse("current-task://disable?minutes=15&reason=lunch")).toEqual({
+            type: "disable",
+            minutes: 15,
+            reason: "lunch",
+        });
+
+        expect(parser.parse("current-task://disable?minutes=15")).toEqual({
+            type: "disable",
+            minutes: 15,
+            reason: undefined,
+        });
+
+        expect(parser.parse("current-task://clear")).toEqual({ type: "clear" });
+        expect(parser.parse("current-task://configure")).toEqual({ type: "configure" });
+    });
+
+    it("accepts different ways of writing the action", () => {
+        expect(parser.parse("current-task:enable")).toEqual({ type: "enable" });
+        expect(parser.parse("current-task://enable/")).toEqual({ type: "enable" });
+        expect(parser.parse("CURRENT-TASK://Close")).toEqual({ type: "close" });
+    });
+
+    it("rejects invalid links", () => {
+        expect(() => parser.parse("not a link")).toThrow("Invalid link");
+        expect(() => parser.parse("https://example.com/set")).toThrow("Invalid link");
+        expect(() => parser.parse("current-task://start")).toThrow("Unknown link action: start");
+        expect(() => parser.parse("current-task://toString")).toThrow("Unknown link action");
+    });
+
+    it("validates parameters", () => {
+        expect(() => parser.parse("current-task://set")).toThrow("Missing task title");
+        expect(() => parser.parse("current-task://set?title=%20")).toThrow("Missing task title");
+
+        const minutesError = "The number of minutes should be a positive whole number";
+        expect(() => parser.parse("current-task://disable")).toThrow(minutesError);
+        expect(() => parser.parse("current-task://disable?minutes=0")).toThrow(minutesError);
+        expect(() => parser.parse("current-task://disable?minutes=-5")).toThrow(minutesError);
+        expect(() => parser.parse("current-task://disable?minutes=1e3")).toThrow(minutesError);
+
+        expect(() => parser.parse("current-task://enable?minutes=5")).toThrow(
+            "Unexpected parameter for enable: minutes"
+        );
+    });
+});
@@ -0,0 +1,246 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../configuration/AdvancedConfiguration").FocusSessionConfiguration } FocusSessionConfiguration */
+/** @typedef { import("../configuration/FocusSessionPhase").FocusSessionPhase } FocusSessionPhase */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./FocusSessionState").FocusSessionState } FocusSessionState */
+/** @typedef { import("./FocusSessionSummary").FocusSessionSummary } FocusSessionSummary */
+
+const moment = require("moment");
+
+const DEFAULT_WORK_MINUTES = 25;
+const DEFAULT_SHORT_BREAK_MINUTES = 5;
+const DEFAULT_LONG_BREAK_MINUTES = 15;
+const DEFAULT_WORK_PHASES_BEFORE_LONG_BREAK = 4;
+
+class FocusSession {
+    /**
+     * @param {FocusSessionConfiguration} configuration
+     * @param {FocusSessionState} persistedState undefined if there is no persisted state yet
+     * @param {Logger} logger
+     */
+    constructor(configuration, persistedState, logger) {
+        this._configuration = configuration || {};
+        this._logger = logger;
+
+        this._setInactive();
+
+        if (persistedState) {
+            this._restoreState(persistedState);
+        }
+    }
+
+    /** @param {FocusSessionConfiguration} configuration */
+    updateConfiguration(configuration) {
+        // the phase that is in progress keeps its duration, new durations apply from the next one
+        this._configuration = configuration || {};
+    }
+
+    /** @param {Moment} now */
+    start(now) {
+        this._completedWorkPhases = 0;
+        this._startPhase("work", now, false);
+        this._logger.info("Started focus session");
+    }
+
+    stop() {
+        this._setInactive();
+        this._logger.info("Stopped focus session");
+    }
+
+    /** @param {Moment} now */
+    pause(now) {
+        if (this._phase === "inactive" || this.isPaused()) {
+            return;
+        }
+
+        this._pausedSecondsRemaining = this._getSecondsRemaining(now);
+        this._phaseEndTime = undefined;
+        this._logger.info("Paused focus session");
+    }
+
+    /** @param {Moment} now */
+    resume(now) {
+        if (!this.isPaused()) {
+            return;
+        }
+
+        this._phaseEndTime = moment(now).add(this._pausedSecondsRemaining, "seconds");
+        this._pausedSecondsRemaining = undefined;
+        this._logger.info("Resumed focus session");
+    }
+
+    /**
+     * Moves to the next phase as if the current one ended now
+     * @param {Moment} now
+     */
+    skipPhase(now) {
+        if (this._phase === "inactive") {
+            return;
+        }
+
+        const wasPaused = this.isPaused();
+        this._startPhase(this._getNextPhaseAndCountWork(), now, wasPaused);
+        this._logger.info(`Skipped to focus session phase: ${this._phase}`);
+    }
+
+    /**
+     * @param {Moment} now
+     * @returns {boolean} whether the phase changed
+     */
+    update(now) {
+        if (this._phase === "inactive" || this.isPaused() || now.isBefore(this._phaseEndTime)) {
+            return false;
+        }
+
+        const previousPhaseEndTime = this._phaseEndTime;
+        const autoStartNextPhase = this._configuration.autoStartNextPhase !== false;
+
+        this._startPhase(
+            this._getNextPhaseAndCountWork(),
+            previousPhaseEndTime,
+            !autoStartNextPhase
+        );
+
+        if (autoStartNextPhase && !now.isBefore(this._phaseEndTime)) {
+            // the app was not running (or the system was asleep) during the entire next phase
+            this._setInactive();
+            this._logger.info("Focus session expired");
+        } else {
+            this._logger.info(`Focus session moved to phase: ${this._phase}`);
+        }
+
+        return true;
+    }
+
+    getPhase() {
+        return this._phase;
+    }
+
+    isPaused() {
+        return this._phase !== "inactive" && this._pausedSecondsRemaining !== undefined;
+    }
+
+    /**
+     * @param {Moment} now
+     * @returns {FocusSessionSummary}
+     */
+    getSummary(now) {
+        const secondsRemaining = this._getSecondsRemaining(now);
+
+        return {
+            focusSessionPhase: this._phase,
+            focusSessionPaused: this.isPaused(),
+            focusSessionSecondsInPhase: this._phaseDurationSeconds - secondsRemaining,
+            focusSessionSecondsRemaining: secondsRemaining,
+            focusSessionMinutesRemaining: Math.ceil(secondsRemaining / 60),
+            focusSessionCompletedWorkPhases: this._completedWorkPhases,
+        };
+    }
+
+    /** @returns {FocusSessionState} */
+    getState() {
+        return {
+            phase: this._phase,
+            phaseDurationSeconds: this._phaseDurationSeconds,
+            phaseEndTime: this._phaseEndTime ? this._phaseEndTime.toISOString() : undefined,
+            pausedSecondsRemaining: this._pausedSecondsRemaining,
+            completedWorkPhases: this._completedWorkPhases,
+        };
+    }
+
+    /** @param {FocusSessionState} state */
+    _restoreState(state) {
+        const phaseEndTime = state.phaseEndTime ? moment(state.phaseEndTime) : undefined;
+        const isValidRunningPhase = phaseEndTime && phaseEndTime.isValid();
+        const isValidPausedPhase = typeof state.pausedSecondsRemaining === "number";
+
+        if (state.phase === "inactive" || !(isValidRunningPhase || isValidPausedPhase)) {
+            return;
+        }
+
+        this._phase = state.phase;
+        this._phaseDurationSeconds = state.phaseDurationSeconds;
+        this._phaseEndTime = isValidRunningPhase ? phaseEndTime : undefined;
+        this._pausedSecondsRemaining = isValidRunningPhase
+            ? undefined
+            : state.pausedSecondsRemaining;
+        this._completedWorkPhases = state.completedWorkPhases || 0;
+    }
+
+    _setInactive() {
+        /** @type {FocusSessionPhase} */
+        this._phase = "inactive";
+        this._phaseDurationSeconds = 0;
+
+        /** @type {Moment} */
+        this._phaseEndTime = undefined;
+
+        /** @type {number} */
+        this._pausedSecondsRemaining = undefined;
+
+        this._completedWorkPhases = 0;
+    }
+
+    /**
+     * @param {FocusSessionPhase} phase
+     * @param {Moment} startTime
+     * @param {boolean} paused
+     */
+    _startPhase(phase, startTime, paused) {
+        this._phase = phase;
+        this._phaseDurationSeconds = this._getPhaseMinutes(phase) * 60;
+
+        if (paused) {
+            this._phaseEndTime = undefined;
+            this._pausedSecondsRemaining = this._phaseDurationSeconds;
+        } else {
+            this._phaseEndTime = moment(startTime).add(this._phaseDurationSeconds, "seconds");
+            this._pausedSecondsRemaining = undefined;
+        }
+    }
+
+    /** @returns {FocusSessionPhase} */
+    _getNextPhaseAndCountWork() {
+        if (this._phase !== "work") {
+            if (this._phase === "longBreak") {
+                this._completedWorkPhases = 0;
+            }
+
+            return "work";
+        }
+
+        this._completedWorkPhases++;
+
+        const workPhasesBeforeLongBreak =
+            this._configuration.workPhasesBeforeLongBreak || DEFAULT_WORK_PHASES_BEFORE_LONG_BREAK;
+
+        return this._completedWorkPhases >= workPhasesBeforeLongBreak ? "longBreak" : "shortBreak";
+    }
+
+    /** @param {FocusSessionPhase} phase */
+    _getPhaseMinutes(phase) {
+        if (phase === "work") {
+            return this._configuration.workMinutes || DEFAULT_WORK_MINUTES;
+        } else if (phase === "shortBreak") {
+            return this._configuration.shortBreakMinutes || DEFAULT_SHORT_BREAK_MINUTES;
+        } else if (phase === "longBreak") {
+            return this._configuration.longBreakMinutes || DEFAULT_LONG_BREAK_MINUTES;
+        } else {
+            return 0;
+        }
+    }
+
+    /** @param {Moment} now */
+    _getSecondsRemaining(now) {
+        if (this._phase === "inactive") {
+            return 0;
+        } else if (this.isPaused()) {
+            return this._pausedSecondsRemaining;
+        } else {
+            const preciseSecondsRemaining = this._phaseEndTime.diff(now, "seconds", true);
+            return Math.max(0, Math.ceil(preciseSecondsRemaining));
+        }
+    }
+}
+
+module.exports = FocusSession;
@@ -0,0 +1,159 @@
+const moment = require("moment");
+
+const Logger = require("../Logger");
+const FocusSession = require("./FocusSession");
+
+jest.mock("../Logger");
+
+const now = moment("2020-09-19 14:00:00");
+
+/** @param {number} minutes */
+function minutesLater(minutes) {
+    return moment(now).add(minutes, "minutes");
+}
+
+/** @param {import("../configuration/AdvancedConfiguration").FocusSessionConfiguration} [configuration] */
+function createStartedFocusSession(configuration) {
+    const focusSession = new FocusSession(configuration, undefined, new Logger());
+    focusSession.start(now);
+    return focusSession;
+}
+
+describe("FocusSession", () => {
+    it("is inactive until started", () => {
+        const focusSession = new FocusSession(undefined, undefined, new Logger());
+
+        expect(focusSession.update(now)).toBe(false);
+        expect(focusSession.getSummary(now)).toEqual({
+            focusSessionPhase: "inactive",
+            focusSessionPaused: false,
+            focusSessionSecondsInPhase: 0,
+            focusSessionSecondsRemaining: 0,
+            focusSessionMinutesRemaining: 0,
+            focusSessionCompletedWorkPhases: 0,
+        });
+    });
+
+    it("keeps track of the time in the current phase", () => {
+        const focusSession = createStartedFocusSession();
+        const later = moment(now).add(90, "seconds");
+
+        expect(focusSession.update(later)).toBe(false);
+        expect(focusSession.getSummary(later)).toEqual({
+            focusSessionPhase: "work",
+            focusSessionPaused: false,
+            focusSessionSecondsInPhase: 90,
+            focusSessionSecondsRemaining: 25 * 60 - 90,
+            focusSessionMinutesRemaining: 24,
+            focusSessionCompletedWorkPhases: 0,
+        });
+    });
+
+    it("cycles through work phases and breaks", () => {
+        const focusSession = createStartedFocusSession({
+            workMinutes: 10,
+            shortBreakMinutes: 2,
+            longBreakMinutes: 5,
+            workPhasesBeforeLongBreak: 2,
+        });
+
+        expect(focusSession.update(minutesLater(10))).toBe(true);
+        expect(focusSession.getPhase()).toBe("shortBreak");
+        expect(focusSession.getSummary(minutesLater(10)).focusSessionCompletedWorkPhases).toBe(1);
+
+        expect(focusSession.update(minutesLater(12))).toBe(true);
+        expect(focusSession.getPhase()).toBe("work");
+
+        expect(focusSession.update(minutesLater(22))).toBe(true);
+        expect(focusSession.getPhase()).toBe("longBreak");
+        expect(focusSession.getSummary(minutesLater(22)).focusSessionCompletedWorkPhases).toBe(2);
+
+        expect(focusSession.update(minutesLater(27))).toBe(true);
+        expect(focusSession.getPhase()).toBe("work");
+        expect(focusSession.getSummary(minutesLater(27)).focusSessionCompletedWorkPhases).toBe(0);
+    });
+
+    it("starts the next phase at the end of the previous one", () => {
+        const focusSession = createStartedFocusSession();
+        const later = moment(now).add(25, "minutes").add(30, "seconds");
+
+        focusSession.update(later);
+        expect(focusSession.getSummary(later).focusSessionSecondsInPhase).toBe(30);
+    });
+
+    it("expires if the next phase has already ended as well", () => {
+        const focusSession = createStartedFocusSession();
+
+        expect(focusSession.update(minutesLater(120))).toBe(true);
+        expect(focusSession.getPhase()).toBe("inactive");
+    });
+
+    it("starts the next phase paused if it shouldn't start automatically", () => {
+        const focusSession = createStartedFocusSession({ autoStartNextPhase: false });
+
+        expect(focusSession.update(minutesLater(120))).toBe(true);
+        expect(focusSession.getPhase()).toBe("shortBreak");
+        expect(focusSession.isPaused()).toBe(true);
+        expect(focusSession.getSummary(minutesLater(120)).focusSessionSecondsRemaining).toBe(300);
+    });
+
+    it("freezes the remaining time while paused", () => {
+        const focusSession = createStartedFocusSession();
+
+        focusSession.pause(minutesLater(5));
+        expect(focusSession.update(minutesLater(60))).toBe(false);
+        expect(focusSession.getSummary(minutesLater(60))).toMatchObject({
+            focusSessionPaused: true,
+            focusSessionSecondsRemaining: 20 * 60,
+        });
+
+        focusSession.resume(minutesLater(60));
+        expect(focusSession.getSummary(minutesLater(70)).focusSessionSecondsRemaining).toBe(600);
+        expect(focusSession.update(minutesLater(80))).toBe(true);
+        expect(focusSession.getPhase()).toBe("shortBreak");
+    });
+
+    it("skips to the next phase", () => {
+        const focusSession = createStartedFocusSession();
+
+        focusSession.skipPhase(minutesLater(3));
+        expect(focusSession.getSummary(minutesLater(3))).toMatchObject({
+            focusSessionPhase: "shortBreak",
+            focusSessionSecondsRemaining: 300,
+            focusSessionCompletedWorkPhases: 1,
+        });
+    });
+
+    it("stops", () => {
+        const focusSession = createStartedFocusSession();
+
+        focusSession.stop();
+        expect(focusSession.getPhase()).toBe("inactive");
+        expect(focusSession.update(minutesLater(30))).toBe(false);
+    });
+
+    it("restores its state", () => {
+        const focusSession = createStartedFocusSession();
+        focusSession.skipPhase(minutesLater(3));
+
+        const restored = new FocusSession(undefined, focusSession.getState(), new Logger());
+        expect(restored.getSummary(minutesLater(4))).toEqual(
+            focusSession.getSummary(minutesLater(4))
+        );
+
+        focusSession.pause(minutesLater(4));
+        const restoredPaused = new FocusSession(undefined, focusSession.getState(), new Logger());
+        expect(restoredPaused.isPaused()).toBe(true);
+        expect(restoredPaused.getSummary(minutesLater(9)).focusSessionSecondsRemaining).toBe(240);
+    });
+
+    it("ignores invalid persisted state", () => {
+        const focusSession = new FocusSession(
+            undefined,
+            { phase: "work", phaseDurationSeconds: 60, completedWorkPhases: 0 },
+            new Logger()
+        );
+
+        expect(focusSession.getPhase()).toBe("inactive");
+    });
+});
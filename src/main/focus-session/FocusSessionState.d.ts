@@ -0,0 +1,17 @@
+import { FocusSessionPhase } from "../configuration/FocusSessionPhase";
+
+/**
+ * What is persisted in order to continue the focus session after restarting the app
+ */
+export interface FocusSessionState {
+    phase: FocusSessionPhase;
+    phaseDurationSeconds: number;
+
+    /** ISO 8601 timestamp, only if the phase is running */
+    phaseEndTime?: string;
+
+    /** Only if the phase is paused */
+    pausedSecondsRemaining?: number;
+
+    completedWorkPhases: number;
+}
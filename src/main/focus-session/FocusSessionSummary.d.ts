@@ -0,0 +1,10 @@
+import { FocusSessionPhase } from "../configuration/FocusSessionPhase";
+
+export interface FocusSessionSummary {
+    focusSessionPhase: FocusSessionPhase;
+    focusSessionPaused: boolean;
+    focusSessionSecondsInPhase: number;
+    focusSessionSecondsRemaining: number;
+    focusSessionMinutesRemaining: number;
+    focusSessionCompletedWorkPhases: number;
+}
@@ -0,0 +1,114 @@
+// see https://www.electronjs.org/docs/api/accelerator
+// values are the normalized names, which allows detecting that two accelerators are the same
+const MODIFIERS = {
+    command: "Command",
+    cmd: "Command",
+    control: "Control",
+    ctrl: "Control",
+    commandorcontrol: "CommandOrControl",
+    cmdorctrl: "CommandOrControl",
+    alt: "Alt",
+    option: "Alt",
+    altgr: "AltGr",
+    shift: "Shift",
+    super: "Super",
+    meta: "Super",
+};
+
+const NAMED_KEYS = [
+    "Plus",
+    "Space",
+    "Tab",
+    "Capslock",
+    "Numlock",
+    "Scrolllock",
+    "Backspace",
+    "Delete",
+    "Insert",
+    "Return",
+    "Enter",
+    "Up",
+    "Down",
+    "Left",
+    "Right",
+    "Home",
+    "End",
+    "PageUp",
+    "PageDown",
+    "Escape",
+    "Esc",
+    "VolumeUp",
+    "VolumeDown",
+    "VolumeMute",
+    "MediaNextTrack",
+    "MediaPreviousTrack",
+    "MediaStop",
+    "MediaPlayPause",
+    "PrintScreen",
+    "numdec",
+    "numadd",
+    "numsub",
+    "nummult",
+    "numdiv",
+];
+
+const KEY_ALIASES = { Enter: "Return", Esc: "Escape" };
+
+const PUNCTUATION_KEYS = ")!@#$%^&*(:;=<,_->.?/~`{][|\\}\"'";
+
+class AcceleratorParser {
+    /**
+     * @param {string} accelerator for example CommandOrControl+Shift+T
+     * @returns {string} the normalized accelerator, ignoring case, aliases and the modifier order
+     */
+    parse(accelerator) {
+        // like Electron itself, this requires using "Plus" for the + key
+        const parts = accelerator.split("+");
+        const key = this._normalizeKey(parts[parts.length - 1].trim());
+
+        if (!key) {
+            throw new Error(`'${accelerator}' does not end with a valid key`);
+        }
+
+        /** @type {string[]} */
+        const modifiers = [];
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            const modifier = MODIFIERS[parts[i].trim().toLowerCase()];
+
+            if (!modifier) {
+                throw new Error(`'${parts[i]}' is not a valid modifier in '${accelerator}'`);
+            }
+
+            if (!modifiers.includes(modifier)) {
+                modifiers.push(modifier);
+            }
+        }
+
+        modifiers.sort();
+        return [...modifiers, key].join("+");
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string} undefined if the key is not valid
+     */
+    _normalizeKey(key) {
+        if (/^[a-z0-9]$/i.test(key)) {
+            return key.toUpperCase();
+        }
+
+        if (key.length === 1 && PUNCTUATION_KEYS.includes(key)) {
+            return key;
+        }
+
+        if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(key) || /^num[0-9]$/i.test(key)) {
+            return key.toUpperCase();
+        }
+
+        const namedKey = NAMED_KEYS.find((name) => name.toLowerCase() === key.toLowerCase());
+        return namedKey && (KEY_ALIASES[namedKey] || namedKey);
+    }
+}
+
+module.exports = AcceleratorParser;
@@ -0,0 +1,30 @@
+const AcceleratorParser = require("./AcceleratorParser");
+
+const parser = new AcceleratorParser();
+
+describe("AcceleratorParser", () => {
+    it("normalizes modifiers, keys and their order", () => {
+        expect(parser.parse("CommandOrControl+Shift+t")).toBe("CommandOrControl+Shift+T");
+        expect(parser.parse("shift+cmdorctrl+T")).toBe("CommandOrControl+Shift+T");
+        expect(parser.parse("Option+Meta+esc")).toBe("Alt+Super+Escape");
+        expect(parser.parse("Ctrl+Plus")).toBe("Control+Plus");
+        expect(parser.parse("F12")).toBe("F12");
+        expect(parser.parse("Alt+/")).toBe("Alt+/");
+        expect(parser.parse("Alt+num5")).toBe("Alt+NUM5");
+    });
+
+    it("rejects invalid keys", () => {
+        expect(() => parser.parse("")).toThrow("'' does not end with a valid key");
+        expect(() => parser.parse("Ctrl+")).toThrow("does not end with a valid key");
+        expect(() => parser.parse("Ctrl+Shift")).toThrow("does not end with a valid key");
+        expect(() => parser.parse("Ctrl+F25")).toThrow("does not end with a valid key");
+        expect(() => parser.parse("Ctrl+AB")).toThrow("does not end with a valid key");
+    });
+
+    it("rejects invalid modifiers", () => {
+        expect(() => parser.parse("Hyper+A")).toThrow(
+            "'Hyper' is not a valid modifier in 'Hyper+A'"
+        );
+        expect(() => parser.parse("A+B")).toThrow("'A' is not a valid modifier");
+    });
+});
@@ -0,0 +1,109 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").GlobalShortcutsConfiguration } GlobalShortcutsConfiguration */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./GlobalShortcutsBackend").GlobalShortcutsBackend } GlobalShortcutsBackend */
+
+const { globalShortcut } = require("electron");
+
+const DEFAULT_QUICK_DISABLE_MINUTES = 15;
+
+class GlobalShortcuts {
+    /**
+     * @param {GlobalShortcutsBackend} backend
+     * @param {Logger} logger
+     */
+    constructor(backend, logger) {
+        this._backend = backend;
+        this._logger = logger;
+
+        /** @type {string[]} */
+        this._registeredAccelerators = [];
+    }
+
+    /**
+     * Replaces the currently registered shortcuts by the ones from the configuration
+     * @param {GlobalShortcutsConfiguration} [configuration]
+     * @returns {string[]} descriptions of the shortcuts that could not be registered
+     */
+    update(configuration) {
+        this.unregisterAll();
+
+        if (!configuration) {
+            return [];
+        }
+
+        const quickDisableMinutes =
+            configuration.quickDisableMinutes || DEFAULT_QUICK_DISABLE_MINUTES;
+
+        /** @type {[string, string, () => void][]} */
+        const shortcuts = [
+            [
+                "setManualCurrentTask",
+                configuration.setManualCurrentTask,
+                () => this._backend.setManualCurrentTask(),
+            ],
+            ["clearCurrent", configuration.clearCurrent, () => this._backend.clearCurrent()],
+            [
+                "quickDisable",
+                configuration.quickDisable,
+                () => this._quickDisable(quickDisableMinutes),
+            ],
+            ["enable", configuration.enable, () => this._backend.enable()],
+            [
+                "toggleMovingResizing",
+                configuration.toggleMovingResizing,
+                () => this._backend.toggleMovingResizingEnabled(),
+            ],
+        ];
+
+        /** @type {string[]} */
+        const failures = [];
+
+        for (const [action, accelerator, callback] of shortcuts) {
+            if (accelerator && this._register(accelerator, callback)) {
+                this._registeredAccelerators.push(accelerator);
+                this._logger.info(`Registered global shortcut ${accelerator} for ${action}`);
+            } else if (accelerator) {
+                this._logger.warn(
+                    `Could not register global shortcut ${accelerator} for ${action}`
+                );
+                failures.push(`${accelerator} (${action})`);
+            }
+        }
+
+        return failures;
+    }
+
+    /**
+     * @param {string} accelerator
+     * @param {() => void} callback
+     */
+    _register(accelerator, callback) {
+        try {
+            // returns false if another application already uses the shortcut
+            return globalShortcut.register(accelerator, callback);
+        } catch (_error) {
+            // Electron throws if it doesn't understand the accelerator
+            return false;
+        }
+    }
+
+    /** @param {number} minutes */
+    _quickDisable(minutes) {
+        if (this._backend.isQuickDisableAllowed()) {
+            this._backend.disableForMinutes(minutes);
+        } else {
+            // a reason is required, which the dialog for disabling until a specific time asks for
+            this._backend.disableUntilSpecificTime();
+        }
+    }
+
+    unregisterAll() {
+        for (const accelerator of this._registeredAccelerators) {
+            globalShortcut.unregister(accelerator);
+        }
+
+        this._registeredAccelerators = [];
+    }
+}
+
+module.exports = GlobalShortcuts;
@@ -0,0 +1,100 @@
+const { globalShortcut } = require("electron");
+
+const Logger = require("../Logger");
+
+const GlobalShortcuts = require("./GlobalShortcuts");
+
+jest.mock("electron", () => ({
+    globalShortcut: { register: jest.fn(), unregister: jest.fn() },
+}));
+
+jest.mock("../Logger");
+
+/** @type {any} */
+const register = globalShortcut.register;
+
+/** @type {any} */
+let backend;
+
+/** @type {GlobalShortcuts} */
+let globalShortcuts;
+
+/**
+ * @param {string} accelerator
+ * @returns {() => void}
+ */
+function getRegisteredCallback(accelerator) {
+    return register.mock.calls.find((call) => call[0] === accelerator)[1];
+}
+
+beforeEach(() => {
+    register.mockReset().mockReturnValue(true);
+    /** @type {any} */ (globalShortcut.unregister).mockReset();
+
+    backend = {
+        setManualCurrentTask: jest.fn(),
+        clearCurrent: jest.fn(),
+        isQuickDisableAllowed: jest.fn().mockReturnValue(true),
+        disableForMinutes: jest.fn(),
+        disableUntilSpecificTime: jest.fn(),
+        enable: jest.fn(),
+        toggleMovingResizingEnabled: jest.fn(),
+    };
+
+    globalShortcuts = new GlobalShortcuts(backend, new Logger());
+});
+
+describe("GlobalShortcuts", () => {
+    it("registers the configured shortcuts", () => {
+        const failures = globalShortcuts.update({
+            setManualCurrentTask: "CommandOrControl+Alt+T",
+            clearCurrent: "CommandOrControl+Alt+C",
+        });
+
+        expect(failures).toEqual([]);
+        expect(register).toHaveBeenCalledTimes(2);
+
+        getRegisteredCallback("CommandOrControl+Alt+T")();
+        getRegisteredCallback("CommandOrControl+Alt+C")();
+        expect(backend.setManualCurrentTask).toHaveBeenCalled();
+        expect(backend.clearCurrent).toHaveBeenCalled();
+    });
+
+    it("reports shortcuts that could not be registered", () => {
+        register.mockImplementation((accelerator) => {
+            if (accelerator === "Alt+Q") {
+                throw new Error("conversion failure");
+            }
+
+            return accelerator !== "Alt+E";
+        });
+
+        const failures = globalShortcuts.update({
+            clearCurrent: "Alt+C",
+            enable: "Alt+E",
+            toggleMovingResizing: "Alt+Q",
+        });
+
+        expect(failures).toEqual(["Alt+E (enable)", "Alt+Q (toggleMovingResizing)"]);
+    });
+
+    it("quick-disables for the configured number of minutes", () => {
+        globalShortcuts.update({ quickDisable: "Alt+D", quickDisableMinutes: 30 });
+        getRegisteredCallback("Alt+D")();
+        expect(backend.disableForMinutes).toHaveBeenCalledWith(30);
+    });
+
+    it("asks for a reason when quick-disabling is not allowed", () => {
+        backend.isQuickDisableAllowed.mockReturnValue(false);
+        globalShortcuts.update({ quickDisable: "Alt+D" });
+        getRegisteredCallback("Alt+D")();
+        expect(backend.disableForMinutes).not.toHaveBeenCalled();
+        expect(backend.disableUntilSpecificTime).toHaveBeenCalled();
+    });
+
+    it("unregisters previous shortcuts when updating", () => {
+        globalShortcuts.update({ enable: "Alt+E" });
+        globalShortcuts.update(undefined);
+        expect(globalShortcut.unregister).toHaveBeenCalledWith("Alt+E");
+    });
+});
@@ -0,0 +1,9 @@
+export interface GlobalShortcutsBackend {
+    setManualCurrentTask: () => void;
+    clearCurrent: () => void;
+    isQuickDisableAllowed: () => boolean;
+    disableForMinutes: (minutes: number) => void;
+    disableUntilSpecificTime: () => void;
+    enable: () => void;
+    toggleMovingResizingEnabled: () => void;
+}
@@ -0,0 +1,30 @@
+import { IntegrationType } from "../configuration/IntegrationConfiguration";
+import { Status } from "../configuration/Status";
+
+// what the app was doing during an interval, a new interval starts whenever any of this changes
+export interface HistoryState {
+    integrationType: IntegrationType;
+
+    /** undefined if there was no single current task */
+    taskTitle?: string;
+
+    /** undefined if there was no single current task or the integration doesn't provide IDs */
+    taskId?: string;
+
+    status: Status;
+    nagging: boolean;
+    disabled: boolean;
+
+    /** undefined if the app was not disabled or disabled without a reason */
+    disabledReason?: string;
+
+    downtime: boolean;
+}
+
+export interface HistoryInterval extends HistoryState {
+    /** ISO 8601 with local offset, example: 2020-10-01T14:30:00+02:00 */
+    start: string;
+
+    /** ISO 8601 with local offset, example: 2020-10-01T14:35:10+02:00 */
+    end: string;
+}
@@ -0,0 +1,172 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./HistoryInterval").HistoryInterval } HistoryInterval */
+
+const fs = require("fs");
+const moment = require("moment");
+const path = require("path");
+
+const DAY_FILE_NAME_REGEX = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const OPEN_INTERVAL_FILE_NAME = "open-interval.json";
+
+/**
+ * Stores closed intervals as JSON lines in one file per local day (the day the interval started),
+ * which keeps appending cheap and makes it easy to read a period or delete old history
+ */
+class HistoryStore {
+    /**
+     * @param {string} folderPath
+     * @param {Logger} logger
+     */
+    constructor(folderPath, logger) {
+        this._folderPath = folderPath;
+        this._logger = logger;
+    }
+
+    /** @param {HistoryInterval} interval */
+    appendInterval(interval) {
+        this._ensureFolderExists();
+        const filePath = this._getDayFilePath(moment(interval.start).format("YYYY-MM-DD"));
+        fs.appendFileSync(filePath, `${JSON.stringify(interval)}\n`, "utf-8");
+    }
+
+    /** @param {HistoryInterval} interval */
+    saveOpenInterval(interval) {
+        this._ensureFolderExists();
+        fs.writeFileSync(this._getOpenIntervalFilePath(), JSON.stringify(interval), "utf-8");
+    }
+
+    clearOpenInterval() {
+        try {
+            fs.unlinkSync(this._getOpenIntervalFilePath());
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Gets and clears the open interval saved by a previous run of the app
+     * @returns {HistoryInterval} undefined if there is none
+     */
+    takeOpenInterval() {
+        let content;
+
+        try {
+            content = fs.readFileSync(this._getOpenIntervalFilePath(), "utf-8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return undefined;
+            }
+
+            throw error;
+        }
+
+        this.clearOpenInterval();
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            this._logger.error("Ignoring invalid open history interval");
+            return undefined;
+        }
+    }
+
+    /**
+     * @param {Moment} from
+     * @param {Moment} to
+     * @returns {Promise<HistoryInterval[]>} the intervals overlapping the period, ordered by start
+     */
+    async getIntervals(from, to) {
+        /** @type {HistoryInterval[]} */
+        const intervals = [];
+
+        for (let day = moment(from).startOf("day"); day.isBefore(to); day.add(1, "days")) {
+            intervals.push(...(await this._readDayFile(day.format("YYYY-MM-DD"))));
+        }
+
+        return intervals
+            .filter((interval) => moment(interval.end).isAfter(from))
+            .filter((interval) => moment(interval.start).isBefore(to))
+            .sort((a, b) => moment(a.start).valueOf() - moment(b.start).valueOf());
+    }
+
+    /** @param {Moment} cutoff history for days before the cutoff's day is deleted */
+    async deleteDaysBefore(cutoff) {
+        const cutoffDateString = cutoff.format("YYYY-MM-DD");
+        let fileNames;
+
+        try {
+            fileNames = await fs.promises.readdir(this._folderPath);
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return;
+            }
+
+            throw error;
+        }
+
+        for (const fileName of fileNames) {
+            const match = DAY_FILE_NAME_REGEX.exec(fileName);
+
+            if (match && match[1] < cutoffDateString) {
+                await fs.promises.unlink(path.join(this._folderPath, fileName));
+                this._logger.info(`Deleted expired history file ${fileName}`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} dateString
+     * @returns {Promise<HistoryInterval[]>}
+     */
+    async _readDayFile(dateString) {
+        const filePath = this._getDayFilePath(dateString);
+        let content;
+
+        try {
+            content = await fs.promises.readFile(filePath, "utf-8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+
+            throw error;
+        }
+
+        /** @type {HistoryInterval[]} */
+        const intervals = [];
+        const lines = content.split("\n");
+
+        for (let index = 0; index < lines.length; index++) {
+            if (!lines[index].trim()) {
+                continue;
+            }
+
+            try {
+                intervals.push(JSON.parse(lines[index]));
+            } catch (error) {
+                // for example a partially written line if the app was killed while writing
+                this._logger.error(`Ignoring invalid line ${index + 1} in ${filePath}`);
+            }
+        }
+
+        return intervals;
+    }
+
+    _ensureFolderExists() {
+        fs.mkdirSync(this._folderPath, { recursive: true });
+    }
+
+    /** @param {string} dateString */
+    _getDayFilePath(dateString) {
+        return path.join(this._folderPath, `${dateString}.jsonl`);
+    }
+
+    _getOpenIntervalFilePath() {
+        return path.join(this._folderPath, OPEN_INTERVAL_FILE_NAME);
+    }
+}
+
+module.exports = HistoryStore;
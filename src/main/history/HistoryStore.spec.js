@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+
+/** @typedef { import("./HistoryInterval").HistoryInterval } HistoryInterval */
+
+const fs = require("fs");
+const moment = require("moment");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../Logger");
+
+const HistoryStore = require("./HistoryStore");
+
+jest.mock("../Logger");
+
+/**
+ * @param {string} start
+ * @param {string} end
+ * @returns {HistoryInterval}
+ */
+function createInterval(start, end) {
+    return {
+        start: moment(start).format(),
+        end: moment(end).format(),
+        integrationType: "manual",
+        taskTitle: "Write report",
+        status: "ok",
+        nagging: false,
+        disabled: false,
+        downtime: false,
+    };
+}
+
+describe("HistoryStore", () => {
+    /** @type {string} */
+    let directory;
+
+    /** @type {HistoryStore} */
+    let historyStore;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-history-"));
+        historyStore = new HistoryStore(path.join(directory, "history"), new Logger());
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(directory, { recursive: true });
+    });
+
+    it("stores intervals in one file per day", async () => {
+        const first = createInterval("2020-10-01 09:00:00", "2020-10-01 10:00:00");
+        const second = createInterval("2020-10-02 09:00:00", "2020-10-02 10:00:00");
+
+        historyStore.appendInterval(first);
+        historyStore.appendInterval(second);
+
+        expect(fs.readdirSync(path.join(directory, "history")).sort()).toEqual([
+            "2020-10-01.jsonl",
+            "2020-10-02.jsonl",
+        ]);
+
+        const intervals = await historyStore.getIntervals(
+            moment("2020-10-01 00:00:00"),
+            moment("2020-10-03 00:00:00")
+        );
+
+        expect(intervals).toEqual([first, second]);
+    });
+
+    it("only returns intervals overlapping the period", async () => {
+        const morning = createInterval("2020-10-01 09:00:00", "2020-10-01 10:00:00");
+        const afternoon = createInterval("2020-10-01 14:00:00", "2020-10-01 15:00:00");
+
+        historyStore.appendInterval(morning);
+        historyStore.appendInterval(afternoon);
+
+        const intervals = await historyStore.getIntervals(
+            moment("2020-10-01 09:30:00"),
+            moment("2020-10-01 14:00:00")
+        );
+
+        expect(intervals).toEqual([morning]);
+    });
+
+    it("skips invalid lines", async () => {
+        const interval = createInterval("2020-10-01 09:00:00", "2020-10-01 10:00:00");
+        historyStore.appendInterval(interval);
+        fs.appendFileSync(path.join(directory, "history", "2020-10-01.jsonl"), '{"start":');
+
+        const intervals = await historyStore.getIntervals(
+            moment("2020-10-01 00:00:00"),
+            moment("2020-10-02 00:00:00")
+        );
+
+        expect(intervals).toEqual([interval]);
+    });
+
+    it("hands out the saved open interval only once", () => {
+        const interval = createInterval("2020-10-01 09:00:00", "2020-10-01 10:00:00");
+
+        expect(historyStore.takeOpenInterval()).toBeUndefined();
+
+        historyStore.saveOpenInterval(interval);
+        expect(historyStore.takeOpenInterval()).toEqual(interval);
+        expect(historyStore.takeOpenInterval()).toBeUndefined();
+    });
+
+    it("deletes the history of days before the cutoff", async () => {
+        historyStore.appendInterval(createInterval("2020-09-30 09:00:00", "2020-09-30 10:00:00"));
+        historyStore.appendInterval(createInterval("2020-10-01 09:00:00", "2020-10-01 10:00:00"));
+
+        await historyStore.deleteDaysBefore(moment("2020-10-01 12:00:00"));
+
+        expect(fs.readdirSync(path.join(directory, "history"))).toEqual(["2020-10-01.jsonl"]);
+    });
+});
@@ -0,0 +1,265 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../configuration/AdvancedConfiguration").HistoryConfiguration } HistoryConfiguration */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./HistoryInterval").HistoryInterval } HistoryInterval */
+/** @typedef { import("./HistoryInterval").HistoryState } HistoryState */
+/** @typedef { import("./HistoryStore") } HistoryStore */
+
+const moment = require("moment");
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// if there was no update for this long, the app wasn't running or the system was asleep
+const MAX_SECONDS_BETWEEN_UPDATES = 60;
+
+const SAVE_OPEN_INTERVAL_EVERY_SECONDS = 60;
+
+/** @type {(keyof HistoryState)[]} */
+const STATE_KEYS = [
+    "integrationType",
+    "taskTitle",
+    "taskId",
+    "status",
+    "nagging",
+    "disabled",
+    "disabledReason",
+    "downtime",
+];
+
+class HistoryTracker {
+    /**
+     * @param {HistoryConfiguration} configuration
+     * @param {HistoryStore} historyStore
+     * @param {Logger} logger
+     */
+    constructor(configuration, historyStore, logger) {
+        this._configuration = configuration || {};
+        this._historyStore = historyStore;
+        this._logger = logger;
+
+        /** @type {HistoryInterval} */
+        this._openInterval = undefined;
+
+        /** @type {Moment} */
+        this._lastOpenIntervalSaveTime = undefined;
+
+        /** @type {string} */
+        this._lastCleanupDate = undefined;
+    }
+
+    /** Moves the interval that was still open when the app last stopped into the history */
+    initialize() {
+        this._performStoreOperation("recovering open history interval", () => {
+            const openInterval = this._historyStore.takeOpenInterval();
+
+            if (openInterval) {
+                this._historyStore.appendInterval(openInterval);
+                this._logger.info("Recovered open history interval from previous run");
+            }
+        });
+    }
+
+    /** @param {HistoryConfiguration} configuration */
+    updateConfiguration(configuration) {
+        this._configuration = configuration || {};
+        this._lastCleanupDate = undefined;
+    }
+
+    /**
+     * @param {HistoryState} state
+     * @param {Moment} now
+     */
+    update(state, now) {
+        if (!this._isEnabled()) {
+            this._closeOpenInterval();
+            return;
+        }
+
+        if (this._openInterval) {
+            const lastUpdateTime = moment(this._openInterval.end);
+
+            if (now.diff(lastUpdateTime, "seconds") > MAX_SECONDS_BETWEEN_UPDATES) {
+                this._closeOpenInterval();
+            } else if (!now.isSame(this._openInterval.start, "day")) {
+                this._splitOpenIntervalAt(moment(now).startOf("day"));
+            }
+        }
+
+        if (this._openInterval && this._isSameState(this._openInterval, state)) {
+            this._openInterval.end = this._formatTime(now);
+            this._saveOpenIntervalIfNeeded(now);
+        } else {
+            if (this._openInterval) {
+                this._openInterval.end = this._formatTime(now);
+                this._closeOpenInterval();
+            }
+
+            this._startInterval(state, now);
+        }
+
+        this._deleteExpiredHistoryIfNeeded(now);
+    }
+
+    /**
+     * Ends the open interval, for example when the app closes
+     * @param {Moment} now
+     */
+    close(now) {
+        if (!this._openInterval) {
+            return;
+        }
+
+        if (now.diff(moment(this._openInterval.end), "seconds") <= MAX_SECONDS_BETWEEN_UPDATES) {
+            this._openInterval.end = this._formatTime(now);
+        }
+
+        this._closeOpenInterval();
+    }
+
+    /**
+     * @param {Moment} from
+     * @param {Moment} to
+     * @returns {Promise<HistoryInterval[]>} the intervals overlapping the period, ordered by start
+     *      and cut off at the start and end of the period
+     */
+    async getIntervals(from, to) {
+        const intervals = await this._historyStore.getIntervals(from, to);
+
+        if (this._openInterval) {
+            const isOverlapping =
+                moment(this._openInterval.start).isBefore(to) &&
+                moment(this._openInterval.end).isAfter(from);
+
+            if (isOverlapping) {
+                intervals.push({ ...this._openInterval });
+            }
+        }
+
+        return intervals.map((interval) => ({
+            ...interval,
+            start: this._formatTime(moment.max(moment(interval.start), from)),
+            end: this._formatTime(moment.min(moment(interval.end), to)),
+        }));
+    }
+
+    _isEnabled() {
+        return this._configuration.enabled !== false;
+    }
+
+    /**
+     * @param {HistoryInterval} interval
+     * @param {HistoryState} state
+     */
+    _isSameState(interval, state) {
+        return STATE_KEYS.every((key) => interval[key] === state[key]);
+    }
+
+    /**
+     * @param {HistoryState} state
+     * @param {Moment} now
+     */
+    _startInterval(state, now) {
+        /** @type {HistoryInterval} */
+        this._openInterval = {
+            start: this._formatTime(now),
+            end: this._formatTime(now),
+            integrationType: state.integrationType,
+            taskTitle: state.taskTitle,
+            taskId: state.taskId,
+            status: state.status,
+            nagging: state.nagging,
+            disabled: state.disabled,
+            disabledReason: state.disabledReason,
+            downtime: state.downtime,
+        };
+
+        this._saveOpenInterval(now);
+    }
+
+    /**
+     * Makes sure that intervals don't span multiple days
+     * @param {Moment} splitTime
+     */
+    _splitOpenIntervalAt(splitTime) {
+        const continuedInterval = { ...this._openInterval, start: this._formatTime(splitTime) };
+        this._openInterval.end = this._formatTime(splitTime);
+        this._closeOpenInterval();
+        this._openInterval = continuedInterval;
+        this._saveOpenInterval(splitTime);
+    }
+
+    _closeOpenInterval() {
+        if (!this._openInterval) {
+            return;
+        }
+
+        const interval = this._openInterval;
+        this._openInterval = undefined;
+
+        this._performStoreOperation("saving history interval", () => {
+            this._historyStore.appendInterval(interval);
+            this._historyStore.clearOpenInterval();
+        });
+    }
+
+    /** @param {Moment} now */
+    _saveOpenIntervalIfNeeded(now) {
+        const secondsSinceSave = now.diff(this._lastOpenIntervalSaveTime, "seconds");
+
+        if (secondsSinceSave >= SAVE_OPEN_INTERVAL_EVERY_SECONDS) {
+            this._saveOpenInterval(now);
+        }
+    }
+
+    /**
+     * The open interval is saved regularly so it isn't lost if the app doesn't close cleanly
+     * @param {Moment} now
+     */
+    _saveOpenInterval(now) {
+        this._lastOpenIntervalSaveTime = now;
+
+        this._performStoreOperation("saving open history interval", () => {
+            this._historyStore.saveOpenInterval(this._openInterval);
+        });
+    }
+
+    /** @param {Moment} now */
+    _deleteExpiredHistoryIfNeeded(now) {
+        const currentDate = now.format("YYYY-MM-DD");
+
+        if (this._lastCleanupDate === currentDate) {
+            return;
+        }
+
+        this._lastCleanupDate = currentDate;
+
+        const retentionDays = this._configuration.retentionDays || DEFAULT_RETENTION_DAYS;
+        const cutoff = moment(now)
+            .startOf("day")
+            .subtract(retentionDays - 1, "days");
+
+        this._historyStore.deleteDaysBefore(cutoff).catch((error) => {
+            this._logger.error(`Error deleting expired history: ${error.message}`);
+        });
+    }
+
+    /**
+     * Problems with the history should never break the app itself, so we just log them
+     * @param {string} description
+     * @param {() => void} operation
+     */
+    _performStoreOperation(description, operation) {
+        try {
+            operation();
+        } catch (error) {
+            this._logger.error(`Error ${description}: ${error.message}`);
+        }
+    }
+
+    /** @param {Moment} time */
+    _formatTime(time) {
+        return time.format();
+    }
+}
+
+module.exports = HistoryTracker;
@@ -0,0 +1,185 @@
+/** @typedef { import("./HistoryInterval").HistoryInterval } HistoryInterval */
+/** @typedef { import("./HistoryInterval").HistoryState } HistoryState */
+
+const moment = require("moment");
+
+const Logger = require("../Logger");
+
+const HistoryTracker = require("./HistoryTracker");
+
+jest.mock("../Logger");
+
+const now = moment("2020-10-01 09:00:00");
+
+/** @type {HistoryState} */
+const workingState = {
+    integrationType: "todoist",
+    taskTitle: "Write report",
+    taskId: "123",
+    status: "ok",
+    nagging: false,
+    disabled: false,
+    downtime: false,
+};
+
+/** @type {HistoryState} */
+const disabledState = { ...workingState, disabled: true, disabledReason: "Meeting" };
+
+/** @param {number} seconds */
+function secondsLater(seconds) {
+    return moment(now).add(seconds, "seconds");
+}
+
+function createFakeHistoryStore() {
+    return {
+        /** @type {HistoryInterval[]} */
+        appendedIntervals: [],
+
+        /** @type {HistoryInterval} */
+        openInterval: undefined,
+
+        /** @param {HistoryInterval} interval */
+        appendInterval(interval) {
+            this.appendedIntervals.push(interval);
+        },
+
+        /** @param {HistoryInterval} interval */
+        saveOpenInterval(interval) {
+            this.openInterval = { ...interval };
+        },
+
+        clearOpenInterval() {
+            this.openInterval = undefined;
+        },
+
+        takeOpenInterval() {
+            const openInterval = this.openInterval;
+            this.openInterval = undefined;
+            return openInterval;
+        },
+
+        async getIntervals() {
+            return [...this.appendedIntervals];
+        },
+
+        deleteDaysBefore: jest.fn().mockResolvedValue(undefined),
+    };
+}
+
+/**
+ * @param {HistoryInterval} interval
+ * @returns {[string, string, boolean]}
+ */
+function summarize(interval) {
+    return [
+        moment(interval.start).format("HH:mm:ss"),
+        moment(interval.end).format("HH:mm:ss"),
+        interval.disabled,
+    ];
+}
+
+describe("HistoryTracker", () => {
+    /** @type {ReturnType<typeof createFakeHistoryStore>} */
+    let historyStore;
+
+    /** @type {HistoryTracker} */
+    let historyTracker;
+
+    beforeEach(() => {
+        historyStore = createFakeHistoryStore();
+        historyTracker = new HistoryTracker({}, /** @type {any} */ (historyStore), new Logger());
+    });
+
+    it("starts a new interval whenever the state changes", () => {
+        historyTracker.update(workingState, now);
+        historyTracker.update(workingState, secondsLater(1));
+        historyTracker.update(disabledState, secondsLater(2));
+        historyTracker.update(disabledState, secondsLater(3));
+        historyTracker.close(secondsLater(4));
+
+        expect(historyStore.appendedIntervals.map(summarize)).toEqual([
+            ["09:00:00", "09:00:02", false],
+            ["09:00:02", "09:00:04", true],
+        ]);
+
+        expect(historyStore.appendedIntervals[0]).toMatchObject(workingState);
+    });
+
+    it("doesn't count the time during which there were no updates", () => {
+        historyTracker.update(workingState, now);
+        historyTracker.update(workingState, secondsLater(1));
+        historyTracker.update(workingState, secondsLater(600));
+        historyTracker.close(secondsLater(601));
+
+        expect(historyStore.appendedIntervals.map(summarize)).toEqual([
+            ["09:00:00", "09:00:01", false],
+            ["09:10:00", "09:10:01", false],
+        ]);
+    });
+
+    it("splits intervals at midnight", () => {
+        const beforeMidnight = moment("2020-10-01 23:59:50");
+
+        historyTracker.update(workingState, beforeMidnight);
+        historyTracker.update(workingState, moment(beforeMidnight).add(20, "seconds"));
+        historyTracker.close(moment(beforeMidnight).add(30, "seconds"));
+
+        expect(historyStore.appendedIntervals.map(summarize)).toEqual([
+            ["23:59:50", "00:00:00", false],
+            ["00:00:00", "00:00:20", false],
+        ]);
+    });
+
+    it("recovers the interval that was open when the app stopped", () => {
+        historyTracker.update(workingState, now);
+        historyTracker.update(workingState, secondsLater(60));
+
+        const restartedHistoryTracker = new HistoryTracker(
+            {},
+            /** @type {any} */ (historyStore),
+            new Logger()
+        );
+
+        restartedHistoryTracker.initialize();
+
+        expect(historyStore.appendedIntervals.map(summarize)).toEqual([
+            ["09:00:00", "09:01:00", false],
+        ]);
+    });
+
+    it("includes the open interval when getting intervals", async () => {
+        historyTracker.update(workingState, now);
+        historyTracker.update(disabledState, secondsLater(10));
+        historyTracker.update(disabledState, secondsLater(20));
+
+        const intervals = await historyTracker.getIntervals(secondsLater(5), secondsLater(15));
+
+        expect(intervals.map(summarize)).toEqual([
+            ["09:00:05", "09:00:10", false],
+            ["09:00:10", "09:00:15", true],
+        ]);
+    });
+
+    it("stops recording if disabled", () => {
+        historyTracker.update(workingState, now);
+        historyTracker.updateConfiguration({ enabled: false });
+        historyTracker.update(workingState, secondsLater(1));
+        historyTracker.update(workingState, secondsLater(2));
+
+        expect(historyStore.appendedIntervals.map(summarize)).toEqual([
+            ["09:00:00", "09:00:00", false],
+        ]);
+
+        expect(historyStore.openInterval).toBeUndefined();
+    });
+
+    it("deletes expired history once a day", () => {
+        historyTracker.updateConfiguration({ retentionDays: 7 });
+        historyTracker.update(workingState, now);
+        historyTracker.update(workingState, secondsLater(1));
+
+        expect(historyStore.deleteDaysBefore).toHaveBeenCalledTimes(1);
+        const cutoff = historyStore.deleteDaysBefore.mock.calls[0][0];
+        expect(cutoff.format("YYYY-MM-DD HH:mm")).toBe("2020-09-25 00:00");
+    });
+});
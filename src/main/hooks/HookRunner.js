@@ -0,0 +1,241 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../configuration/AdvancedConfiguration").Hook } Hook */
+/** @typedef { import("../configuration/AdvancedConfiguration").HookEvent } HookEvent */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./HookState").HookState } HookState */
+
+const axios = require("axios").default;
+const childProcess = require("child_process");
+
+const HookTransitionDetector = require("./HookTransitionDetector");
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const DEFAULT_MIN_SECONDS_BETWEEN_RUNS = 5;
+
+class HookRunner {
+    /**
+     * @param {Hook[]} hooks
+     * @param {Logger} logger
+     */
+    constructor(hooks, logger) {
+        this._logger = logger;
+        this._transitionDetector = new HookTransitionDetector();
+
+        /** @type {HookState} */
+        this._previousState = undefined;
+
+        // by hook key, so they survive configuration changes that keep the hook as it is
+        /** @type {Map<string, Moment>} */
+        this._lastRunTimes = new Map();
+
+        /** @type {Set<string>} */
+        this._runningHookKeys = new Set();
+
+        this.updateConfiguration(hooks);
+    }
+
+    /**
+     * Hooks that are still defined the same way keep their rate limiting, and hooks that are
+     * running are never started again until they finish
+     * @param {Hook[]} [hooks]
+     */
+    updateConfiguration(hooks) {
+        this._hooks = hooks || [];
+
+        // indexed like the hooks
+        this._hookKeys = getHookKeys(this._hooks);
+
+        for (const key of Array.from(this._lastRunTimes.keys())) {
+            if (!this._hookKeys.includes(key)) {
+                this._lastRunTimes.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Runs the hooks for the transitions since the previous update
+     * @param {HookState} state
+     * @param {Moment} now
+     * @returns {Promise<void>} resolves when the hooks triggered by this update have finished
+     */
+    async update(state, now) {
+        const previousState = this._previousState;
+        this._previousState = state;
+
+        // the first update only provides the initial state, so there is no transition yet
+        if (!previousState) {
+            return;
+        }
+
+        const events = this._transitionDetector.getEvents(previousState, state);
+
+        if (events.length === 0) {
+            return;
+        }
+
+        const runs = [];
+
+        this._hooks.forEach((hook, index) => {
+            const hookEvents = events.filter((event) => hook.events.includes(event));
+
+            if (hookEvents.length > 0 && this._shouldRun(hook, index, now)) {
+                runs.push(this._run(hook, index, hookEvents, state, now));
+            }
+        });
+
+        await Promise.all(runs);
+    }
+
+    /**
+     * @param {Hook} hook
+     * @param {number} index
+     * @param {Moment} now
+     */
+    _shouldRun(hook, index, now) {
+        const key = this._hookKeys[index];
+
+        if (this._runningHookKeys.has(key)) {
+            this._logger.warn(`Skipping hook ${index} because it's still running`);
+            return false;
+        }
+
+        const lastRunTime = this._lastRunTimes.get(key);
+
+        const minSecondsBetweenRuns =
+            hook.minSecondsBetweenRuns !== undefined
+                ? hook.minSecondsBetweenRuns
+                : DEFAULT_MIN_SECONDS_BETWEEN_RUNS;
+
+        if (lastRunTime && now.diff(lastRunTime, "seconds", true) < minSecondsBetweenRuns) {
+            this._logger.warn(
+                `Skipping hook ${index} because it ran less than ${minSecondsBetweenRuns} seconds ago`
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {Hook} hook
+     * @param {number} index
+     * @param {HookEvent[]} events
+     * @param {HookState} state
+     * @param {Moment} now
+     */
+    async _run(hook, index, events, state, now) {
+        const key = this._hookKeys[index];
+        this._lastRunTimes.set(key, now);
+        this._runningHookKeys.add(key);
+        const timeoutSeconds = hook.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+        this._logger.info(`Running hook ${index} for ${events.join(", ")}`);
+
+        try {
+            if (hook.url) {
+                await this._postToUrl(hook, events, state, now, timeoutSeconds);
+            } else {
+                await this._runCommand(hook.command, events, state, timeoutSeconds);
+            }
+        } catch (error) {
+            this._logger.error(`Hook ${index} failed: ${error.message}`);
+        }
+
+        this._runningHookKeys.delete(key);
+    }
+
+    /**
+     * @param {Hook} hook
+     * @param {HookEvent[]} events
+     * @param {HookState} state
+     * @param {Moment} now
+     * @param {number} timeoutSeconds
+     */
+    async _postToUrl(hook, events, state, now, timeoutSeconds) {
+        try {
+            await axios.post(
+                hook.url,
+                {
+                    events,
+                    timestamp: now.format(),
+                    disabled: state.disabled,
+                    snapshot: state.snapshot,
+                },
+                { headers: hook.headers, timeout: timeoutSeconds * 1000 }
+            );
+        } catch (error) {
+            if (error.response) {
+                throw new Error(`URL returned status code ${error.response.status}`);
+            } else if (error.code === "ECONNABORTED") {
+                throw new Error(`no response within ${timeoutSeconds} seconds`);
+            } else {
+                throw new Error(`could not reach URL (${error.message})`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} command
+     * @param {HookEvent[]} events
+     * @param {HookState} state
+     * @param {number} timeoutSeconds
+     */
+    _runCommand(command, events, state, timeoutSeconds) {
+        const options = {
+            env: this._getCommandEnvironment(events, state),
+            timeout: timeoutSeconds * 1000,
+            windowsHide: true,
+        };
+
+        return new Promise((resolve, reject) => {
+            childProcess.exec(command, options, (error) => {
+                if (error && error.killed) {
+                    reject(new Error(`command did not finish within ${timeoutSeconds} seconds`));
+                } else if (error) {
+                    reject(new Error(`command exited with code ${error.code}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Every snapshot property becomes a variable, for example currentTaskTitle becomes
+     * CURRENT_TASK_CURRENT_TASK_TITLE
+     * @param {HookEvent[]} events
+     * @param {HookState} state
+     */
+    _getCommandEnvironment(events, state) {
+        /** @type {Object<string, string>} */
+        const environment = {
+            ...process.env,
+            CURRENT_TASK_EVENTS: events.join(","),
+            CURRENT_TASK_DISABLED: String(state.disabled),
+            CURRENT_TASK_SNAPSHOT: JSON.stringify(state.snapshot),
+        };
+
+        for (const [name, value] of Object.entries(state.snapshot)) {
+            const variableName = name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+            environment[`CURRENT_TASK_${variableName}`] = value === undefined ? "" : String(value);
+        }
+
+        return environment;
+    }
+}
+
+/**
+ * @param {Hook[]} hooks
+ * @returns {string[]} based on the hook definitions, identical hooks get different keys
+ */
+function getHookKeys(hooks) {
+    /** @type {Object<string, number>} */
+    const occurrences = {};
+
+    return hooks.map((hook) => {
+        const definition = JSON.stringify(hook);
+        occurrences[definition] = (occurrences[definition] || 0) + 1;
+        return `${occurrences[definition]}:${definition}`;
+    });
+}
+
+module.exports = HookRunner;
@@ -0,0 +1,228 @@
+/**
+ * @jest-environment node
+ */
+
+/** @typedef { import("../configuration/AdvancedConfiguration").Hook } Hook */
+/** @typedef { import("./HookState").HookState } HookState */
+
+const fs = require("fs");
+const http = require("http");
+const moment = require("moment");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../Logger");
+
+const HookRunner = require("./HookRunner");
+
+jest.mock("../Logger");
+
+/** @type {{ url: string, headers: http.IncomingHttpHeaders, body: any }[]} */
+let receivedRequests = [];
+
+// local stand-in for a webhook receiver, /slow never responds in time
+const stubServer = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+
+    request.on("end", () => {
+        receivedRequests.push({
+            url: request.url,
+            headers: request.headers,
+            body: JSON.parse(body),
+        });
+
+        if (request.url === "/slow") {
+            setTimeout(() => response.end(), 1500);
+        } else {
+            response.statusCode = request.url === "/fail" ? 500 : 200;
+            response.end();
+        }
+    });
+});
+
+/** @type {string} */
+let baseUrl;
+
+/** @type {string} */
+let tmpDir;
+
+/** @type {Logger} */
+let logger;
+
+/**
+ * @param {any} snapshotChanges
+ * @param {boolean} [disabled]
+ * @returns {HookState}
+ */
+function createState(snapshotChanges, disabled = false) {
+    /** @type {any} */
+    const snapshot = {
+        status: "ok",
+        message: "Write report",
+        numberMarkedCurrent: 1,
+        currentTaskTitle: "Write report",
+        naggingEnabled: false,
+        blinkingEnabled: false,
+        downtimeEnabled: false,
+        ...snapshotChanges,
+    };
+
+    return { snapshot, disabled };
+}
+
+const okState = createState({});
+const errorState = createState({ status: "error", message: "Oops" });
+
+beforeAll(async () => {
+    await new Promise((resolve) => stubServer.listen(0, "127.0.0.1", resolve));
+    const address = stubServer.address();
+    baseUrl = `http://127.0.0.1:${typeof address === "object" ? address.port : ""}`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => stubServer.close(resolve));
+});
+
+beforeEach(() => {
+    receivedRequests = [];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-"));
+    logger = new Logger();
+});
+
+afterEach(() => {
+    fs.rmdirSync(tmpDir, { recursive: true });
+});
+
+describe("HookRunner", () => {
+    it("posts the events and snapshot to the URL of matching hooks", async () => {
+        const runner = new HookRunner(
+            [
+                {
+                    events: ["statusChanged"],
+                    url: `${baseUrl}/status`,
+                    headers: { Authorization: "Bearer secret" },
+                },
+                { events: ["naggingStarted"], url: `${baseUrl}/nagging` },
+            ],
+            logger
+        );
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        await runner.update(errorState, moment("2020-10-01 09:00:01"));
+
+        expect(receivedRequests).toHaveLength(1);
+        expect(receivedRequests[0].url).toBe("/status");
+        expect(receivedRequests[0].headers.authorization).toBe("Bearer secret");
+        expect(receivedRequests[0].body).toEqual({
+            events: ["statusChanged"],
+            timestamp: moment("2020-10-01 09:00:01").format(),
+            disabled: false,
+            snapshot: errorState.snapshot,
+        });
+    });
+
+    it("runs commands with the snapshot in environment variables", async () => {
+        const outputPath = path.join(tmpDir, "output.json");
+        const scriptPath = path.join(tmpDir, "script.js");
+
+        const script = `require("fs").writeFileSync(${JSON.stringify(
+            outputPath
+        )}, JSON.stringify(process.env));`;
+        fs.writeFileSync(scriptPath, script);
+
+        const runner = new HookRunner(
+            [{ events: ["statusChanged"], command: `"${process.execPath}" "${scriptPath}"` }],
+            logger
+        );
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        await runner.update(errorState, moment("2020-10-01 09:00:01"));
+
+        const environment = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
+        expect(environment.CURRENT_TASK_EVENTS).toBe("statusChanged");
+        expect(environment.CURRENT_TASK_DISABLED).toBe("false");
+        expect(environment.CURRENT_TASK_STATUS).toBe("error");
+        expect(environment.CURRENT_TASK_CURRENT_TASK_TITLE).toBe("Write report");
+        expect(environment.CURRENT_TASK_NUMBER_MARKED_CURRENT).toBe("1");
+        expect(JSON.parse(environment.CURRENT_TASK_SNAPSHOT)).toEqual(errorState.snapshot);
+    });
+
+    it("rate-limits hooks", async () => {
+        const runner = new HookRunner(
+            [{ events: ["statusChanged"], url: `${baseUrl}/status`, minSecondsBetweenRuns: 10 }],
+            logger
+        );
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        await runner.update(errorState, moment("2020-10-01 09:00:01"));
+        await runner.update(okState, moment("2020-10-01 09:00:05"));
+        await runner.update(errorState, moment("2020-10-01 09:00:11"));
+
+        expect(receivedRequests).toHaveLength(2);
+        expect(logger.warn).toHaveBeenCalledWith(
+            "Skipping hook 0 because it ran less than 10 seconds ago"
+        );
+    });
+
+    it("keeps rate limiting unchanged hooks when the configuration is updated", async () => {
+        /** @type {Hook} */
+        const hook = { events: ["statusChanged"], url: `${baseUrl}/status` };
+        const runner = new HookRunner([hook], logger);
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        await runner.update(errorState, moment("2020-10-01 09:00:01"));
+
+        runner.updateConfiguration([
+            { ...hook },
+            { events: ["statusChanged"], url: `${baseUrl}/other` },
+        ]);
+
+        await runner.update(okState, moment("2020-10-01 09:00:02"));
+
+        expect(receivedRequests.map((request) => request.url)).toEqual(["/status", "/other"]);
+    });
+
+    it("doesn't start a hook again while it's running, even after a configuration update", async () => {
+        /** @type {Hook} */
+        const hook = {
+            events: ["statusChanged"],
+            url: `${baseUrl}/slow`,
+            minSecondsBetweenRuns: 0,
+        };
+        const runner = new HookRunner([hook], logger);
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        const firstRun = runner.update(errorState, moment("2020-10-01 09:00:01"));
+
+        runner.updateConfiguration([{ ...hook }]);
+        await runner.update(okState, moment("2020-10-01 09:00:02"));
+        await firstRun;
+
+        expect(receivedRequests).toHaveLength(1);
+        expect(logger.warn).toHaveBeenCalledWith("Skipping hook 0 because it's still running");
+    });
+
+    it("logs failures and time-limits hooks", async () => {
+        const runner = new HookRunner(
+            [
+                { events: ["statusChanged"], url: `${baseUrl}/fail` },
+                { events: ["statusChanged"], url: `${baseUrl}/slow`, timeoutSeconds: 1 },
+                {
+                    events: ["statusChanged"],
+                    command: `"${process.execPath}" -e "process.exit(3)"`,
+                },
+            ],
+            logger
+        );
+
+        await runner.update(okState, moment("2020-10-01 09:00:00"));
+        await runner.update(errorState, moment("2020-10-01 09:00:01"));
+
+        expect(logger.error).toHaveBeenCalledWith("Hook 0 failed: URL returned status code 500");
+
+        expect(logger.error).toHaveBeenCalledWith("Hook 1 failed: no response within 1 seconds");
+
+        expect(logger.error).toHaveBeenCalledWith("Hook 2 failed: command exited with code 3");
+    });
+});
@@ -0,0 +1,6 @@
+import { CalculatedStateSnapshot } from "../calculated-state/CalculatedStateSnapshot";
+
+export interface HookState {
+    snapshot: CalculatedStateSnapshot;
+    disabled: boolean;
+}
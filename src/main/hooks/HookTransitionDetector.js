@@ -0,0 +1,86 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").HookEvent } HookEvent */
+/** @typedef { import("./HookState").HookState } HookState */
+
+class HookTransitionDetector {
+    /**
+     * @param {HookState} previous
+     * @param {HookState} current
+     * @returns {HookEvent[]}
+     */
+    getEvents(previous, current) {
+        /** @type {HookEvent[]} */
+        const events = [];
+
+        if (previous.snapshot.status !== current.snapshot.status) {
+            events.push("statusChanged");
+        }
+
+        if (this._getCurrentTask(previous) !== this._getCurrentTask(current)) {
+            events.push("currentTaskChanged");
+        }
+
+        this._addStartedOrEnded(
+            events,
+            this._isActive(previous, "naggingEnabled"),
+            this._isActive(current, "naggingEnabled"),
+            "naggingStarted",
+            "naggingEnded"
+        );
+
+        this._addStartedOrEnded(
+            events,
+            this._isActive(previous, "blinkingEnabled"),
+            this._isActive(current, "blinkingEnabled"),
+            "blinkingStarted",
+            "blinkingEnded"
+        );
+
+        this._addStartedOrEnded(
+            events,
+            this._isActive(previous, "downtimeEnabled"),
+            this._isActive(current, "downtimeEnabled"),
+            "downtimeStarted",
+            "downtimeEnded"
+        );
+
+        this._addStartedOrEnded(events, previous.disabled, current.disabled, "disabled", "enabled");
+
+        return events;
+    }
+
+    /**
+     * The app ignores nagging, blinking and downtime while it's disabled
+     * @param {HookState} state
+     * @param {"naggingEnabled" | "blinkingEnabled" | "downtimeEnabled"} flag
+     */
+    _isActive(state, flag) {
+        return state.snapshot[flag] && !state.disabled;
+    }
+
+    /**
+     * @param {HookState} state
+     * @returns {string} undefined if there isn't a single current task
+     */
+    _getCurrentTask(state) {
+        return state.snapshot.numberMarkedCurrent === 1
+            ? state.snapshot.currentTaskTitle
+            : undefined;
+    }
+
+    /**
+     * @param {HookEvent[]} events
+     * @param {boolean} previousValue
+     * @param {boolean} currentValue
+     * @param {HookEvent} startedEvent
+     * @param {HookEvent} endedEvent
+     */
+    _addStartedOrEnded(events, previousValue, currentValue, startedEvent, endedEvent) {
+        if (!previousValue && currentValue) {
+            events.push(startedEvent);
+        } else if (previousValue && !currentValue) {
+            events.push(endedEvent);
+        }
+    }
+}
+
+module.exports = HookTransitionDetector;
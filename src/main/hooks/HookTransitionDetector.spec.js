@@ -0,0 +1,96 @@
+/** @typedef { import("./HookState").HookState } HookState */
+
+const HookTransitionDetector = require("./HookTransitionDetector");
+
+const detector = new HookTransitionDetector();
+
+/**
+ * @param {any} snapshotChanges
+ * @param {boolean} [disabled]
+ * @returns {HookState}
+ */
+function createState(snapshotChanges, disabled = false) {
+    /** @type {any} */
+    const snapshot = {
+        status: "ok",
+        numberMarkedCurrent: 1,
+        currentTaskTitle: "Write report",
+        naggingEnabled: false,
+        blinkingEnabled: false,
+        downtimeEnabled: false,
+        ...snapshotChanges,
+    };
+
+    return { snapshot, disabled };
+}
+
+describe("HookTransitionDetector", () => {
+    it("returns no events if nothing relevant changed", () => {
+        const previous = createState({ secondsInCurrentStatus: 10 });
+        const current = createState({ secondsInCurrentStatus: 11 });
+        expect(detector.getEvents(previous, current)).toEqual([]);
+    });
+
+    it("detects status and current task changes", () => {
+        const previous = createState({});
+        const current = createState({ status: "error", numberMarkedCurrent: 0 });
+        expect(detector.getEvents(previous, current)).toEqual([
+            "statusChanged",
+            "currentTaskChanged",
+        ]);
+    });
+
+    it("ignores the task title if there is no single current task", () => {
+        const previous = createState({ numberMarkedCurrent: 2, currentTaskTitle: "A" });
+        const current = createState({ numberMarkedCurrent: 0, currentTaskTitle: "B" });
+        expect(detector.getEvents(previous, current)).toEqual([]);
+    });
+
+    it("detects the start and end of nagging, blinking, downtime and disabled", () => {
+        const inactive = createState({});
+
+        const active = createState({
+            naggingEnabled: true,
+            blinkingEnabled: true,
+            downtimeEnabled: true,
+        });
+
+        expect(detector.getEvents(inactive, active)).toEqual([
+            "naggingStarted",
+            "blinkingStarted",
+            "downtimeStarted",
+        ]);
+
+        expect(detector.getEvents(active, inactive)).toEqual([
+            "naggingEnded",
+            "blinkingEnded",
+            "downtimeEnded",
+        ]);
+
+        const disabled = createState({}, true);
+        expect(detector.getEvents(inactive, disabled)).toEqual(["disabled"]);
+        expect(detector.getEvents(disabled, inactive)).toEqual(["enabled"]);
+    });
+
+    it("ignores nagging, blinking and downtime while the app is disabled", () => {
+        const flags = { naggingEnabled: true, blinkingEnabled: true, downtimeEnabled: true };
+        const active = createState(flags);
+        const disabled = createState(flags, true);
+
+        expect(detector.getEvents(createState({}, true), disabled)).toEqual([]);
+
+        expect(detector.getEvents(active, disabled)).toEqual([
+            "naggingEnded",
+            "blinkingEnded",
+            "downtimeEnded",
+            "disabled",
+        ]);
+
+        expect(detector.getEvents(disabled, active)).toEqual([
+            "naggingStarted",
+            "blinkingStarted",
+            "downtimeStarted",
+            "enabled",
+        ]);
+    });
+});
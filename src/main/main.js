@@ -1,16 +1,71 @@
 const { app, dialog } = require("electron");
+const path = require("path");
 
+const CommandLineClient = require("./command-line/CommandLineClient");
+const CommandLineParser = require("./command-line/CommandLineParser");
+const CommandLineRunner = require("./command-line/CommandLineRunner");
+const getCommandLineSocketPath = require("./command-line/getCommandLineSocketPath");
+const DeepLinkParser = require("./deep-links/DeepLinkParser");
 const Controller = require("./Controller");
 const Logger = require("./Logger");
+const showConfigurationErrorDialog = require("./windows/showConfigurationErrorDialog");
 
+// when running through Electron in development, the first two arguments are Electron and the app
+const commandLineArgs = process.argv.slice(process.defaultApp ? 2 : 1);
+const deepLinkParser = new DeepLinkParser();
+const initialDeepLink = deepLinkParser.findDeepLink(commandLineArgs);
+const isCommandLineInvocation = !initialDeepLink && isCommandLineCommand(commandLineArgs);
 const isFirstInstance = app.requestSingleInstanceLock();
 
-if (isFirstInstance) {
+if (isFirstInstance && isCommandLineInvocation) {
+    runCommandWithoutRunningInstance();
+} else if (isFirstInstance) {
     initializeApp();
+} else if (isCommandLineInvocation) {
+    sendCommandToRunningInstance();
 } else {
+    // deep links reach the running instance through its second-instance event
     app.exit();
 }
 
+/** @param {string[]} args */
+function isCommandLineCommand(args) {
+    try {
+        return new CommandLineParser().parse(args) !== undefined;
+    } catch (_error) {
+        // invalid commands show the usage instead of starting the app
+        return true;
+    }
+}
+
+function runCommandWithoutRunningInstance() {
+    // invalid commands and help don't need the app, so they get the same output as when it's running
+    const result = new CommandLineRunner().runWithoutBackend(commandLineArgs);
+
+    if (result) {
+        exitWithOutput(result.output, result.exitCode);
+    } else {
+        exitWithOutput("CurrentTask is not running\n", 1);
+    }
+}
+
+async function sendCommandToRunningInstance() {
+    const client = new CommandLineClient(getCommandLineSocketPath());
+    const { output, exitCode } = await client.send(commandLineArgs);
+    exitWithOutput(output, exitCode);
+}
+
+/**
+ * @param {string} output
+ * @param {number} exitCode
+ */
+function exitWithOutput(output, exitCode) {
+    const stream = exitCode === 0 ? process.stdout : process.stderr;
+
+    // wait until the output is written, because exiting immediately can truncate it
+    stream.write(output, () => app.exit(exitCode));
+}
+
 function initializeApp() {
     const logger = new Logger();
     logger.enableLoggingUnhandledErrorsAndRejections();
@@ -24,6 +79,39 @@ function initializeApp() {
     // this reduces visual artifacts when showing/hiding windows (like our custom dialogs) on Windows
     app.disableHardwareAcceleration();
 
+    registerDeepLinkProtocol();
+
+    /** @type {Controller} */
+    let initializedController = undefined;
+
+    // links can arrive before the controller is ready, for example the link that started the app
+    /** @type {string[]} */
+    const pendingDeepLinks = initialDeepLink ? [initialDeepLink] : [];
+
+    /** @param {string} link */
+    const handleDeepLink = (link) => {
+        if (initializedController) {
+            initializedController.handleDeepLink(link);
+        } else {
+            pendingDeepLinks.push(link);
+        }
+    };
+
+    // Mac
+    app.on("open-url", (event, url) => {
+        event.preventDefault();
+        handleDeepLink(url);
+    });
+
+    // Windows and Linux
+    app.on("second-instance", (_event, argv) => {
+        const link = deepLinkParser.findDeepLink(argv);
+
+        if (link) {
+            handleDeepLink(link);
+        }
+    });
+
     // this means Electron has finished initialization and we can use all APIs
     app.on("ready", async () => {
         const controller = new Controller(logger);
@@ -31,8 +119,23 @@ function initializeApp() {
         try {
             await controller.initialize();
         } catch (error) {
-            dialog.showMessageBoxSync({ type: "error", message: error.message });
+            await showConfigurationErrorDialog(error);
             app.exit();
+            return;
         }
+
+        initializedController = controller;
+        pendingDeepLinks.forEach((link) => controller.handleDeepLink(link));
     });
 }
+
+function registerDeepLinkProtocol() {
+    const protocol = deepLinkParser.getProtocol();
+
+    if (process.defaultApp) {
+        // in development, the OS needs to start Electron with the path to the app
+        app.setAsDefaultProtocolClient(protocol, process.execPath, [path.resolve(process.argv[1])]);
+    } else {
+        app.setAsDefaultProtocolClient(protocol);
+    }
+}
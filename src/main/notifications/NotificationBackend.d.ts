@@ -0,0 +1,7 @@
+export interface NotificationBackend {
+    setManualCurrentTask: () => void;
+    clearCurrent: () => void;
+    isQuickDisableAllowed: () => boolean;
+    disableForMinutes: (minutes: number) => void;
+    disableUntilSpecificTime: () => void;
+}
@@ -0,0 +1,52 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../calculated-state/CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+/** @typedef { import("../calculated-state/ConditionMatcher") } ConditionMatcher */
+/** @typedef { import("../configuration/AdvancedConfiguration").NotificationRule } NotificationRule */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./ScheduledNotification").ScheduledNotification } ScheduledNotification */
+
+const ConditionTriggerTracker = require("../calculated-state/ConditionTriggerTracker");
+const MessageTemplateRenderer = require("../calculated-state/MessageTemplateRenderer");
+
+const DEFAULT_TITLE = "CurrentTask";
+
+class NotificationScheduler {
+    /**
+     * @param {NotificationRule[]} rules
+     * @param {ConditionMatcher} conditionMatcher
+     * @param {Logger} logger
+     */
+    constructor(rules, conditionMatcher, logger) {
+        this._logger = logger;
+
+        /** @type {ConditionTriggerTracker<NotificationRule>} */
+        this._triggerTracker = new ConditionTriggerTracker(conditionMatcher, rules);
+
+        this._messageTemplateRenderer = new MessageTemplateRenderer();
+    }
+
+    /** @param {NotificationRule[]} [rules] */
+    updateConfiguration(rules) {
+        this._triggerTracker.updateRules(rules);
+    }
+
+    /**
+     * @param {CalculatedStateSnapshot} snapshot
+     * @param {boolean} suppressed true if the app is disabled or in downtime mode
+     * @param {Moment} now
+     * @returns {ScheduledNotification[]}
+     */
+    update(snapshot, suppressed, now) {
+        return this._triggerTracker.update(snapshot, suppressed, now).map((rule) => {
+            this._logger.debugStateCalculation("Showing notification for rule:", rule);
+
+            return {
+                title: this._messageTemplateRenderer.render(rule.title || DEFAULT_TITLE, snapshot),
+                body: this._messageTemplateRenderer.render(rule.message, snapshot),
+                actions: rule.actions || [],
+            };
+        });
+    }
+}
+
+module.exports = NotificationScheduler;
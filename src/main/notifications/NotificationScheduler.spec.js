@@ -0,0 +1,113 @@
+const moment = require("moment");
+
+const ConditionMatcher = require("../calculated-state/ConditionMatcher");
+const Logger = require("../Logger");
+
+const NotificationScheduler = require("./NotificationScheduler");
+
+jest.mock("../Logger");
+
+/**
+ * @param {any} changes
+ * @returns {any}
+ */
+function createSnapshot(changes) {
+    return {
+        status: "ok",
+        numberMarkedCurrent: 1,
+        currentTaskTitle: "Write report",
+        secondsInCurrentStatus: 0,
+        ...changes,
+    };
+}
+
+/** @param {number} seconds */
+function at(seconds) {
+    return moment("2020-10-01 09:00:00").add(seconds, "seconds");
+}
+
+describe("NotificationScheduler", () => {
+    it("shows a notification once while the condition keeps matching", () => {
+        const scheduler = new NotificationScheduler(
+            [{ condition: { status: "error" }, message: "Status: %{status}" }],
+            new ConditionMatcher(),
+            new Logger()
+        );
+
+        const errorSnapshot = createSnapshot({ status: "error" });
+
+        expect(scheduler.update(errorSnapshot, false, at(0))).toEqual([
+            { title: "CurrentTask", body: "Status: error", actions: [] },
+        ]);
+
+        expect(scheduler.update(errorSnapshot, false, at(60))).toEqual([]);
+        expect(scheduler.update(createSnapshot({}), false, at(61))).toEqual([]);
+        expect(scheduler.update(errorSnapshot, false, at(62))).toHaveLength(1);
+    });
+
+    it("repeats notifications if configured", () => {
+        const scheduler = new NotificationScheduler(
+            [
+                {
+                    condition: { numberMarkedCurrent: 0 },
+                    title: "No current task",
+                    message: "Please pick a task",
+                    repeatAfterSeconds: 60,
+                    actions: ["setManualCurrentTask", "disableFor15Minutes"],
+                },
+            ],
+            new ConditionMatcher(),
+            new Logger()
+        );
+
+        const snapshot = createSnapshot({ numberMarkedCurrent: 0 });
+
+        expect(scheduler.update(snapshot, false, at(0))).toEqual([
+            {
+                title: "No current task",
+                body: "Please pick a task",
+                actions: ["setManualCurrentTask", "disableFor15Minutes"],
+            },
+        ]);
+
+        expect(scheduler.update(snapshot, false, at(59))).toEqual([]);
+        expect(scheduler.update(snapshot, false, at(60))).toHaveLength(1);
+        expect(scheduler.update(snapshot, false, at(90))).toEqual([]);
+        expect(scheduler.update(snapshot, false, at(120))).toHaveLength(1);
+    });
+
+    it("doesn't show notifications while suppressed", () => {
+        const scheduler = new NotificationScheduler(
+            [{ condition: { status: "error" }, message: "Error" }],
+            new ConditionMatcher(),
+            new Logger()
+        );
+
+        const errorSnapshot = createSnapshot({ status: "error" });
+
+        expect(scheduler.update(errorSnapshot, false, at(0))).toHaveLength(1);
+        expect(scheduler.update(errorSnapshot, true, at(1))).toEqual([]);
+
+        // the condition counts as having started matching again after the app is enabled
+        expect(scheduler.update(errorSnapshot, false, at(2))).toHaveLength(1);
+    });
+
+    it("handles each rule separately", () => {
+        const scheduler = new NotificationScheduler(
+            [
+                { condition: { status: "error" }, message: "Error" },
+                { condition: { numberMarkedCurrent: 1 }, message: "%{currentTaskTitle}" },
+            ],
+            new ConditionMatcher(),
+            new Logger()
+        );
+
+        expect(scheduler.update(createSnapshot({}), false, at(0))).toEqual([
+            { title: "CurrentTask", body: "Write report", actions: [] },
+        ]);
+
+        expect(scheduler.update(createSnapshot({ status: "error" }), false, at(1))).toEqual([
+            { title: "CurrentTask", body: "Error", actions: [] },
+        ]);
+    });
+});
@@ -0,0 +1,99 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").NotificationAction } NotificationAction */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./NotificationBackend").NotificationBackend } NotificationBackend */
+/** @typedef { import("./ScheduledNotification").ScheduledNotification } ScheduledNotification */
+
+const { Notification } = require("electron");
+
+const ACTION_LABELS = {
+    setManualCurrentTask: "Set current task",
+    clearCurrent: "Clear current task",
+    disableFor15Minutes: "Disable for 15 minutes",
+    disableFor30Minutes: "Disable for 30 minutes",
+    disableFor1Hour: "Disable for 1 hour",
+    disableFor2Hours: "Disable for 2 hours",
+};
+
+const DISABLE_ACTION_MINUTES = {
+    disableFor15Minutes: 15,
+    disableFor30Minutes: 30,
+    disableFor1Hour: 60,
+    disableFor2Hours: 120,
+};
+
+class NotificationService {
+    /**
+     * @param {NotificationBackend} backend
+     * @param {Logger} logger
+     */
+    constructor(backend, logger) {
+        this._backend = backend;
+        this._logger = logger;
+
+        // notifications without a reference can be garbage collected, losing their event handlers
+        /** @type {Electron.Notification[]} */
+        this._openNotifications = [];
+    }
+
+    /** @param {ScheduledNotification} notification */
+    show(notification) {
+        if (!Notification.isSupported()) {
+            this._logger.warn("Notifications are not supported on this system");
+            return;
+        }
+
+        const { title, body, actions } = notification;
+
+        // buttons are only supported on Mac, actions are left out elsewhere
+        // this way, clicking the notification never performs an action by accident
+        const buttonActions = process.platform === "darwin" ? actions : [];
+
+        const electronNotification = new Notification({
+            title,
+            body,
+            actions: buttonActions.map((action) => ({
+                type: "button",
+                text: ACTION_LABELS[action],
+            })),
+        });
+
+        electronNotification.on("action", (_event, index) => {
+            this._performAction(buttonActions[index]);
+        });
+
+        electronNotification.on("close", () => {
+            this._openNotifications = this._openNotifications.filter(
+                (openNotification) => openNotification !== electronNotification
+            );
+        });
+
+        this._openNotifications.push(electronNotification);
+        electronNotification.show();
+    }
+
+    /** @param {NotificationAction} action */
+    _performAction(action) {
+        this._logger.info(`Performing notification action ${action}`);
+
+        if (action === "setManualCurrentTask") {
+            this._backend.setManualCurrentTask();
+        } else if (action === "clearCurrent") {
+            this._backend.clearCurrent();
+        } else if (this._backend.isQuickDisableAllowed()) {
+            this._backend.disableForMinutes(DISABLE_ACTION_MINUTES[action]);
+        } else {
+            // a reason is required, which the dialog for disabling until a specific time asks for
+            this._backend.disableUntilSpecificTime();
+        }
+    }
+
+    destroy() {
+        for (const notification of this._openNotifications) {
+            notification.close();
+        }
+
+        this._openNotifications = [];
+    }
+}
+
+module.exports = NotificationService;
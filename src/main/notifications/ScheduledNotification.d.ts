@@ -0,0 +1,7 @@
+import { NotificationAction } from "../configuration/AdvancedConfiguration";
+
+export interface ScheduledNotification {
+    title: string;
+    body: string;
+    actions: NotificationAction[];
+}
@@ -0,0 +1,118 @@
+/** @typedef { import("../calculated-state/CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+/** @typedef { import("../calculated-state/ConditionMatcher") } ConditionMatcher */
+/** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+
+// the name used for the top-level options, when no profile is active
+const DEFAULT_PROFILE_NAME = "default";
+
+class ProfileSelector {
+    /**
+     * @param {AdvancedConfiguration} configuration
+     * @param {string} selectedProfileName undefined for automatic switching
+     * @param {ConditionMatcher} conditionMatcher
+     */
+    constructor(configuration, selectedProfileName, conditionMatcher) {
+        this._configuration = configuration;
+        this._selectedProfileName = selectedProfileName;
+        this._conditionMatcher = conditionMatcher;
+
+        // automatic switching needs a snapshot, so it only happens on the first update
+        this._activeProfileName = this._getManuallySelectedProfileName();
+    }
+
+    /**
+     * Used for the next update
+     * @param {AdvancedConfiguration} configuration
+     */
+    updateConfiguration(configuration) {
+        this._configuration = configuration;
+    }
+
+    /**
+     * Used for the next update
+     * @param {string} profileName undefined for automatic switching
+     */
+    select(profileName) {
+        this._selectedProfileName = profileName;
+    }
+
+    /**
+     * @param {CalculatedStateSnapshot} snapshot
+     * @returns {boolean} whether the active profile changed
+     */
+    update(snapshot) {
+        const previousProfileName = this._activeProfileName;
+
+        this._activeProfileName =
+            this._selectedProfileName === undefined
+                ? this._getAutomaticProfileName(snapshot)
+                : this._getManuallySelectedProfileName();
+
+        return this._activeProfileName !== previousProfileName;
+    }
+
+    _getManuallySelectedProfileName() {
+        const profiles = this._configuration.profiles || {};
+
+        // the selected profile can disappear when the configuration changes
+        return this._selectedProfileName in profiles
+            ? this._selectedProfileName
+            : DEFAULT_PROFILE_NAME;
+    }
+
+    /** @param {CalculatedStateSnapshot} snapshot */
+    _getAutomaticProfileName(snapshot) {
+        const profiles = this._configuration.profiles || {};
+
+        const matchingProfileName = Object.keys(profiles).find((name) => {
+            const condition = profiles[name].activateWhen;
+            return condition && this._conditionMatcher.match(condition, snapshot);
+        });
+
+        return matchingProfileName || DEFAULT_PROFILE_NAME;
+    }
+
+    getProfileNames() {
+        return Object.keys(this._configuration.profiles || {});
+    }
+
+    /** @returns {string} undefined for automatic switching */
+    getSelectedProfileName() {
+        return this._selectedProfileName;
+    }
+
+    getActiveProfileName() {
+        return this._activeProfileName;
+    }
+
+    /**
+     * The top-level options, with the options of the active profile replacing them
+     * @returns {AdvancedConfiguration}
+     */
+    getActiveConfiguration() {
+        const profile = this._getActiveProfile();
+
+        if (!profile) {
+            return this._configuration;
+        }
+
+        const { activateWhen, separateIntegration, ...profileOptions } = profile;
+        return { ...this._configuration, ...profileOptions };
+    }
+
+    /** @returns {string} undefined if the top-level integration settings are used */
+    getIntegrationProfileName() {
+        const profile = this._getActiveProfile();
+        return profile && profile.separateIntegration ? this._activeProfileName : undefined;
+    }
+
+    _getActiveProfile() {
+        if (this._activeProfileName === DEFAULT_PROFILE_NAME) {
+            return undefined;
+        }
+
+        return this._configuration.profiles[this._activeProfileName];
+    }
+}
+
+module.exports = { ProfileSelector, DEFAULT_PROFILE_NAME };
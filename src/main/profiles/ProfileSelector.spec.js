@@ -0,0 +1,121 @@
+/** @typedef { import("../calculated-state/CalculatedStateSnapshot").CalculatedStateSnapshot } CalculatedStateSnapshot */
+/** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+
+const ConditionMatcher = require("../calculated-state/ConditionMatcher");
+const { ProfileSelector } = require("./ProfileSelector");
+
+/** @type {AdvancedConfiguration} */
+const configuration = {
+    requireReasonForDisabling: true,
+    naggingConditions: [{ minutes: 0 }],
+    profiles: {
+        meetings: {
+            activateWhen: { dayOfWeek: 2 },
+            naggingConditions: [],
+        },
+        onCall: {
+            activateWhen: { dayOfWeek: { anyOf: [2, 6] } },
+            separateIntegration: true,
+            requireReasonForDisabling: false,
+        },
+        deepWork: {
+            blinkingConditions: [{ seconds: 0 }],
+        },
+    },
+};
+
+/** @param {number} dayOfWeek */
+function getSnapshot(dayOfWeek) {
+    return /** @type {CalculatedStateSnapshot} */ ({ dayOfWeek });
+}
+
+describe("ProfileSelector", () => {
+    it("activates the first profile with a matching condition when switching automatically", () => {
+        const profileSelector = new ProfileSelector(
+            configuration,
+            undefined,
+            new ConditionMatcher()
+        );
+        expect(profileSelector.getActiveProfileName()).toBe("default");
+
+        expect(profileSelector.update(getSnapshot(2))).toBe(true);
+        expect(profileSelector.getActiveProfileName()).toBe("meetings");
+
+        expect(profileSelector.update(getSnapshot(6))).toBe(true);
+        expect(profileSelector.getActiveProfileName()).toBe("onCall");
+
+        expect(profileSelector.update(getSnapshot(6))).toBe(false);
+
+        expect(profileSelector.update(getSnapshot(0))).toBe(true);
+        expect(profileSelector.getActiveProfileName()).toBe("default");
+    });
+
+    it("keeps a manually selected profile active regardless of conditions", () => {
+        const profileSelector = new ProfileSelector(
+            configuration,
+            "deepWork",
+            new ConditionMatcher()
+        );
+        expect(profileSelector.getActiveProfileName()).toBe("deepWork");
+
+        expect(profileSelector.update(getSnapshot(2))).toBe(false);
+        expect(profileSelector.getActiveProfileName()).toBe("deepWork");
+
+        profileSelector.select("default");
+        expect(profileSelector.update(getSnapshot(2))).toBe(true);
+        expect(profileSelector.getActiveProfileName()).toBe("default");
+    });
+
+    it("falls back to the default profile if the selected profile doesn't exist anymore", () => {
+        const profileSelector = new ProfileSelector(
+            configuration,
+            "deepWork",
+            new ConditionMatcher()
+        );
+
+        profileSelector.updateConfiguration({});
+        expect(profileSelector.update(getSnapshot(2))).toBe(true);
+        expect(profileSelector.getActiveProfileName()).toBe("default");
+        expect(profileSelector.getActiveConfiguration()).toEqual({});
+    });
+
+    it("replaces top-level options with the options of the active profile", () => {
+        const profileSelector = new ProfileSelector(
+            configuration,
+            "onCall",
+            new ConditionMatcher()
+        );
+
+        expect(profileSelector.getActiveConfiguration()).toEqual({
+            requireReasonForDisabling: false,
+            naggingConditions: [{ minutes: 0 }],
+            profiles: configuration.profiles,
+        });
+
+        profileSelector.select("meetings");
+        profileSelector.update(getSnapshot(0));
+
+        expect(profileSelector.getActiveConfiguration()).toEqual({
+            requireReasonForDisabling: true,
+            naggingConditions: [],
+            profiles: configuration.profiles,
+        });
+    });
+
+    it("only uses separate integration settings for profiles that have them", () => {
+        const profileSelector = new ProfileSelector(
+            configuration,
+            "onCall",
+            new ConditionMatcher()
+        );
+        expect(profileSelector.getIntegrationProfileName()).toBe("onCall");
+
+        profileSelector.select("deepWork");
+        profileSelector.update(getSnapshot(0));
+        expect(profileSelector.getIntegrationProfileName()).toBeUndefined();
+
+        profileSelector.select("default");
+        profileSelector.update(getSnapshot(0));
+        expect(profileSelector.getIntegrationProfileName()).toBeUndefined();
+    });
+});
@@ -0,0 +1,41 @@
+export type ReportPeriodType = "day" | "week";
+
+export interface Report {
+    periodType: ReportPeriodType;
+
+    /** ISO 8601 with local offset */
+    periodStart: string;
+
+    /** ISO 8601 with local offset (exclusive) */
+    periodEnd: string;
+
+    /** time during which the app was running and not disabled or in downtime mode */
+    activeSeconds: number;
+
+    /** ordered from most to least time spent */
+    tasks: ReportTask[];
+
+    noCurrentTaskSeconds: number;
+    warningSeconds: number;
+    errorSeconds: number;
+    naggingEpisodes: ReportEpisode[];
+    disabledPeriods: ReportEpisode[];
+    downtimeSeconds: number;
+}
+
+export interface ReportTask {
+    title: string;
+    id?: string;
+    seconds: number;
+}
+
+export interface ReportEpisode {
+    /** ISO 8601 with local offset */
+    start: string;
+
+    /** ISO 8601 with local offset */
+    end: string;
+
+    seconds: number;
+    reason?: string;
+}
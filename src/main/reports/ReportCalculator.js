@@ -0,0 +1,163 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("../history/HistoryInterval").HistoryInterval } HistoryInterval */
+/** @typedef { import("./Report").Report } Report */
+/** @typedef { import("./Report").ReportEpisode } ReportEpisode */
+/** @typedef { import("./Report").ReportPeriodType } ReportPeriodType */
+/** @typedef { import("./Report").ReportTask } ReportTask */
+
+const moment = require("moment");
+
+class ReportCalculator {
+    /**
+     * @param {ReportPeriodType} periodType
+     * @param {Moment} date any time within the period
+     * @returns {{ start: Moment, end: Moment }} weeks start on Monday
+     */
+    getPeriod(periodType, date) {
+        if (periodType === "week") {
+            const start = moment(date).startOf("isoWeek");
+            return { start, end: moment(start).add(1, "weeks") };
+        } else {
+            const start = moment(date).startOf("day");
+            return { start, end: moment(start).add(1, "days") };
+        }
+    }
+
+    /**
+     * @param {HistoryInterval[]} intervals ordered by start and cut off at the start and end of the
+     *      period
+     * @param {ReportPeriodType} periodType
+     * @param {Moment} periodStart
+     * @param {Moment} periodEnd
+     * @returns {Report}
+     */
+    calculateReport(intervals, periodType, periodStart, periodEnd) {
+        let activeSeconds = 0;
+        let noCurrentTaskSeconds = 0;
+        let warningSeconds = 0;
+        let errorSeconds = 0;
+        let downtimeSeconds = 0;
+
+        /** @type {Map<string, ReportTask>} */
+        const tasks = new Map();
+
+        /** @type {ReportEpisode[]} */
+        const naggingEpisodes = [];
+
+        /** @type {ReportEpisode[]} */
+        const disabledPeriods = [];
+
+        for (const interval of intervals) {
+            const seconds = this._getSeconds(interval.start, interval.end);
+
+            if (interval.disabled) {
+                this._addToEpisodes(disabledPeriods, interval, interval.disabledReason);
+                continue;
+            }
+
+            if (interval.downtime) {
+                downtimeSeconds += seconds;
+                continue;
+            }
+
+            activeSeconds += seconds;
+
+            if (interval.status === "warning") {
+                warningSeconds += seconds;
+            } else if (interval.status === "error") {
+                errorSeconds += seconds;
+            }
+
+            if (interval.taskTitle === undefined) {
+                noCurrentTaskSeconds += seconds;
+            } else {
+                this._addToTask(tasks, interval, seconds);
+            }
+
+            if (interval.nagging) {
+                this._addToEpisodes(naggingEpisodes, interval, undefined);
+            }
+        }
+
+        return {
+            periodType,
+            periodStart: periodStart.format(),
+            periodEnd: periodEnd.format(),
+            activeSeconds: Math.round(activeSeconds),
+            tasks: Array.from(tasks.values())
+                .map((task) => ({ ...task, seconds: Math.round(task.seconds) }))
+                .sort((a, b) => b.seconds - a.seconds),
+            noCurrentTaskSeconds: Math.round(noCurrentTaskSeconds),
+            warningSeconds: Math.round(warningSeconds),
+            errorSeconds: Math.round(errorSeconds),
+            naggingEpisodes: naggingEpisodes.map((episode) => this._roundEpisode(episode)),
+            disabledPeriods: disabledPeriods.map((episode) => this._roundEpisode(episode)),
+            downtimeSeconds: Math.round(downtimeSeconds),
+        };
+    }
+
+    /**
+     * Tasks are identified by ID if possible, so renaming a task doesn't split up its time
+     * @param {Map<string, ReportTask>} tasks
+     * @param {HistoryInterval} interval
+     * @param {number} seconds
+     */
+    _addToTask(tasks, interval, seconds) {
+        const key =
+            interval.taskId !== undefined
+                ? `id:${interval.integrationType}:${interval.taskId}`
+                : `title:${interval.taskTitle}`;
+
+        const existingTask = tasks.get(key);
+
+        if (existingTask) {
+            // intervals are ordered, so this keeps the latest title
+            existingTask.title = interval.taskTitle;
+            existingTask.seconds += seconds;
+        } else {
+            tasks.set(key, { title: interval.taskTitle, id: interval.taskId, seconds });
+        }
+    }
+
+    /**
+     * Consecutive intervals (for example with a different current task) form a single episode
+     * @param {ReportEpisode[]} episodes
+     * @param {HistoryInterval} interval
+     * @param {string} reason
+     */
+    _addToEpisodes(episodes, interval, reason) {
+        const lastEpisode = episodes[episodes.length - 1];
+
+        const continuesLastEpisode =
+            lastEpisode &&
+            lastEpisode.reason === reason &&
+            moment(lastEpisode.end).isSame(moment(interval.start));
+
+        if (continuesLastEpisode) {
+            lastEpisode.end = interval.end;
+            lastEpisode.seconds += this._getSeconds(interval.start, interval.end);
+        } else {
+            episodes.push({
+                start: interval.start,
+                end: interval.end,
+                seconds: this._getSeconds(interval.start, interval.end),
+                reason,
+            });
+        }
+    }
+
+    /** @param {ReportEpisode} episode */
+    _roundEpisode(episode) {
+        return { ...episode, seconds: Math.round(episode.seconds) };
+    }
+
+    /**
+     * @param {string} start
+     * @param {string} end
+     */
+    _getSeconds(start, end) {
+        return moment(end).diff(moment(start), "seconds", true);
+    }
+}
+
+module.exports = ReportCalculator;
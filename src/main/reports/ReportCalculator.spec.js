@@ -0,0 +1,150 @@
+/** @typedef { import("../history/HistoryInterval").HistoryInterval } HistoryInterval */
+
+const moment = require("moment");
+
+const ReportCalculator = require("./ReportCalculator");
+
+const calculator = new ReportCalculator();
+
+const periodStart = moment("2020-10-01 00:00:00");
+const periodEnd = moment("2020-10-02 00:00:00");
+
+/**
+ * @param {string} start HH:mm
+ * @param {string} end HH:mm
+ * @param {Partial<HistoryInterval>} [data]
+ * @returns {HistoryInterval}
+ */
+function createInterval(start, end, data) {
+    return {
+        start: moment(`2020-10-01 ${start}`).format(),
+        end: moment(`2020-10-01 ${end}`).format(),
+        integrationType: "todoist",
+        taskTitle: "Write report",
+        taskId: "1",
+        status: "ok",
+        nagging: false,
+        disabled: false,
+        downtime: false,
+        ...data,
+    };
+}
+
+/** @param {HistoryInterval[]} intervals */
+function calculateReport(intervals) {
+    return calculator.calculateReport(intervals, "day", periodStart, periodEnd);
+}
+
+describe("ReportCalculator", () => {
+    describe("getPeriod", () => {
+        it("returns the day of the date", () => {
+            const { start, end } = calculator.getPeriod("day", moment("2020-10-01 14:30:00"));
+
+            expect(start.format("YYYY-MM-DD HH:mm")).toBe("2020-10-01 00:00");
+            expect(end.format("YYYY-MM-DD HH:mm")).toBe("2020-10-02 00:00");
+        });
+
+        it("returns the week of the date, starting on Monday", () => {
+            const { start, end } = calculator.getPeriod("week", moment("2020-10-04 14:30:00"));
+
+            expect(start.format("YYYY-MM-DD HH:mm")).toBe("2020-09-28 00:00");
+            expect(end.format("YYYY-MM-DD HH:mm")).toBe("2020-10-05 00:00");
+        });
+    });
+
+    describe("calculateReport", () => {
+        it("sums up the time per task, identifying tasks by ID if possible", () => {
+            const report = calculateReport([
+                createInterval("09:00", "10:00"),
+                createInterval("10:00", "10:30", { taskTitle: "Call Bob", taskId: undefined }),
+                createInterval("10:30", "11:00", { taskTitle: "Write final report" }),
+                createInterval("11:00", "11:10", { taskTitle: undefined, taskId: undefined }),
+            ]);
+
+            expect(report.tasks).toEqual([
+                { title: "Write final report", id: "1", seconds: 90 * 60 },
+                { title: "Call Bob", id: undefined, seconds: 30 * 60 },
+            ]);
+
+            expect(report.noCurrentTaskSeconds).toBe(10 * 60);
+            expect(report.activeSeconds).toBe(130 * 60);
+        });
+
+        it("sums up the time in warning and error status", () => {
+            const report = calculateReport([
+                createInterval("09:00", "09:10", { status: "warning" }),
+                createInterval("09:10", "09:15", { status: "error" }),
+                createInterval("09:15", "09:20", { status: "ok" }),
+                createInterval("09:20", "09:30", { status: "warning" }),
+            ]);
+
+            expect(report.warningSeconds).toBe(20 * 60);
+            expect(report.errorSeconds).toBe(5 * 60);
+        });
+
+        it("combines consecutive nagging intervals into episodes", () => {
+            const report = calculateReport([
+                createInterval("09:00", "09:01", { nagging: true }),
+                createInterval("09:01", "09:02", { nagging: true, taskTitle: "Call Bob" }),
+                createInterval("09:02", "09:10"),
+                createInterval("09:10", "09:11", { nagging: true }),
+                createInterval("09:20", "09:21", { nagging: true }),
+            ]);
+
+            expect(report.naggingEpisodes).toEqual([
+                {
+                    start: moment("2020-10-01 09:00").format(),
+                    end: moment("2020-10-01 09:02").format(),
+                    seconds: 120,
+                    reason: undefined,
+                },
+                {
+                    start: moment("2020-10-01 09:10").format(),
+                    end: moment("2020-10-01 09:11").format(),
+                    seconds: 60,
+                    reason: undefined,
+                },
+                {
+                    start: moment("2020-10-01 09:20").format(),
+                    end: moment("2020-10-01 09:21").format(),
+                    seconds: 60,
+                    reason: undefined,
+                },
+            ]);
+        });
+
+        it("lists disabled periods with their reasons and leaves them out of the other totals", () => {
+            const report = calculateReport([
+                createInterval("09:00", "09:30", { disabled: true, disabledReason: "Meeting" }),
+                createInterval("09:30", "10:00", {
+                    disabled: true,
+                    disabledReason: "Meeting",
+                    status: "error",
+                }),
+                createInterval("10:00", "10:15", { disabled: true }),
+                createInterval("12:00", "13:00", { downtime: true, nagging: true }),
+            ]);
+
+            expect(report.disabledPeriods).toEqual([
+                {
+                    start: moment("2020-10-01 09:00").format(),
+                    end: moment("2020-10-01 10:00").format(),
+                    seconds: 3600,
+                    reason: "Meeting",
+                },
+                {
+                    start: moment("2020-10-01 10:00").format(),
+                    end: moment("2020-10-01 10:15").format(),
+                    seconds: 900,
+                    reason: undefined,
+                },
+            ]);
+
+            expect(report.downtimeSeconds).toBe(3600);
+            expect(report.activeSeconds).toBe(0);
+            expect(report.tasks).toEqual([]);
+            expect(report.errorSeconds).toBe(0);
+            expect(report.naggingEpisodes).toEqual([]);
+        });
+    });
+});
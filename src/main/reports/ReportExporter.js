@@ -0,0 +1,66 @@
+/** @typedef { import("./Report").Report } Report */
+
+const CSV_COLUMNS = ["type", "name", "id", "start", "end", "seconds"];
+
+class ReportExporter {
+    /** @param {Report} report */
+    toJson(report) {
+        return JSON.stringify(report, undefined, 4);
+    }
+
+    /**
+     * Uses one row per item in the report, so the data is easy to filter in a spreadsheet
+     * @param {Report} report
+     */
+    toCsv(report) {
+        const { periodStart, periodEnd } = report;
+
+        /** @type {(string | number)[][]} */
+        const rows = [
+            CSV_COLUMNS,
+            ["active", "", "", periodStart, periodEnd, report.activeSeconds],
+            ...report.tasks.map((task) => ["task", task.title, task.id, "", "", task.seconds]),
+            ["noCurrentTask", "", "", periodStart, periodEnd, report.noCurrentTaskSeconds],
+            ["warning", "", "", periodStart, periodEnd, report.warningSeconds],
+            ["error", "", "", periodStart, periodEnd, report.errorSeconds],
+            ...report.naggingEpisodes.map((episode) => [
+                "nagging",
+                "",
+                "",
+                episode.start,
+                episode.end,
+                episode.seconds,
+            ]),
+            ...report.disabledPeriods.map((period) => [
+                "disabled",
+                period.reason,
+                "",
+                period.start,
+                period.end,
+                period.seconds,
+            ]),
+            ["downtime", "", "", periodStart, periodEnd, report.downtimeSeconds],
+        ];
+
+        return rows
+            .map((row) => row.map((value) => this._toCsvValue(value)).join(","))
+            .join("\r\n");
+    }
+
+    /** @param {string | number} value */
+    _toCsvValue(value) {
+        if (value === undefined || value === null) {
+            return "";
+        }
+
+        const stringValue = String(value);
+
+        if (/[",\r\n]/.test(stringValue)) {
+            return `"${stringValue.replace(/"/g, '""')}"`;
+        } else {
+            return stringValue;
+        }
+    }
+}
+
+module.exports = ReportExporter;
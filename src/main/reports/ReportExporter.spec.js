@@ -0,0 +1,53 @@
+/** @typedef { import("./Report").Report } Report */
+
+const ReportExporter = require("./ReportExporter");
+
+const exporter = new ReportExporter();
+
+/** @type {Report} */
+const report = {
+    periodType: "day",
+    periodStart: "2020-10-01T00:00:00+02:00",
+    periodEnd: "2020-10-02T00:00:00+02:00",
+    activeSeconds: 5400,
+    tasks: [
+        { title: 'Write "final" report, part 1', id: "1", seconds: 3600 },
+        { title: "Call Bob", seconds: 1200 },
+    ],
+    noCurrentTaskSeconds: 600,
+    warningSeconds: 300,
+    errorSeconds: 120,
+    naggingEpisodes: [
+        { start: "2020-10-01T09:00:00+02:00", end: "2020-10-01T09:02:00+02:00", seconds: 120 },
+    ],
+    disabledPeriods: [
+        {
+            start: "2020-10-01T12:00:00+02:00",
+            end: "2020-10-01T13:00:00+02:00",
+            seconds: 3600,
+            reason: "Lunch",
+        },
+    ],
+    downtimeSeconds: 0,
+};
+
+describe("ReportExporter", () => {
+    it("exports CSV with one row per item", () => {
+        expect(exporter.toCsv(report).split("\r\n")).toEqual([
+            "type,name,id,start,end,seconds",
+            "active,,,2020-10-01T00:00:00+02:00,2020-10-02T00:00:00+02:00,5400",
+            'task,"Write ""final"" report, part 1",1,,,3600',
+            "task,Call Bob,,,,1200",
+            "noCurrentTask,,,2020-10-01T00:00:00+02:00,2020-10-02T00:00:00+02:00,600",
+            "warning,,,2020-10-01T00:00:00+02:00,2020-10-02T00:00:00+02:00,300",
+            "error,,,2020-10-01T00:00:00+02:00,2020-10-02T00:00:00+02:00,120",
+            "nagging,,,2020-10-01T09:00:00+02:00,2020-10-01T09:02:00+02:00,120",
+            "disabled,Lunch,,2020-10-01T12:00:00+02:00,2020-10-01T13:00:00+02:00,3600",
+            "downtime,,,2020-10-01T00:00:00+02:00,2020-10-02T00:00:00+02:00,0",
+        ]);
+    });
+
+    it("exports JSON", () => {
+        expect(JSON.parse(exporter.toJson(report))).toEqual(report);
+    });
+});
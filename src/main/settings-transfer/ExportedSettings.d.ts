@@ -0,0 +1,14 @@
+import { Rectangle } from "electron";
+
+import { AdvancedConfiguration } from "../configuration/AdvancedConfiguration";
+import {
+    IntegrationConfiguration,
+    IntegrationType,
+} from "../configuration/IntegrationConfiguration";
+
+export interface ExportedSettings {
+    advancedConfiguration: AdvancedConfiguration;
+    integration?: IntegrationConfiguration<IntegrationType>;
+    profileIntegrations?: { [profileName: string]: IntegrationConfiguration<IntegrationType> };
+    defaultWindowBounds?: Rectangle;
+}
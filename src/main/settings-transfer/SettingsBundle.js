@@ -0,0 +1,119 @@
+/** @typedef { import("./ExportedSettings").ExportedSettings } ExportedSettings */
+
+const crypto = require("crypto");
+const util = require("util");
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const FORMAT = "current-task-settings";
+const VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Node's defaults, which stay within its default scrypt memory limit
+const SCRYPT_PARAMETERS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Converts settings to and from the contents of a passphrase-protected file
+ * All settings are encrypted, so secrets like integration tokens never end up in the file as plaintext
+ */
+class SettingsBundle {
+    /**
+     * @param {ExportedSettings} settings
+     * @param {string} passphrase
+     * @returns {Promise<string>}
+     */
+    async encrypt(settings, passphrase) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const key = await this._deriveKey(passphrase, salt, SCRYPT_PARAMETERS);
+
+        const cipher = crypto.createCipheriv(CIPHER, key, iv);
+        const plaintext = Buffer.from(JSON.stringify(settings), "utf-8");
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        const bundle = {
+            format: FORMAT,
+            version: VERSION,
+            scrypt: { ...SCRYPT_PARAMETERS, salt: salt.toString("base64") },
+            iv: iv.toString("base64"),
+            authTag: cipher.getAuthTag().toString("base64"),
+            data: ciphertext.toString("base64"),
+        };
+
+        return JSON.stringify(bundle, null, 4);
+    }
+
+    /**
+     * @param {string} contents
+     * @param {string} passphrase
+     * @returns {Promise<ExportedSettings>}
+     */
+    async decrypt(contents, passphrase) {
+        const bundle = this._parseBundle(contents);
+        const { N, r, p, salt } = bundle.scrypt;
+        const key = await this._deriveKey(passphrase, Buffer.from(salt, "base64"), { N, r, p });
+
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(bundle.iv, "base64"));
+        decipher.setAuthTag(Buffer.from(bundle.authTag, "base64"));
+
+        let plaintext;
+
+        try {
+            const ciphertext = Buffer.from(bundle.data, "base64");
+            plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        } catch (error) {
+            // authenticated encryption can't tell these apart
+            throw new Error("Wrong passphrase or damaged settings file");
+        }
+
+        return JSON.parse(plaintext.toString("utf-8"));
+    }
+
+    /** @param {string} contents */
+    _parseBundle(contents) {
+        let bundle;
+
+        try {
+            bundle = JSON.parse(contents);
+        } catch (error) {
+            bundle = undefined;
+        }
+
+        if (!bundle || bundle.format !== FORMAT) {
+            throw new Error("Not a CurrentTask settings file");
+        }
+
+        if (bundle.version !== VERSION) {
+            throw new Error(`Unsupported settings file version: ${bundle.version}`);
+        }
+
+        const stringProperties = [bundle.scrypt && bundle.scrypt.salt, bundle.iv, bundle.authTag];
+
+        if (!stringProperties.every((value) => typeof value === "string")) {
+            throw new Error("Damaged settings file");
+        }
+
+        return bundle;
+    }
+
+    /**
+     * @param {string} passphrase
+     * @param {Buffer} salt
+     * @param {{ N: number, r: number, p: number }} parameters
+     * @returns {Promise<Buffer>}
+     */
+    async _deriveKey(passphrase, salt, parameters) {
+        try {
+            // @ts-ignore (the promisified type doesn't include the options parameter)
+            return await scrypt(passphrase.normalize("NFC"), salt, KEY_LENGTH, parameters);
+        } catch (error) {
+            // for example because of parameters exceeding the memory limit
+            throw new Error(`Damaged settings file: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SettingsBundle;
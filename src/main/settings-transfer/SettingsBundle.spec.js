@@ -0,0 +1,58 @@
+/** @typedef { import("../configuration/IntegrationConfiguration").TodoistIntegrationConfiguration } TodoistIntegrationConfiguration */
+/** @typedef { import("./ExportedSettings").ExportedSettings } ExportedSettings */
+
+const SettingsBundle = require("./SettingsBundle");
+
+/** @type {TodoistIntegrationConfiguration} */
+const integration = { type: "todoist", token: "secret-todoist-token" };
+
+/** @type {ExportedSettings} */
+const settings = {
+    advancedConfiguration: { requireReasonForDisabling: true },
+    integration,
+    defaultWindowBounds: { x: 10, y: 20, width: 400, height: 60 },
+};
+
+const settingsBundle = new SettingsBundle();
+
+describe("SettingsBundle", () => {
+    it("restores the settings with the right passphrase", async () => {
+        const contents = await settingsBundle.encrypt(settings, "correct horse");
+        expect(await settingsBundle.decrypt(contents, "correct horse")).toEqual(settings);
+    });
+
+    it("doesn't contain the settings as plaintext", async () => {
+        const contents = await settingsBundle.encrypt(settings, "correct horse");
+        expect(contents).not.toContain("secret-todoist-token");
+        expect(contents).not.toContain("requireReasonForDisabling");
+    });
+
+    it("fails for the wrong passphrase", async () => {
+        const contents = await settingsBundle.encrypt(settings, "correct horse");
+
+        await expect(settingsBundle.decrypt(contents, "battery staple")).rejects.toThrow(
+            "Wrong passphrase or damaged settings file"
+        );
+    });
+
+    it("fails for modified data", async () => {
+        const bundle = JSON.parse(await settingsBundle.encrypt(settings, "correct horse"));
+        const data = Buffer.from(bundle.data, "base64");
+        data[0] = data[0] ^ 1;
+        const contents = JSON.stringify({ ...bundle, data: data.toString("base64") });
+
+        await expect(settingsBundle.decrypt(contents, "correct horse")).rejects.toThrow(
+            "Wrong passphrase or damaged settings file"
+        );
+    });
+
+    it("fails for other files", async () => {
+        await expect(settingsBundle.decrypt("{}", "correct horse")).rejects.toThrow(
+            "Not a CurrentTask settings file"
+        );
+
+        await expect(settingsBundle.decrypt("whoops", "correct horse")).rejects.toThrow(
+            "Not a CurrentTask settings file"
+        );
+    });
+});
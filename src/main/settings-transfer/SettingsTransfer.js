@@ -0,0 +1,135 @@
+/** @typedef { import("electron").BrowserWindow } BrowserWindow */
+/** @typedef { import("../configuration/ConfigurationStore") } ConfigurationStore */
+/** @typedef { import("../windows/DialogInput").TextDialogField } TextDialogField */
+/** @typedef { import("../windows/DialogWindowService") } DialogWindowService */
+/** @typedef { import("../Logger") } Logger */
+
+const { app, dialog } = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+const SettingsBundle = require("./SettingsBundle");
+
+const FILE_EXTENSION = "ctsettings";
+const FILE_FILTERS = [{ name: "CurrentTask settings", extensions: [FILE_EXTENSION] }];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class SettingsTransfer {
+    /**
+     * @param {ConfigurationStore} configurationStore
+     * @param {DialogWindowService} dialogWindowService
+     * @param {Logger} logger
+     */
+    constructor(configurationStore, dialogWindowService, logger) {
+        this._configurationStore = configurationStore;
+        this._dialogWindowService = dialogWindowService;
+        this._logger = logger;
+
+        this._settingsBundle = new SettingsBundle();
+    }
+
+    /** @param {BrowserWindow} browserWindow parent for the file and message dialogs */
+    async exportSettings(browserWindow) {
+        const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+            message:
+                "The exported file contains your integration settings, including tokens and passwords. It's encrypted with this passphrase, which you need to import the file.",
+            fields: [
+                this._getPassphraseField("passphrase", "Passphrase"),
+                this._getPassphraseField("passphraseConfirmation", "Repeat passphrase"),
+            ],
+            submitButtonName: "Choose file ...",
+        });
+
+        if (!dialogResult) {
+            return;
+        }
+
+        if (dialogResult.passphrase !== dialogResult.passphraseConfirmation) {
+            await this._showError(browserWindow, "The passphrases don't match, nothing exported");
+            return;
+        }
+
+        const { canceled, filePath } = await dialog.showSaveDialog(browserWindow, {
+            defaultPath: path.join(app.getPath("documents"), `current-task.${FILE_EXTENSION}`),
+            filters: FILE_FILTERS,
+        });
+
+        if (canceled || !filePath) {
+            return;
+        }
+
+        try {
+            const settings = this._configurationStore.getExportedSettings();
+            const contents = await this._settingsBundle.encrypt(settings, dialogResult.passphrase);
+            await fs.promises.writeFile(filePath, contents, "utf-8");
+            this._logger.info("Exported settings");
+        } catch (error) {
+            this._logger.error(`Error exporting settings: ${error.message}`);
+            await this._showError(browserWindow, `Could not export settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {BrowserWindow} browserWindow parent for the file and message dialogs
+     * @returns {Promise<boolean>} whether the current settings were replaced
+     */
+    async importSettings(browserWindow) {
+        const { canceled, filePaths } = await dialog.showOpenDialog(browserWindow, {
+            defaultPath: app.getPath("documents"),
+            filters: FILE_FILTERS,
+            properties: ["openFile"],
+        });
+
+        if (canceled || filePaths.length === 0) {
+            return false;
+        }
+
+        const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+            message: "Importing replaces your advanced configuration and integration settings.",
+            fields: [this._getPassphraseField("passphrase", "Passphrase")],
+            submitButtonName: "Import",
+        });
+
+        if (!dialogResult) {
+            return false;
+        }
+
+        try {
+            const contents = await fs.promises.readFile(filePaths[0], "utf-8");
+            const settings = await this._settingsBundle.decrypt(contents, dialogResult.passphrase);
+            this._configurationStore.importSettings(settings);
+            return true;
+        } catch (error) {
+            this._logger.error(`Error importing settings: ${error.message}`);
+            await this._showError(browserWindow, `Could not import settings: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} label
+     * @returns {TextDialogField}
+     */
+    _getPassphraseField(name, label) {
+        return {
+            type: "text",
+            name,
+            label,
+            placeholder: `At least ${MIN_PASSPHRASE_LENGTH} characters`,
+            required: true,
+            pattern: `.{${MIN_PASSPHRASE_LENGTH},}`,
+            inputType: "password",
+        };
+    }
+
+    /**
+     * @param {BrowserWindow} browserWindow
+     * @param {string} message
+     */
+    async _showError(browserWindow, message) {
+        await dialog.showMessageBox(browserWindow, { type: "error", message });
+    }
+}
+
+module.exports = SettingsTransfer;
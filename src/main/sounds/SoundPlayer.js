@@ -0,0 +1,60 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").SoundRule } SoundRule */
+/** @typedef { import("../windows/AppWindow") } AppWindow */
+/** @typedef { import("../Logger") } Logger */
+
+const fs = require("fs");
+const path = require("path");
+
+// synthesized by the app window, see src/renderer/app-window/sounds.js
+const BUNDLED_SOUNDS = ["beep", "chime", "alarm"];
+
+const MIME_TYPES = {
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".m4a": "audio/mp4",
+};
+
+const DEFAULT_VOLUME = 1;
+
+class SoundPlayer {
+    /**
+     * @param {AppWindow} appWindow
+     * @param {string} soundsFolderPath relative paths to audio files are resolved from here
+     * @param {Logger} logger
+     */
+    constructor(appWindow, soundsFolderPath, logger) {
+        this._appWindow = appWindow;
+        this._soundsFolderPath = soundsFolderPath;
+        this._logger = logger;
+    }
+
+    /** @param {SoundRule} rule */
+    async play(rule) {
+        const volume = rule.volume !== undefined ? rule.volume : DEFAULT_VOLUME;
+
+        if (BUNDLED_SOUNDS.includes(rule.sound)) {
+            this._appWindow.playSound({ bundledSound: rule.sound, volume });
+            return;
+        }
+
+        const filePath = path.resolve(this._soundsFolderPath, rule.sound);
+        const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+
+        if (!mimeType) {
+            this._logger.error(`Unsupported sound file type: ${filePath}`);
+            return;
+        }
+
+        try {
+            // the app window can't access local files, so it receives the sound as data URL
+            const data = await fs.promises.readFile(filePath);
+            const dataUrl = `data:${mimeType};base64,${data.toString("base64")}`;
+            this._appWindow.playSound({ dataUrl, volume });
+        } catch (error) {
+            this._logger.error(`Error reading sound file: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SoundPlayer;
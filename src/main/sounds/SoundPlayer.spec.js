@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../Logger");
+
+const SoundPlayer = require("./SoundPlayer");
+
+jest.mock("../Logger");
+
+/** @type {string} */
+let soundsFolderPath;
+
+/** @type {any} */
+let appWindow;
+
+/** @type {Logger} */
+let logger;
+
+/** @type {SoundPlayer} */
+let soundPlayer;
+
+beforeEach(() => {
+    soundsFolderPath = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-sounds-"));
+    appWindow = { playSound: jest.fn() };
+    logger = new Logger();
+    soundPlayer = new SoundPlayer(appWindow, soundsFolderPath, logger);
+});
+
+afterEach(() => {
+    fs.rmdirSync(soundsFolderPath, { recursive: true });
+});
+
+describe("SoundPlayer", () => {
+    it("plays bundled sounds", async () => {
+        await soundPlayer.play({ condition: {}, sound: "chime", volume: 0.5 });
+        expect(appWindow.playSound).toHaveBeenCalledWith({ bundledSound: "chime", volume: 0.5 });
+    });
+
+    it("sends audio files from the sounds folder as data URLs", async () => {
+        fs.writeFileSync(path.join(soundsFolderPath, "ding.mp3"), "abc");
+        await soundPlayer.play({ condition: {}, sound: "ding.mp3" });
+
+        expect(appWindow.playSound).toHaveBeenCalledWith({
+            dataUrl: "data:audio/mpeg;base64,YWJj",
+            volume: 1,
+        });
+    });
+
+    it("logs an error for unsupported or missing files", async () => {
+        await soundPlayer.play({ condition: {}, sound: "sound.txt" });
+        await soundPlayer.play({ condition: {}, sound: "missing.wav" });
+
+        expect(appWindow.playSound).not.toHaveBeenCalled();
+        expect(logger.error).toHaveBeenCalledTimes(2);
+    });
+});
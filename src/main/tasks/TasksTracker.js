@@ -1,10 +1,16 @@
 /** @typedef { import("moment").Moment } Moment */
 /** @typedef { import("../configuration/ConfigurationStore") } ConfigurationStore */
+/** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration} AdvancedConfiguration */
 /** @typedef { import("../configuration/IntegrationConfiguration").IntegrationConfiguration} IntegrationConfiguration */
 /** @typedef { import("../configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
+/** @typedef { import("../configuration/IntegrationConfiguration").CompositeIntegrationConfiguration} CompositeIntegrationConfiguration */
+/** @typedef { import("../configuration/IntegrationConfiguration").CompositeSourceIntegrationType} CompositeSourceIntegrationType */
+/** @typedef { import("../configuration/IntegrationConfiguration").PluginIntegrationConfiguration} PluginIntegrationConfiguration */
 /** @typedef { import("../windows/DialogWindowService") } DialogWindowService */
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./integrations/Integration").Integration} Integration */
+/** @typedef { import("./integrations/composite/CompositeSource").CompositeSource} CompositeSource */
+/** @typedef { import("./integrations/plugins/IntegrationPlugin").IntegrationPlugin} IntegrationPlugin */
 /** @typedef { import("./integrations/IntegrationTasksListener").IntegrationTasksListener} IntegrationTasksListener */
 /** @typedef { import("./integrations/IntegrationTask").IntegrationTask} IntegrationTask */
 /** @typedef { import("./TasksSummaryCalculator") } TasksSummaryCalculator */
@@ -12,8 +18,14 @@
 
 const moment = require("moment");
 
+const Calendar = require("./integrations/calendar/Calendar");
+const Composite = require("./integrations/composite/Composite");
+const GitHub = require("./integrations/github/GitHub");
+const JsonHttp = require("./integrations/json-http/JsonHttp");
+const LocalFile = require("./integrations/local-file/LocalFile");
 const Todoist = require("./integrations/todoist/Todoist");
 const Trello = require("./integrations/trello/Trello");
+const { PluginIntegration } = require("./integrations/plugins/PluginIntegration");
 const { IntegrationTasksRefresher } = require("./integrations/IntegrationTasksRefresher");
 
 const INTEGRATION_REFRESH_INTERVAL = 2 * 1000;
@@ -24,6 +36,8 @@ const SECONDS_BETWEEN_INTEGRATION_CLEAR_CURRENT = 10;
 class TasksTracker {
     /**
      * @param {IntegrationConfiguration} integrationConfiguration
+     * @param {IntegrationPlugin[]} integrationPlugins
+     * @param {AdvancedConfiguration} advancedConfiguration
      * @param {TasksSummaryCalculator} tasksSummaryCalculator
      * @param {TasksTrackerListener} tasksTrackerListener
      * @param {DialogWindowService} dialogWindowService
@@ -31,20 +45,30 @@ class TasksTracker {
      */
     constructor(
         integrationConfiguration,
+        integrationPlugins,
+        advancedConfiguration,
         tasksSummaryCalculator,
         tasksTrackerListener,
         dialogWindowService,
         logger
     ) {
+        this._integrationPlugins = integrationPlugins;
+        this._advancedConfiguration = advancedConfiguration;
         this._tasksSummaryCalculator = tasksSummaryCalculator;
         this._tasksTrackerListener = tasksTrackerListener;
         this._dialogWindowService = dialogWindowService;
         this._logger = logger;
-        this._integrationTasksRefresher = new IntegrationTasksRefresher(this, logger);
+
+        /** @type {Map<Integration, IntegrationTasksRefresher>} */
+        this._integrationTasksRefreshers = new Map();
+
+        /** @type {Map<Integration, { tasks: IntegrationTask[], errorMessage: string }>} */
+        this._integrationResults = new Map();
+
+        /** @type {Map<Integration, Moment>} */
+        this._lastTimesCleanupPerformed = new Map();
 
         this._manualTask = undefined;
-        this._integrationTasks = undefined;
-        this._integrationErrorMessage = undefined;
 
         this._hasOpenDialog = false;
 
@@ -52,44 +76,115 @@ class TasksTracker {
     }
 
     _setUpIntegration(integrationConfiguration) {
+        this._applyIntegrationConfiguration(integrationConfiguration);
+        setInterval(() => this._refreshFromIntegration(), INTEGRATION_REFRESH_INTERVAL);
+    }
+
+    /** @param {IntegrationConfiguration} integrationConfiguration */
+    _applyIntegrationConfiguration(integrationConfiguration) {
         const integrationType = integrationConfiguration ? integrationConfiguration.type : "manual";
-        this._setIntegrationType(integrationType);
+        const pluginId =
+            integrationConfiguration && integrationConfiguration.type === "plugin"
+                ? /** @type {PluginIntegrationConfiguration} */ (integrationConfiguration).pluginId
+                : undefined;
+
+        this._setIntegrationType(integrationType, pluginId);
 
         if (this._integrationClassInstance) {
             this._integrationClassInstance.configure(integrationConfiguration);
         }
 
         this._refreshFromIntegration();
-        setInterval(() => this._refreshFromIntegration(), INTEGRATION_REFRESH_INTERVAL);
     }
 
-    /** @param {IntegrationType} integrationType */
-    _setIntegrationType(integrationType) {
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginId] only relevant for plugin integrations
+     */
+    _setIntegrationType(integrationType, pluginId) {
         /** @type {IntegrationType} */
         this._integrationType = integrationType;
+        this._integrationPluginId = integrationType === "plugin" ? pluginId : undefined;
 
-        /** @type {Integration} */
-        this._integrationClassInstance = undefined;
+        /** @type {Integration | Composite} */
+        this._integrationClassInstance =
+            integrationType === "plugin"
+                ? this._createPluginIntegrationClassInstance(pluginId)
+                : this._createIntegrationClassInstance(integrationType);
 
+        this._integrationTasksRefreshers.clear();
+        this._integrationResults.clear();
+        this._lastTimesCleanupPerformed.clear();
+        this._manualTask = undefined;
+    }
+
+    /**
+     * @param {IntegrationType} integrationType
+     * @returns {Integration | Composite}
+     */
+    _createIntegrationClassInstance(integrationType) {
         if (integrationType === "todoist") {
             this._logger.info("Initializing Todoist integration");
-            this._integrationClassInstance = new Todoist(this._logger);
+            return new Todoist(this._logger);
         } else if (integrationType === "trello") {
             this._logger.info("Initializing Trello integration");
-            this._integrationClassInstance = new Trello(this._logger);
+            return new Trello(this._logger);
+        } else if (integrationType === "github") {
+            this._logger.info("Initializing GitHub integration");
+            return new GitHub(this._logger);
+        } else if (integrationType === "localFile") {
+            this._logger.info("Initializing local file integration");
+            return new LocalFile(this._logger);
+        } else if (integrationType === "calendar") {
+            this._logger.info("Initializing calendar integration");
+            return new Calendar(this._logger);
+        } else if (integrationType === "jsonHttp") {
+            this._logger.info("Initializing JSON over HTTP integration");
+            return new JsonHttp(this._advancedConfiguration.jsonHttpIntegration, this._logger);
+        } else if (integrationType === "composite") {
+            this._logger.info("Initializing combined integration");
+            return new Composite(
+                (type) => /** @type {Integration} */ (this._createIntegrationClassInstance(type)),
+                this._logger
+            );
         }
 
-        this._manualTask = undefined;
-        this._integrationTasks = this._integrationClassInstance ? [] : undefined;
-        this._integrationErrorMessage = undefined;
+        return undefined;
     }
 
-    _refreshFromIntegration() {
-        if (!this._integrationClassInstance) {
-            return;
+    /** @param {string} pluginId */
+    _createPluginIntegrationClassInstance(pluginId) {
+        this._logger.info(`Initializing integration plugin ${pluginId}`);
+        const plugin = this._integrationPlugins.find((item) => item.id === pluginId);
+        return new PluginIntegration(pluginId, plugin, this._logger);
+    }
+
+    /**
+     * The integrations that tasks are retrieved from. For the combined integration, these are its
+     * sources (each labeled so errors can be attributed), otherwise just the integration itself.
+     * @returns {{ label: string, integration: Integration }[]}
+     */
+    _getIntegrationSources() {
+        if (this._integrationClassInstance instanceof Composite) {
+            return this._integrationClassInstance.getSources();
+        } else if (this._integrationClassInstance) {
+            return [{ label: undefined, integration: this._integrationClassInstance }];
+        } else {
+            return [];
         }
+    }
 
-        this._integrationTasksRefresher.triggerRefresh(this._integrationClassInstance);
+    _refreshFromIntegration() {
+        for (const { integration } of this._getIntegrationSources()) {
+            let refresher = this._integrationTasksRefreshers.get(integration);
+
+            if (!refresher) {
+                refresher = new IntegrationTasksRefresher(this, this._logger);
+                this._integrationTasksRefreshers.set(integration, refresher);
+            }
+
+            refresher.triggerRefresh(integration);
+        }
     }
 
     /**
@@ -98,17 +193,20 @@ class TasksTracker {
      * @param {Integration} integrationClassInstance
      */
     onTasksRefreshed(tasks, errorMessage, integrationClassInstance) {
-        if (integrationClassInstance !== this._integrationClassInstance) {
+        const source = this._getIntegrationSources().find(
+            ({ integration }) => integration === integrationClassInstance
+        );
+
+        if (!source) {
             return;
         }
 
-        this._integrationTasks = tasks;
-        this._integrationErrorMessage = errorMessage;
+        this._integrationResults.set(integrationClassInstance, { tasks, errorMessage });
 
         let isCleanupNeeded = false;
 
         try {
-            isCleanupNeeded = this._integrationClassInstance.isCleanupNeeded();
+            isCleanupNeeded = integrationClassInstance.isCleanupNeeded();
         } catch (error) {
             this._logger.error(
                 `Failed to check if current integration needs cleanup: ${error.message}`
@@ -116,26 +214,30 @@ class TasksTracker {
         }
 
         if (isCleanupNeeded) {
-            this._performCleanupForIntegration();
+            this._performCleanupForIntegration(integrationClassInstance);
         }
     }
 
-    async _performCleanupForIntegration() {
+    /** @param {Integration} integrationClassInstance */
+    async _performCleanupForIntegration(integrationClassInstance) {
         let secondsSinceCleanupPerformed = Infinity;
+        const lastTimeCleanupPerformed = this._lastTimesCleanupPerformed.get(
+            integrationClassInstance
+        );
 
-        if (this._lastTimeCleanupPerformed) {
-            secondsSinceCleanupPerformed = moment().diff(this._lastTimeCleanupPerformed, "seconds");
+        if (lastTimeCleanupPerformed) {
+            secondsSinceCleanupPerformed = moment().diff(lastTimeCleanupPerformed, "seconds");
         }
 
         if (secondsSinceCleanupPerformed < SECONDS_BETWEEN_INTEGRATION_CLEANUP) {
             return;
         }
 
-        this._lastTimeCleanupPerformed = moment();
+        this._lastTimesCleanupPerformed.set(integrationClassInstance, moment());
         this._logger.debugIntegration("Performing cleanup for integration");
 
         try {
-            await this._integrationClassInstance.performCleanup();
+            await integrationClassInstance.performCleanup();
             this._logger.debugIntegration("Successfully performed cleanup for integration");
         } catch (error) {
             this._logger.error(
@@ -148,44 +250,153 @@ class TasksTracker {
     getTasksSummary(now) {
         if (this._integrationType === "manual") {
             return this._tasksSummaryCalculator.getManualTasksSummary(this._manualTask);
-        } else if (this._integrationTasks) {
-            return this._tasksSummaryCalculator.getTasksSummaryFromTasks(
-                this._integrationTasks,
-                now
-            );
+        }
+
+        const integrationTasks = this._getMergedIntegrationTasks();
+
+        if (integrationTasks) {
+            return this._tasksSummaryCalculator.getTasksSummaryFromTasks(integrationTasks, now);
         } else {
             return this._tasksSummaryCalculator.getPlaceholderTasksSummary();
         }
     }
 
+    /** @returns {string} undefined if there is no single current task or it has no ID */
+    getCurrentTaskId() {
+        if (this._integrationType === "manual") {
+            return undefined;
+        }
+
+        const currentTasks = (this._getMergedIntegrationTasks() || []).filter(
+            (task) => task.markedCurrent
+        );
+
+        return currentTasks.length === 1 ? currentTasks[0].id : undefined;
+    }
+
+    /**
+     * Combines the latest tasks of all sources. Sources that failed on their latest refresh are
+     * left out, unless all of them failed.
+     * @returns {IntegrationTask[]}
+     */
+    _getMergedIntegrationTasks() {
+        const taskLists = this._getIntegrationSources()
+            .map(({ integration }) => this._getIntegrationResult(integration).tasks)
+            .filter((tasks) => tasks);
+
+        return taskLists.length > 0 ? [].concat(...taskLists) : undefined;
+    }
+
+    /** @param {Integration} integrationClassInstance */
+    _getIntegrationResult(integrationClassInstance) {
+        // until the first refresh finishes, we act as if there are no tasks
+        return (
+            this._integrationResults.get(integrationClassInstance) || {
+                tasks: [],
+                errorMessage: undefined,
+            }
+        );
+    }
+
     getTasksErrorMessage() {
-        return this._integrationErrorMessage;
+        if (this._integrationClassInstance instanceof Composite) {
+            if (this._getIntegrationSources().length === 0) {
+                return "Combined integration not configured";
+            }
+        }
+
+        const errorMessages = this._getIntegrationSources()
+            .map(({ label, integration }) => {
+                const errorMessage = this._getIntegrationResult(integration).errorMessage;
+
+                if (!errorMessage) {
+                    return undefined;
+                }
+
+                return label ? `${label}: ${errorMessage}` : errorMessage;
+            })
+            .filter((errorMessage) => errorMessage);
+
+        return errorMessages.length > 0 ? errorMessages.join(" | ") : undefined;
     }
 
     getIntegrationType() {
         return this._integrationType;
     }
 
-    /** @param {IntegrationType} integrationType */
-    changeIntegrationType(integrationType) {
+    /** @param {AdvancedConfiguration} advancedConfiguration */
+    updateAdvancedConfiguration(advancedConfiguration) {
+        this._advancedConfiguration = advancedConfiguration;
+
+        for (const { integration } of this._getIntegrationSources()) {
+            if (integration instanceof JsonHttp) {
+                integration.updateAdvancedConfiguration(advancedConfiguration.jsonHttpIntegration);
+            }
+        }
+    }
+
+    /**
+     * Switches to different integration settings without saving them, for example for another profile
+     * @param {IntegrationConfiguration} integrationConfiguration undefined for the manual integration
+     */
+    replaceIntegrationConfiguration(integrationConfiguration) {
+        this._applyIntegrationConfiguration(integrationConfiguration);
+        this._logger.info(`Switched to integration type ${this._integrationType}`);
+        this._tasksTrackerListener.onIntegrationTypeChanged();
+    }
+
+    getIntegrationPluginId() {
+        return this._integrationPluginId;
+    }
+
+    getIntegrationPlugins() {
+        return this._integrationPlugins;
+    }
+
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginId] required for plugin integrations
+     */
+    changeIntegrationType(integrationType, pluginId) {
         if (this._hasOpenDialog) {
             this._dialogWindowService.focusOpenDialog();
             return;
         }
 
-        if (this._integrationType === integrationType) {
+        const newPluginId = integrationType === "plugin" ? pluginId : undefined;
+
+        if (
+            this._integrationType === integrationType &&
+            this._integrationPluginId === newPluginId
+        ) {
             return;
         }
 
-        this._setIntegrationType(integrationType);
+        this._setIntegrationType(integrationType, newPluginId);
+
+        if (newPluginId) {
+            this._logger.info(`Changed integration type to plugin ${newPluginId}`);
+        } else {
+            this._logger.info(`Changed integration type to ${integrationType}`);
+        }
 
-        this._logger.info(`Changed integration type to ${integrationType}`);
         this._tasksTrackerListener.onIntegrationTypeChanged();
 
-        const newConfiguration = { type: integrationType };
+        const newConfiguration = this._getBaseIntegrationConfiguration();
         this._tasksTrackerListener.onIntegrationConfigurationChanged(newConfiguration);
     }
 
+    /** @returns {IntegrationConfiguration} */
+    _getBaseIntegrationConfiguration() {
+        if (this._integrationType === "plugin") {
+            /** @type {PluginIntegrationConfiguration} */
+            const pluginConfiguration = { type: "plugin", pluginId: this._integrationPluginId };
+            return pluginConfiguration;
+        }
+
+        return { type: this._integrationType };
+    }
+
     async setManualCurrentTask() {
         if (this._integrationType !== "manual") {
             return;
@@ -213,7 +424,24 @@ class TasksTracker {
             return;
         }
 
-        this._manualTask = dialogResult.currentTaskTitle;
+        this._setManualTask(dialogResult.currentTaskTitle);
+    }
+
+    /**
+     * Sets the manual current task without showing a dialog, for example from the control API
+     * @param {string} title
+     */
+    setManualCurrentTaskTitle(title) {
+        if (this._integrationType !== "manual") {
+            throw new Error("The current task can only be set directly in manual mode");
+        }
+
+        this._setManualTask(title);
+    }
+
+    /** @param {string} title */
+    _setManualTask(title) {
+        this._manualTask = title;
         this._logger.info("Set manual current task");
         this._tasksTrackerListener.onManualTaskChanged();
     }
@@ -263,26 +491,76 @@ class TasksTracker {
 
         this._hasOpenDialog = true;
 
-        const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
-            fields: this._integrationClassInstance.getConfigurationDialogFields(),
-            submitButtonName: "Save configuration",
-        });
+        let configuration;
+
+        if (this._integrationClassInstance instanceof Composite) {
+            configuration = await this._getCompositeConfigurationFromDialogs(
+                this._integrationClassInstance
+            );
+        } else {
+            const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+                fields: this._integrationClassInstance.getConfigurationDialogFields(),
+                submitButtonName: "Save configuration",
+            });
+
+            configuration = dialogResult && {
+                ...dialogResult,
+                ...this._getBaseIntegrationConfiguration(),
+            };
+        }
 
         this._hasOpenDialog = false;
 
-        if (!dialogResult) {
+        if (!configuration) {
             return;
         }
 
-        const configuration = {
-            type: this._integrationType,
-            ...dialogResult,
-        };
-
         this._integrationClassInstance.configure(configuration);
         this._logger.info("Adjusted integration configuration");
         this._tasksTrackerListener.onIntegrationConfigurationChanged(configuration);
     }
+
+    /**
+     * First asks which sources to include, then shows the regular configuration dialog for each
+     * of them. Cancelling any of the dialogs cancels the whole configuration.
+     * @param {Composite} composite
+     * @returns {Promise<CompositeIntegrationConfiguration>}
+     */
+    async _getCompositeConfigurationFromDialogs(composite) {
+        const selectionResult = await this._dialogWindowService.openDialogAndGetResult({
+            message: "Select the integrations to combine",
+            fields: composite.getConfigurationDialogFields(),
+            submitButtonName: "Next",
+        });
+
+        if (!selectionResult) {
+            return undefined;
+        }
+
+        const selectedTypes = /** @type {CompositeSourceIntegrationType[]} */ (Object.keys(
+            selectionResult
+        ).filter((type) => selectionResult[type]));
+        const sources = [];
+
+        for (let index = 0; index < selectedTypes.length; index++) {
+            const type = selectedTypes[index];
+            const isLastSource = index === selectedTypes.length - 1;
+
+            const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+                message: `${composite.getSourceLabel(type)} (${index + 1}/${selectedTypes.length})`,
+                fields: composite.getSourceIntegration(type).getConfigurationDialogFields(),
+                submitButtonName: isLastSource ? "Save configuration" : "Next",
+            });
+
+            if (!dialogResult) {
+                return undefined;
+            }
+
+            sources.push({ type, ...dialogResult });
+        }
+
+        return { type: "composite", sources };
+    }
 }
 
 module.exports = TasksTracker;
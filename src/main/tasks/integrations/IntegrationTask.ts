@@ -1,6 +1,8 @@
 import { Moment } from "moment";
 
 export interface IntegrationTask {
+    /** identifies the task within its integration, if the integration has stable task IDs */
+    id?: string;
     title: string;
     dueDate?: string;
     dueDatetime?: Moment;
@@ -0,0 +1,117 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").CalendarIntegrationConfiguration } CalendarIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"calendar"> } CalendarIntegration */
+
+const moment = require("moment");
+
+const CalendarApi = require("./CalendarApi");
+const CalendarEntryTransformer = require("./CalendarEntryTransformer");
+const IcsParser = require("./IcsParser");
+
+/** @implements {CalendarIntegration} */
+class Calendar {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._source = undefined;
+        this._username = undefined;
+        this._password = undefined;
+        this._categoryName = undefined;
+
+        this._api = new CalendarApi(logger);
+        this._parser = new IcsParser();
+        this._transformer = new CalendarEntryTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "source",
+                label: "Calendar location",
+                placeholder: "Path to an .ics file or calendar URL",
+                required: true,
+                info:
+                    "This can be the full path to a local .ics file, the URL of an .ics file or the URL of a CalDAV calendar.",
+                currentValue: this._source,
+            },
+            {
+                type: "text",
+                name: "username",
+                label: "Username",
+                placeholder: "Username for the calendar URL",
+                required: false,
+                currentValue: this._username,
+            },
+            {
+                type: "text",
+                name: "password",
+                label: "Password",
+                placeholder: "Password for the calendar URL",
+                required: false,
+                inputType: "password",
+                info:
+                    "Only needed if the calendar URL requires authentication. Some services require an app-specific password here.",
+                currentValue: this._password,
+            },
+            {
+                type: "text",
+                name: "categoryName",
+                label: "Category name",
+                placeholder: "Current task category",
+                required: true,
+                info:
+                    "To-dos with this category will be marked as current task. Events are automatically marked as current task while they are in progress.",
+                currentValue: this._categoryName,
+            },
+        ];
+    }
+
+    /** @param {CalendarIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._source = configuration.source;
+        this._username = configuration.username;
+        this._password = configuration.password;
+        this._categoryName = configuration.categoryName;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving to-dos and events from calendar");
+        this._checkSourceAndCategoryNameSpecified();
+
+        const icsData = await this._api.getIcsData(this._source, this._username, this._password);
+        const entries = this._parser.parse(icsData);
+        const now = moment();
+
+        return entries
+            .filter((entry) => this._transformer.isRelevant(entry, now))
+            .map((entry) => this._transformer.transform(entry, this._categoryName));
+    }
+
+    async clearCurrent() {
+        // events in progress are always current, so only to-dos can be cleared
+        this._checkSourceAndCategoryNameSpecified();
+        this._logger.debugIntegration("Removing the category from current to-dos in calendar");
+
+        await this._api.updateIcsData(this._source, this._username, this._password, (icsData) =>
+            this._parser.removeCategoryFromTodos(icsData, this._categoryName)
+        );
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    _checkSourceAndCategoryNameSpecified() {
+        if (!this._source || !this._categoryName) {
+            throw new Error("Calendar not configured");
+        }
+    }
+}
+
+module.exports = Calendar;
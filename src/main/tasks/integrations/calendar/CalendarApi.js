@@ -0,0 +1,275 @@
+/** @typedef { import("../../../Logger") } Logger */
+
+const axios = require("axios").default;
+const fs = require("fs");
+const path = require("path");
+
+// asks a CalDAV server for the iCalendar data and ETag of all resources in the calendar collection
+const CALENDAR_QUERY_BODY = `<?xml version="1.0" encoding="utf-8" ?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+    <D:prop>
+        <D:getetag />
+        <C:calendar-data />
+    </D:prop>
+    <C:filter>
+        <C:comp-filter name="VCALENDAR" />
+    </C:filter>
+</C:calendar-query>`;
+
+const responseElementRegex = /<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/g;
+const hrefElementRegex = /<(?:[\w-]+:)?href[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?href>/;
+const etagElementRegex = /<(?:[\w-]+:)?getetag[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?getetag>/;
+const calendarDataElementRegex = /<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/;
+
+class CalendarApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * @param {string} source A local file path, the URL of an .ics file or the URL of a CalDAV calendar collection
+     * @param {string} [username]
+     * @param {string} [password]
+     * @returns {Promise<string>}
+     */
+    async getIcsData(source, username, password) {
+        const url = this._getUrl(source);
+
+        if (!url) {
+            return this._readLocalFile(source);
+        }
+
+        const auth = this._getAuth(username, password);
+
+        if (this._isIcsFileUrl(url)) {
+            return this._performRequest(
+                { method: "GET", url: url.href, auth, responseType: "text" },
+                "Calendar get .ics file"
+            );
+        } else {
+            const resources = await this._getCalDavResources(url, auth);
+            return resources.map((resource) => resource.icsData).join("\r\n");
+        }
+    }
+
+    /**
+     * Writes back the iCalendar data that was changed by the update function
+     * For CalDAV, each resource is updated separately, unless it changed since it was read
+     *
+     * @param {string} source A local file path or the URL of a CalDAV calendar collection
+     * @param {string | undefined} username
+     * @param {string | undefined} password
+     * @param {(icsData: string) => string} update
+     */
+    async updateIcsData(source, username, password, update) {
+        const url = this._getUrl(source);
+
+        if (!url) {
+            const icsData = await this._readLocalFile(source);
+            const updatedIcsData = update(icsData);
+
+            if (updatedIcsData !== icsData) {
+                await this._writeLocalFile(source, updatedIcsData);
+            }
+
+            return;
+        }
+
+        if (this._isIcsFileUrl(url)) {
+            throw new Error("Calendar .ics files from a URL can't be changed");
+        }
+
+        const auth = this._getAuth(username, password);
+
+        for (const resource of await this._getCalDavResources(url, auth)) {
+            const updatedIcsData = update(resource.icsData);
+
+            if (updatedIcsData !== resource.icsData) {
+                const headers = { "Content-Type": "text/calendar; charset=utf-8" };
+
+                await this._performRequest(
+                    {
+                        method: "PUT",
+                        url: new URL(resource.href, url).href,
+                        auth,
+                        headers: resource.etag
+                            ? { ...headers, "If-Match": resource.etag }
+                            : headers,
+                        data: updatedIcsData,
+                        responseType: "text",
+                    },
+                    "CalDAV calendar update"
+                );
+            }
+        }
+    }
+
+    /** @param {string} source */
+    _getUrl(source) {
+        const sourceWithHttpsWebcal = source.replace(/^webcal:\/\//i, "https://");
+
+        if (!/^https?:\/\//i.test(sourceWithHttpsWebcal)) {
+            return undefined;
+        }
+
+        return new URL(sourceWithHttpsWebcal);
+    }
+
+    /** @param {URL} url */
+    _isIcsFileUrl(url) {
+        return url.pathname.toLowerCase().endsWith(".ics");
+    }
+
+    /**
+     * @param {string | undefined} username
+     * @param {string | undefined} password
+     */
+    _getAuth(username, password) {
+        return username ? { username, password: password || "" } : undefined;
+    }
+
+    /**
+     * @param {URL} url
+     * @param {import("axios").AxiosBasicCredentials | undefined} auth
+     */
+    async _getCalDavResources(url, auth) {
+        const responseData = await this._performRequest(
+            {
+                // @ts-ignore (axios typings only include the standard HTTP methods)
+                method: "REPORT",
+                url: url.href,
+                auth,
+                headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+                data: CALENDAR_QUERY_BODY,
+                responseType: "text",
+            },
+            "CalDAV calendar query"
+        );
+
+        return this._extractResourcesFromMultistatus(responseData);
+    }
+
+    /** @param {string} filePath */
+    async _readLocalFile(filePath) {
+        this._logger.debugIntegration("Calendar read local file start");
+
+        try {
+            const data = await fs.promises.readFile(filePath, "utf-8");
+            this._logger.debugIntegration("Calendar read local file successful");
+            return data;
+        } catch (error) {
+            this._logger.debugIntegration(`Calendar read local file error: ${error.message}`);
+            throw new Error("Problem reading calendar file");
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} data
+     */
+    async _writeLocalFile(filePath, data) {
+        this._logger.debugIntegration("Calendar write local file start");
+
+        // write to a temporary file first, so the calendar is never left in a half-written state
+        const temporaryName = `.${path.basename(filePath)}.${process.pid}.tmp`;
+        const temporaryPath = path.join(path.dirname(filePath), temporaryName);
+
+        try {
+            await fs.promises.writeFile(temporaryPath, data, "utf-8");
+            await fs.promises.rename(temporaryPath, filePath);
+            this._logger.debugIntegration("Calendar write local file successful");
+        } catch (error) {
+            this._logger.debugIntegration(`Calendar write local file error: ${error.message}`);
+            throw new Error("Problem writing calendar file");
+        }
+    }
+
+    /**
+     * @param {string} multistatusXml
+     * @returns {{ href: string, etag: string | undefined, icsData: string }[]}
+     */
+    _extractResourcesFromMultistatus(multistatusXml) {
+        const responseElements = Array.from(multistatusXml.matchAll(responseElementRegex));
+
+        return responseElements
+            .map((match) => {
+                const hrefMatch = hrefElementRegex.exec(match[0]);
+                const etagMatch = etagElementRegex.exec(match[0]);
+                const calendarDataMatch = calendarDataElementRegex.exec(match[0]);
+
+                if (!hrefMatch || !calendarDataMatch) {
+                    return undefined;
+                }
+
+                return {
+                    href: this._decodeXmlText(hrefMatch[1]).trim(),
+                    etag: etagMatch ? this._decodeXmlText(etagMatch[1]).trim() : undefined,
+                    icsData: this._decodeXmlText(calendarDataMatch[1]),
+                };
+            })
+            .filter((resource) => resource !== undefined);
+    }
+
+    /** @param {string} text */
+    _decodeXmlText(text) {
+        const cdataMatch = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+
+        if (cdataMatch) {
+            return cdataMatch[1];
+        }
+
+        return text
+            .replace(/&#x([0-9a-fA-F]+);/g, (_match, hex) =>
+                String.fromCodePoint(parseInt(hex, 16))
+            )
+            .replace(/&#(\d+);/g, (_match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, "&");
+    }
+
+    /**
+     * @param {import("axios").AxiosRequestConfig} requestConfig
+     * @param {string} callDescription
+     * @returns {Promise<string>}
+     */
+    async _performRequest(requestConfig, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                ...requestConfig,
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleRequestError(error, callDescription);
+        }
+    }
+
+    _handleRequestError(error, callDescription) {
+        if (error.response && error.response.status === 401) {
+            this._logger.debugIntegration(`${callDescription} call auth error, status code 401`);
+            throw new Error("Invalid calendar username or password");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new Error("Problem reaching calendar");
+        }
+    }
+}
+
+module.exports = CalendarApi;
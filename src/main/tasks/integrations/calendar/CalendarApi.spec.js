@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../../../Logger");
+
+const CalendarApi = require("./CalendarApi");
+
+jest.mock("../../../Logger");
+
+const username = "user";
+const password = "password";
+const icsData = ["BEGIN:VCALENDAR", "BEGIN:VTODO", "SUMMARY:Todo", "END:VTODO", "END:VCALENDAR"];
+
+/** @type {{ url: string, ifMatch: string | string[], body: string }[]} */
+let putRequests = [];
+
+// local stand-in for a CalDAV server that also serves a plain .ics file
+const stubServer = http.createServer((request, response) => {
+    const expectedAuthorization = `Basic ${Buffer.from(`${username}:${password}`).toString(
+        "base64"
+    )}`;
+
+    if (request.headers.authorization !== expectedAuthorization) {
+        response.statusCode = 401;
+        response.end();
+        return;
+    }
+
+    if (request.method === "GET" && request.url === "/calendar.ics") {
+        response.setHeader("Content-Type", "text/calendar");
+        response.end(icsData.join("\r\n"));
+    } else if (request.method === "REPORT" && request.url === "/calendars/user/tasks/") {
+        const escapedIcsData = icsData.join("&#13;\n");
+
+        response.statusCode = 207;
+        response.setHeader("Content-Type", "application/xml; charset=utf-8");
+
+        response.end(`<?xml version="1.0" encoding="utf-8" ?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+    <d:response>
+        <d:href>/calendars/user/tasks/1.ics</d:href>
+        <d:propstat>
+            <d:prop>
+                <d:getetag>&quot;etag-1&quot;</d:getetag>
+                <cal:calendar-data>${escapedIcsData}</cal:calendar-data>
+            </d:prop>
+            <d:status>HTTP/1.1 200 OK</d:status>
+        </d:propstat>
+    </d:response>
+    <d:response>
+        <d:href>/calendars/user/tasks/2.ics</d:href>
+        <d:propstat>
+            <d:prop><cal:calendar-data><![CDATA[${icsData.join(
+                "\r\n"
+            )}]]></cal:calendar-data></d:prop>
+            <d:status>HTTP/1.1 200 OK</d:status>
+        </d:propstat>
+    </d:response>
+</d:multistatus>`);
+    } else if (request.method === "PUT" && request.url.startsWith("/calendars/user/tasks/")) {
+        let body = "";
+        request.on("data", (chunk) => (body += chunk));
+
+        request.on("end", () => {
+            putRequests.push({ url: request.url, ifMatch: request.headers["if-match"], body });
+            response.statusCode = 204;
+            response.end();
+        });
+    } else {
+        response.statusCode = 404;
+        response.end();
+    }
+});
+
+/** @type {string} */
+let baseUrl;
+
+const api = new CalendarApi(new Logger());
+
+describe("CalendarApi", () => {
+    beforeAll((done) => {
+        stubServer.listen(0, "127.0.0.1", () => {
+            const address = /** @type {import("net").AddressInfo} */ (stubServer.address());
+            baseUrl = `http://127.0.0.1:${address.port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        stubServer.close(done);
+    });
+
+    beforeEach(() => {
+        putRequests = [];
+    });
+
+    it("reads a local .ics file", async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-calendar-"));
+        const filePath = path.join(directory, "calendar.ics");
+        fs.writeFileSync(filePath, icsData.join("\r\n"));
+
+        try {
+            expect(await api.getIcsData(filePath)).toBe(icsData.join("\r\n"));
+        } finally {
+            fs.rmdirSync(directory, { recursive: true });
+        }
+    });
+
+    it("downloads an .ics file from a URL", async () => {
+        const result = await api.getIcsData(`${baseUrl}/calendar.ics`, username, password);
+        expect(result).toBe(icsData.join("\r\n"));
+    });
+
+    it("queries a CalDAV calendar and combines the calendar data from the response", async () => {
+        const result = await api.getIcsData(`${baseUrl}/calendars/user/tasks/`, username, password);
+
+        const lines = result.split(/\r?\n/).filter((line) => line.length > 0);
+        expect(lines).toEqual([...icsData, ...icsData]);
+    });
+
+    it("throws a specific error if the credentials are invalid", async () => {
+        await expect(
+            api.getIcsData(`${baseUrl}/calendars/user/tasks/`, username, "wrong")
+        ).rejects.toThrow("Invalid calendar username or password");
+    });
+
+    it("throws a general error if the local file cannot be read", async () => {
+        await expect(api.getIcsData(path.join(os.tmpdir(), "does-not-exist.ics"))).rejects.toThrow(
+            "Problem reading calendar file"
+        );
+    });
+
+    it("writes changes to a local .ics file", async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-calendar-"));
+        const filePath = path.join(directory, "calendar.ics");
+        fs.writeFileSync(filePath, icsData.join("\r\n"));
+
+        try {
+            await api.updateIcsData(filePath, undefined, undefined, (data) =>
+                data.replace("SUMMARY:Todo", "SUMMARY:Changed")
+            );
+
+            expect(fs.readFileSync(filePath, "utf-8")).toContain("SUMMARY:Changed");
+            expect(fs.readdirSync(directory)).toEqual(["calendar.ics"]);
+        } finally {
+            fs.rmdirSync(directory, { recursive: true });
+        }
+    });
+
+    it("only writes the changed resources of a CalDAV calendar, if they weren't changed since", async () => {
+        let isFirstResource = true;
+
+        await api.updateIcsData(`${baseUrl}/calendars/user/tasks/`, username, password, (data) => {
+            const updatedData = isFirstResource
+                ? data.replace("SUMMARY:Todo", "SUMMARY:Changed")
+                : data;
+            isFirstResource = false;
+            return updatedData;
+        });
+
+        expect(putRequests).toHaveLength(1);
+        expect(putRequests[0].url).toBe("/calendars/user/tasks/1.ics");
+        expect(putRequests[0].ifMatch).toBe('"etag-1"');
+        expect(putRequests[0].body).toContain("SUMMARY:Changed");
+    });
+
+    it("throws an error when trying to change an .ics file from a URL", async () => {
+        await expect(
+            api.updateIcsData(`${baseUrl}/calendar.ics`, username, password, (data) => data)
+        ).rejects.toThrow("Calendar .ics files from a URL can't be changed");
+    });
+});
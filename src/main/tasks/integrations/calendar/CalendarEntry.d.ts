@@ -0,0 +1,33 @@
+// this represents the part of an iCalendar VTODO or VEVENT component that we care about
+export interface CalendarEntry {
+    componentType: "VTODO" | "VEVENT";
+
+    /** UID, stays the same when the to-do or event is changed */
+    uid: string | undefined;
+
+    summary: string;
+
+    /** DTSTART */
+    start: CalendarDateValue | undefined;
+
+    /** DTEND */
+    end: CalendarDateValue | undefined;
+
+    /** DUE (only for VTODO) */
+    due: CalendarDateValue | undefined;
+
+    /** example values: NEEDS-ACTION, IN-PROCESS, COMPLETED, CANCELLED, CONFIRMED */
+    status: string | undefined;
+
+    categories: string[];
+
+    /** true if the COMPLETED property is present */
+    hasCompletedTimestamp: boolean;
+}
+
+export interface CalendarDateValue {
+    /** example values: 20201001 (date only), 20201001T143000 (local time), 20201001T143000Z (UTC) */
+    value: string;
+
+    isDateOnly: boolean;
+}
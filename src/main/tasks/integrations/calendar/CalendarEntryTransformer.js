@@ -0,0 +1,148 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./CalendarEntry").CalendarEntry } CalendarEntry */
+/** @typedef { import("./CalendarEntry").CalendarDateValue } CalendarDateValue */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+const DATE_FORMAT = "YYYYMMDD";
+const LOCAL_DATETIME_FORMAT = "YYYYMMDDTHHmmss";
+const UTC_DATETIME_FORMAT = "YYYYMMDDTHHmmss[Z]";
+
+class CalendarEntryTransformer {
+    constructor() {
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * To-dos are relevant as long as they are not completed or cancelled.
+     * Events are only relevant while they are in progress.
+     *
+     * @param {CalendarEntry} entry
+     * @param {moment.Moment} now
+     */
+    isRelevant(entry, now) {
+        if (entry.status === "CANCELLED") {
+            return false;
+        }
+
+        if (entry.componentType === "VTODO") {
+            return entry.status !== "COMPLETED" && !entry.hasCompletedTimestamp;
+        } else {
+            return this._isEventInProgress(entry, now);
+        }
+    }
+
+    /**
+     * @param {CalendarEntry} entry
+     * @param {moment.Moment} now
+     */
+    _isEventInProgress(entry, now) {
+        if (!entry.start) {
+            return false;
+        }
+
+        const start = this._toMoment(entry.start);
+        const end = this._getEventEnd(entry);
+        return !start.isAfter(now) && end.isAfter(now);
+    }
+
+    /** @param {CalendarEntry} entry */
+    _getEventEnd(entry) {
+        if (entry.end) {
+            return this._toMoment(entry.end);
+        } else if (entry.start.isDateOnly) {
+            // according to RFC 5545, an all-day event without end takes up a single day
+            return this._toMoment(entry.start).add(1, "days");
+        } else {
+            return this._toMoment(entry.start);
+        }
+    }
+
+    /**
+     * @param {CalendarEntry} entry
+     * @param {string} currentTaskCategoryName
+     * @returns {IntegrationTask}
+     */
+    transform(entry, currentTaskCategoryName) {
+        if (entry.componentType === "VTODO") {
+            return this._transformTodo(entry, currentTaskCategoryName);
+        } else {
+            return this._transformEvent(entry);
+        }
+    }
+
+    /**
+     * @param {CalendarEntry} entry
+     * @param {string} currentTaskCategoryName
+     * @returns {IntegrationTask}
+     */
+    _transformTodo(entry, currentTaskCategoryName) {
+        let dueDate = undefined;
+        let dueDatetime = undefined;
+
+        if (entry.due) {
+            const dueMoment = this._toMoment(entry.due);
+            dueDate = this._dateTimeHelper.getDateString(dueMoment);
+
+            if (!entry.due.isDateOnly) {
+                dueDatetime = dueMoment;
+            }
+        }
+
+        const lowerCaseCategoryName = currentTaskCategoryName.toLowerCase();
+
+        return {
+            id: entry.uid,
+            title: entry.summary,
+            dueDate,
+            dueDatetime,
+            markedCurrent: entry.categories.some(
+                (category) => category.toLowerCase() === lowerCaseCategoryName
+            ),
+        };
+    }
+
+    /**
+     * @param {CalendarEntry} entry
+     * @returns {IntegrationTask}
+     */
+    _transformEvent(entry) {
+        // events are only included while in progress, so they are always marked current
+        // they are due when they end (the last day of the event for all-day events)
+
+        const end = this._getEventEnd(entry);
+        let dueDate;
+        let dueDatetime = undefined;
+
+        if (entry.start.isDateOnly) {
+            dueDate = this._dateTimeHelper.getDateString(moment(end).subtract(1, "days"));
+        } else {
+            dueDate = this._dateTimeHelper.getDateString(end);
+            dueDatetime = end;
+        }
+
+        return {
+            id: entry.uid,
+            title: entry.summary,
+            dueDate,
+            dueDatetime,
+            markedCurrent: true,
+        };
+    }
+
+    /** @param {CalendarDateValue} dateValue */
+    _toMoment(dateValue) {
+        if (dateValue.isDateOnly) {
+            return moment(dateValue.value.substring(0, DATE_FORMAT.length), DATE_FORMAT);
+        } else if (dateValue.value.endsWith("Z")) {
+            return moment.utc(dateValue.value, UTC_DATETIME_FORMAT).local();
+        } else {
+            // floating time or time with TZID parameter, both interpreted as local time
+            return moment(dateValue.value, LOCAL_DATETIME_FORMAT);
+        }
+    }
+}
+
+module.exports = CalendarEntryTransformer;
@@ -0,0 +1,131 @@
+/** @typedef { import("./CalendarEntry").CalendarEntry } CalendarEntry */
+
+const moment = require("moment");
+
+const CalendarEntryTransformer = require("./CalendarEntryTransformer");
+
+const transformer = new CalendarEntryTransformer();
+
+const placeholderTitle = "placeholderTitle";
+const currentTaskCategoryName = "current";
+
+/** @type {CalendarEntry} */
+const baseTodo = {
+    componentType: "VTODO",
+    uid: "todo-1@example.com",
+    summary: placeholderTitle,
+    start: undefined,
+    end: undefined,
+    due: undefined,
+    status: undefined,
+    categories: [],
+    hasCompletedTimestamp: false,
+};
+
+/** @type {CalendarEntry} */
+const baseEvent = {
+    ...baseTodo,
+    componentType: "VEVENT",
+    uid: "event-1@example.com",
+    start: { value: "20201001T090000", isDateOnly: false },
+    end: { value: "20201001T100000", isDateOnly: false },
+};
+
+describe("CalendarEntryTransformer", () => {
+    describe("isRelevant", () => {
+        const now = moment("2020-10-01 09:30:00");
+
+        it("includes to-dos that are not completed or cancelled", () => {
+            expect(transformer.isRelevant(baseTodo, now)).toBe(true);
+            expect(transformer.isRelevant({ ...baseTodo, status: "IN-PROCESS" }, now)).toBe(true);
+            expect(transformer.isRelevant({ ...baseTodo, status: "COMPLETED" }, now)).toBe(false);
+            expect(transformer.isRelevant({ ...baseTodo, status: "CANCELLED" }, now)).toBe(false);
+
+            expect(transformer.isRelevant({ ...baseTodo, hasCompletedTimestamp: true }, now)).toBe(
+                false
+            );
+        });
+
+        it("only includes events that are in progress", () => {
+            expect(transformer.isRelevant(baseEvent, now)).toBe(true);
+            expect(transformer.isRelevant(baseEvent, moment("2020-10-01 08:59:59"))).toBe(false);
+            expect(transformer.isRelevant(baseEvent, moment("2020-10-01 10:00:00"))).toBe(false);
+            expect(transformer.isRelevant({ ...baseEvent, status: "CANCELLED" }, now)).toBe(false);
+        });
+
+        it("treats all-day events without end as taking up a single day", () => {
+            /** @type {CalendarEntry} */
+            const allDayEvent = {
+                ...baseEvent,
+                start: { value: "20201001", isDateOnly: true },
+                end: undefined,
+            };
+
+            expect(transformer.isRelevant(allDayEvent, moment("2020-10-01 23:59:59"))).toBe(true);
+            expect(transformer.isRelevant(allDayEvent, moment("2020-10-02 00:00:00"))).toBe(false);
+        });
+    });
+
+    describe("transform", () => {
+        it("handles to-dos without due date", () => {
+            expect(transformer.transform(baseTodo, currentTaskCategoryName)).toEqual({
+                id: "todo-1@example.com",
+                title: placeholderTitle,
+                dueDate: undefined,
+                dueDatetime: undefined,
+                markedCurrent: false,
+            });
+        });
+
+        it("handles to-dos with due date but without time", () => {
+            /** @type {CalendarEntry} */
+            const todo = { ...baseTodo, due: { value: "20201001", isDateOnly: true } };
+
+            expect(transformer.transform(todo, currentTaskCategoryName)).toEqual({
+                id: "todo-1@example.com",
+                title: placeholderTitle,
+                dueDate: "2020-10-01",
+                dueDatetime: undefined,
+                markedCurrent: false,
+            });
+        });
+
+        it("maps the due time of to-dos to the due datetime", () => {
+            /** @type {CalendarEntry} */
+            const todo = { ...baseTodo, due: { value: "20201001T143000Z", isDateOnly: false } };
+            const transformed = transformer.transform(todo, currentTaskCategoryName);
+
+            expect(transformed.dueDatetime.isSame(moment("2020-10-01T14:30:00.000Z"))).toBe(true);
+        });
+
+        it("marks to-dos with the category as current, ignoring case", () => {
+            /** @type {CalendarEntry} */
+            const todo = { ...baseTodo, categories: ["work", "Current"] };
+
+            expect(transformer.transform(todo, currentTaskCategoryName).markedCurrent).toBe(true);
+        });
+
+        it("marks events as current and uses their end as due datetime", () => {
+            const transformed = transformer.transform(baseEvent, currentTaskCategoryName);
+
+            expect(transformed.id).toBe("event-1@example.com");
+            expect(transformed.markedCurrent).toBe(true);
+            expect(transformed.dueDate).toBe("2020-10-01");
+            expect(transformed.dueDatetime.isSame(moment("2020-10-01 10:00:00"))).toBe(true);
+        });
+
+        it("uses the last day of all-day events as due date", () => {
+            /** @type {CalendarEntry} */
+            const allDayEvent = {
+                ...baseEvent,
+                start: { value: "20201001", isDateOnly: true },
+                end: { value: "20201003", isDateOnly: true },
+            };
+
+            const transformed = transformer.transform(allDayEvent, currentTaskCategoryName);
+
+            expect(transformed.dueDate).toBe("2020-10-02");
+            expect(transformed.dueDatetime).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,247 @@
+/** @typedef { import("./CalendarEntry").CalendarEntry } CalendarEntry */
+/** @typedef { import("./CalendarEntry").CalendarDateValue } CalendarDateValue */
+
+const SUPPORTED_COMPONENTS = ["VTODO", "VEVENT"];
+
+class IcsParser {
+    /**
+     * Parses the VTODO and VEVENT components from iCalendar data (RFC 5545).
+     * Multiple VCALENDAR objects can simply be concatenated.
+     *
+     * @param {string} icsData
+     * @returns {CalendarEntry[]}
+     */
+    parse(icsData) {
+        /** @type {CalendarEntry[]} */
+        const entries = [];
+
+        /** @type {CalendarEntry} */
+        let currentEntry = undefined;
+
+        // components like VALARM can be nested inside the components we care about
+        let nestedComponentDepth = 0;
+
+        for (const line of this._unfoldLines(icsData)) {
+            const property = this._parseContentLine(line);
+
+            if (!property) {
+                continue;
+            }
+
+            if (property.name === "BEGIN") {
+                if (currentEntry) {
+                    nestedComponentDepth++;
+                } else if (SUPPORTED_COMPONENTS.includes(property.value.toUpperCase())) {
+                    currentEntry = this._createEmptyEntry(property.value.toUpperCase());
+                }
+            } else if (property.name === "END") {
+                if (nestedComponentDepth > 0) {
+                    nestedComponentDepth--;
+                } else if (currentEntry) {
+                    entries.push(currentEntry);
+                    currentEntry = undefined;
+                }
+            } else if (currentEntry && nestedComponentDepth === 0) {
+                this._applyProperty(currentEntry, property);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Removes a category from all to-dos, everything else is left as it is
+     *
+     * @param {string} icsData
+     * @param {string} categoryName compared ignoring case
+     * @returns {string}
+     */
+    removeCategoryFromTodos(icsData, categoryName) {
+        const lineBreak = icsData.includes("\r\n") ? "\r\n" : "\n";
+        const lowerCaseCategoryName = categoryName.toLowerCase();
+
+        /** @type {string[]} */
+        const foldedLines = [];
+
+        let isInTodo = false;
+        let nestedComponentDepth = 0;
+
+        for (const foldedLine of this._splitFoldedLines(icsData)) {
+            const line = this._unfoldLine(foldedLine);
+            const property = this._parseContentLine(line);
+
+            if (!property) {
+                foldedLines.push(foldedLine);
+                continue;
+            }
+
+            if (property.name === "BEGIN") {
+                if (isInTodo) {
+                    nestedComponentDepth++;
+                } else {
+                    isInTodo = property.value.toUpperCase() === "VTODO";
+                }
+            } else if (property.name === "END") {
+                if (nestedComponentDepth > 0) {
+                    nestedComponentDepth--;
+                } else {
+                    isInTodo = false;
+                }
+            } else if (isInTodo && nestedComponentDepth === 0 && property.name === "CATEGORIES") {
+                const categories = this._splitTextList(property.value);
+
+                const remainingCategories = categories.filter(
+                    (category) => category.toLowerCase() !== lowerCaseCategoryName
+                );
+
+                if (remainingCategories.length !== categories.length) {
+                    if (remainingCategories.length > 0) {
+                        const nameAndParams = line.substring(
+                            0,
+                            line.length - property.value.length
+                        );
+                        const value = remainingCategories.map((item) => this._escapeText(item));
+                        foldedLines.push(nameAndParams + value.join(","));
+                    }
+
+                    continue;
+                }
+            }
+
+            foldedLines.push(foldedLine);
+        }
+
+        return foldedLines.join(lineBreak);
+    }
+
+    /** @param {string} icsData */
+    _unfoldLines(icsData) {
+        return this._splitFoldedLines(icsData).map((foldedLine) => this._unfoldLine(foldedLine));
+    }
+
+    /** @param {string} icsData */
+    _splitFoldedLines(icsData) {
+        // long lines are folded by inserting a line break followed by a single space or tab
+        return icsData.split(/\r?\n(?![ \t])/);
+    }
+
+    /** @param {string} foldedLine */
+    _unfoldLine(foldedLine) {
+        return foldedLine.replace(/\r?\n[ \t]/g, "");
+    }
+
+    /**
+     * @param {string} line
+     * @returns {{ name: string, params: Map<string, string>, value: string }}
+     */
+    _parseContentLine(line) {
+        // parameter values can be quoted and can then contain colons and semicolons
+        let inQuotes = false;
+        let valueStartIndex = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            const character = line[i];
+
+            if (character === '"') {
+                inQuotes = !inQuotes;
+            } else if (character === ":" && !inQuotes) {
+                valueStartIndex = i;
+                break;
+            }
+        }
+
+        if (valueStartIndex === -1) {
+            return undefined;
+        }
+
+        const [name, ...paramParts] = line.substring(0, valueStartIndex).split(";");
+        const params = new Map();
+
+        for (const paramPart of paramParts) {
+            const [paramName, ...paramValueParts] = paramPart.split("=");
+            const paramValue = paramValueParts.join("=").replace(/^"(.*)"$/, "$1");
+            params.set(paramName.toUpperCase(), paramValue);
+        }
+
+        return { name: name.toUpperCase(), params, value: line.substring(valueStartIndex + 1) };
+    }
+
+    /**
+     * @param {string} componentType
+     * @returns {CalendarEntry}
+     */
+    _createEmptyEntry(componentType) {
+        return {
+            componentType: /** @type {CalendarEntry["componentType"]} */ (componentType),
+            uid: undefined,
+            summary: "",
+            start: undefined,
+            end: undefined,
+            due: undefined,
+            status: undefined,
+            categories: [],
+            hasCompletedTimestamp: false,
+        };
+    }
+
+    /**
+     * @param {CalendarEntry} entry
+     * @param {{ name: string, params: Map<string, string>, value: string }} property
+     */
+    _applyProperty(entry, property) {
+        if (property.name === "UID") {
+            entry.uid = property.value;
+        } else if (property.name === "SUMMARY") {
+            entry.summary = this._unescapeText(property.value);
+        } else if (property.name === "DTSTART") {
+            entry.start = this._parseDateValue(property.params, property.value);
+        } else if (property.name === "DTEND") {
+            entry.end = this._parseDateValue(property.params, property.value);
+        } else if (property.name === "DUE") {
+            entry.due = this._parseDateValue(property.params, property.value);
+        } else if (property.name === "STATUS") {
+            entry.status = property.value.toUpperCase();
+        } else if (property.name === "CATEGORIES") {
+            entry.categories.push(...this._splitTextList(property.value));
+        } else if (property.name === "COMPLETED") {
+            entry.hasCompletedTimestamp = true;
+        }
+    }
+
+    /**
+     * @param {Map<string, string>} params
+     * @param {string} value
+     * @returns {CalendarDateValue}
+     */
+    _parseDateValue(params, value) {
+        const isDateOnly = params.get("VALUE") === "DATE" || /^\d{8}$/.test(value);
+        return { value, isDateOnly };
+    }
+
+    /** @param {string} value */
+    _splitTextList(value) {
+        // split on commas that are not escaped
+        return value
+            .split(/(?<!\\),/)
+            .map((item) => this._unescapeText(item).trim())
+            .filter((item) => item.length > 0);
+    }
+
+    /** @param {string} value */
+    _escapeText(value) {
+        return value.replace(/[\\;,]/g, "\\$&").replace(/\n/g, "\\n");
+    }
+
+    /** @param {string} value */
+    _unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (_fullMatch, escapedCharacter) => {
+            if (escapedCharacter === "n" || escapedCharacter === "N") {
+                return "\n";
+            } else {
+                return escapedCharacter;
+            }
+        });
+    }
+}
+
+module.exports = IcsParser;
@@ -0,0 +1,152 @@
+const IcsParser = require("./IcsParser");
+
+const parser = new IcsParser();
+
+/** @param {string[]} lines */
+function toIcsData(lines) {
+    return ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+}
+
+describe("IcsParser", () => {
+    it("parses to-dos", () => {
+        const icsData = toIcsData([
+            "BEGIN:VTODO",
+            "UID:report-1@example.com",
+            "SUMMARY:Write report",
+            "DUE:20201001T143000Z",
+            "STATUS:NEEDS-ACTION",
+            "CATEGORIES:work,current",
+            "END:VTODO",
+        ]);
+
+        expect(parser.parse(icsData)).toEqual([
+            {
+                componentType: "VTODO",
+                uid: "report-1@example.com",
+                summary: "Write report",
+                start: undefined,
+                end: undefined,
+                due: { value: "20201001T143000Z", isDateOnly: false },
+                status: "NEEDS-ACTION",
+                categories: ["work", "current"],
+                hasCompletedTimestamp: false,
+            },
+        ]);
+    });
+
+    it("parses events with date-only values", () => {
+        const icsData = toIcsData([
+            "BEGIN:VEVENT",
+            "UID:conference-1@example.com",
+            "SUMMARY:Conference",
+            "DTSTART;VALUE=DATE:20201001",
+            "DTEND;VALUE=DATE:20201003",
+            "END:VEVENT",
+        ]);
+
+        const entries = parser.parse(icsData);
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0].componentType).toBe("VEVENT");
+        expect(entries[0].uid).toBe("conference-1@example.com");
+        expect(entries[0].start).toEqual({ value: "20201001", isDateOnly: true });
+        expect(entries[0].end).toEqual({ value: "20201003", isDateOnly: true });
+    });
+
+    it("handles folded lines, escaped text and quoted parameters", () => {
+        const icsData = toIcsData([
+            "BEGIN:VEVENT",
+            "SUMMARY:Meeting\\, part 1\\; with a very long",
+            "  title",
+            'DTSTART;TZID="Europe/Brussels: Central":20201001T090000',
+            "END:VEVENT",
+        ]);
+
+        const entries = parser.parse(icsData);
+
+        expect(entries[0].summary).toBe("Meeting, part 1; with a very long title");
+        expect(entries[0].start).toEqual({ value: "20201001T090000", isDateOnly: false });
+    });
+
+    it("ignores properties of nested components", () => {
+        const icsData = toIcsData([
+            "BEGIN:VTODO",
+            "SUMMARY:Write report",
+            "BEGIN:VALARM",
+            "SUMMARY:Alarm",
+            "TRIGGER:-PT15M",
+            "END:VALARM",
+            "COMPLETED:20201001T100000Z",
+            "END:VTODO",
+        ]);
+
+        const entries = parser.parse(icsData);
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0].summary).toBe("Write report");
+        expect(entries[0].hasCompletedTimestamp).toBe(true);
+    });
+
+    it("ignores unsupported components and handles multiple calendars", () => {
+        const icsData = [
+            toIcsData(["BEGIN:VJOURNAL", "SUMMARY:Journal", "END:VJOURNAL"]),
+            toIcsData(["BEGIN:VTODO", "SUMMARY:First", "END:VTODO"]),
+            toIcsData(["BEGIN:VTODO", "SUMMARY:Second", "END:VTODO"]),
+        ].join("\r\n");
+
+        const entries = parser.parse(icsData);
+
+        expect(entries.map((entry) => entry.summary)).toEqual(["First", "Second"]);
+    });
+
+    it("removes the category from to-dos, ignoring case", () => {
+        const icsData = toIcsData([
+            "BEGIN:VTODO",
+            "SUMMARY:Write report with a very long",
+            "  title",
+            "CATEGORIES;LANGUAGE=en:work,Current,home",
+            "END:VTODO",
+            "BEGIN:VTODO",
+            "SUMMARY:Plan trip",
+            "CATEGORIES:private",
+            "CATEGORIES:cur",
+            " rent",
+            "END:VTODO",
+            "BEGIN:VEVENT",
+            "SUMMARY:Meeting",
+            "CATEGORIES:current",
+            "END:VEVENT",
+        ]);
+
+        expect(parser.removeCategoryFromTodos(icsData, "current")).toBe(
+            toIcsData([
+                "BEGIN:VTODO",
+                "SUMMARY:Write report with a very long",
+                "  title",
+                "CATEGORIES;LANGUAGE=en:work,home",
+                "END:VTODO",
+                "BEGIN:VTODO",
+                "SUMMARY:Plan trip",
+                "CATEGORIES:private",
+                "END:VTODO",
+                "BEGIN:VEVENT",
+                "SUMMARY:Meeting",
+                "CATEGORIES:current",
+                "END:VEVENT",
+            ])
+        );
+    });
+
+    it("keeps escaped characters in the other categories and the original line breaks", () => {
+        const icsData = ["BEGIN:VTODO", "CATEGORIES:current,a\\, b\\;c", "END:VTODO"].join("\n");
+
+        expect(parser.removeCategoryFromTodos(icsData, "current")).toBe(
+            ["BEGIN:VTODO", "CATEGORIES:a\\, b\\;c", "END:VTODO"].join("\n")
+        );
+    });
+
+    it("leaves to-dos without the category unchanged", () => {
+        const icsData = toIcsData(["BEGIN:VTODO", "CATEGORIES:work", "END:VTODO"]);
+        expect(parser.removeCategoryFromTodos(icsData, "current")).toBe(icsData);
+    });
+});
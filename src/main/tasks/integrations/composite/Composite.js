@@ -0,0 +1,165 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").CompositeIntegrationConfiguration } CompositeIntegrationConfiguration */
+/** @typedef { import("../../../configuration/IntegrationConfiguration").CompositeSourceIntegrationType } CompositeSourceIntegrationType */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"composite"> } CompositeIntegration */
+/** @typedef { import("../Integration").Integration<any> } Integration */
+/** @typedef { import("./CompositeSource").CompositeSource } CompositeSource */
+
+/** @type {{ type: CompositeSourceIntegrationType, label: string }[]} */
+const SOURCE_INTEGRATION_TYPES = [
+    { type: "todoist", label: "Todoist" },
+    { type: "trello", label: "Trello" },
+    { type: "github", label: "GitHub" },
+    { type: "localFile", label: "Local file" },
+    { type: "calendar", label: "Calendar" },
+    { type: "jsonHttp", label: "JSON over HTTP" },
+];
+
+/**
+ * Tasks aren't retrieved through the combined integration: the tasks tracker refreshes each source
+ * separately, so a failing source doesn't hide the tasks of the others
+ * @implements {Omit<CompositeIntegration, "getRelevantTasksForState">}
+ */
+class Composite {
+    /**
+     * @param {(integrationType: CompositeSourceIntegrationType) => Integration} createIntegration
+     * @param {Logger} logger
+     */
+    constructor(createIntegration, logger) {
+        this._createIntegration = createIntegration;
+
+        /** @type {CompositeSource[]} */
+        this._sources = [];
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return SOURCE_INTEGRATION_TYPES.map(({ type, label }) => ({
+            type: "boolean",
+            name: type,
+            label: `Include ${label}`,
+            currentValue: this._sources.some((source) => source.type === type),
+        }));
+    }
+
+    /** @param {CompositeIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        const sourceConfigurations = configuration.sources || [];
+
+        /** @type {CompositeSource[]} */
+        const sources = [];
+
+        for (const sourceConfiguration of sourceConfigurations) {
+            const type = sourceConfiguration.type;
+            const sourceIntegrationType = SOURCE_INTEGRATION_TYPES.find(
+                (item) => item.type === type
+            );
+
+            if (!sourceIntegrationType) {
+                this._logger.warn(`Ignoring unsupported combined integration source: ${type}`);
+                continue;
+            }
+
+            if (sources.some((source) => source.type === type)) {
+                this._logger.warn(`Ignoring duplicate combined integration source: ${type}`);
+                continue;
+            }
+
+            // reusing instances keeps their caches and refresh state across reconfiguration
+            const integration = this.getSourceIntegration(type);
+            integration.configure(sourceConfiguration);
+
+            sources.push({ type, label: sourceIntegrationType.label, integration });
+        }
+
+        this._sources = sources;
+    }
+
+    /** @returns {CompositeSource[]} */
+    getSources() {
+        return this._sources;
+    }
+
+    /**
+     * Returns the integration that is used for the source of this type, or a new unconfigured one
+     * if the type is not one of the sources yet
+     * @param {CompositeSourceIntegrationType} type
+     * @returns {Integration}
+     */
+    getSourceIntegration(type) {
+        const existingSource = this._sources.find((source) => source.type === type);
+        return existingSource ? existingSource.integration : this._createIntegration(type);
+    }
+
+    /** @param {CompositeSourceIntegrationType} type */
+    getSourceLabel(type) {
+        const sourceIntegrationType = SOURCE_INTEGRATION_TYPES.find((item) => item.type === type);
+        return sourceIntegrationType ? sourceIntegrationType.label : type;
+    }
+
+    async clearCurrent() {
+        await this._performForEachSource(
+            this._sources,
+            (integration) => integration.clearCurrent(),
+            "clear current task"
+        );
+    }
+
+    isCleanupNeeded() {
+        return this._getSourcesNeedingCleanup().length > 0;
+    }
+
+    async performCleanup() {
+        await this._performForEachSource(
+            this._getSourcesNeedingCleanup(),
+            (integration) => integration.performCleanup(),
+            "perform cleanup"
+        );
+    }
+
+    _getSourcesNeedingCleanup() {
+        return this._sources.filter((source) => {
+            try {
+                return source.integration.isCleanupNeeded();
+            } catch (error) {
+                this._logger.error(
+                    `Failed to check if ${source.label} needs cleanup: ${error.message}`
+                );
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Runs the action for all sources in parallel, a failing source does not stop the others
+     * @param {CompositeSource[]} sources
+     * @param {(integration: Integration) => Promise<void>} action
+     * @param {string} actionDescription
+     */
+    async _performForEachSource(sources, action, actionDescription) {
+        const errorMessages = await Promise.all(
+            sources.map(async (source) => {
+                try {
+                    await action(source.integration);
+                    return undefined;
+                } catch (error) {
+                    this._logger.error(
+                        `Failed to ${actionDescription} for ${source.label}: ${error.message}`
+                    );
+                    return `${source.label}: ${error.message}`;
+                }
+            })
+        );
+
+        const failures = errorMessages.filter((errorMessage) => errorMessage);
+
+        if (failures.length > 0) {
+            throw new Error(failures.join(" | "));
+        }
+    }
+}
+
+module.exports = Composite;
@@ -0,0 +1,130 @@
+const Logger = require("../../../Logger");
+
+const Composite = require("./Composite");
+
+jest.mock("../../../Logger");
+
+/** @returns {Object<string, jest.Mock>} */
+function createMockIntegration() {
+    return {
+        getConfigurationDialogFields: jest.fn(() => []),
+        configure: jest.fn(),
+        getRelevantTasksForState: jest.fn(async () => []),
+        clearCurrent: jest.fn(async () => {}),
+        isCleanupNeeded: jest.fn(() => false),
+        performCleanup: jest.fn(async () => {}),
+    };
+}
+
+/** @type {Object<string, Object<string, jest.Mock>>} */
+let createdIntegrations;
+
+/** @type {Composite} */
+let composite;
+
+beforeEach(() => {
+    createdIntegrations = {};
+
+    composite = new Composite((type) => {
+        createdIntegrations[type] = createMockIntegration();
+        return /** @type {any} */ (createdIntegrations[type]);
+    }, new Logger());
+});
+
+describe("Composite", () => {
+    describe("configure", () => {
+        it("creates and configures an integration per source", () => {
+            composite.configure({
+                type: "composite",
+                sources: [
+                    { type: "todoist", token: "todoist-token" },
+                    { type: "trello", key: "trello-key" },
+                ],
+            });
+
+            expect(composite.getSources().map((source) => source.label)).toEqual([
+                "Todoist",
+                "Trello",
+            ]);
+            expect(createdIntegrations.todoist.configure).toHaveBeenCalledWith({
+                type: "todoist",
+                token: "todoist-token",
+            });
+            expect(createdIntegrations.trello.configure).toHaveBeenCalledWith({
+                type: "trello",
+                key: "trello-key",
+            });
+        });
+
+        it("reuses integrations when reconfiguring", () => {
+            composite.configure({ type: "composite", sources: [{ type: "todoist" }] });
+            const todoist = createdIntegrations.todoist;
+
+            composite.configure({
+                type: "composite",
+                sources: [{ type: "todoist" }, { type: "github" }],
+            });
+
+            expect(composite.getSources()[0].integration).toBe(todoist);
+            expect(todoist.configure).toHaveBeenCalledTimes(2);
+        });
+
+        it("ignores duplicate and unsupported sources", () => {
+            composite.configure({
+                type: "composite",
+                // @ts-ignore
+                sources: [{ type: "todoist" }, { type: "composite" }, { type: "todoist" }],
+            });
+
+            expect(composite.getSources().map((source) => source.type)).toEqual(["todoist"]);
+        });
+    });
+
+    it("marks configured sources as included in the dialog fields", () => {
+        composite.configure({ type: "composite", sources: [{ type: "trello" }] });
+
+        const fields = composite.getConfigurationDialogFields();
+
+        expect(fields.find((field) => field.name === "trello").currentValue).toBe(true);
+        expect(fields.find((field) => field.name === "todoist").currentValue).toBe(false);
+    });
+
+    describe("clearCurrent", () => {
+        it("clears the current task for each source, even if one of them fails", async () => {
+            composite.configure({
+                type: "composite",
+                sources: [{ type: "todoist" }, { type: "trello" }, { type: "github" }],
+            });
+
+            createdIntegrations.todoist.clearCurrent.mockRejectedValue(
+                new Error("Problem reaching Todoist")
+            );
+
+            await expect(composite.clearCurrent()).rejects.toThrow(
+                "Todoist: Problem reaching Todoist"
+            );
+
+            expect(createdIntegrations.trello.clearCurrent).toHaveBeenCalled();
+            expect(createdIntegrations.github.clearCurrent).toHaveBeenCalled();
+        });
+    });
+
+    describe("cleanup", () => {
+        it("only performs cleanup for sources that need it", async () => {
+            composite.configure({
+                type: "composite",
+                sources: [{ type: "todoist" }, { type: "trello" }],
+            });
+
+            expect(composite.isCleanupNeeded()).toBe(false);
+
+            createdIntegrations.trello.isCleanupNeeded.mockReturnValue(true);
+            expect(composite.isCleanupNeeded()).toBe(true);
+
+            await composite.performCleanup();
+
+            expect(createdIntegrations.todoist.performCleanup).not.toHaveBeenCalled();
+            expect(createdIntegrations.trello.performCleanup).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,8 @@
+import { CompositeSourceIntegrationType } from "../../../configuration/IntegrationConfiguration";
+import { Integration } from "../Integration";
+
+export interface CompositeSource {
+    type: CompositeSourceIntegrationType;
+    label: string;
+    integration: Integration<any>;
+}
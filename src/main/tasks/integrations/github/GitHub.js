@@ -0,0 +1,135 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").GitHubIntegrationConfiguration } GitHubIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"github"> } GitHubIntegration */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const GitHubApi = require("./GitHubApi");
+const GitHubIssueTransformer = require("./GitHubIssueTransformer");
+
+/** @implements {GitHubIntegration} */
+class GitHub {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._token = undefined;
+        this._labelName = undefined;
+        this._repositories = undefined;
+
+        this._api = new GitHubApi(logger);
+        this._transformer = new GitHubIssueTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "token",
+                label: "GitHub token",
+                placeholder: "Your GitHub personal access token",
+                required: true,
+                inputType: "password",
+                info:
+                    "You can generate a personal access token on GitHub under Settings - Developer settings - Personal access tokens. The token needs the 'repo' scope in order to see and update issues in private repositories. Do not share this token with anyone.",
+                currentValue: this._token,
+            },
+            {
+                type: "text",
+                name: "labelName",
+                label: "Label name",
+                placeholder: "Current task label",
+                required: true,
+                info:
+                    "A label with this name will mark issues as current task. You can create a label with this name in each repository you want to use.",
+                currentValue: this._labelName,
+            },
+            {
+                type: "textList",
+                name: "repositories",
+                label: "Repositories",
+                listPlaceholder: "No repositories specified",
+                itemPlaceholder: "owner/repository",
+                buttonText: "Add repository",
+                info:
+                    "The app looks at the open issues assigned to you. If you specify a list of repositories here, the app will only look at issues from those repositories. Click a repository to remove it again.",
+                currentValue: this._repositories,
+            },
+        ];
+    }
+
+    /** @param {GitHubIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._token = configuration.token;
+        this._labelName = configuration.labelName;
+        this._repositories = configuration.repositories;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant issues from GitHub");
+        this._checkTokenAndLabelNameSpecified();
+
+        const issuesPromise = this._api.getAssignedOpenIssues(this._token);
+        this._latestIssuesPromise = issuesPromise;
+        const issues = await issuesPromise;
+
+        if (issuesPromise === this._latestIssuesPromise) {
+            this._latestIssues = this._filterOnRepositories(issues);
+        }
+
+        return this._latestIssues.map((issue) =>
+            this._transformer.transform(issue, this._labelName)
+        );
+    }
+
+    /** @param {GitHubIssue[]} issues */
+    _filterOnRepositories(issues) {
+        if (!this._repositories || this._repositories.length === 0) {
+            return issues;
+        }
+
+        // repository names are case-insensitive on GitHub
+        const lowerCaseRepositories = this._repositories.map((name) => name.toLowerCase());
+
+        return issues.filter((issue) =>
+            lowerCaseRepositories.includes(issue.repository.full_name.toLowerCase())
+        );
+    }
+
+    async clearCurrent() {
+        this._checkTokenAndLabelNameSpecified();
+
+        const issuesMarkedCurrent = this._latestIssues.filter((issue) =>
+            this._transformer.hasLabel(issue, this._labelName)
+        );
+
+        if (issuesMarkedCurrent.length > 0) {
+            this._logger.debugIntegration("Removing the label from current issues in GitHub");
+
+            await Promise.all(
+                issuesMarkedCurrent.map((issue) => {
+                    const matchingLabel = this._transformer.getMatchingLabel(
+                        issue,
+                        this._labelName
+                    );
+                    return this._api.removeLabelFromIssue(issue, matchingLabel.name, this._token);
+                })
+            );
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    _checkTokenAndLabelNameSpecified() {
+        if (!this._token || !this._labelName) {
+            throw new Error("GitHub not configured");
+        }
+    }
+}
+
+module.exports = GitHub;
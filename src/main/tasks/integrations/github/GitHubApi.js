@@ -0,0 +1,112 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const axios = require("axios").default;
+
+const DEFAULT_BASE_URL = "https://api.github.com";
+
+// the maximum page size allowed by the GitHub API
+const ISSUES_PER_PAGE = 100;
+
+// limit the number of pages we retrieve. one reason for doing this are the GitHub API rate limits.
+const MAX_PAGES = 5;
+
+class GitHubApi {
+    /**
+     * @param {Logger} logger
+     * @param {string} [baseUrl]
+     */
+    constructor(logger, baseUrl = DEFAULT_BASE_URL) {
+        this._logger = logger;
+        this._baseUrl = baseUrl;
+    }
+
+    /**
+     * @param {string} token
+     * @returns {Promise<GitHubIssue[]>}
+     */
+    async getAssignedOpenIssues(token) {
+        /** @type {GitHubIssue[]} */
+        const issues = [];
+
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const pageIssues = await this._performApiRequest(
+                "GET",
+                "/issues",
+                token,
+                { filter: "assigned", state: "open", per_page: ISSUES_PER_PAGE, page },
+                `GitHub get assigned issues page ${page}`
+            );
+
+            issues.push(...pageIssues);
+
+            if (pageIssues.length < ISSUES_PER_PAGE) {
+                // pull requests are also returned as issues, but we are not interested in those
+                return issues.filter((issue) => !issue.pull_request);
+            }
+        }
+
+        throw new Error(`More than ${MAX_PAGES * ISSUES_PER_PAGE} assigned issues to check`);
+    }
+
+    /**
+     * @param {GitHubIssue} issue
+     * @param {string} labelName The name of the label exactly as it is on the issue
+     * @param {string} token
+     */
+    async removeLabelFromIssue(issue, labelName, token) {
+        const repositoryName = issue.repository.full_name;
+        const encodedLabelName = encodeURIComponent(labelName);
+
+        await this._performApiRequest(
+            "DELETE",
+            `/repos/${repositoryName}/issues/${issue.number}/labels/${encodedLabelName}`,
+            token,
+            {},
+            "GitHub remove label from issue"
+        );
+    }
+
+    async _performApiRequest(method, relativeUrl, token, params, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                method,
+                url: `${this._baseUrl}${relativeUrl}`,
+                params,
+                headers: {
+                    Accept: "application/vnd.github.v3+json",
+                    Authorization: `token ${token}`,
+                },
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    _handleApiRequestError(error, callDescription) {
+        if (error.response && error.response.status === 401) {
+            this._logger.debugIntegration(`${callDescription} call auth error, status code 401`);
+            throw new Error("Invalid GitHub token");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new Error("Problem reaching GitHub");
+        }
+    }
+}
+
+module.exports = GitHubApi;
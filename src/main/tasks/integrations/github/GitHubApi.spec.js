@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const http = require("http");
+
+const Logger = require("../../../Logger");
+
+const GitHubApi = require("./GitHubApi");
+
+jest.mock("../../../Logger");
+
+const validToken = "validToken";
+
+/** @type {Partial<GitHubIssue>} */
+const baseIssueData = {
+    labels: [],
+    milestone: null,
+    repository: { full_name: "owner/repository" },
+};
+
+/** @type {{ method: string, url: string, authorization: string }[]} */
+let receivedRequests = [];
+
+/** @type {any[][]} */
+let issuePages = [];
+
+// local stand-in for the GitHub API, only implementing the endpoints we use
+const stubServer = http.createServer((request, response) => {
+    receivedRequests.push({
+        method: request.method,
+        url: request.url,
+        authorization: request.headers.authorization,
+    });
+
+    response.setHeader("Content-Type", "application/json");
+
+    if (request.headers.authorization !== `token ${validToken}`) {
+        response.statusCode = 401;
+        response.end(JSON.stringify({ message: "Bad credentials" }));
+        return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method === "GET" && url.pathname === "/issues") {
+        const page = Number(url.searchParams.get("page"));
+        response.end(JSON.stringify(issuePages[page - 1] || []));
+    } else if (request.method === "DELETE" && url.pathname.includes("/labels/")) {
+        response.end(JSON.stringify([]));
+    } else {
+        response.statusCode = 404;
+        response.end(JSON.stringify({ message: "Not Found" }));
+    }
+});
+
+/** @type {GitHubApi} */
+let api;
+
+describe("GitHubApi", () => {
+    beforeAll((done) => {
+        stubServer.listen(0, "127.0.0.1", () => {
+            const address = /** @type {import("net").AddressInfo} */ (stubServer.address());
+            api = new GitHubApi(new Logger(), `http://127.0.0.1:${address.port}`);
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        stubServer.close(done);
+    });
+
+    beforeEach(() => {
+        receivedRequests = [];
+        issuePages = [];
+    });
+
+    it("retrieves the open issues assigned to the user, leaving out pull requests", async () => {
+        issuePages = [
+            [
+                { ...baseIssueData, id: 1, number: 1, title: "Issue" },
+                { ...baseIssueData, id: 2, number: 2, title: "PR", pull_request: { url: "url" } },
+            ],
+        ];
+
+        const issues = await api.getAssignedOpenIssues(validToken);
+
+        expect(issues.map((issue) => issue.title)).toEqual(["Issue"]);
+        expect(receivedRequests).toHaveLength(1);
+        expect(receivedRequests[0].url).toContain("filter=assigned");
+        expect(receivedRequests[0].url).toContain("state=open");
+    });
+
+    it("retrieves additional pages as long as the previous page was full", async () => {
+        const fullPage = Array.from({ length: 100 }, (_value, index) => ({
+            ...baseIssueData,
+            id: index,
+            number: index,
+            title: `Issue ${index}`,
+        }));
+
+        issuePages = [fullPage, [{ ...baseIssueData, id: 100, number: 100, title: "Last" }]];
+
+        const issues = await api.getAssignedOpenIssues(validToken);
+
+        expect(issues).toHaveLength(101);
+        expect(receivedRequests).toHaveLength(2);
+    });
+
+    it("removes a label from an issue", async () => {
+        /** @type {GitHubIssue} */
+        const issue = {
+            id: 1,
+            number: 42,
+            title: "Issue",
+            labels: [{ id: 1, name: "current task" }],
+            milestone: null,
+            repository: { full_name: "owner/repository" },
+        };
+
+        await api.removeLabelFromIssue(issue, "current task", validToken);
+
+        expect(receivedRequests).toEqual([
+            {
+                method: "DELETE",
+                url: "/repos/owner/repository/issues/42/labels/current%20task",
+                authorization: `token ${validToken}`,
+            },
+        ]);
+    });
+
+    it("throws a specific error if the token is invalid", async () => {
+        await expect(api.getAssignedOpenIssues("invalidToken")).rejects.toThrow(
+            "Invalid GitHub token"
+        );
+    });
+
+    it("throws a general error if GitHub cannot be reached", async () => {
+        const unreachableApi = new GitHubApi(new Logger(), "http://127.0.0.1:1");
+
+        await expect(unreachableApi.getAssignedOpenIssues(validToken)).rejects.toThrow(
+            "Problem reaching GitHub"
+        );
+    });
+});
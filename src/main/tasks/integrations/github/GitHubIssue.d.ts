@@ -0,0 +1,26 @@
+// this represents the part of the REST API's issue format that we care about
+export interface GitHubIssue {
+    id: number;
+    number: number;
+    title: string;
+
+    labels: {
+        id: number;
+        name: string;
+    }[];
+
+    milestone: {
+        /** example value: 2020-10-09T07:00:00Z */
+        due_on: string | null;
+    } | null;
+
+    repository: {
+        /** example value: octocat/Hello-World */
+        full_name: string;
+    };
+
+    /** only present if the issue is actually a pull request */
+    pull_request?: {
+        url: string;
+    };
+}
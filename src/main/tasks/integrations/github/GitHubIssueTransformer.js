@@ -0,0 +1,50 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+// YYYY-MM-DD
+const DATE_STRING_LENGTH = 10;
+
+class GitHubIssueTransformer {
+    /**
+     * @param {GitHubIssue} issueFromApi
+     * @param {string} currentTaskLabelName
+     * @returns {IntegrationTask}
+     */
+    transform(issueFromApi, currentTaskLabelName) {
+        let dueDate = undefined;
+
+        if (issueFromApi.milestone && issueFromApi.milestone.due_on) {
+            // milestones only have a due date (no time), GitHub puts an arbitrary time on that date in UTC
+            // converting to local time could therefore move the due date to the previous or next day
+            dueDate = issueFromApi.milestone.due_on.substring(0, DATE_STRING_LENGTH);
+        }
+
+        return {
+            id: `${issueFromApi.repository.full_name}#${issueFromApi.number}`,
+            title: issueFromApi.title,
+            dueDate,
+            dueDatetime: undefined,
+            markedCurrent: this.hasLabel(issueFromApi, currentTaskLabelName),
+        };
+    }
+
+    /**
+     * @param {GitHubIssue} issueFromApi
+     * @param {string} labelName
+     */
+    hasLabel(issueFromApi, labelName) {
+        return !!this.getMatchingLabel(issueFromApi, labelName);
+    }
+
+    /**
+     * @param {GitHubIssue} issueFromApi
+     * @param {string} labelName
+     */
+    getMatchingLabel(issueFromApi, labelName) {
+        // label names are case-insensitive on GitHub
+        const lowerCaseLabelName = labelName.toLowerCase();
+        return issueFromApi.labels.find((label) => label.name.toLowerCase() === lowerCaseLabelName);
+    }
+}
+
+module.exports = GitHubIssueTransformer;
@@ -0,0 +1,118 @@
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const GitHubIssueTransformer = require("./GitHubIssueTransformer");
+
+const transformer = new GitHubIssueTransformer();
+
+const placeholderTitle = "placeholderTitle";
+const currentTaskLabelName = "currentTaskLabelName";
+const otherLabelName = "otherLabelName";
+
+/** @type {Omit<GitHubIssue, "title" | "labels" | "milestone">} */
+const baseIssueData = {
+    id: 1,
+    number: 1,
+    repository: { full_name: "owner/repository" },
+};
+
+describe("GitHubIssueTransformer", () => {
+    it("handles issues without milestone", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            ...baseIssueData,
+            title: placeholderTitle,
+            labels: [],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            id: "owner/repository#1",
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles issues with a milestone without due date", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            ...baseIssueData,
+            title: placeholderTitle,
+            labels: [],
+            milestone: { due_on: null },
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            id: "owner/repository#1",
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("uses the due date of the milestone without converting to local time", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            ...baseIssueData,
+            title: placeholderTitle,
+            labels: [],
+            milestone: { due_on: "2020-10-09T07:00:00Z" },
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            id: "owner/repository#1",
+            title: placeholderTitle,
+            dueDate: "2020-10-09",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("marks the issue as current if it has the relevant label, ignoring case", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            ...baseIssueData,
+            title: placeholderTitle,
+            labels: [{ id: 1, name: currentTaskLabelName.toUpperCase() }],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            id: "owner/repository#1",
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: true,
+        });
+    });
+
+    it("ignores labels other than the relevant label", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            ...baseIssueData,
+            title: placeholderTitle,
+            labels: [{ id: 1, name: otherLabelName }],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            id: "owner/repository#1",
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+});
@@ -0,0 +1,216 @@
+/** @typedef { import("../../../configuration/AdvancedConfiguration").JsonHttpIntegrationAdvancedConfiguration } JsonHttpIntegrationAdvancedConfiguration */
+/** @typedef { import("../../../configuration/IntegrationConfiguration").JsonHttpIntegrationConfiguration } JsonHttpIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"jsonHttp"> } JsonHttpIntegration */
+
+const JsonHttpApi = require("./JsonHttpApi");
+const JsonHttpTaskTransformer = require("./JsonHttpTaskTransformer");
+
+const ID_PLACEHOLDER = "{id}";
+
+/** @implements {JsonHttpIntegration} */
+class JsonHttp {
+    /**
+     * @param {JsonHttpIntegrationAdvancedConfiguration} advancedConfiguration
+     * @param {Logger} logger
+     */
+    constructor(advancedConfiguration, logger) {
+        /** @type {JsonHttpIntegrationConfiguration} */
+        this._configuration = { type: "jsonHttp" };
+        this._advancedConfiguration = advancedConfiguration || {};
+
+        this._api = new JsonHttpApi(logger);
+        this._transformer = new JsonHttpTaskTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "url",
+                label: "Tasks URL",
+                placeholder: "URL of the JSON endpoint listing your tasks",
+                required: true,
+                currentValue: this._configuration.url,
+            },
+            {
+                type: "text",
+                name: "authorizationHeader",
+                label: "Authorization header",
+                placeholder: "For example: Bearer abc123",
+                required: false,
+                inputType: "password",
+                info:
+                    "Sent as Authorization header with every request. Other headers can be added through the advanced configuration file.",
+                currentValue: this._configuration.authorizationHeader,
+            },
+            {
+                type: "text",
+                name: "tasksSelector",
+                label: "Tasks selector",
+                placeholder: "For example: $.tasks[*]",
+                required: true,
+                info:
+                    "Selects the tasks in the response. The other selectors are relative to a task.",
+                currentValue: this._configuration.tasksSelector,
+            },
+            {
+                type: "text",
+                name: "titleSelector",
+                label: "Title selector",
+                placeholder: "For example: title",
+                required: true,
+                currentValue: this._configuration.titleSelector,
+            },
+            {
+                type: "text",
+                name: "dueDateSelector",
+                label: "Due date selector",
+                placeholder: "For example: due.date",
+                required: false,
+                info: "Should select a date like 2020-10-01.",
+                currentValue: this._configuration.dueDateSelector,
+            },
+            {
+                type: "text",
+                name: "dueDatetimeSelector",
+                label: "Due date and time selector",
+                placeholder: "For example: due.datetime",
+                required: false,
+                info: "Should select a date and time like 2020-10-01T14:30:00Z.",
+                currentValue: this._configuration.dueDatetimeSelector,
+            },
+            {
+                type: "text",
+                name: "currentSelector",
+                label: "Current task selector",
+                placeholder: "For example: labels[?(@ == 'current')]",
+                required: false,
+                info: "A task is marked as current if any of the selected values is truthy.",
+                currentValue: this._configuration.currentSelector,
+            },
+            {
+                type: "text",
+                name: "idSelector",
+                label: "ID selector",
+                placeholder: "For example: id",
+                required: false,
+                info: `Only needed if the clear current task URL contains ${ID_PLACEHOLDER}.`,
+                currentValue: this._configuration.idSelector,
+            },
+            {
+                type: "text",
+                name: "clearCurrentUrl",
+                label: "Clear current task URL",
+                placeholder: "URL to call for clearing the current task (optional)",
+                required: false,
+                info: `If the URL contains ${ID_PLACEHOLDER}, it is called for each current task with the task's ID. Otherwise, it is called once if there are current tasks.`,
+                currentValue: this._configuration.clearCurrentUrl,
+            },
+        ];
+    }
+
+    /** @param {JsonHttpIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._configuration = configuration;
+    }
+
+    /** @param {JsonHttpIntegrationAdvancedConfiguration} advancedConfiguration */
+    updateAdvancedConfiguration(advancedConfiguration) {
+        this._advancedConfiguration = advancedConfiguration || {};
+    }
+
+    async getRelevantTasksForState() {
+        const items = await this._getItems();
+
+        return items
+            .map((item) => this._transformer.transform(item, this._configuration))
+            .filter((task) => task);
+    }
+
+    async clearCurrent() {
+        const clearCurrentUrl = this._configuration.clearCurrentUrl;
+
+        if (!clearCurrentUrl) {
+            this._logger.debugIntegration("No URL configured for clearing current task");
+            return;
+        }
+
+        const currentItems = (await this._getItems()).filter((item) =>
+            this._transformer.isMarkedCurrent(item, this._configuration.currentSelector)
+        );
+
+        if (currentItems.length === 0) {
+            return;
+        }
+
+        if (!clearCurrentUrl.includes(ID_PLACEHOLDER)) {
+            await this._sendClearCurrentRequest(clearCurrentUrl);
+            return;
+        }
+
+        for (const item of currentItems) {
+            const id = this._transformer.getId(item, this._configuration.idSelector || "id");
+
+            if (id === undefined) {
+                throw new Error("Current task without ID, can't clear it");
+            }
+
+            const url = clearCurrentUrl.split(ID_PLACEHOLDER).join(encodeURIComponent(id));
+            await this._sendClearCurrentRequest(url);
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    async _getItems() {
+        this._checkConfigured();
+
+        const data = await this._api.getJson(
+            this._configuration.url,
+            this._getHeaders(),
+            this._advancedConfiguration.timeoutSeconds
+        );
+
+        return this._transformer.getItems(data, this._configuration.tasksSelector);
+    }
+
+    /** @param {string} url */
+    async _sendClearCurrentRequest(url) {
+        await this._api.sendClearCurrentRequest(
+            this._advancedConfiguration.clearCurrentMethod || "POST",
+            url,
+            this._getHeaders(),
+            this._advancedConfiguration.clearCurrentBody,
+            this._advancedConfiguration.timeoutSeconds
+        );
+    }
+
+    _getHeaders() {
+        const headers = { ...this._advancedConfiguration.headers };
+
+        if (this._configuration.authorizationHeader) {
+            headers.Authorization = this._configuration.authorizationHeader;
+        }
+
+        return headers;
+    }
+
+    _checkConfigured() {
+        const { url, tasksSelector, titleSelector } = this._configuration;
+
+        if (!url || !tasksSelector || !titleSelector) {
+            throw new Error("JSON integration not configured");
+        }
+    }
+}
+
+module.exports = JsonHttp;
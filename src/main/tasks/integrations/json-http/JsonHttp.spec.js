@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+
+/** @typedef { import("../../../configuration/IntegrationConfiguration").JsonHttpIntegrationConfiguration } JsonHttpIntegrationConfiguration */
+
+const http = require("http");
+
+const Logger = require("../../../Logger");
+
+const JsonHttp = require("./JsonHttp");
+
+jest.mock("../../../Logger");
+
+/** @type {{ method: string, url: string, headers: http.IncomingHttpHeaders, body: string }[]} */
+let receivedRequests = [];
+
+/** @type {any} */
+let tasksResponse;
+
+// local stand-in for a JSON API, tasks are available at /tasks and everything else is accepted
+const stubServer = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+
+    request.on("end", () => {
+        receivedRequests.push({
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            body,
+        });
+
+        response.setHeader("Content-Type", "application/json");
+
+        if (request.headers.authorization !== "Bearer valid") {
+            response.statusCode = 401;
+            response.end(JSON.stringify({ message: "Unauthorized" }));
+        } else if (request.method === "GET" && request.url === "/tasks") {
+            response.end(JSON.stringify(tasksResponse));
+        } else if (request.method === "GET" && request.url === "/not-json") {
+            response.end("<html></html>");
+        } else {
+            response.end(JSON.stringify({}));
+        }
+    });
+});
+
+/** @type {string} */
+let baseUrl;
+
+/** @type {JsonHttpIntegrationConfiguration} */
+let configuration;
+
+describe("JsonHttp", () => {
+    beforeAll((done) => {
+        stubServer.listen(0, "127.0.0.1", () => {
+            const address = /** @type {import("net").AddressInfo} */ (stubServer.address());
+            baseUrl = `http://127.0.0.1:${address.port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        stubServer.close(done);
+    });
+
+    beforeEach(() => {
+        receivedRequests = [];
+
+        tasksResponse = {
+            data: {
+                items: [
+                    {
+                        id: 1,
+                        name: "Write report",
+                        due: { date: "2020-10-01", datetime: "2020-10-01T14:30:00Z" },
+                        labels: ["current"],
+                    },
+                    { id: 2, name: "Call Bob", due: null, labels: [] },
+                    { id: 3, labels: [] },
+                ],
+            },
+        };
+
+        configuration = {
+            type: "jsonHttp",
+            url: `${baseUrl}/tasks`,
+            authorizationHeader: "Bearer valid",
+            tasksSelector: "$.data.items[*]",
+            titleSelector: "name",
+            dueDateSelector: "due.date",
+            dueDatetimeSelector: "due.datetime",
+            currentSelector: "labels[?(@ == 'current')]",
+        };
+    });
+
+    it("retrieves tasks using the configured selectors", async () => {
+        const jsonHttp = new JsonHttp({}, new Logger());
+        jsonHttp.configure(configuration);
+
+        const tasks = await jsonHttp.getRelevantTasksForState();
+
+        expect(tasks).toHaveLength(2);
+        expect(tasks[0].title).toBe("Write report");
+        expect(tasks[0].dueDate).toBe("2020-10-01");
+        expect(tasks[0].dueDatetime.toISOString()).toBe("2020-10-01T14:30:00.000Z");
+        expect(tasks[0].markedCurrent).toBe(true);
+        expect(tasks[1]).toEqual({
+            title: "Call Bob",
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("sends the headers from the advanced configuration", async () => {
+        const jsonHttp = new JsonHttp({ headers: { "X-Team": "backend" } }, new Logger());
+        jsonHttp.configure(configuration);
+
+        await jsonHttp.getRelevantTasksForState();
+
+        expect(receivedRequests[0].headers["x-team"]).toBe("backend");
+        expect(receivedRequests[0].headers.authorization).toBe("Bearer valid");
+    });
+
+    it("calls the clear current URL for each current task", async () => {
+        const jsonHttp = new JsonHttp(
+            { clearCurrentMethod: "PATCH", clearCurrentBody: { current: false } },
+            new Logger()
+        );
+
+        jsonHttp.configure({ ...configuration, clearCurrentUrl: `${baseUrl}/tasks/{id}` });
+
+        await jsonHttp.clearCurrent();
+
+        expect(receivedRequests.map((request) => `${request.method} ${request.url}`)).toEqual([
+            "GET /tasks",
+            "PATCH /tasks/1",
+        ]);
+        expect(JSON.parse(receivedRequests[1].body)).toEqual({ current: false });
+    });
+
+    it("calls a clear current URL without ID once, only if there are current tasks", async () => {
+        const jsonHttp = new JsonHttp({}, new Logger());
+        jsonHttp.configure({ ...configuration, clearCurrentUrl: `${baseUrl}/clear` });
+
+        await jsonHttp.clearCurrent();
+        tasksResponse.data.items[0].labels = [];
+        await jsonHttp.clearCurrent();
+
+        expect(receivedRequests.map((request) => `${request.method} ${request.url}`)).toEqual([
+            "GET /tasks",
+            "POST /clear",
+            "GET /tasks",
+        ]);
+    });
+
+    it("throws a specific error if not authorized", async () => {
+        const jsonHttp = new JsonHttp({}, new Logger());
+        jsonHttp.configure({ ...configuration, authorizationHeader: "Bearer invalid" });
+
+        await expect(jsonHttp.getRelevantTasksForState()).rejects.toThrow(
+            "Not authorized to access JSON endpoint"
+        );
+    });
+
+    it("throws an error if the response is not JSON", async () => {
+        const jsonHttp = new JsonHttp({}, new Logger());
+        jsonHttp.configure({ ...configuration, url: `${baseUrl}/not-json` });
+
+        await expect(jsonHttp.getRelevantTasksForState()).rejects.toThrow(
+            "JSON endpoint did not return valid JSON"
+        );
+    });
+
+    it("throws an error if not configured", async () => {
+        const jsonHttp = new JsonHttp({}, new Logger());
+
+        await expect(jsonHttp.getRelevantTasksForState()).rejects.toThrow(
+            "JSON integration not configured"
+        );
+    });
+});
@@ -0,0 +1,106 @@
+/** @typedef { import("axios").Method } Method */
+/** @typedef { import("../../../Logger") } Logger */
+
+const axios = require("axios").default;
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+class JsonHttpApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * @param {string} url
+     * @param {Object<string, string>} headers
+     * @param {number} [timeoutSeconds]
+     */
+    async getJson(url, headers, timeoutSeconds) {
+        const data = await this._performRequest(
+            "GET",
+            url,
+            headers,
+            undefined,
+            timeoutSeconds,
+            "JSON endpoint get tasks"
+        );
+
+        // axios leaves the response as a string if it's not valid JSON
+        if (typeof data === "string") {
+            throw new Error("JSON endpoint did not return valid JSON");
+        }
+
+        return data;
+    }
+
+    /**
+     * @param {Method} method
+     * @param {string} url
+     * @param {Object<string, string>} headers
+     * @param {any} body
+     * @param {number} [timeoutSeconds]
+     */
+    async sendClearCurrentRequest(method, url, headers, body, timeoutSeconds) {
+        await this._performRequest(
+            method,
+            url,
+            headers,
+            body,
+            timeoutSeconds,
+            "JSON endpoint clear current"
+        );
+    }
+
+    /**
+     * @param {Method} method
+     * @param {string} url
+     * @param {Object<string, string>} headers
+     * @param {any} body
+     * @param {number} timeoutSeconds
+     * @param {string} callDescription
+     */
+    async _performRequest(method, url, headers, body, timeoutSeconds, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                method,
+                url,
+                headers: { Accept: "application/json", ...headers },
+                data: body,
+                timeout: (timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000,
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleRequestError(error, callDescription);
+        }
+    }
+
+    _handleRequestError(error, callDescription) {
+        const status = error.response && error.response.status;
+
+        if (status === 401 || status === 403) {
+            this._logger.debugIntegration(
+                `${callDescription} call auth error, status code ${status}`
+            );
+            throw new Error("Not authorized to access JSON endpoint");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new Error("Problem reaching JSON endpoint");
+        }
+    }
+}
+
+module.exports = JsonHttpApi;
@@ -0,0 +1,122 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").JsonHttpIntegrationConfiguration } JsonHttpIntegrationConfiguration */
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+
+const moment = require("moment");
+
+const JsonSelector = require("./JsonSelector");
+
+const DATE_PREFIX_REGEX = /^\d{4}-\d{2}-\d{2}/;
+
+class JsonHttpTaskTransformer {
+    constructor() {
+        this._selector = new JsonSelector();
+    }
+
+    /**
+     * @param {any} data the full response from the tasks endpoint
+     * @param {string} tasksSelector
+     * @returns {any[]}
+     */
+    getItems(data, tasksSelector) {
+        const items = this._selector.select(data, tasksSelector);
+
+        // be forgiving about selectors like "$.tasks" pointing to the array instead of its items
+        if (items.length === 1 && Array.isArray(items[0])) {
+            return items[0];
+        }
+
+        return items;
+    }
+
+    /**
+     * @param {any} item
+     * @param {JsonHttpIntegrationConfiguration} configuration
+     * @returns {IntegrationTask} undefined if the item doesn't have a title
+     */
+    transform(item, configuration) {
+        const title = this._selector.selectFirst(item, configuration.titleSelector);
+
+        if (title === undefined || title === null || title === "") {
+            return undefined;
+        }
+
+        const dueDatetime = this._getDueDatetime(item, configuration.dueDatetimeSelector);
+        let dueDate = this._getDueDate(item, configuration.dueDateSelector);
+
+        if (!dueDate && dueDatetime) {
+            dueDate = dueDatetime.format("YYYY-MM-DD");
+        }
+
+        return {
+            id: configuration.idSelector ? this.getId(item, configuration.idSelector) : undefined,
+            title: String(title),
+            dueDate,
+            dueDatetime,
+            markedCurrent: this.isMarkedCurrent(item, configuration.currentSelector),
+        };
+    }
+
+    /**
+     * An item is marked current if any of the values matching the selector is truthy, which
+     * allows both boolean fields and filters like `labels[?(@ == 'current')]`
+     * @param {any} item
+     * @param {string} currentSelector
+     */
+    isMarkedCurrent(item, currentSelector) {
+        if (!currentSelector) {
+            return false;
+        }
+
+        return this._selector.select(item, currentSelector).some((value) => !!value);
+    }
+
+    /**
+     * @param {any} item
+     * @param {string} idSelector
+     * @returns {string}
+     */
+    getId(item, idSelector) {
+        const id = this._selector.selectFirst(item, idSelector);
+        return id === undefined || id === null ? undefined : String(id);
+    }
+
+    /**
+     * @param {any} item
+     * @param {string} dueDateSelector
+     */
+    _getDueDate(item, dueDateSelector) {
+        if (!dueDateSelector) {
+            return undefined;
+        }
+
+        const value = this._selector.selectFirst(item, dueDateSelector);
+
+        if (typeof value !== "string" || !DATE_PREFIX_REGEX.test(value)) {
+            return undefined;
+        }
+
+        return value.substring(0, 10);
+    }
+
+    /**
+     * @param {any} item
+     * @param {string} dueDatetimeSelector
+     */
+    _getDueDatetime(item, dueDatetimeSelector) {
+        if (!dueDatetimeSelector) {
+            return undefined;
+        }
+
+        const value = this._selector.selectFirst(item, dueDatetimeSelector);
+
+        // date-only values would otherwise end up as a due time at midnight
+        if (typeof value !== "string" || value.length <= "YYYY-MM-DD".length) {
+            return undefined;
+        }
+
+        const dueDatetime = moment(value, moment.ISO_8601);
+        return dueDatetime.isValid() ? dueDatetime : undefined;
+    }
+}
+
+module.exports = JsonHttpTaskTransformer;
@@ -0,0 +1,83 @@
+const JsonHttpTaskTransformer = require("./JsonHttpTaskTransformer");
+
+const transformer = new JsonHttpTaskTransformer();
+
+/** @type {import("../../../configuration/IntegrationConfiguration").JsonHttpIntegrationConfiguration} */
+const configuration = {
+    type: "jsonHttp",
+    titleSelector: "fields.summary",
+    dueDateSelector: "fields.duedate",
+    dueDatetimeSelector: "fields.dueTime",
+    currentSelector: "fields.isCurrent",
+};
+
+describe("JsonHttpTaskTransformer", () => {
+    describe("getItems", () => {
+        it("returns the selected items", () => {
+            const data = { issues: [{ key: "A" }, { key: "B" }] };
+            expect(transformer.getItems(data, "$.issues[*]")).toEqual(data.issues);
+        });
+
+        it("returns the items of a selected array", () => {
+            const data = { issues: [{ key: "A" }, { key: "B" }] };
+            expect(transformer.getItems(data, "$.issues")).toEqual(data.issues);
+        });
+    });
+
+    describe("transform", () => {
+        it("transforms items with a due date", () => {
+            const item = { fields: { summary: "Task", duedate: "2020-10-01", isCurrent: true } };
+
+            expect(transformer.transform(item, configuration)).toEqual({
+                title: "Task",
+                dueDate: "2020-10-01",
+                dueDatetime: undefined,
+                markedCurrent: true,
+            });
+        });
+
+        it("derives the due date from the due time if needed", () => {
+            const item = { fields: { summary: "Task", dueTime: "2020-10-01T14:30:00" } };
+
+            const task = transformer.transform(item, configuration);
+
+            expect(task.dueDate).toBe("2020-10-01");
+            expect(task.dueDatetime.format("YYYY-MM-DD HH:mm")).toBe("2020-10-01 14:30");
+            expect(task.markedCurrent).toBe(false);
+        });
+
+        it("includes the task ID if there is an ID selector", () => {
+            const item = { key: 17, fields: { summary: "Task" } };
+
+            expect(transformer.transform(item, configuration).id).toBeUndefined();
+            expect(transformer.transform(item, { ...configuration, idSelector: "key" }).id).toBe(
+                "17"
+            );
+        });
+
+        it("ignores invalid and date-only due times", () => {
+            const invalidItem = { fields: { summary: "Task", dueTime: "tomorrow at noon" } };
+            const dateOnlyItem = { fields: { summary: "Task", dueTime: "2020-10-01" } };
+
+            expect(transformer.transform(invalidItem, configuration).dueDatetime).toBeUndefined();
+            expect(transformer.transform(dateOnlyItem, configuration).dueDatetime).toBeUndefined();
+        });
+
+        it("converts non-string titles and leaves out items without title", () => {
+            expect(transformer.transform({ fields: { summary: 42 } }, configuration).title).toBe(
+                "42"
+            );
+            expect(transformer.transform({ fields: {} }, configuration)).toBeUndefined();
+        });
+    });
+
+    describe("isMarkedCurrent", () => {
+        it("is true if any selected value is truthy", () => {
+            const item = { labels: ["backend", "current"] };
+
+            expect(transformer.isMarkedCurrent(item, "labels[?(@ == 'current')]")).toBe(true);
+            expect(transformer.isMarkedCurrent(item, "labels[?(@ == 'frontend')]")).toBe(false);
+            expect(transformer.isMarkedCurrent(item, undefined)).toBe(false);
+        });
+    });
+});
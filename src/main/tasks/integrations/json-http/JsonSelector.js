@@ -0,0 +1,270 @@
+/**
+ * @typedef {{ type: "property", name: string }
+ *     | { type: "index", index: number }
+ *     | { type: "wildcard" }
+ *     | { type: "filter", path: SelectorStep[], operator?: "==" | "!=", value?: any }
+ * } SelectorStep
+ */
+
+/**
+ * Selects values from JSON data using a subset of JSONPath:
+ * - `$` for the root (optional), `@` for the current value (in filters)
+ * - `.name` or `['name']` for properties, `[0]` for array items (negative counts from the end)
+ * - `.*` or `[*]` for all items of an array or all values of an object
+ * - `[?(@.path == 'value')]`, `[?(@.path != 'value')]` and `[?(@.path)]` to filter items
+ *
+ * A selector that doesn't start with `$`, `@`, `.` or `[` is treated as a property path,
+ * so `fields.summary` is the same as `$.fields.summary`.
+ */
+class JsonSelector {
+    constructor() {
+        /** @type {Map<string, SelectorStep[]>} */
+        this._parsedSelectors = new Map();
+    }
+
+    /**
+     * @param {any} data
+     * @param {string} selector
+     * @returns {any[]} all matching values, in document order
+     */
+    select(data, selector) {
+        return this._applySteps(data, this._getParsedSelector(selector));
+    }
+
+    /**
+     * @param {any} data
+     * @param {string} selector
+     * @returns {any} the first matching value, or undefined if nothing matches
+     */
+    selectFirst(data, selector) {
+        return this.select(data, selector)[0];
+    }
+
+    /** @param {string} selector */
+    _getParsedSelector(selector) {
+        let steps = this._parsedSelectors.get(selector);
+
+        if (!steps) {
+            steps = this._parse(selector.trim(), selector);
+            this._parsedSelectors.set(selector, steps);
+        }
+
+        return steps;
+    }
+
+    /**
+     * @param {any} data
+     * @param {SelectorStep[]} steps
+     */
+    _applySteps(data, steps) {
+        let values = [data];
+
+        for (const step of steps) {
+            values = [].concat(...values.map((value) => this._applyStep(value, step)));
+        }
+
+        return values;
+    }
+
+    /**
+     * @param {any} value
+     * @param {SelectorStep} step
+     * @returns {any[]}
+     */
+    _applyStep(value, step) {
+        if (step.type === "property") {
+            const hasProperty =
+                this._isObject(value) && Object.prototype.hasOwnProperty.call(value, step.name);
+            return hasProperty ? [value[step.name]] : [];
+        } else if (step.type === "index") {
+            if (!Array.isArray(value)) {
+                return [];
+            }
+
+            const index = step.index < 0 ? value.length + step.index : step.index;
+            return index >= 0 && index < value.length ? [value[index]] : [];
+        } else if (step.type === "wildcard") {
+            return this._getChildren(value);
+        } else {
+            return this._getChildren(value).filter((child) => this._matchesFilter(child, step));
+        }
+    }
+
+    /** @param {any} value */
+    _getChildren(value) {
+        if (Array.isArray(value)) {
+            return value;
+        } else if (this._isObject(value)) {
+            return Object.values(value);
+        } else {
+            return [];
+        }
+    }
+
+    /**
+     * @param {any} value
+     * @param {SelectorStep & { type: "filter" }} filter
+     */
+    _matchesFilter(value, filter) {
+        const matches = this._applySteps(value, filter.path);
+
+        if (filter.operator === "==") {
+            return matches.some((match) => match === filter.value);
+        } else if (filter.operator === "!=") {
+            return matches.length > 0 && matches.every((match) => match !== filter.value);
+        } else {
+            return matches.some(
+                (match) => match !== undefined && match !== null && match !== false
+            );
+        }
+    }
+
+    /** @param {any} value */
+    _isObject(value) {
+        return value !== null && typeof value === "object";
+    }
+
+    /**
+     * @param {string} input the (part of the) selector to parse
+     * @param {string} selector the full selector, for error messages
+     * @returns {SelectorStep[]}
+     */
+    _parse(input, selector) {
+        /** @type {SelectorStep[]} */
+        const steps = [];
+        let position = 0;
+
+        if (input[0] === "$" || input[0] === "@") {
+            position = 1;
+        } else if (input.length > 0 && input[0] !== "." && input[0] !== "[") {
+            input = `.${input}`;
+        }
+
+        const fail = (message) => {
+            throw new Error(`Invalid selector "${selector}": ${message}`);
+        };
+
+        while (position < input.length) {
+            const character = input[position];
+
+            if (character === ".") {
+                position++;
+
+                if (input[position] === "*") {
+                    steps.push({ type: "wildcard" });
+                    position++;
+                    continue;
+                }
+
+                const name = /^[^.[\]\s]*/.exec(input.substring(position))[0];
+
+                if (!name) {
+                    fail(`expected property name after "." at position ${position}`);
+                }
+
+                steps.push({ type: "property", name });
+                position += name.length;
+            } else if (character === "[") {
+                const closingPosition = this._findClosingBracket(input, position);
+
+                if (closingPosition === -1) {
+                    fail(`missing "]" for "[" at position ${position}`);
+                }
+
+                const content = input.substring(position + 1, closingPosition).trim();
+                steps.push(this._parseBracketContent(content, selector, fail));
+                position = closingPosition + 1;
+            } else {
+                fail(`unexpected "${character}" at position ${position}`);
+            }
+        }
+
+        return steps;
+    }
+
+    /**
+     * @param {string} content
+     * @param {string} selector
+     * @param {(message: string) => never} fail
+     * @returns {SelectorStep}
+     */
+    _parseBracketContent(content, selector, fail) {
+        if (content === "*") {
+            return { type: "wildcard" };
+        } else if (/^-?\d+$/.test(content)) {
+            return { type: "index", index: Number(content) };
+        } else if (/^(['"]).*\1$/.test(content)) {
+            return { type: "property", name: this._parseLiteral(content, fail) };
+        } else if (content.startsWith("?(") && content.endsWith(")")) {
+            const expression = content.substring(2, content.length - 1).trim();
+            const match = /^(@[^=!]*?)\s*(?:(==|!=)\s*(.+))?$/.exec(expression);
+
+            if (!match) {
+                fail(`invalid filter expression "${expression}"`);
+            }
+
+            const [, path, operator, literal] = match;
+
+            return {
+                type: "filter",
+                path: this._parse(path.trim(), selector),
+                operator: /** @type {"==" | "!=" | undefined} */ (operator),
+                value: operator ? this._parseLiteral(literal.trim(), fail) : undefined,
+            };
+        } else {
+            fail(`unsupported expression "[${content}]"`);
+        }
+    }
+
+    /**
+     * @param {string} literal
+     * @param {(message: string) => never} fail
+     */
+    _parseLiteral(literal, fail) {
+        if (literal.length >= 2 && literal.startsWith("'") && literal.endsWith("'")) {
+            return literal.substring(1, literal.length - 1).replace(/\\(['\\])/g, "$1");
+        }
+
+        try {
+            return JSON.parse(literal);
+        } catch (_error) {
+            fail(`invalid value ${literal}`);
+        }
+    }
+
+    /**
+     * Finds the "]" matching the "[" at the given position, skipping quoted strings
+     * @param {string} input
+     * @param {number} openingPosition
+     */
+    _findClosingBracket(input, openingPosition) {
+        let quote = undefined;
+        let depth = 0;
+
+        for (let position = openingPosition; position < input.length; position++) {
+            const character = input[position];
+
+            if (quote) {
+                if (character === "\\") {
+                    position++;
+                } else if (character === quote) {
+                    quote = undefined;
+                }
+            } else if (character === "'" || character === '"') {
+                quote = character;
+            } else if (character === "[") {
+                depth++;
+            } else if (character === "]") {
+                depth--;
+
+                if (depth === 0) {
+                    return position;
+                }
+            }
+        }
+
+        return -1;
+    }
+}
+
+module.exports = JsonSelector;
@@ -0,0 +1,72 @@
+const JsonSelector = require("./JsonSelector");
+
+const selector = new JsonSelector();
+
+const data = {
+    issues: [
+        {
+            key: "ABC-1",
+            fields: {
+                summary: "Write report",
+                labels: ["current", "backend"],
+                "due date": "2020-10-01",
+                done: false,
+            },
+        },
+        {
+            key: "ABC-2",
+            fields: { summary: "Call Bob", labels: [], done: true },
+        },
+    ],
+};
+
+describe("JsonSelector", () => {
+    it("selects properties", () => {
+        expect(selector.select(data, "$.issues[0].fields.summary")).toEqual(["Write report"]);
+        expect(selector.select(data, "$['issues'][1]['key']")).toEqual(["ABC-2"]);
+        expect(selector.select(data, "issues[0].fields['due date']")).toEqual(["2020-10-01"]);
+    });
+
+    it("selects array items from the end", () => {
+        expect(selector.select(data, "$.issues[-1].key")).toEqual(["ABC-2"]);
+    });
+
+    it("selects all items with wildcards", () => {
+        expect(selector.select(data, "$.issues[*].key")).toEqual(["ABC-1", "ABC-2"]);
+        expect(selector.select(data, "$.issues.*.key")).toEqual(["ABC-1", "ABC-2"]);
+        expect(selector.select({ a: 1, b: 2 }, "$.*")).toEqual([1, 2]);
+    });
+
+    it("filters items", () => {
+        expect(selector.select(data, "$.issues[?(@.fields.done == false)].key")).toEqual(["ABC-1"]);
+        expect(selector.select(data, "$.issues[?(@.key != 'ABC-1')].key")).toEqual(["ABC-2"]);
+        expect(selector.select(data, "$.issues[?(@.fields['due date'])].key")).toEqual(["ABC-1"]);
+        expect(selector.select(data.issues[0], "fields.labels[?(@ == 'current')]")).toEqual([
+            "current",
+        ]);
+    });
+
+    it("returns nothing for paths that don't exist", () => {
+        expect(selector.select(data, "$.issues[5].key")).toEqual([]);
+        expect(selector.select(data, "$.issues[0].fields.summary.length")).toEqual([]);
+        expect(selector.selectFirst(data, "$.missing")).toBeUndefined();
+    });
+
+    it("returns the root for an empty selector or $", () => {
+        expect(selector.select(data, "$")).toEqual([data]);
+        expect(selector.select(data, "")).toEqual([data]);
+    });
+
+    it("reports invalid selectors", () => {
+        expect(() => selector.select(data, "$.issues[0")).toThrow(
+            'Invalid selector "$.issues[0": missing "]" for "[" at position 8'
+        );
+        expect(() => selector.select(data, "$.")).toThrow("expected property name");
+        expect(() => selector.select(data, "$.issues[0:2]")).toThrow(
+            'unsupported expression "[0:2]"'
+        );
+        expect(() => selector.select(data, "$.issues[?(@.key == ABC)]")).toThrow(
+            "invalid value ABC"
+        );
+    });
+});
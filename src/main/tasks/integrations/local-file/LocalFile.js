@@ -0,0 +1,163 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").LocalFileIntegrationConfiguration } LocalFileIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"localFile"> } LocalFileIntegration */
+/** @typedef { import("./LocalFileTask").LocalFileTask } LocalFileTask */
+
+const fs = require("fs");
+const path = require("path");
+
+const LocalFileParser = require("./LocalFileParser");
+const LocalFileTaskTransformer = require("./LocalFileTaskTransformer");
+
+/** @implements {LocalFileIntegration} */
+class LocalFile {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._filePath = undefined;
+        this._currentTaskMarker = undefined;
+
+        this._parser = new LocalFileParser();
+        this._transformer = new LocalFileTaskTransformer();
+
+        this._logger = logger;
+
+        this._resetCachedTasks();
+    }
+
+    _resetCachedTasks() {
+        this._lastModifiedMs = undefined;
+        this._lastSize = undefined;
+
+        /** @type {LocalFileTask[]} */
+        this._cachedTasks = undefined;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "filePath",
+                label: "File path",
+                placeholder: "Full path to your todo.txt or Markdown file",
+                required: true,
+                info:
+                    "The file can either be in todo.txt format or contain a Markdown checklist (lines like '- [ ] Task'). Due dates are specified as due:YYYY-MM-DD or due:YYYY-MM-DDTHH:mm.",
+                currentValue: this._filePath,
+            },
+            {
+                type: "text",
+                name: "currentTaskMarker",
+                label: "Current task marker",
+                placeholder: "For example @current or +now",
+                required: true,
+                pattern: "\\S+",
+                info:
+                    "Tasks containing this word will be marked as current task. The word itself is not included in the task title.",
+                currentValue: this._currentTaskMarker,
+            },
+        ];
+    }
+
+    /** @param {LocalFileIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._filePath = configuration.filePath;
+        this._currentTaskMarker = configuration.currentTaskMarker;
+        this._resetCachedTasks();
+    }
+
+    async getRelevantTasksForState() {
+        this._checkFilePathAndMarkerSpecified();
+
+        const stats = await this._performFileOperation(
+            () => fs.promises.stat(this._filePath),
+            "Check local task file"
+        );
+
+        const isFileChanged =
+            stats.mtimeMs !== this._lastModifiedMs || stats.size !== this._lastSize;
+
+        if (isFileChanged) {
+            this._logger.debugIntegration("Local task file changed, parsing tasks");
+            const content = await this._readFile();
+            this._cachedTasks = this._parser.parse(content, this._currentTaskMarker);
+            this._lastModifiedMs = stats.mtimeMs;
+            this._lastSize = stats.size;
+        }
+
+        return this._cachedTasks.map((task) => this._transformer.transform(task));
+    }
+
+    async clearCurrent() {
+        this._checkFilePathAndMarkerSpecified();
+
+        // always start from the latest content, the user might have changed the file in the meantime
+        const content = await this._readFile();
+
+        const updatedContent = this._parser.removeCurrentTaskMarker(
+            content,
+            this._currentTaskMarker
+        );
+
+        if (updatedContent !== content) {
+            this._logger.debugIntegration("Removing the marker from current tasks in local file");
+            await this._writeFileSafely(updatedContent);
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    async _readFile() {
+        return this._performFileOperation(
+            () => fs.promises.readFile(this._filePath, "utf-8"),
+            "Read local task file"
+        );
+    }
+
+    /** @param {string} content */
+    async _writeFileSafely(content) {
+        // write to a temporary file in the same folder first and then replace the original file
+        // this way, the original file is never left in a half-written state
+        const directory = path.dirname(this._filePath);
+        const temporaryName = `.${path.basename(this._filePath)}.${process.pid}.tmp`;
+        const temporaryPath = path.join(directory, temporaryName);
+
+        await this._performFileOperation(async () => {
+            await fs.promises.writeFile(temporaryPath, content, "utf-8");
+            await fs.promises.rename(temporaryPath, this._filePath);
+        }, "Write local task file");
+    }
+
+    /**
+     * @template T
+     * @param {() => Promise<T>} operation
+     * @param {string} operationDescription
+     * @returns {Promise<T>}
+     */
+    async _performFileOperation(operation, operationDescription) {
+        try {
+            return await operation();
+        } catch (error) {
+            this._logger.debugIntegration(`${operationDescription} error: ${error.message}`);
+
+            if (error.code === "ENOENT") {
+                throw new Error("Local task file not found");
+            } else {
+                throw new Error("Problem accessing local task file");
+            }
+        }
+    }
+
+    _checkFilePathAndMarkerSpecified() {
+        if (!this._filePath || !this._currentTaskMarker) {
+            throw new Error("Local file not configured");
+        }
+    }
+}
+
+module.exports = LocalFile;
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../../../Logger");
+
+const LocalFile = require("./LocalFile");
+
+jest.mock("../../../Logger");
+
+describe("LocalFile", () => {
+    /** @type {string} */
+    let directory;
+
+    /** @type {string} */
+    let filePath;
+
+    /** @type {LocalFile} */
+    let localFile;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-local-file-"));
+        filePath = path.join(directory, "todo.txt");
+        localFile = new LocalFile(new Logger());
+        localFile.configure({ type: "localFile", filePath, currentTaskMarker: "@current" });
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(directory, { recursive: true });
+    });
+
+    it("picks up changes to the file", async () => {
+        fs.writeFileSync(filePath, "Write report @current\n");
+        const initialTasks = await localFile.getRelevantTasksForState();
+
+        fs.writeFileSync(filePath, "Write report\nCall Bob @current\n");
+        const updatedTasks = await localFile.getRelevantTasksForState();
+
+        expect(initialTasks.map((task) => task.markedCurrent)).toEqual([true]);
+        expect(updatedTasks.map((task) => task.markedCurrent)).toEqual([false, true]);
+    });
+
+    it("clears the current task by rewriting the file without leaving temporary files", async () => {
+        fs.writeFileSync(filePath, "Write report @current\nCall Bob\n");
+
+        await localFile.clearCurrent();
+
+        expect(fs.readFileSync(filePath, "utf-8")).toBe("Write report\nCall Bob\n");
+        expect(fs.readdirSync(directory)).toEqual(["todo.txt"]);
+    });
+
+    it("throws a clear error if the file does not exist", async () => {
+        await expect(localFile.getRelevantTasksForState()).rejects.toThrow(
+            "Local task file not found"
+        );
+    });
+});
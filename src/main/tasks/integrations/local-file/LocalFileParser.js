@@ -0,0 +1,136 @@
+/** @typedef { import("./LocalFileTask").LocalFileTask } LocalFileTask */
+
+const markdownCheckboxRegex = /^\s*[-*+]\s+\[([ xX])\]\s?(.*)$/;
+const todoTxtCompletedRegex = /^x\s/;
+const todoTxtPriorityRegex = /^\([A-Z]\)\s+/;
+const todoTxtCreationDateRegex = /^\d{4}-\d{2}-\d{2}\s+/;
+const dueTokenRegex = /^due:(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?$/;
+
+class LocalFileParser {
+    /**
+     * Supports two formats:
+     * - Markdown checklist: only lines like "- [ ] task" are tasks, other lines are ignored
+     * - todo.txt: every non-empty line is a task, completed tasks start with "x "
+     *
+     * If the file contains at least one Markdown checklist item, it is treated as a Markdown checklist.
+     *
+     * @param {string} content
+     * @param {string} currentTaskMarker
+     * @returns {LocalFileTask[]}
+     */
+    parse(content, currentTaskMarker) {
+        const lines = this._splitLines(content);
+        const isMarkdown = lines.some((line) => markdownCheckboxRegex.test(line));
+
+        /** @type {LocalFileTask[]} */
+        const tasks = [];
+
+        lines.forEach((line, lineIndex) => {
+            const taskText = isMarkdown
+                ? this._getOpenMarkdownTaskText(line)
+                : this._getOpenTodoTxtTaskText(line);
+
+            if (taskText !== undefined) {
+                tasks.push(this._parseTaskText(taskText, lineIndex, currentTaskMarker));
+            }
+        });
+
+        return tasks;
+    }
+
+    /** @param {string} content */
+    _splitLines(content) {
+        return content.split(/\r?\n/);
+    }
+
+    /** @param {string} line */
+    _getOpenMarkdownTaskText(line) {
+        const match = markdownCheckboxRegex.exec(line);
+
+        if (!match || match[1] !== " ") {
+            return undefined;
+        }
+
+        return match[2];
+    }
+
+    /** @param {string} line */
+    _getOpenTodoTxtTaskText(line) {
+        const trimmedLine = line.trim();
+
+        if (!trimmedLine || todoTxtCompletedRegex.test(trimmedLine)) {
+            return undefined;
+        }
+
+        return trimmedLine.replace(todoTxtPriorityRegex, "").replace(todoTxtCreationDateRegex, "");
+    }
+
+    /**
+     * @param {string} taskText
+     * @param {number} lineIndex
+     * @param {string} currentTaskMarker
+     * @returns {LocalFileTask}
+     */
+    _parseTaskText(taskText, lineIndex, currentTaskMarker) {
+        let dueDate = undefined;
+        let dueTime = undefined;
+        let markedCurrent = false;
+        const titleWords = [];
+
+        for (const word of this._splitWords(taskText)) {
+            const dueMatch = dueTokenRegex.exec(word);
+
+            if (dueMatch) {
+                dueDate = dueMatch[1];
+                dueTime = dueMatch[2];
+            } else if (word === currentTaskMarker) {
+                markedCurrent = true;
+            } else {
+                titleWords.push(word);
+            }
+        }
+
+        return { lineIndex, title: titleWords.join(" "), dueDate, dueTime, markedCurrent };
+    }
+
+    /** @param {string} text */
+    _splitWords(text) {
+        return text.split(/\s+/).filter((word) => word.length > 0);
+    }
+
+    /**
+     * Removes the marker from all open tasks, leaving everything else in the file untouched
+     *
+     * @param {string} content
+     * @param {string} currentTaskMarker
+     * @returns {string}
+     */
+    removeCurrentTaskMarker(content, currentTaskMarker) {
+        const lineSeparator = content.includes("\r\n") ? "\r\n" : "\n";
+        const lines = this._splitLines(content);
+        const tasks = this.parse(content, currentTaskMarker);
+
+        for (const task of tasks) {
+            if (task.markedCurrent) {
+                lines[task.lineIndex] = this._removeWord(lines[task.lineIndex], currentTaskMarker);
+            }
+        }
+
+        return lines.join(lineSeparator);
+    }
+
+    /**
+     * @param {string} line
+     * @param {string} wordToRemove
+     */
+    _removeWord(line, wordToRemove) {
+        const escapedWord = wordToRemove.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+        // remove the word including the whitespace in front of it (or behind it if it's at the start)
+        const wordRegex = new RegExp(`(\\s+${escapedWord}(?=\\s|$))|(^${escapedWord}\\s*)`, "g");
+
+        return line.replace(wordRegex, "");
+    }
+}
+
+module.exports = LocalFileParser;
@@ -0,0 +1,135 @@
+const LocalFileParser = require("./LocalFileParser");
+
+const parser = new LocalFileParser();
+
+const marker = "@current";
+
+describe("LocalFileParser", () => {
+    describe("todo.txt format", () => {
+        it("treats every non-empty line as an open task", () => {
+            const content = "Write report\n\nCall Bob\n";
+            const tasks = parser.parse(content, marker);
+
+            expect(tasks).toEqual([
+                {
+                    lineIndex: 0,
+                    title: "Write report",
+                    dueDate: undefined,
+                    dueTime: undefined,
+                    markedCurrent: false,
+                },
+                {
+                    lineIndex: 2,
+                    title: "Call Bob",
+                    dueDate: undefined,
+                    dueTime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("ignores completed tasks", () => {
+            const tasks = parser.parse("x 2020-10-01 Write report\nCall Bob", marker);
+            expect(tasks.map((task) => task.title)).toEqual(["Call Bob"]);
+        });
+
+        it("strips priority and creation date from the title", () => {
+            const tasks = parser.parse("(A) 2020-10-01 Write report +work", marker);
+            expect(tasks[0].title).toBe("Write report +work");
+        });
+
+        it("parses due dates with and without time", () => {
+            const content = "Write report due:2020-10-01\nCall Bob due:2020-10-02T14:30";
+            const tasks = parser.parse(content, marker);
+
+            expect(tasks[0]).toMatchObject({
+                title: "Write report",
+                dueDate: "2020-10-01",
+                dueTime: undefined,
+            });
+
+            expect(tasks[1]).toMatchObject({
+                title: "Call Bob",
+                dueDate: "2020-10-02",
+                dueTime: "14:30",
+            });
+        });
+
+        it("recognizes the current task marker as a separate word", () => {
+            const content = "Write report @current\nCall Bob @currently";
+            const tasks = parser.parse(content, marker);
+
+            expect(tasks[0]).toMatchObject({ title: "Write report", markedCurrent: true });
+            expect(tasks[1]).toMatchObject({ title: "Call Bob @currently", markedCurrent: false });
+        });
+    });
+
+    describe("Markdown checklist format", () => {
+        it("only treats open checklist items as tasks", () => {
+            const content = [
+                "# Today",
+                "",
+                "- [ ] Write report due:2020-10-01 @current",
+                "- [x] Call Bob",
+                "* [X] Buy milk",
+                "+ [ ] Plan meeting",
+                "Some notes",
+            ].join("\n");
+
+            const tasks = parser.parse(content, marker);
+
+            expect(tasks).toEqual([
+                {
+                    lineIndex: 2,
+                    title: "Write report",
+                    dueDate: "2020-10-01",
+                    dueTime: undefined,
+                    markedCurrent: true,
+                },
+                {
+                    lineIndex: 5,
+                    title: "Plan meeting",
+                    dueDate: undefined,
+                    dueTime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+    });
+
+    describe("removeCurrentTaskMarker", () => {
+        it("removes the marker from open tasks and leaves the rest untouched", () => {
+            const content = [
+                "# Today",
+                "- [ ] Write report @current due:2020-10-01",
+                "- [x] Call Bob @current",
+                "- [ ] @current Plan meeting",
+                "Notes about @current",
+            ].join("\n");
+
+            const updatedContent = parser.removeCurrentTaskMarker(content, marker);
+
+            expect(updatedContent).toBe(
+                [
+                    "# Today",
+                    "- [ ] Write report due:2020-10-01",
+                    "- [x] Call Bob @current",
+                    "- [ ] Plan meeting",
+                    "Notes about @current",
+                ].join("\n")
+            );
+        });
+
+        it("handles markers at the start of a todo.txt line and markers with special characters", () => {
+            const content = "+now Write report\nCall Bob +now\n";
+            const updatedContent = parser.removeCurrentTaskMarker(content, "+now");
+            expect(updatedContent).toBe("Write report\nCall Bob\n");
+        });
+
+        it("preserves Windows line endings", () => {
+            const content = "Write report @current\r\nCall Bob\r\n";
+            const updatedContent = parser.removeCurrentTaskMarker(content, marker);
+            expect(updatedContent).toBe("Write report\r\nCall Bob\r\n");
+        });
+    });
+});
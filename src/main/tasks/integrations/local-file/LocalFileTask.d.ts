@@ -0,0 +1,15 @@
+// this represents a single open task parsed from a line in a todo.txt file or Markdown checklist
+export interface LocalFileTask {
+    /** zero-based index of the line in the file */
+    lineIndex: number;
+
+    title: string;
+
+    /** example value: 2020-10-01 */
+    dueDate: string | undefined;
+
+    /** example value: 14:30 (local time) */
+    dueTime: string | undefined;
+
+    markedCurrent: boolean;
+}
@@ -0,0 +1,28 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./LocalFileTask").LocalFileTask } LocalFileTask */
+
+const moment = require("moment");
+
+class LocalFileTaskTransformer {
+    /**
+     * @param {LocalFileTask} task
+     * @returns {IntegrationTask}
+     */
+    transform(task) {
+        let dueDatetime = undefined;
+
+        if (task.dueDate && task.dueTime) {
+            // local time, just like the date
+            dueDatetime = moment(`${task.dueDate} ${task.dueTime}`, "YYYY-MM-DD HH:mm");
+        }
+
+        return {
+            title: task.title,
+            dueDate: task.dueDate,
+            dueDatetime,
+            markedCurrent: task.markedCurrent,
+        };
+    }
+}
+
+module.exports = LocalFileTaskTransformer;
@@ -0,0 +1,55 @@
+const moment = require("moment");
+
+const LocalFileTaskTransformer = require("./LocalFileTaskTransformer");
+
+const transformer = new LocalFileTaskTransformer();
+
+const placeholderTitle = "placeholderTitle";
+
+describe("LocalFileTaskTransformer", () => {
+    it("handles tasks without due date", () => {
+        const transformed = transformer.transform({
+            lineIndex: 0,
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueTime: undefined,
+            markedCurrent: false,
+        });
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due date but without time", () => {
+        const transformed = transformer.transform({
+            lineIndex: 0,
+            title: placeholderTitle,
+            dueDate: "2020-10-01",
+            dueTime: undefined,
+            markedCurrent: true,
+        });
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-10-01",
+            dueDatetime: undefined,
+            markedCurrent: true,
+        });
+    });
+
+    it("interprets due date and time as local time", () => {
+        const transformed = transformer.transform({
+            lineIndex: 0,
+            title: placeholderTitle,
+            dueDate: "2020-10-01",
+            dueTime: "14:30",
+            markedCurrent: false,
+        });
+
+        expect(transformed.dueDatetime.isSame(moment("2020-10-01 14:30:00"))).toBe(true);
+    });
+});
@@ -0,0 +1,19 @@
+import Logger from "../../../Logger";
+import { Integration } from "../Integration";
+
+/**
+ * What a plugin module (a .js file or a folder with an index.js or package.json) should export
+ */
+export interface IntegrationPluginModule {
+    /** Shown in the tray menu, defaults to the plugin's file or folder name */
+    name?: string;
+
+    createIntegration: (logger: Logger) => Integration<"plugin">;
+}
+
+export interface IntegrationPlugin {
+    /** The plugin's file name (without extension) or folder name */
+    id: string;
+    name: string;
+    createIntegration: (logger: Logger) => Integration<"plugin">;
+}
@@ -0,0 +1,95 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./IntegrationPlugin").IntegrationPlugin } IntegrationPlugin */
+/** @typedef { import("./IntegrationPlugin").IntegrationPluginModule } IntegrationPluginModule */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createPluginIntegrationInstance } = require("./PluginIntegration");
+
+// webpack replaces require calls with its own module system, which can't load files at runtime
+const requireAtRuntime =
+    typeof __non_webpack_require__ === "function" ? __non_webpack_require__ : require;
+
+class IntegrationPluginLoader {
+    /**
+     * @param {string} pluginsFolderPath
+     * @param {Logger} logger
+     */
+    constructor(pluginsFolderPath, logger) {
+        this._pluginsFolderPath = pluginsFolderPath;
+        this._logger = logger;
+    }
+
+    /**
+     * Loads all plugins in the plugins folder. Plugins that fail to load are logged and left out.
+     * @returns {IntegrationPlugin[]}
+     */
+    loadPlugins() {
+        let entries;
+
+        try {
+            fs.mkdirSync(this._pluginsFolderPath, { recursive: true });
+            entries = fs.readdirSync(this._pluginsFolderPath, { withFileTypes: true });
+        } catch (error) {
+            this._logger.error(`Failed to read integration plugins folder: ${error.message}`);
+            return [];
+        }
+
+        /** @type {IntegrationPlugin[]} */
+        const plugins = [];
+
+        const sortedEntries = entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of sortedEntries) {
+            const isPluginFile = entry.isFile() && path.extname(entry.name) === ".js";
+
+            if (entry.name.startsWith(".") || !(isPluginFile || entry.isDirectory())) {
+                continue;
+            }
+
+            const id = isPluginFile ? path.basename(entry.name, ".js") : entry.name;
+
+            try {
+                plugins.push(this._loadPlugin(id, path.join(this._pluginsFolderPath, entry.name)));
+                this._logger.info(`Loaded integration plugin ${id}`);
+            } catch (error) {
+                this._logger.error(`Failed to load integration plugin ${id}: ${error.message}`);
+            }
+        }
+
+        return plugins;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} pluginPath
+     * @returns {IntegrationPlugin}
+     */
+    _loadPlugin(id, pluginPath) {
+        /** @type {IntegrationPluginModule} */
+        const pluginModule = requireAtRuntime(pluginPath);
+
+        if (!pluginModule || typeof pluginModule.createIntegration !== "function") {
+            throw new Error("Plugin should export a createIntegration function");
+        }
+
+        if (pluginModule.name !== undefined && typeof pluginModule.name !== "string") {
+            throw new Error("Plugin name should be a string");
+        }
+
+        /** @type {IntegrationPlugin} */
+        const plugin = {
+            id,
+            name: pluginModule.name || id,
+            createIntegration: (logger) => pluginModule.createIntegration(logger),
+        };
+
+        // this way, plugins that don't implement the integration interface are never listed
+        createPluginIntegrationInstance(plugin, this._logger);
+
+        return plugin;
+    }
+}
+
+module.exports = IntegrationPluginLoader;
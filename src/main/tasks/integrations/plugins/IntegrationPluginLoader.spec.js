@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Logger = require("../../../Logger");
+
+const IntegrationPluginLoader = require("./IntegrationPluginLoader");
+
+jest.mock("../../../Logger");
+
+const VALID_PLUGIN_SOURCE = `
+module.exports = {
+    name: "Example",
+    createIntegration: () => ({
+        getConfigurationDialogFields: () => [],
+        configure: () => {},
+        getRelevantTasksForState: async () => [{ title: "Task", markedCurrent: true }],
+        clearCurrent: async () => {},
+        isCleanupNeeded: () => false,
+        performCleanup: async () => {},
+    }),
+};
+`;
+
+describe("IntegrationPluginLoader", () => {
+    /** @type {string} */
+    let directory;
+
+    /** @type {Logger} */
+    let logger;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "current-task-plugins-"));
+        logger = new Logger();
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(directory, { recursive: true });
+    });
+
+    it("loads plugin files and plugin folders", () => {
+        fs.writeFileSync(path.join(directory, "example-file.js"), VALID_PLUGIN_SOURCE);
+        fs.mkdirSync(path.join(directory, "example-folder"));
+        fs.writeFileSync(path.join(directory, "example-folder", "index.js"), VALID_PLUGIN_SOURCE);
+        fs.writeFileSync(path.join(directory, "notes.txt"), "not a plugin");
+
+        const plugins = new IntegrationPluginLoader(directory, logger).loadPlugins();
+
+        expect(plugins.map((plugin) => plugin.id)).toEqual(["example-file", "example-folder"]);
+        expect(plugins[0].name).toBe("Example");
+    });
+
+    it("leaves out plugins that don't implement the integration interface", () => {
+        fs.writeFileSync(
+            path.join(directory, "incomplete.js"),
+            "module.exports = { createIntegration: () => ({ configure: () => {} }) };"
+        );
+        fs.writeFileSync(path.join(directory, "broken.js"), "throw new Error('Broken plugin');");
+        fs.writeFileSync(path.join(directory, "valid.js"), VALID_PLUGIN_SOURCE);
+
+        const plugins = new IntegrationPluginLoader(directory, logger).loadPlugins();
+
+        expect(plugins.map((plugin) => plugin.id)).toEqual(["valid"]);
+        expect(logger.error).toHaveBeenCalledTimes(2);
+    });
+
+    it("creates the plugins folder if it doesn't exist yet", () => {
+        const pluginsFolderPath = path.join(directory, "integration-plugins");
+
+        const plugins = new IntegrationPluginLoader(pluginsFolderPath, logger).loadPlugins();
+
+        expect(plugins).toEqual([]);
+        expect(fs.existsSync(pluginsFolderPath)).toBe(true);
+    });
+});
@@ -0,0 +1,208 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").PluginIntegrationConfiguration } PluginIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"plugin"> } PluginIntegrationInterface */
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./IntegrationPlugin").IntegrationPlugin } IntegrationPlugin */
+
+const moment = require("moment");
+
+const INTEGRATION_METHOD_NAMES = [
+    "getConfigurationDialogFields",
+    "configure",
+    "getRelevantTasksForState",
+    "clearCurrent",
+    "isCleanupNeeded",
+    "performCleanup",
+];
+
+/**
+ * @param {IntegrationPlugin} plugin
+ * @param {Logger} logger
+ * @returns {PluginIntegrationInterface}
+ */
+function createPluginIntegrationInstance(plugin, logger) {
+    const instance = plugin.createIntegration(logger);
+
+    if (!instance || typeof instance !== "object") {
+        throw new Error("createIntegration did not return an object");
+    }
+
+    const missingMethodNames = INTEGRATION_METHOD_NAMES.filter(
+        (methodName) => typeof instance[methodName] !== "function"
+    );
+
+    if (missingMethodNames.length > 0) {
+        throw new Error(`Integration is missing methods: ${missingMethodNames.join(", ")}`);
+    }
+
+    return instance;
+}
+
+/**
+ * Wraps the integration provided by a plugin, making sure that anything going wrong inside the
+ * plugin ends up as an error message for the integration instead of affecting the rest of the app.
+ * @implements {PluginIntegrationInterface}
+ */
+class PluginIntegration {
+    /**
+     * @param {string} pluginId
+     * @param {IntegrationPlugin} plugin undefined if no plugin with this id was found
+     * @param {Logger} logger
+     */
+    constructor(pluginId, plugin, logger) {
+        this._pluginName = plugin ? plugin.name : pluginId;
+        this._logger = logger;
+
+        /** @type {PluginIntegrationInterface} */
+        this._instance = undefined;
+        this._loadErrorMessage = undefined;
+        this._configurationErrorMessage = undefined;
+
+        if (!plugin) {
+            this._loadErrorMessage = `Integration plugin "${pluginId}" not found`;
+            return;
+        }
+
+        try {
+            this._instance = createPluginIntegrationInstance(plugin, logger);
+        } catch (error) {
+            this._loadErrorMessage = this._getPluginErrorMessage(error);
+            this._logger.error(this._loadErrorMessage);
+        }
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        if (!this._instance) {
+            return [];
+        }
+
+        try {
+            const fields = this._instance.getConfigurationDialogFields();
+
+            if (!Array.isArray(fields)) {
+                throw new Error("Configuration dialog fields should be an array");
+            }
+
+            return fields;
+        } catch (error) {
+            this._logger.error(this._getPluginErrorMessage(error));
+            return [];
+        }
+    }
+
+    /** @param {PluginIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        if (!this._instance) {
+            return;
+        }
+
+        try {
+            this._instance.configure(configuration);
+            this._configurationErrorMessage = undefined;
+        } catch (error) {
+            this._configurationErrorMessage = this._getPluginErrorMessage(error);
+            this._logger.error(this._configurationErrorMessage);
+        }
+    }
+
+    async getRelevantTasksForState() {
+        const errorMessage = this._loadErrorMessage || this._configurationErrorMessage;
+
+        if (errorMessage) {
+            throw new Error(errorMessage);
+        }
+
+        const tasks = await this._callPlugin(() => this._instance.getRelevantTasksForState());
+
+        if (!this._isValidTaskList(tasks)) {
+            throw new Error(`Integration plugin ${this._pluginName} returned invalid tasks`);
+        }
+
+        return tasks.map((task) => this._normalizeTask(task));
+    }
+
+    async clearCurrent() {
+        if (this._instance) {
+            await this._callPlugin(() => this._instance.clearCurrent());
+        }
+    }
+
+    isCleanupNeeded() {
+        if (!this._instance) {
+            return false;
+        }
+
+        try {
+            return !!this._instance.isCleanupNeeded();
+        } catch (error) {
+            this._logger.error(this._getPluginErrorMessage(error));
+            return false;
+        }
+    }
+
+    async performCleanup() {
+        if (this._instance) {
+            await this._callPlugin(() => this._instance.performCleanup());
+        }
+    }
+
+    /**
+     * @template T
+     * @param {() => Promise<T>} action
+     * @returns {Promise<T>}
+     */
+    async _callPlugin(action) {
+        try {
+            // also catches plugins throwing synchronously from a method that should be async
+            return await action();
+        } catch (error) {
+            throw new Error(this._getPluginErrorMessage(error));
+        }
+    }
+
+    /**
+     * @param {any} tasks
+     * @returns {tasks is IntegrationTask[]}
+     */
+    _isValidTaskList(tasks) {
+        return (
+            Array.isArray(tasks) &&
+            tasks.every(
+                (task) =>
+                    task &&
+                    typeof task.title === "string" &&
+                    typeof task.markedCurrent === "boolean"
+            )
+        );
+    }
+
+    /**
+     * Plugins don't share our copy of Moment.js, so they can also provide due times as Date or
+     * ISO 8601 string
+     * @param {IntegrationTask} task
+     * @returns {IntegrationTask}
+     */
+    _normalizeTask(task) {
+        if (!task.dueDatetime || moment.isMoment(task.dueDatetime)) {
+            return task;
+        }
+
+        const dueDatetime = moment(task.dueDatetime, moment.ISO_8601);
+
+        if (!dueDatetime.isValid()) {
+            throw new Error(`Integration plugin ${this._pluginName} returned an invalid due time`);
+        }
+
+        return { ...task, dueDatetime };
+    }
+
+    /** @param {any} error plugins are not guaranteed to throw actual errors */
+    _getPluginErrorMessage(error) {
+        const message = error && error.message ? error.message : String(error);
+        return `Error in integration plugin ${this._pluginName}: ${message}`;
+    }
+}
+
+module.exports = { PluginIntegration, createPluginIntegrationInstance };
@@ -0,0 +1,151 @@
+const Logger = require("../../../Logger");
+
+const { PluginIntegration } = require("./PluginIntegration");
+
+jest.mock("../../../Logger");
+
+function createValidIntegration() {
+    return {
+        getConfigurationDialogFields: jest.fn(() => []),
+        configure: jest.fn(),
+        getRelevantTasksForState: jest.fn(async () => [{ title: "Task", markedCurrent: true }]),
+        clearCurrent: jest.fn(async () => {}),
+        isCleanupNeeded: jest.fn(() => false),
+        performCleanup: jest.fn(async () => {}),
+    };
+}
+
+/** @param {() => any} createIntegration */
+function createPlugin(createIntegration) {
+    return { id: "example", name: "Example", createIntegration };
+}
+
+describe("PluginIntegration", () => {
+    it("passes through the plugin's tasks", async () => {
+        const integration = createValidIntegration();
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        pluginIntegration.configure({ type: "plugin", pluginId: "example", token: "abc" });
+
+        expect(integration.configure).toHaveBeenCalledWith({
+            type: "plugin",
+            pluginId: "example",
+            token: "abc",
+        });
+        expect(await pluginIntegration.getRelevantTasksForState()).toEqual([
+            { title: "Task", markedCurrent: true },
+        ]);
+    });
+
+    it("reports plugins that can't be found", async () => {
+        const pluginIntegration = new PluginIntegration("missing", undefined, new Logger());
+
+        expect(pluginIntegration.getConfigurationDialogFields()).toEqual([]);
+        await expect(pluginIntegration.getRelevantTasksForState()).rejects.toThrow(
+            'Integration plugin "missing" not found'
+        );
+    });
+
+    it("reports plugins that fail to create their integration", async () => {
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => {
+                throw new Error("Something went wrong");
+            }),
+            new Logger()
+        );
+
+        await expect(pluginIntegration.getRelevantTasksForState()).rejects.toThrow(
+            "Error in integration plugin Example: Something went wrong"
+        );
+    });
+
+    it("reports errors thrown while configuring", async () => {
+        const integration = createValidIntegration();
+        integration.configure.mockImplementation(() => {
+            throw new Error("Invalid configuration");
+        });
+
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        pluginIntegration.configure({ type: "plugin", pluginId: "example" });
+
+        await expect(pluginIntegration.getRelevantTasksForState()).rejects.toThrow(
+            "Error in integration plugin Example: Invalid configuration"
+        );
+    });
+
+    it("turns synchronous errors and non-error values into rejections", async () => {
+        const integration = createValidIntegration();
+        integration.clearCurrent.mockImplementation(() => {
+            throw "Not an error object";
+        });
+
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        await expect(pluginIntegration.clearCurrent()).rejects.toThrow(
+            "Error in integration plugin Example: Not an error object"
+        );
+    });
+
+    it("rejects invalid task lists", async () => {
+        const integration = createValidIntegration();
+        // @ts-ignore
+        integration.getRelevantTasksForState.mockResolvedValue([{ name: "No title" }]);
+
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        await expect(pluginIntegration.getRelevantTasksForState()).rejects.toThrow(
+            "Integration plugin Example returned invalid tasks"
+        );
+    });
+
+    it("accepts due times that are not Moment.js objects", async () => {
+        const integration = createValidIntegration();
+        integration.getRelevantTasksForState.mockResolvedValue([
+            // @ts-ignore
+            { title: "Task", markedCurrent: false, dueDatetime: "2020-10-01T14:30:00Z" },
+        ]);
+
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        const tasks = await pluginIntegration.getRelevantTasksForState();
+
+        expect(tasks[0].dueDatetime.toISOString()).toBe("2020-10-01T14:30:00.000Z");
+    });
+
+    it("doesn't need cleanup if checking throws", () => {
+        const integration = createValidIntegration();
+        integration.isCleanupNeeded.mockImplementation(() => {
+            throw new Error("Oops");
+        });
+
+        const pluginIntegration = new PluginIntegration(
+            "example",
+            createPlugin(() => integration),
+            new Logger()
+        );
+
+        expect(pluginIntegration.isCleanupNeeded()).toBe(false);
+    });
+});
@@ -29,6 +29,7 @@ class TodoistTaskTransformer {
         }
 
         return {
+            id: String(taskFromApi.id),
             title: taskFromApi.content,
             dueDate,
             dueDatetime,
@@ -30,6 +30,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -50,6 +51,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: "2020-09-04",
             dueDatetime: undefined,
@@ -70,6 +72,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: "2020-09-05",
             dueDatetime: moment("2020-09-05T12:30:00"),
@@ -90,6 +93,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: "2020-09-05",
             dueDatetime: moment("2020-09-05T10:30:00Z"),
@@ -107,6 +111,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -124,6 +129,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            id: "1",
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -25,6 +25,7 @@ class TrelloCardTransformer {
         }
 
         return {
+            id: cardFromApi.id,
             title: cardFromApi.name,
             dueDate,
             dueDatetime,
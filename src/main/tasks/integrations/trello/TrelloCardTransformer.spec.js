@@ -26,6 +26,7 @@ describe("TrelloCardTransformer", () => {
         const transformed = transformer.transform(cardFromApi, currentTaskLabelName);
 
         expect(transformed).toEqual({
+            id: placeholderId,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -45,6 +46,7 @@ describe("TrelloCardTransformer", () => {
         const transformed = transformer.transform(cardFromApi, currentTaskLabelName);
 
         expect(transformed).toEqual({
+            id: placeholderId,
             title: placeholderTitle,
             dueDate: "2020-09-27",
             dueDatetime: moment("2020-09-27T10:11:00.000Z"),
@@ -64,6 +66,7 @@ describe("TrelloCardTransformer", () => {
         const transformed = transformer.transform(cardFromApi, currentTaskLabelName);
 
         expect(transformed).toEqual({
+            id: placeholderId,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -83,6 +86,7 @@ describe("TrelloCardTransformer", () => {
         const transformed = transformer.transform(cardFromApi, currentTaskLabelName);
 
         expect(transformed).toEqual({
+            id: placeholderId,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -0,0 +1,2 @@
+/** Provided by webpack, the regular Node.js require function that webpack leaves alone */
+declare const __non_webpack_require__: NodeRequire;
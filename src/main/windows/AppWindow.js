@@ -1,9 +1,11 @@
 /** @typedef { import("electron").Rectangle } Rectangle */
 
+/** @typedef { import("../configuration/AdvancedConfiguration").StatusStyle } StatusStyle */
 /** @typedef { import("../configuration/Status").Status } Status */
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./DefaultWindowBoundsListener").DefaultWindowBoundsListener } DefaultWindowBoundsListener */
 /** @typedef { import("./DialogInput").DialogInput } DialogInput */
+/** @typedef { import("./SoundInput").SoundInput } SoundInput */
 
 const os = require("os");
 const { BrowserWindow, screen, ipcMain, nativeTheme } = require("electron");
@@ -73,7 +75,11 @@ class AppWindow {
             movable: false, // we do not use standard Electron move functionality, see _initializeMovingResizing
             resizable: this._movingResizingEnabled,
             focusable: false,
-            webPreferences: windowWebPreferences,
+            webPreferences: {
+                ...windowWebPreferences,
+                // the user never interacts with this window, but it needs to play sounds
+                autoplayPolicy: "no-user-gesture-required",
+            },
             show: false,
 
             // on macOS, use customButtonsOnHover. otherwise, use the default.
@@ -99,6 +105,10 @@ class AppWindow {
         this._showOrHideBasedOnMode();
         this._initializeMovingResizing();
 
+        ipcMain.on("playSoundFailed", (_event, { errorMessage }) => {
+            this._logger.error(`Could not play sound: ${errorMessage}`);
+        });
+
         this._ensureOnTopIntervalId = setInterval(
             () => this._ensureOnTopIfNeeded(),
             ENSURE_ON_TOP_INTERVAL
@@ -214,9 +224,22 @@ class AppWindow {
     /**
      * @param {Status} status
      * @param {string} message
+     * @param {StatusStyle} style
      */
-    updateStatusAndMessage(status, message) {
-        this._browserWindow.webContents.send("statusAndMessage", { status, message });
+    updateStatusAndMessage(status, message, style) {
+        this._browserWindow.webContents.send("statusAndMessage", { status, message, style });
+
+        // opacity applies to the window itself, so the renderer can't handle it
+        const opacity = style.opacity !== undefined ? style.opacity : 1;
+
+        if (this._browserWindow.getOpacity() !== opacity) {
+            this._browserWindow.setOpacity(opacity);
+        }
+    }
+
+    /** @param {SoundInput} soundInput */
+    playSound(soundInput) {
+        this._browserWindow.webContents.send("playSound", soundInput);
     }
 
     /** @param {boolean} shouldNag */
@@ -0,0 +1,151 @@
+/** @typedef { import("../history/HistoryTracker") } HistoryTracker */
+/** @typedef { import("../reports/Report").Report } Report */
+/** @typedef { import("../reports/Report").ReportPeriodType } ReportPeriodType */
+/** @typedef { import("../Logger") } Logger */
+
+const { BrowserWindow, app, dialog, ipcMain } = require("electron");
+const fs = require("fs");
+const moment = require("moment");
+const path = require("path");
+
+const ReportCalculator = require("../reports/ReportCalculator");
+const ReportExporter = require("../reports/ReportExporter");
+const windowWebPreferences = require("./windowWebPreferences");
+
+class ReportsWindow {
+    /**
+     * @param {BrowserWindow} parentWindow
+     * @param {HistoryTracker} historyTracker
+     * @param {Logger} logger
+     */
+    constructor(parentWindow, historyTracker, logger) {
+        this._parentWindow = parentWindow;
+        this._historyTracker = historyTracker;
+        this._logger = logger;
+
+        this._reportCalculator = new ReportCalculator();
+        this._reportExporter = new ReportExporter();
+
+        this._browserWindow = undefined;
+
+        /** @type {Report} */
+        this._lastReport = undefined;
+
+        ipcMain.on("reportRequest", (event, { periodType, date }) => {
+            if (this._browserWindow && event.sender === this._browserWindow.webContents) {
+                this._sendReport(periodType, date);
+            }
+        });
+
+        ipcMain.on("reportExport", (event, { format }) => {
+            if (this._browserWindow && event.sender === this._browserWindow.webContents) {
+                this._exportReport(format);
+            }
+        });
+    }
+
+    async show() {
+        if (this._browserWindow) {
+            this._browserWindow.focus();
+            return;
+        }
+
+        this._browserWindow = new BrowserWindow({
+            width: 720,
+            height: 640,
+            parent: this._parentWindow,
+            fullscreenable: false,
+            maximizable: false,
+            minimizable: false,
+            webPreferences: windowWebPreferences,
+            show: false,
+        });
+
+        this._browserWindow.removeMenu();
+
+        this._browserWindow.on("close", () => {
+            this._browserWindow = undefined;
+            this._lastReport = undefined;
+        });
+
+        // load from magic global variable defined by Electron Forge Webpack plugin
+        // @ts-ignore
+        await this._browserWindow.loadURL(REPORTS_WEBPACK_ENTRY);
+
+        // the renderer requests the initial report once it's loaded
+        this._browserWindow.show();
+    }
+
+    /**
+     * @param {ReportPeriodType} periodType
+     * @param {string} date YYYY-MM-DD
+     */
+    async _sendReport(periodType, date) {
+        const { start, end } = this._reportCalculator.getPeriod(
+            periodType,
+            moment(date, "YYYY-MM-DD")
+        );
+
+        let report = undefined;
+        let errorMessage = undefined;
+
+        try {
+            const intervals = await this._historyTracker.getIntervals(start, end);
+            report = this._reportCalculator.calculateReport(intervals, periodType, start, end);
+        } catch (error) {
+            this._logger.error(`Error calculating report: ${error.message}`);
+            errorMessage = `Could not read history: ${error.message}`;
+        }
+
+        if (this._browserWindow) {
+            this._lastReport = report;
+            this._browserWindow.webContents.send("report", { report, errorMessage });
+        }
+    }
+
+    /** @param {"csv" | "json"} format */
+    async _exportReport(format) {
+        const report = this._lastReport;
+
+        if (!report) {
+            return;
+        }
+
+        const periodStartDate = moment(report.periodStart).format("YYYY-MM-DD");
+        const defaultFileName = `current-task-${report.periodType}-${periodStartDate}.${format}`;
+
+        const { canceled, filePath } = await dialog.showSaveDialog(this._browserWindow, {
+            defaultPath: path.join(app.getPath("documents"), defaultFileName),
+            filters: [{ name: format.toUpperCase(), extensions: [format] }],
+        });
+
+        if (canceled || !filePath) {
+            return;
+        }
+
+        const content =
+            format === "csv"
+                ? this._reportExporter.toCsv(report)
+                : this._reportExporter.toJson(report);
+
+        try {
+            await fs.promises.writeFile(filePath, content, "utf-8");
+            this._logger.info(`Exported ${report.periodType} report as ${format}`);
+        } catch (error) {
+            this._logger.error(`Error exporting report: ${error.message}`);
+
+            dialog.showMessageBox(this._browserWindow, {
+                type: "error",
+                message: `Could not save report: ${error.message}`,
+            });
+        }
+    }
+
+    destroy() {
+        if (this._browserWindow) {
+            this._browserWindow.destroy();
+        }
+    }
+}
+
+module.exports = ReportsWindow;
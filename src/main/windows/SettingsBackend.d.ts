@@ -0,0 +1,6 @@
+import { AdvancedConfiguration } from "../configuration/AdvancedConfiguration";
+
+export interface SettingsBackend {
+    getAdvancedConfiguration(): AdvancedConfiguration;
+    saveAdvancedConfiguration(configuration: AdvancedConfiguration): void;
+}
@@ -0,0 +1,100 @@
+/** @typedef { import("../configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+/** @typedef { import("../Logger") } Logger */
+/** @typedef { import("./SettingsBackend").SettingsBackend } SettingsBackend */
+
+const { BrowserWindow, ipcMain } = require("electron");
+
+const windowWebPreferences = require("./windowWebPreferences");
+
+class SettingsWindow {
+    /**
+     * @param {BrowserWindow} parentWindow
+     * @param {SettingsBackend} backend
+     * @param {Logger} logger
+     */
+    constructor(parentWindow, backend, logger) {
+        this._parentWindow = parentWindow;
+        this._backend = backend;
+        this._logger = logger;
+
+        this._browserWindow = undefined;
+
+        ipcMain.on("settingsRequest", (event) => {
+            if (this._browserWindow && event.sender === this._browserWindow.webContents) {
+                this._sendSettings();
+            }
+        });
+
+        ipcMain.on("settingsSave", (event, { configuration }) => {
+            if (this._browserWindow && event.sender === this._browserWindow.webContents) {
+                this._saveSettings(configuration);
+            }
+        });
+    }
+
+    async show() {
+        if (this._browserWindow) {
+            this._browserWindow.focus();
+            return;
+        }
+
+        this._browserWindow = new BrowserWindow({
+            width: 800,
+            height: 720,
+            parent: this._parentWindow,
+            fullscreenable: false,
+            maximizable: false,
+            minimizable: false,
+            webPreferences: windowWebPreferences,
+            show: false,
+        });
+
+        this._browserWindow.removeMenu();
+
+        this._browserWindow.on("close", () => {
+            this._browserWindow = undefined;
+        });
+
+        // load from magic global variable defined by Electron Forge Webpack plugin
+        // @ts-ignore
+        await this._browserWindow.loadURL(SETTINGS_WEBPACK_ENTRY);
+
+        // the renderer requests the settings once it's loaded
+        this._browserWindow.show();
+    }
+
+    _sendSettings() {
+        let configuration = undefined;
+        let errorMessage = undefined;
+
+        try {
+            configuration = this._backend.getAdvancedConfiguration();
+        } catch (error) {
+            errorMessage = `${error.message}. Please fix the file before using the settings window.`;
+        }
+
+        this._browserWindow.webContents.send("settings", { configuration, errorMessage });
+    }
+
+    /** @param {AdvancedConfiguration} configuration */
+    _saveSettings(configuration) {
+        let errorMessage = undefined;
+
+        try {
+            this._backend.saveAdvancedConfiguration(configuration);
+        } catch (error) {
+            this._logger.error(`Error saving settings: ${error.message}`);
+            errorMessage = error.message;
+        }
+
+        this._browserWindow.webContents.send("settingsSaveResult", { errorMessage });
+    }
+
+    destroy() {
+        if (this._browserWindow) {
+            this._browserWindow.destroy();
+        }
+    }
+}
+
+module.exports = SettingsWindow;
@@ -0,0 +1,5 @@
+export interface SoundInput {
+    bundledSound?: string;
+    dataUrl?: string;
+    volume: number;
+}
@@ -0,0 +1,51 @@
+/** @typedef { import("../configuration/ValidationIssue").ValidationIssue } ValidationIssue */
+
+const { clipboard, dialog, shell } = require("electron");
+
+const OPEN_FILE_BUTTON = 0;
+const COPY_BUTTON = 1;
+
+/**
+ * Shows an error, with actions to open or copy from the configuration file if the error has one
+ * @param {Error & { issues?: ValidationIssue[], filePath?: string }} error
+ * @param {Electron.BrowserWindow} [parentWindow] needed for the dialog to be async on some platforms
+ */
+async function showConfigurationErrorDialog(error, parentWindow) {
+    if (!error.filePath) {
+        await showMessageBox(parentWindow, { type: "error", message: error.message });
+        return;
+    }
+
+    const issueCount = error.issues ? error.issues.length : 1;
+
+    const { response } = await showMessageBox(parentWindow, {
+        type: "error",
+        title: "Invalid configuration file",
+        message: `Found ${issueCount} ${issueCount === 1 ? "problem" : "problems"} in ${
+            error.filePath
+        }`,
+        detail: error.message,
+        buttons: ["Open file", "Copy errors", "Close"],
+        defaultId: OPEN_FILE_BUTTON,
+        cancelId: 2,
+        noLink: true,
+    });
+
+    if (response === OPEN_FILE_BUTTON) {
+        await shell.openPath(error.filePath);
+    } else if (response === COPY_BUTTON) {
+        clipboard.writeText(error.message);
+    }
+}
+
+/**
+ * @param {Electron.BrowserWindow} parentWindow
+ * @param {Electron.MessageBoxOptions} options
+ */
+function showMessageBox(parentWindow, options) {
+    return parentWindow
+        ? dialog.showMessageBox(parentWindow, options)
+        : dialog.showMessageBox(options);
+}
+
+module.exports = showConfigurationErrorDialog;
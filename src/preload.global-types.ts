@@ -10,7 +10,12 @@ type RendererToMainChannel =
     | "appWindowMoving"
     | "dialogContentsHidden"
     | "dialogHeight"
-    | "dialogResult";
+    | "dialogResult"
+    | "playSoundFailed"
+    | "reportExport"
+    | "reportRequest"
+    | "settingsRequest"
+    | "settingsSave";
 
 type MainToRendererChannel =
     | "appVersion"
@@ -18,4 +23,8 @@ type MainToRendererChannel =
     | "dialogInput"
     | "dialogShown"
     | "hideDialogContents"
+    | "playSound"
+    | "report"
+    | "settings"
+    | "settingsSaveResult"
     | "statusAndMessage";
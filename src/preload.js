@@ -12,6 +12,11 @@ contextBridge.exposeInMainWorld("api", {
             "dialogContentsHidden",
             "dialogHeight",
             "dialogResult",
+            "playSoundFailed",
+            "reportExport",
+            "reportRequest",
+            "settingsRequest",
+            "settingsSave",
         ];
 
         if (validChannels.includes(channel)) {
@@ -26,6 +31,10 @@ contextBridge.exposeInMainWorld("api", {
             "dialogInput",
             "dialogShown",
             "hideDialogContents",
+            "playSound",
+            "report",
+            "settings",
+            "settingsSaveResult",
             "statusAndMessage",
         ];
 
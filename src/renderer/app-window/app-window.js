@@ -4,6 +4,7 @@ import { faExclamationTriangle } from "@fortawesome/free-solid-svg-icons/faExcla
 
 import "bootstrap/dist/css/bootstrap.min.css";
 import "./app-window.css";
+import { playSound } from "./sounds";
 
 // Font Awesome setup
 library.add(faExclamationCircle);
@@ -14,7 +15,7 @@ const bodyElement = document.getElementsByTagName("body")[0];
 const messageHeadingElement = document.getElementById("message-heading");
 const messageElement = document.getElementById("message");
 
-let lastStatusAndMessage = { status: "ok", message: "" };
+let lastStatusAndMessage = { status: "ok", message: "", style: {} };
 let useDarkStyle = false;
 
 window.addEventListener("resize", fitMessage);
@@ -25,17 +26,28 @@ window.api.receive("statusAndMessage", (statusAndMessage) => {
     fitMessage();
 });
 
+window.api.receive("playSound", playSound);
+
 window.api.receive("appWindowStyle", (style) => {
     useDarkStyle = style.useDarkStyle;
     updateStyle();
 });
 
 function updateStyle() {
-    if (lastStatusAndMessage.status == "ok" && useDarkStyle) {
+    const { status, style } = lastStatusAndMessage;
+
+    if (status == "ok" && useDarkStyle) {
         bodyElement.className = "dark-ok";
     } else {
-        bodyElement.className = lastStatusAndMessage.status;
+        bodyElement.className = status;
     }
+
+    // styles from the theme or custom state rules override the default style for the status
+    bodyElement.style.color = style.textColor || "";
+    bodyElement.style.backgroundColor = style.backgroundColor || "";
+    bodyElement.style.fontFamily = style.fontFamily || "";
+    messageHeadingElement.style.fontSize = style.fontSize ? `min(60vh, ${style.fontSize}px)` : "";
+    bodyElement.dataset.icon = style.icon || status;
 }
 
 function fitMessage() {
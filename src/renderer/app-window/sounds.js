@@ -0,0 +1,57 @@
+/** @typedef { import("../../main/windows/SoundInput").SoundInput } SoundInput */
+
+// bundled sounds are synthesized, each tone is [frequency, start in seconds, duration in seconds]
+const BUNDLED_SOUNDS = {
+    beep: [[880, 0, 0.2]],
+    chime: [
+        [660, 0, 0.3],
+        [880, 0.25, 0.5],
+    ],
+    alarm: [
+        [990, 0, 0.15],
+        [990, 0.25, 0.15],
+        [990, 0.5, 0.15],
+        [990, 0.75, 0.15],
+    ],
+};
+
+/** @type {AudioContext} */
+let audioContext;
+
+/** @param {SoundInput} soundInput */
+export function playSound({ bundledSound, dataUrl, volume }) {
+    if (bundledSound) {
+        playTones(BUNDLED_SOUNDS[bundledSound], volume);
+    } else {
+        const audio = new Audio(dataUrl);
+        audio.volume = volume;
+        audio.play().catch((error) => {
+            // the main process writes this to the log file
+            window.api.send("playSoundFailed", { errorMessage: error.message });
+        });
+    }
+}
+
+/**
+ * @param {number[][]} tones
+ * @param {number} volume
+ */
+function playTones(tones, volume) {
+    audioContext = audioContext || new AudioContext();
+    const startTime = audioContext.currentTime;
+
+    for (const [frequency, start, duration] of tones) {
+        const oscillator = audioContext.createOscillator();
+        oscillator.frequency.value = frequency;
+
+        // fading out prevents a clicking noise at the end of each tone
+        const gain = audioContext.createGain();
+        gain.gain.setValueAtTime(volume, startTime + start);
+        gain.gain.linearRampToValueAtTime(0, startTime + start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start(startTime + start);
+        oscillator.stop(startTime + start + duration);
+    }
+}
@@ -0,0 +1,177 @@
+import "bootstrap/dist/css/bootstrap.min.css";
+import "./reports.css";
+
+/** @typedef { import("../../main/reports/Report").Report } Report */
+/** @typedef { import("../../main/reports/Report").ReportEpisode } ReportEpisode */
+
+const periodTypeSelect = /** @type {HTMLSelectElement} */ (document.getElementById("periodType"));
+const dateInput = /** @type {HTMLInputElement} */ (document.getElementById("date"));
+const errorElement = document.getElementById("error");
+const reportElement = document.getElementById("report");
+
+window.addEventListener("load", () => {
+    window.api.receive("report", handleReport);
+
+    dateInput.value = toDateString(new Date());
+
+    periodTypeSelect.addEventListener("change", requestReport);
+    dateInput.addEventListener("change", requestReport);
+    document.getElementById("previous").addEventListener("click", () => moveDate(-1));
+    document.getElementById("next").addEventListener("click", () => moveDate(1));
+
+    document.getElementById("today").addEventListener("click", () => {
+        dateInput.value = toDateString(new Date());
+        requestReport();
+    });
+
+    document.getElementById("exportCsv").addEventListener("click", () => {
+        window.api.send("reportExport", { format: "csv" });
+    });
+
+    document.getElementById("exportJson").addEventListener("click", () => {
+        window.api.send("reportExport", { format: "json" });
+    });
+
+    requestReport();
+});
+
+function requestReport() {
+    if (dateInput.value) {
+        window.api.send("reportRequest", {
+            periodType: periodTypeSelect.value,
+            date: dateInput.value,
+        });
+    }
+}
+
+/** @param {number} direction 1 for the next period, -1 for the previous one */
+function moveDate(direction) {
+    const [year, month, day] = (dateInput.value || toDateString(new Date())).split("-").map(Number);
+    const periodDays = periodTypeSelect.value === "week" ? 7 : 1;
+    dateInput.value = toDateString(new Date(year, month - 1, day + direction * periodDays));
+    requestReport();
+}
+
+/** @param {Date} date */
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** @param {{ report: Report, errorMessage: string }} data */
+function handleReport({ report, errorMessage }) {
+    reportElement.textContent = "";
+
+    if (errorMessage) {
+        errorElement.textContent = errorMessage;
+        errorElement.classList.remove("d-none");
+        return;
+    }
+
+    errorElement.classList.add("d-none");
+
+    const includeDay = report.periodType === "week";
+
+    addTable("Summary", [
+        ["Time recorded (not disabled or in downtime)", formatDuration(report.activeSeconds)],
+        ["No current task", formatDuration(report.noCurrentTaskSeconds)],
+        ["Warning status", formatDuration(report.warningSeconds)],
+        ["Error status", formatDuration(report.errorSeconds)],
+        ["Nagging episodes", String(report.naggingEpisodes.length)],
+        ["Disabled", formatDuration(sumSeconds(report.disabledPeriods))],
+        ["Downtime", formatDuration(report.downtimeSeconds)],
+    ]);
+
+    addTable(
+        "Time per task",
+        report.tasks.map((task) => [task.title, formatDuration(task.seconds)]),
+        "No time recorded with a single current task"
+    );
+
+    addTable(
+        "Disabled periods",
+        report.disabledPeriods.map((period) => [
+            `${formatPeriod(period, includeDay)}${period.reason ? ` (${period.reason})` : ""}`,
+            formatDuration(period.seconds),
+        ]),
+        "The app was not disabled"
+    );
+
+    addTable(
+        "Nagging episodes",
+        report.naggingEpisodes.map((episode) => [
+            formatPeriod(episode, includeDay),
+            formatDuration(episode.seconds),
+        ]),
+        "The app did not nag"
+    );
+}
+
+/**
+ * @param {string} title
+ * @param {string[][]} rows each row has a label and a duration
+ * @param {string} [emptyMessage]
+ */
+function addTable(title, rows, emptyMessage) {
+    const heading = document.createElement("h2");
+    heading.textContent = title;
+    reportElement.appendChild(heading);
+
+    if (rows.length === 0) {
+        const message = document.createElement("p");
+        message.className = "text-muted";
+        message.textContent = emptyMessage;
+        reportElement.appendChild(message);
+        return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "table table-sm";
+
+    for (const [label, duration] of rows) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const durationCell = row.insertCell();
+        durationCell.className = "duration";
+        durationCell.textContent = duration;
+    }
+
+    reportElement.appendChild(table);
+}
+
+/** @param {ReportEpisode[]} episodes */
+function sumSeconds(episodes) {
+    return episodes.reduce((sum, episode) => sum + episode.seconds, 0);
+}
+
+/** @param {number} seconds */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+    } else if (minutes > 0) {
+        return `${minutes}m`;
+    } else {
+        return `${seconds}s`;
+    }
+}
+
+/**
+ * @param {ReportEpisode} episode
+ * @param {boolean} includeDay
+ */
+function formatPeriod(episode, includeDay) {
+    /** @type {Intl.DateTimeFormatOptions} */
+    const options = { hour: "2-digit", minute: "2-digit" };
+
+    if (includeDay) {
+        options.weekday = "short";
+    }
+
+    const start = new Date(episode.start).toLocaleString([], options);
+    const end = new Date(episode.end).toLocaleString([], options);
+    return `${start} - ${end}`;
+}
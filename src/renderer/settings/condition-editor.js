@@ -0,0 +1,364 @@
+import { conditionFields, numericOperators } from "../../main/configuration/conditionFields";
+
+/** @typedef { import("../../main/configuration/Condition").Condition } Condition */
+/** @typedef { import("../../main/configuration/conditionFields").ConditionField } ConditionField */
+
+const EQUALS_OPERATOR = "equals";
+const NUMBER_LIST_PATTERN = "\\s*-?\\d+(\\.\\d+)?(\\s*,\\s*-?\\d+(\\.\\d+)?)*\\s*";
+
+/**
+ * Creates an editor that modifies the condition object in place
+ * @param {Condition} condition
+ * @returns {HTMLElement}
+ */
+export function createConditionEditor(condition) {
+    const element = document.createElement("div");
+    element.className = "condition";
+    renderCondition(element, condition);
+    return element;
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {Condition} condition
+ */
+function renderCondition(element, condition) {
+    element.textContent = "";
+    const rerender = () => renderCondition(element, condition);
+
+    const usedFields = conditionFields.filter((field) => field.name in condition);
+    const unusedFields = conditionFields.filter((field) => !(field.name in condition));
+
+    if (usedFields.length === 0) {
+        const hint = document.createElement("p");
+        hint.className = "text-muted small mb-1";
+        hint.textContent = "Empty condition (always matches)";
+        element.appendChild(hint);
+    }
+
+    for (const field of usedFields) {
+        element.appendChild(createFieldRow(field, condition, rerender));
+    }
+
+    const addSelect = createSelect(["", ...unusedFields.map((field) => field.name)], "");
+    addSelect.classList.add("add-field");
+    addSelect.options[0].textContent = "Add property ...";
+
+    addSelect.addEventListener("change", () => {
+        const field = unusedFields.find((field) => field.name === addSelect.value);
+        condition[field.name] = getDefaultValue(field);
+        rerender();
+    });
+
+    element.appendChild(addSelect);
+}
+
+/**
+ * @param {ConditionField} field
+ * @param {Condition} condition
+ * @param {() => void} rerender
+ */
+function createFieldRow(field, condition, rerender) {
+    const row = document.createElement("div");
+    row.className = "condition-row";
+
+    const header = document.createElement("div");
+    header.className = "condition-row-header";
+    row.appendChild(header);
+
+    const label = document.createElement("span");
+    label.className = "condition-field-name";
+    label.textContent = field.name;
+    header.appendChild(label);
+
+    if (field.type === "numeric") {
+        header.appendChild(createNumericEditor(condition, field.name));
+    } else if (field.type === "boolean") {
+        const select = createSelect(["true", "false"], String(condition[field.name]));
+        select.addEventListener("change", () => (condition[field.name] = select.value === "true"));
+        header.appendChild(select);
+    } else if (field.type === "string") {
+        const input = createInput("text", condition[field.name]);
+        input.addEventListener("input", () => (condition[field.name] = input.value));
+        header.appendChild(input);
+    } else if (field.type === "select") {
+        const select = createSelect(field.options, condition[field.name]);
+        select.addEventListener("change", () => (condition[field.name] = select.value));
+        header.appendChild(select);
+    } else if (field.type === "condition") {
+        row.appendChild(createConditionEditor(condition[field.name]));
+    } else if (field.type === "conditionList") {
+        row.appendChild(createConditionListEditor(condition[field.name]));
+    }
+
+    const removeButton = createButton("Remove", "btn-outline-danger");
+
+    removeButton.addEventListener("click", () => {
+        delete condition[field.name];
+        rerender();
+    });
+
+    header.appendChild(removeButton);
+    return row;
+}
+
+/**
+ * @param {Condition[]} conditions
+ * @returns {HTMLElement}
+ */
+function createConditionListEditor(conditions) {
+    const element = document.createElement("div");
+    element.className = "condition-list";
+    renderConditionList(element, conditions);
+    return element;
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {Condition[]} conditions
+ */
+function renderConditionList(element, conditions) {
+    element.textContent = "";
+
+    conditions.forEach((condition, index) => {
+        const item = document.createElement("div");
+        item.className = "condition-list-item";
+        item.appendChild(createConditionEditor(condition));
+
+        const removeButton = createButton("Remove condition", "btn-outline-danger");
+
+        removeButton.addEventListener("click", () => {
+            conditions.splice(index, 1);
+            renderConditionList(element, conditions);
+        });
+
+        item.appendChild(removeButton);
+        element.appendChild(item);
+    });
+
+    const addButton = createButton("Add condition", "btn-outline-secondary");
+
+    addButton.addEventListener("click", () => {
+        conditions.push({});
+        renderConditionList(element, conditions);
+    });
+
+    element.appendChild(addButton);
+}
+
+/**
+ * A numeric value is either a number (shown as "equals") or an object with one or more operators
+ * @param {Condition} condition
+ * @param {string} name
+ * @returns {HTMLElement}
+ */
+function createNumericEditor(condition, name) {
+    const element = document.createElement("div");
+    element.className = "numeric-editor";
+    renderNumericEditor(element, condition, name);
+    return element;
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {Condition} condition
+ * @param {string} name
+ */
+function renderNumericEditor(element, condition, name) {
+    element.textContent = "";
+    const rerender = () => renderNumericEditor(element, condition, name);
+
+    const value = condition[name];
+
+    /** @type {any[][]} */
+    const entries = typeof value === "number" ? [[EQUALS_OPERATOR, value]] : Object.entries(value);
+
+    const usedOperators = entries.map(([operator]) => operator);
+    const update = () => (condition[name] = toNumericValue(entries));
+
+    entries.forEach((entry, index) => {
+        const [operator, operand] = entry;
+        const entryElement = document.createElement("div");
+        entryElement.className = "numeric-entry";
+
+        // "equals" can't be combined with other operators, because it's stored as a plain number
+        const availableOperators = [
+            ...(entries.length === 1 ? [EQUALS_OPERATOR] : []),
+            ...numericOperators.filter(
+                (other) => other === operator || !usedOperators.includes(other)
+            ),
+        ];
+
+        const operatorSelect = createSelect(availableOperators, operator);
+
+        operatorSelect.addEventListener("change", () => {
+            entries[index] = [operatorSelect.value, getDefaultOperand(operatorSelect.value)];
+            update();
+            rerender();
+        });
+
+        entryElement.appendChild(operatorSelect);
+
+        const operandInputs = createOperandInputs(operator, operand, (newOperand) => {
+            entry[1] = newOperand;
+            update();
+        });
+
+        entryElement.append(...operandInputs);
+
+        if (entries.length > 1) {
+            const removeButton = createButton("-", "btn-outline-secondary");
+
+            removeButton.addEventListener("click", () => {
+                entries.splice(index, 1);
+                update();
+                rerender();
+            });
+
+            entryElement.appendChild(removeButton);
+        }
+
+        element.appendChild(entryElement);
+    });
+
+    const unusedOperators = numericOperators.filter(
+        (operator) => !usedOperators.includes(operator)
+    );
+
+    if (!usedOperators.includes(EQUALS_OPERATOR) && unusedOperators.length > 0) {
+        const addButton = createButton("+", "btn-outline-secondary");
+
+        addButton.addEventListener("click", () => {
+            entries.push([unusedOperators[0], getDefaultOperand(unusedOperators[0])]);
+            update();
+            rerender();
+        });
+
+        element.appendChild(addButton);
+    }
+}
+
+/**
+ * @param {string} operator
+ * @param {any} operand
+ * @param {(operand: any) => void} onChange
+ * @returns {HTMLInputElement[]}
+ */
+function createOperandInputs(operator, operand, onChange) {
+    if (operator === "anyOf") {
+        const input = createInput("text", operand.join(", "));
+        input.pattern = NUMBER_LIST_PATTERN;
+        input.title = "Comma-separated numbers";
+
+        input.addEventListener("input", () => {
+            onChange(input.value.split(",").map((part) => Number(part.trim())));
+        });
+
+        return [input];
+    } else if (operator === "fromUntil") {
+        const fromInput = createInput("number", String(operand[0]));
+        const untilInput = createInput("number", String(operand[1]));
+        const handleInput = () => onChange([Number(fromInput.value), Number(untilInput.value)]);
+        fromInput.addEventListener("input", handleInput);
+        untilInput.addEventListener("input", handleInput);
+        return [fromInput, untilInput];
+    } else {
+        const input = createInput("number", String(operand));
+        input.addEventListener("input", () => onChange(Number(input.value)));
+        return [input];
+    }
+}
+
+/** @param {any[][]} entries */
+function toNumericValue(entries) {
+    if (entries.length === 1 && entries[0][0] === EQUALS_OPERATOR) {
+        return entries[0][1];
+    }
+
+    const operators = {};
+
+    for (const [operator, operand] of entries) {
+        operators[operator] = operand;
+    }
+
+    return operators;
+}
+
+/** @param {ConditionField} field */
+function getDefaultValue(field) {
+    if (field.type === "numeric") {
+        return 0;
+    } else if (field.type === "boolean") {
+        return true;
+    } else if (field.type === "string") {
+        return "";
+    } else if (field.type === "select") {
+        return field.options[0];
+    } else if (field.type === "condition") {
+        return {};
+    } else {
+        return [{}];
+    }
+}
+
+/** @param {string} operator */
+function getDefaultOperand(operator) {
+    if (operator === "anyOf") {
+        return [0];
+    } else if (operator === "fromUntil") {
+        return [0, 0];
+    } else if (operator === "multipleOf") {
+        return 1;
+    } else {
+        return 0;
+    }
+}
+
+/**
+ * @param {string[]} values
+ * @param {string} selectedValue
+ */
+function createSelect(values, selectedValue) {
+    const select = document.createElement("select");
+    select.className = "custom-select custom-select-sm";
+
+    for (const value of values) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    }
+
+    select.value = selectedValue;
+    return select;
+}
+
+/**
+ * @param {string} type
+ * @param {string} value
+ */
+function createInput(type, value) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.className = "form-control form-control-sm";
+    input.value = value;
+    input.required = true;
+
+    if (type === "number") {
+        input.step = "any";
+    }
+
+    return input;
+}
+
+/**
+ * @param {string} text
+ * @param {string} styleClass
+ */
+function createButton(text, styleClass) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `btn btn-sm ${styleClass}`;
+    button.textContent = text;
+    return button;
+}
@@ -0,0 +1,271 @@
+import "bootstrap/dist/css/bootstrap.min.css";
+import "./settings.css";
+
+import { createConditionEditor } from "./condition-editor";
+
+/** @typedef { import("../../main/configuration/AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
+/** @typedef { import("../../main/configuration/Status").Status } Status */
+
+const BOOLEAN_OPTIONS = [
+    "requireReasonForDisabling",
+    "forbidClosingFromTray",
+    "clearCurrentIfDisabled",
+];
+
+const NUMBER_OPTIONS = [
+    "resetStateTimersIfSystemIdleForSeconds",
+    "clearCurrentIfSystemIdleForSeconds",
+];
+
+const CONDITION_LISTS = ["naggingConditions", "blinkingConditions", "downtimeConditions"];
+const STATUSES = ["ok", "warning", "error"];
+
+const errorElement = document.getElementById("error");
+const form = /** @type {HTMLFormElement} */ (document.getElementById("settings"));
+const customStateRulesElement = document.getElementById("customStateRules");
+const saveButton = /** @type {HTMLButtonElement} */ (document.getElementById("save"));
+const saveResultElement = document.getElementById("saveResult");
+
+/**
+ * Edited in place, properties the window doesn't know about are kept as they are
+ * @type {AdvancedConfiguration}
+ */
+let configuration = undefined;
+
+window.addEventListener("load", () => {
+    window.api.receive("settings", handleSettings);
+    window.api.receive("settingsSaveResult", handleSaveResult);
+
+    for (const name of BOOLEAN_OPTIONS) {
+        const input = getInput(name);
+
+        input.addEventListener("change", () => {
+            if (input.checked) {
+                configuration[name] = true;
+            } else {
+                delete configuration[name];
+            }
+        });
+    }
+
+    for (const name of NUMBER_OPTIONS) {
+        const input = getInput(name);
+
+        input.addEventListener("input", () => {
+            if (input.value === "") {
+                delete configuration[name];
+            } else {
+                configuration[name] = Number(input.value);
+            }
+        });
+    }
+
+    document.getElementById("addCustomStateRule").addEventListener("click", () => {
+        configuration.customStateRules = configuration.customStateRules || [];
+
+        configuration.customStateRules.push({
+            condition: {},
+            resultingStatus: "warning",
+            resultingMessage: "",
+        });
+
+        renderCustomStateRules();
+    });
+
+    for (const name of CONDITION_LISTS) {
+        const addButton = document.querySelector(`[data-condition-list="${name}"]`);
+
+        addButton.addEventListener("click", () => {
+            configuration[name] = configuration[name] || [];
+            configuration[name].push({});
+            renderConditionList(name);
+        });
+    }
+
+    // the browser only submits the form if all inputs are valid
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        saveButton.disabled = true;
+        saveResultElement.textContent = "";
+        window.api.send("settingsSave", { configuration });
+    });
+
+    window.api.send("settingsRequest", undefined);
+});
+
+/** @param {{ configuration: AdvancedConfiguration, errorMessage: string }} data */
+function handleSettings(data) {
+    if (data.errorMessage) {
+        errorElement.textContent = data.errorMessage;
+        errorElement.classList.remove("d-none");
+        return;
+    }
+
+    configuration = data.configuration;
+
+    for (const name of BOOLEAN_OPTIONS) {
+        getInput(name).checked = !!configuration[name];
+    }
+
+    for (const name of NUMBER_OPTIONS) {
+        const value = configuration[name];
+        getInput(name).value = value !== undefined ? String(value) : "";
+    }
+
+    renderCustomStateRules();
+
+    for (const name of CONDITION_LISTS) {
+        renderConditionList(name);
+    }
+
+    form.classList.remove("d-none");
+}
+
+/** @param {{ errorMessage: string }} data */
+function handleSaveResult({ errorMessage }) {
+    saveButton.disabled = false;
+
+    if (errorMessage) {
+        saveResultElement.className = "mr-auto text-danger";
+        saveResultElement.textContent = errorMessage;
+    } else {
+        saveResultElement.className = "mr-auto text-success";
+        saveResultElement.textContent = "Saved and applied";
+    }
+}
+
+function renderCustomStateRules() {
+    customStateRulesElement.textContent = "";
+    const rules = configuration.customStateRules || [];
+
+    rules.forEach((rule, index) => {
+        const body = document.createElement("div");
+        body.appendChild(createConditionEditor(rule.condition));
+
+        const statusSelect = document.createElement("select");
+        statusSelect.className = "custom-select custom-select-sm mr-2 w-auto";
+
+        for (const status of STATUSES) {
+            const option = document.createElement("option");
+            option.value = status;
+            option.textContent = status;
+            statusSelect.appendChild(option);
+        }
+
+        statusSelect.value = rule.resultingStatus;
+
+        statusSelect.addEventListener("change", () => {
+            rule.resultingStatus = /** @type {Status} */ (statusSelect.value);
+        });
+
+        const messageInput = document.createElement("input");
+        messageInput.type = "text";
+        messageInput.className = "form-control form-control-sm mr-2 flex-grow-1";
+        messageInput.placeholder = "Message, for example %{currentTaskTitle}";
+        messageInput.required = true;
+        messageInput.value = rule.resultingMessage;
+        messageInput.addEventListener("input", () => (rule.resultingMessage = messageInput.value));
+
+        const clearCurrentLabel = document.createElement("label");
+        const clearCurrentCheckbox = document.createElement("input");
+        clearCurrentCheckbox.type = "checkbox";
+        clearCurrentCheckbox.className = "mr-1";
+        clearCurrentCheckbox.checked = !!rule.clearCurrent;
+
+        clearCurrentCheckbox.addEventListener("change", () => {
+            if (clearCurrentCheckbox.checked) {
+                rule.clearCurrent = true;
+            } else {
+                delete rule.clearCurrent;
+            }
+        });
+
+        clearCurrentLabel.append(clearCurrentCheckbox, "Clear current");
+
+        const resultRow = document.createElement("div");
+        resultRow.className = "form-inline mt-2";
+        resultRow.append("Then: ", statusSelect, messageInput, clearCurrentLabel);
+        body.appendChild(resultRow);
+
+        customStateRulesElement.appendChild(
+            createCard(`Rule ${index + 1}`, body, rules, index, renderCustomStateRules)
+        );
+    });
+}
+
+/** @param {string} name */
+function renderConditionList(name) {
+    const listElement = document.getElementById(name);
+    listElement.textContent = "";
+    const conditions = configuration[name] || [];
+
+    conditions.forEach((condition, index) => {
+        const rerender = () => renderConditionList(name);
+        const editor = createConditionEditor(condition);
+        listElement.appendChild(
+            createCard(`Condition ${index + 1}`, editor, conditions, index, rerender)
+        );
+    });
+}
+
+/**
+ * Creates a card for an item in a list, with buttons to move or remove the item
+ * @param {string} title
+ * @param {HTMLElement} content
+ * @param {any[]} items
+ * @param {number} index
+ * @param {() => void} rerender
+ */
+function createCard(title, content, items, index, rerender) {
+    const card = document.createElement("div");
+    card.className = "card";
+
+    const header = document.createElement("div");
+    header.className = "card-header d-flex align-items-center py-1";
+
+    const titleElement = document.createElement("span");
+    titleElement.className = "mr-auto";
+    titleElement.textContent = title;
+    header.appendChild(titleElement);
+
+    /**
+     * @param {string} text
+     * @param {boolean} enabled
+     * @param {() => void} modifyItems
+     */
+    const addButton = (text, enabled, modifyItems) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-sm btn-link";
+        button.textContent = text;
+        button.disabled = !enabled;
+
+        button.addEventListener("click", () => {
+            modifyItems();
+            rerender();
+        });
+
+        header.appendChild(button);
+    };
+
+    // order matters for custom state rules, because the first matching rule is used
+    addButton("Move up", index > 0, () => items.splice(index - 1, 0, ...items.splice(index, 1)));
+
+    addButton("Move down", index < items.length - 1, () =>
+        items.splice(index + 1, 0, ...items.splice(index, 1))
+    );
+
+    addButton("Remove", true, () => items.splice(index, 1));
+
+    const body = document.createElement("div");
+    body.className = "card-body py-2";
+    body.appendChild(content);
+
+    card.append(header, body);
+    return card;
+}
+
+/** @param {string} id */
+function getInput(id) {
+    return /** @type {HTMLInputElement} */ (document.getElementById(id));
+}